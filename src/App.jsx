@@ -1,240 +1,348 @@
-import { useEffect, useState } from 'react';
-import Papa from 'papaparse';
-import { FilterProvider } from './context/filterContext';
+import { useMemo } from 'react';
+import { useFilters } from './context/filterContext';
+import { useDataWorker } from './hooks/useDataWorker';
 import FilterPanel from './components/FilterPanel';
-import AirlineRatingHeatmap from './components/ParallelCoordinates';
+import MultiEncodingScatterPlot from './components/MultiEncodingScatterPlot';
+import ParallelCoordinates from './components/ParallelCoordinates';
 import TimeSeriesAnalysis from './components/TimeSeries';
 import PerformanceDistributionMatrix from './components/PerformanceDistributionMatrix';
-import { 
-  processAirlineData, 
-  processAirportData,
-  processLoungeData,
-} from './utils/dataProcessor';
+import AirportMap from './components/AirportMap';
+import CountryChoropleth from './components/CountryChoropleth';
+import DateRangeBrush from './components/DateRangeBrush';
+import DataLoader from './components/DataLoader';
+import LoadProgress from './components/LoadProgress';
+import ReviewExplorer from './components/ReviewExplorer';
+import ReviewDrawer from './components/ReviewDrawer';
+import TextInsights from './components/TextInsights';
+import LoungeExplorer from './components/LoungeExplorer';
+import RecommendationLeaderboard from './components/RecommendationLeaderboard';
+import RankingLeaderboard from './components/RankingLeaderboard';
+import CorrelationExplorer from './components/CorrelationExplorer';
+import NavButton from './components/NavButton';
+import { selectFilteredDatasets } from './utils/filterSelectors';
+import { RATING_DISPLAY_SCALES } from './utils/ratingSchema';
+import loungeCsvUrl from './data/lounge.csv?url';
 import './App.css';
 
+// Only the lounge reviews ship with the app, other datasets are uploaded through the data loader
+const BUNDLED_SOURCES = [
+  { datasetType: 'lounge', url: loungeCsvUrl, source: 'lounge.csv (bundled)' }
+];
+
+// Header buttons in display order; each view keeps its own colour so it is recognisable at a glance
+const NAV_VIEWS = [
+  { view: 'lounges', label: 'Lounges', color: '#e67e22', hoverColor: '#d35400' },
+  { view: 'rankings', label: 'Rankings', color: '#8e44ad', hoverColor: '#7d3c98' },
+  { view: 'profiles', label: 'Profiles', color: '#c0392b', hoverColor: '#a93226' },
+  { view: 'correlations', label: 'Correlations', color: '#34495e', hoverColor: '#2c3e50' },
+  { view: 'recommendations', label: 'Recommenders', color: '#16a085', hoverColor: '#138d75' },
+  { view: 'text', label: 'Text Insights', color: '#27ae60', hoverColor: '#1e8449' },
+  { view: 'reviews', label: 'Reviews', color: '#b9770e', hoverColor: '#9a640c' },
+  { view: 'data', label: 'Load Data', color: '#3498db', hoverColor: '#2980b9' }
+];
+
 function App() {
-  const [airlineData, setAirlineData] = useState([]);
-  const [airportData, setAirportData] = useState([]);
-  const [loungeData, setLoungeData] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [focusedView, setFocusedView] = useState(null);
-  const [dimensionFilter, setDimensionFilter] = useState(null); 
-
-  useEffect(() => {
-    let loadedCount = 0;
-    const totalFiles = 3;
-
-    const checkComplete = () => {
-      loadedCount++;
-      if (loadedCount === totalFiles) {
-        setLoading(false);
-      }
-    };
-
-    Papa.parse('src/data/airline.csv', {
-      download: true,
-      header: true,
-      complete: (results) => {
-        try {
-          const processed = processAirlineData(results.data);
-          setAirlineData(processed);
-        } catch (err) {
-          console.error('Airline data error:', err);
-        }
-        checkComplete();
-      },
-      error: (err) => {
-        console.error('Airline CSV error:', err);
-        checkComplete();
-      }
-    });
-
-    Papa.parse('src/data/airport.csv', {
-      download: true,
-      header: true,
-      complete: (results) => {
-        try {
-          const processed = processAirportData(results.data);
-          setAirportData(processed);
-        } catch (err) {
-          console.error('Airport data error:', err);
-        }
-        checkComplete();
-      },
-      error: (err) => {
-        console.error('Airport CSV error:', err);
-        checkComplete();
-      }
-    });
-
-    Papa.parse('src/data/lounge.csv', {
-      download: true,
-      header: true,
-      complete: (results) => {
-        try {
-          const processed = processLoungeData(results.data);
-          setLoungeData(processed);
-        } catch (err) {
-          console.error('Lounge data error:', err);
-        }
-        checkComplete();
-      },
-      error: (err) => {
-        console.error('Lounge CSV error:', err);
-        checkComplete();
-      }
-    });
-  }, []);
-
-  const handleDimensionFilterChange = (filter) => {
-    setDimensionFilter(filter);
-    console.log('Dimension filter changed:', filter); // Debug log
-  };
+  const { filters, updateFilter, view, updateView } = useFilters();
+  const { focusedView } = view;
+  const { datasets, reports, loads, aggregates, loadDataset, searchReviews, fetchDrilldownReviews, fetchTextInsights, fetchLoungeInsights, fetchRankings, fetchCorrelations } = useDataWorker(filters, BUNDLED_SOURCES);
+  const { airline: airlineData, airport: airportData, lounge: loungeData, seat: seatData } = datasets;
+
+  // Every view draws from the same filtered selection
+  const filtered = useMemo(
+    () => selectFilteredDatasets({ airlineData, airportData, loungeData }, filters),
+    [airlineData, airportData, loungeData, filters]
+  );
+
+  // The choropleth is the country selector, so it keeps showing every country
+  const countryOptions = useMemo(
+    () => selectFilteredDatasets({ airlineData, airportData, loungeData }, filters, { ignore: ['selectedCountries'] }),
+    [airlineData, airportData, loungeData, filters]
+  );
+
+  // Likewise the timeline strip shows the full date extent it brushes over
+  const dateOptions = useMemo(
+    () => selectFilteredDatasets({ airlineData, airportData, loungeData }, filters, { ignore: ['dateRange'] }),
+    [airlineData, airportData, loungeData, filters]
+  );
+
+  const navViews = NAV_VIEWS.filter(nav => nav.view !== focusedView);
 
   const handleBackToOverview = () => {
-    setFocusedView(null);
-    setDimensionFilter(null);
+    updateView('focusedView', null);
+    updateFilter('dimensionFilter', null);
   };
 
-  const handleCardClick = (view, e) => {
+  const handleCardClick = (viewName, e) => {
     if (e.target.closest('.cell-group') || e.target.closest('rect[style*="cursor: pointer"]')) {
       return;
     }
-    setFocusedView(view);
+    updateView('focusedView', viewName);
   };
 
-  if (loading) return <div style={{ padding: '40px', textAlign: 'center' }}>Loading datasets...</div>;
-  if (error) return <div style={{ padding: '40px', color: 'red' }}>Error: {error}</div>;
-  if (!airlineData || airlineData.length === 0) return <div style={{ padding: '40px' }}>No airline data loaded</div>;
+  const hasData = Object.values(datasets).some(rows => rows.length > 0);
+  const isLoading = loads.length === 0 || loads.some(l => l.status === 'loading');
+
+  if (!hasData && isLoading) {
+    return (
+      <div style={{ padding: '40px', maxWidth: '480px', margin: '0 auto' }}>
+        <div style={{ textAlign: 'center', marginBottom: '20px' }}>Loading datasets...</div>
+        <LoadProgress loads={loads} />
+      </div>
+    );
+  }
+
+  if (!hasData) {
+    return (
+      <div className="App">
+        <div style={{ maxWidth: '960px', margin: '0 auto', height: '100%' }}>
+          <DataLoader reports={reports} loads={loads} onLoad={loadDataset} />
+        </div>
+      </div>
+    );
+  }
 
   return (
-    <FilterProvider>
-      <div className={`App ${focusedView ? 'is-focused' : 'is-overview'}`}>
-        <header>
-          <div className="header-content">
-            <div>
-              <h1>SkyTrax Review Explorer</h1>
-              <p>Interactive analysis of {airlineData.length.toLocaleString()} airline, {airportData.length.toLocaleString()} airport, and {loungeData.length.toLocaleString()} lounge reviews.</p>
-            </div>
-            
-            {focusedView && (
-              <button
-                onClick={handleBackToOverview}
-                style={{
-                  padding: '10px 20px',
-                  fontSize: '12px',
-                  fontWeight: '600',
-                  background: '#95a5a6',
-                  color: 'white',
-                  border: 'none',
-                  borderRadius: '6px',
-                  cursor: 'pointer',
-                  transition: 'all 0.3s ease'
-                }}
-                onMouseEnter={(e) => e.target.style.background = '#7f8c8d'}
-                onMouseLeave={(e) => e.target.style.background = '#95a5a6'}
-              >
-                ← Back to Overview
-              </button>
-            )}
+    <div className={`App ${focusedView ? 'is-focused' : 'is-overview'}`}>
+      <header>
+        <div className="header-content">
+          <div>
+            <h1>SkyTrax Review Explorer</h1>
+            <p>Interactive analysis of {filtered.airlineData.length.toLocaleString()} airline, {filtered.airportData.length.toLocaleString()} airport, and {filtered.loungeData.length.toLocaleString()} lounge reviews{seatData.length > 0 && `, plus ${seatData.length.toLocaleString()} seat reviews`}.</p>
           </div>
-        </header>
-        
-        {!focusedView && (
-          <div className="dashboard-grid" style={{ 
-            gridTemplateColumns: 'repeat(2, 1fr)',
-            gridTemplateRows: '1fr 1fr'
-          }}>
-            <div 
-              className="dashboard-card"
-              onClick={(e) => handleCardClick('parallel', e)}
+
+          <label style={{ marginRight: '10px', fontSize: '12px', color: '#7f8c8d', whiteSpace: 'nowrap' }}>
+            Ratings{' '}
+            <select
+              value={view.ratingScale}
+              onChange={(e) => updateView('ratingScale', e.target.value)}
+              style={{
+                padding: '6px 8px',
+                fontSize: '12px',
+                border: '1px solid #cfcfcf',
+                borderRadius: '6px',
+                color: '#2c3e50',
+                background: 'white'
+              }}
             >
-              <div className="card-content">
-                <AirlineRatingHeatmap 
-                  data={airlineData} 
-                  dimensionFilter={dimensionFilter}
-                  isPreview={true} 
-                />
-              </div>
+              {RATING_DISPLAY_SCALES.map(scale => (
+                <option key={scale.key} value={scale.key}>{scale.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {navViews.map((nav, i) => (
+            <NavButton
+              key={nav.view}
+              label={nav.label}
+              color={nav.color}
+              hoverColor={nav.hoverColor}
+              onClick={() => updateView('focusedView', nav.view)}
+              spaced={Boolean(focusedView) || i < navViews.length - 1}
+            />
+          ))}
+
+          {focusedView && (
+            <NavButton
+              label="← Back to Overview"
+              color="#95a5a6"
+              hoverColor="#7f8c8d"
+              onClick={handleBackToOverview}
+              spaced={false}
+            />
+          )}
+        </div>
+      </header>
+      
+      {!focusedView && (
+        <div className="dashboard-grid" style={{ 
+          gridTemplateColumns: 'repeat(2, 1fr)',
+          gridTemplateRows: '1fr 1fr'
+        }}>
+          <div 
+            className="dashboard-card"
+            onClick={(e) => handleCardClick('parallel', e)}
+          >
+            <div className="card-content">
+              <MultiEncodingScatterPlot 
+                airlines={aggregates?.airlineStats} 
+                isPreview={true} 
+              />
             </div>
+          </div>
 
-            <div 
-              className="dashboard-card"
-              onClick={(e) => handleCardClick('timeseries', e)}
-            >
-              <div className="card-content">
-                <TimeSeriesAnalysis 
-                  airlineData={airlineData}
-                  airportData={airportData}
-                  loungeData={loungeData}
-                  dimensionFilter={dimensionFilter}
-                  isPreview={true}
-                />
-              </div>
+          <div 
+            className="dashboard-card"
+            onClick={(e) => handleCardClick('timeseries', e)}
+          >
+            <div className="card-content">
+              <TimeSeriesAnalysis 
+                monthly={aggregates?.monthly}
+                split={aggregates?.split}
+                isPreview={true}
+              />
             </div>
+          </div>
 
-            <div 
-              className="dashboard-card" 
-              style={{ gridColumn: '1 / -1', position: 'relative', cursor: 'default' }}
-            >
-              <div className="card-content" style={{ pointerEvents: 'auto' }}>
-                <PerformanceDistributionMatrix
-                  airlineData={airlineData}
-                  airportData={airportData}
-                  loungeData={loungeData}
-                  onFilterChange={handleDimensionFilterChange}
-                  isPreview={true}
-                />
-              </div>
+          <div 
+            className="dashboard-card" 
+            style={{ gridColumn: '1 / -1', position: 'relative', cursor: 'default' }}
+          >
+            <div className="card-content" style={{ pointerEvents: 'auto' }}>
+              <PerformanceDistributionMatrix
+                dimensionMetrics={aggregates?.dimensionMetrics}
+                aspectMetrics={aggregates?.aspectMetrics}
+                split={aggregates?.split}
+                isPreview={true}
+              />
             </div>
           </div>
-        )}
-
-        {focusedView && (
-          <div className="focused-view-container">
-            <div className="filter-and-viz">
-              {focusedView === 'parallel' && (
-                <FilterPanel 
-                  data={airlineData} 
-                  activeView={focusedView}
-                />
-              )}
-              
-              <div className={`main-visualization ${focusedView === 'matrix' || focusedView === 'timeseries' ? 'full-width' : ''}`}>
+
+          <div 
+            className="dashboard-card"
+            onClick={(e) => handleCardClick('map', e)}
+          >
+            <div className="card-content">
+              <AirportMap
+                airportData={filtered.airportData}
+                loungeData={filtered.loungeData}
+                isPreview={true}
+              />
+            </div>
+          </div>
+
+          <div 
+            className="dashboard-card"
+            onClick={(e) => handleCardClick('countries', e)}
+          >
+            <div className="card-content">
+              <CountryChoropleth
+                airportData={countryOptions.airportData}
+                loungeData={countryOptions.loungeData}
+                isPreview={true}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {focusedView === 'data' && (
+        <div className="focused-view-container">
+          <div className="main-visualization" style={{ height: '100%' }}>
+            <DataLoader reports={reports} loads={loads} onLoad={loadDataset} />
+          </div>
+        </div>
+      )}
+
+      {focusedView && focusedView !== 'data' && (
+        <div className="focused-view-container">
+          <div className="filter-and-viz">
+            <FilterPanel 
+              airlineData={airlineData}
+              airportData={airportData}
+              loungeData={loungeData}
+              filteredData={filtered}
+            />
+            
+            <div className="main-column">
+              <DateRangeBrush
+                airlineData={dateOptions.airlineData}
+                airportData={dateOptions.airportData}
+                loungeData={dateOptions.loungeData}
+              />
+
+              <div className="main-visualization">
                 {focusedView === 'parallel' && (
-                  <AirlineRatingHeatmap 
-                    data={airlineData} 
-                    dimensionFilter={dimensionFilter}
+                  <MultiEncodingScatterPlot 
+                    airlines={aggregates?.airlineStats} 
+                    facets={aggregates?.airlineFacets}
+                    split={aggregates?.split}
                     isPreview={false} 
                   />
                 )}
-                
+              
+                {focusedView === 'profiles' && (
+                  <ParallelCoordinates profiles={aggregates?.airlineProfiles} />
+                )}
+
                 {focusedView === 'timeseries' && (
                   <TimeSeriesAnalysis 
-                    airlineData={airlineData}
-                    airportData={airportData}
-                    loungeData={loungeData}
-                    dimensionFilter={dimensionFilter}
+                    monthly={aggregates?.monthly}
+                    split={aggregates?.split}
                     isPreview={false}
                   />
                 )}
-                
+              
                 {focusedView === 'matrix' && (
                   <PerformanceDistributionMatrix
-                    airlineData={airlineData}
-                    airportData={airportData}
-                    loungeData={loungeData}
-                    onFilterChange={handleDimensionFilterChange}
+                    dimensionMetrics={aggregates?.dimensionMetrics}
+                    aspectMetrics={aggregates?.aspectMetrics}
+                    split={aggregates?.split}
                     isPreview={false}
                   />
                 )}
+
+                {focusedView === 'map' && (
+                  <AirportMap
+                    airportData={filtered.airportData}
+                    loungeData={filtered.loungeData}
+                    isPreview={false}
+                  />
+                )}
+
+                {focusedView === 'countries' && (
+                  <CountryChoropleth
+                    airportData={countryOptions.airportData}
+                    loungeData={countryOptions.loungeData}
+                    isPreview={false}
+                  />
+                )}
+
+                {focusedView === 'reviews' && (
+                  <ReviewExplorer
+                    searchReviews={searchReviews}
+                    datasets={datasets}
+                  />
+                )}
+
+                {focusedView === 'text' && (
+                  <TextInsights
+                    fetchTextInsights={fetchTextInsights}
+                    datasets={datasets}
+                  />
+                )}
+
+                {focusedView === 'lounges' && (
+                  <LoungeExplorer
+                    fetchLoungeInsights={fetchLoungeInsights}
+                    datasets={datasets}
+                  />
+                )}
+
+                {focusedView === 'rankings' && (
+                  <RankingLeaderboard
+                    fetchRankings={fetchRankings}
+                    datasets={datasets}
+                  />
+                )}
+
+                {focusedView === 'correlations' && (
+                  <CorrelationExplorer
+                    fetchCorrelations={fetchCorrelations}
+                    datasets={datasets}
+                  />
+                )}
+
+                {focusedView === 'recommendations' && (
+                  <RecommendationLeaderboard leaderboard={aggregates?.recommendations} />
+                )}
               </div>
             </div>
           </div>
-        )}
-      </div>
-    </FilterProvider>
+        </div>
+      )}
+
+      <ReviewDrawer fetchReviews={fetchDrilldownReviews} />
+    </div>
   );
 }
 
@@ -0,0 +1,376 @@
+import { useEffect, useMemo, useState } from 'react';
+import { MapContainer, GeoJSON, CircleMarker, Tooltip, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet.heat';
+import 'leaflet/dist/leaflet.css';
+import * as d3 from 'd3';
+import { feature } from 'topojson-client';
+import worldTopology from 'world-atlas/countries-110m.json';
+import { useFilters } from '../context/filterContext';
+import { aggregateAirportsByLocation } from '../utils/dataProcessor';
+import { formatRating, getNormalizedRating } from '../utils/ratingSchema';
+import { reviewTimestamp } from '../utils/reviews';
+
+// Bundled basemap so the view works without a tile server
+const worldLand = feature(worldTopology, worldTopology.objects.land);
+
+// Reviews listed in the details panel at a time
+const REVIEW_PAGE_SIZE = 20;
+
+const landStyle = {
+  color: '#b8c2cc',
+  weight: 0.6,
+  fillColor: '#f4f1ea',
+  fillOpacity: 1
+};
+
+const HeatLayer = ({ points }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (points.length === 0) return;
+
+    const layer = L.heatLayer(points, {
+      radius: 22,
+      blur: 18,
+      maxZoom: 6,
+      minOpacity: 0.3
+    }).addTo(map);
+
+    return () => {
+      map.removeLayer(layer);
+    };
+  }, [map, points]);
+
+  return null;
+};
+
+const AirportMap = ({ airportData, loungeData, isPreview = false }) => {
+  const { view } = useFilters();
+  const { ratingScale } = view;
+  const [colorBy, setColorBy] = useState('airport'); // 'airport', 'lounge'
+  const [showHeat, setShowHeat] = useState(true);
+  const [selectedAirport, setSelectedAirport] = useState(null);
+
+  const airports = useMemo(
+    () => aggregateAirportsByLocation(airportData || [], loungeData || []),
+    [airportData, loungeData]
+  );
+
+  const locatedAirports = useMemo(
+    () => airports.filter(a => a.coordinates),
+    [airports]
+  );
+
+  const heatPoints = useMemo(() => {
+    const maxCount = d3.max(locatedAirports, a => a.airport.count + a.lounges.count) || 1;
+    return locatedAirports.map(a => [
+      a.coordinates[0],
+      a.coordinates[1],
+      (a.airport.count + a.lounges.count) / maxCount
+    ]);
+  }, [locatedAirports]);
+
+  const radiusScale = d3.scaleSqrt()
+    .domain([0, d3.max(locatedAirports, a => a.airport.count + a.lounges.count) || 1])
+    .range(isPreview ? [2, 9] : [4, 18]);
+
+  const colorScale = d3.scaleSequential()
+    .domain([0, 10])
+    .interpolator(d3.interpolateRdYlGn);
+
+  const getMarkerRating = (a) => {
+    return colorBy === 'airport' ? a.airport.avgRating : a.lounges.avgRating;
+  };
+
+  const unlocatedCount = airports.length - locatedAirports.length;
+
+  const map = (
+    <MapContainer
+      center={[25, 10]}
+      zoom={isPreview ? 1 : 2}
+      minZoom={1}
+      maxZoom={8}
+      worldCopyJump={true}
+      zoomControl={!isPreview}
+      dragging={!isPreview}
+      scrollWheelZoom={!isPreview}
+      doubleClickZoom={!isPreview}
+      attributionControl={false}
+      style={{ width: '100%', height: '100%', background: '#dce8f2' }}
+    >
+      <GeoJSON data={worldLand} style={landStyle} interactive={false} />
+
+      {showHeat && <HeatLayer points={heatPoints} />}
+
+      {locatedAirports.map(a => {
+        const rating = getMarkerRating(a);
+        const isSelected = selectedAirport?.key === a.key;
+
+        return (
+          <CircleMarker
+            key={a.key}
+            center={a.coordinates}
+            radius={radiusScale(a.airport.count + a.lounges.count)}
+            interactive={!isPreview}
+            pathOptions={{
+              color: isSelected ? '#2c3e50' : 'white',
+              weight: isSelected ? 3 : 1,
+              fillColor: rating != null ? colorScale(rating) : '#95a5a6',
+              fillOpacity: 0.85
+            }}
+            eventHandlers={{
+              click: () => setSelectedAirport(a)
+            }}
+          >
+            {!isPreview && (
+              <Tooltip direction="top" offset={[0, -6]}>
+                <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>{a.name}</div>
+                <div>Airport: {formatRating(a.airport.avgRating, ratingScale, 'airport', 'overall_rating')} ({a.airport.count} reviews)</div>
+                <div>Lounges: {formatRating(a.lounges.avgRating, ratingScale, 'lounge', 'overall_rating')} ({a.lounges.count} reviews)</div>
+              </Tooltip>
+            )}
+          </CircleMarker>
+        );
+      })}
+    </MapContainer>
+  );
+
+  if (isPreview) {
+    return (
+      <div style={{ width: '100%', height: '100%', display: 'flex', flexDirection: 'column' }}>
+        <div style={{
+          textAlign: 'center',
+          fontSize: '11px',
+          fontWeight: 'bold',
+          color: '#2c3e50',
+          padding: '8px 0 6px 0'
+        }}>
+          Airport &amp; Lounge Map ({locatedAirports.length} airports)
+        </div>
+        <div style={{ flex: 1, minHeight: 0 }}>
+          {map}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ width: '100%', height: '100%', display: 'flex', minHeight: 0 }}>
+      <div style={{ flex: 1, minWidth: 0, position: 'relative' }}>
+        {map}
+
+        <div style={{
+          position: 'absolute',
+          top: 12,
+          right: 12,
+          zIndex: 1000,
+          background: 'rgba(255,255,255,0.95)',
+          border: '1px solid #d0d0d0',
+          borderRadius: 8,
+          padding: '8px 10px',
+          fontSize: 12,
+          color: '#2c3e50'
+        }}>
+          <div style={{ fontWeight: 700, marginBottom: 6 }}>Marker colour</div>
+          <select
+            value={colorBy}
+            onChange={(e) => setColorBy(e.target.value)}
+            style={selectStyle}
+          >
+            <option value="airport">Airport rating</option>
+            <option value="lounge">Lounge rating</option>
+          </select>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 8 }}>
+            <input
+              type="checkbox"
+              checked={showHeat}
+              onChange={(e) => setShowHeat(e.target.checked)}
+            />
+            Review density heat layer
+          </label>
+          <div style={{ marginTop: 8, fontSize: 10, color: '#7f8c8d' }}>
+            Size = reviews | Colour: red (poor) → green (excellent), grey = no rating
+          </div>
+          {unlocatedCount > 0 && (
+            <div style={{ marginTop: 4, fontSize: 10, color: '#7f8c8d' }}>
+              {unlocatedCount} airport{unlocatedCount === 1 ? '' : 's'} not in gazetteer
+            </div>
+          )}
+        </div>
+      </div>
+
+      <AirportDetails
+        key={selectedAirport ? selectedAirport.key : ''}
+        airport={selectedAirport}
+        ratingScale={ratingScale}
+        onClose={() => setSelectedAirport(null)}
+      />
+    </div>
+  );
+};
+
+// Keyed by airport, so the review list starts at its first page for every airport
+const AirportDetails = ({ airport, ratingScale, onClose }) => {
+  const [reviewLimit, setReviewLimit] = useState(REVIEW_PAGE_SIZE);
+
+  const reviews = useMemo(() => (airport
+    ? [...airport.airport.reviews, ...airport.lounges.reviews].sort((a, b) => reviewTimestamp(b) - reviewTimestamp(a))
+    : []), [airport]);
+
+  if (!airport) {
+    return (
+      <div style={detailsPanelStyle}>
+        <div style={{ color: '#7f8c8d', fontSize: '12px', fontStyle: 'italic' }}>
+          Click an airport marker to see its lounges and reviews.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={detailsPanelStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 8 }}>
+        <h2 style={{ fontSize: '16px', color: '#2c3e50', margin: 0 }}>{airport.name}</h2>
+        <button onClick={onClose} style={closeButtonStyle}>✕</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: 8, margin: '12px 0' }}>
+        <StatBox
+          label="Airport"
+          value={formatRating(airport.airport.avgRating, ratingScale, 'airport', 'overall_rating')}
+          count={airport.airport.count}
+          color="#27ae60"
+        />
+        <StatBox
+          label="Lounges"
+          value={formatRating(airport.lounges.avgRating, ratingScale, 'lounge', 'overall_rating')}
+          count={airport.lounges.count}
+          color="#e67e22"
+        />
+      </div>
+
+      <h3 style={sectionTitleStyle}>Lounges ({airport.lounges.lounges.length})</h3>
+      {airport.lounges.lounges.length === 0 && (
+        <div style={{ fontSize: '11px', color: '#95a5a6', marginBottom: 10 }}>No lounge reviews</div>
+      )}
+      {airport.lounges.lounges.map((l, i) => (
+        <div key={i} style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          fontSize: '11px',
+          padding: '5px 6px',
+          borderBottom: '1px solid #ecf0f1',
+          color: '#2c3e50'
+        }}>
+          <span>
+            {l.name}
+            {l.type && <span style={{ color: '#95a5a6' }}> · {l.type}</span>}
+          </span>
+          <strong>{formatRating(l.rating, ratingScale, 'lounge', 'overall_rating', { suffix: false })}</strong>
+        </div>
+      ))}
+
+      <h3 style={{ ...sectionTitleStyle, marginTop: 14 }}>Reviews ({reviews.length})</h3>
+      {reviews.slice(0, reviewLimit).map((r, i) => (
+        <div key={i} style={{
+          padding: '8px',
+          marginBottom: '6px',
+          background: '#f8f9fa',
+          borderRadius: '4px',
+          fontSize: '11px',
+          color: '#2c3e50'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 4 }}>
+            <strong>{r.author || 'Anonymous'}</strong>
+            <span style={{ color: '#7f8c8d' }}>
+              {r.parsedDate && !isNaN(r.parsedDate) ? d3.timeFormat('%d %b %Y')(r.parsedDate) : r.date}
+            </span>
+          </div>
+          <div style={{ color: '#7f8c8d', marginBottom: 4 }}>
+            {r.lounge_name ? `Lounge: ${r.lounge_name}` : 'Airport review'} ·{' '}
+            {r.lounge_name
+              ? formatRating(getNormalizedRating(r, 'lounge', 'overall_rating'), ratingScale, 'lounge', 'overall_rating')
+              : formatRating(getNormalizedRating(r, 'airport', 'overall_rating'), ratingScale, 'airport', 'overall_rating')}
+          </div>
+          <div style={{ lineHeight: 1.4 }}>
+            {r.content && r.content.length > 300 ? `${r.content.substring(0, 300)}...` : r.content}
+          </div>
+        </div>
+      ))}
+
+      {reviews.length > reviewLimit && (
+        <button onClick={() => setReviewLimit(reviewLimit + REVIEW_PAGE_SIZE)} style={moreButtonStyle}>
+          Show {Math.min(REVIEW_PAGE_SIZE, reviews.length - reviewLimit)} more
+        </button>
+      )}
+    </div>
+  );
+};
+
+const StatBox = ({ label, value, count, color }) => (
+  <div style={{
+    flex: 1,
+    padding: '8px',
+    background: '#ecf0f1',
+    borderRadius: '6px',
+    borderTop: `3px solid ${color}`,
+    fontSize: '11px',
+    color: '#2c3e50'
+  }}>
+    <div style={{ color: '#7f8c8d' }}>{label}</div>
+    <div style={{ fontSize: '18px', fontWeight: 'bold', color }}>
+      {value}
+    </div>
+    <div style={{ color: '#95a5a6' }}>{count} reviews</div>
+  </div>
+);
+
+const selectStyle = {
+  width: 170,
+  padding: '6px 8px',
+  borderRadius: 6,
+  border: '1px solid #cfcfcf',
+  background: 'white',
+  color: '#2c3e50',
+  fontSize: 12
+};
+
+const moreButtonStyle = {
+  padding: '6px 12px',
+  fontSize: '11px',
+  background: '#3498db',
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontWeight: 'bold'
+};
+
+const detailsPanelStyle = {
+  width: '320px',
+  flexShrink: 0,
+  padding: '14px',
+  overflowY: 'auto',
+  borderLeft: '1px solid #ecf0f1',
+  background: 'white'
+};
+
+const sectionTitleStyle = {
+  fontSize: '13px',
+  fontWeight: 'bold',
+  color: '#2c3e50',
+  marginBottom: '6px'
+};
+
+const closeButtonStyle = {
+  padding: '2px 8px',
+  fontSize: '12px',
+  background: '#ecf0f1',
+  color: '#2c3e50',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+export default AirportMap;
@@ -0,0 +1,408 @@
+import { useEffect, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { useFilters } from '../context/filterContext';
+import { formatRating } from '../utils/ratingSchema';
+import { CORRELATION_METHODS } from '../utils/correlations';
+
+const ENTITY_OPTIONS = [
+  { entity: 'airline', label: 'Airlines', color: '#3498db' },
+  { entity: 'airport', label: 'Airports', color: '#27ae60' },
+  { entity: 'lounge', label: 'Lounges', color: '#e67e22' }
+];
+
+const CELL_SIZE = 44;
+const LABEL_WIDTH = 110;
+
+// -1 red, 0 white, +1 blue
+const correlationColor = d3.scaleSequential(d3.interpolateRdBu).domain([-1, 1]);
+
+const formatCoefficient = (value) => (value === null || value === undefined ? 'n/a' : value.toFixed(2));
+
+// Correlation matrix as a heatmap; clicking an off-diagonal cell selects that pair
+const drawHeatmap = (container, { fields, matrix, counts }, selectedPair, onSelect) => {
+  d3.select(container).selectAll('*').remove();
+
+  const size = fields.length * CELL_SIZE;
+  const svg = d3.select(container)
+    .append('svg')
+    .attr('width', LABEL_WIDTH + size + 10)
+    .attr('height', LABEL_WIDTH + size + 10);
+
+  const g = svg.append('g')
+    .attr('transform', `translate(${LABEL_WIDTH},${LABEL_WIDTH})`);
+
+  fields.forEach(({ label }, i) => {
+    g.append('text')
+      .attr('x', -6)
+      .attr('y', i * CELL_SIZE + CELL_SIZE / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', 'end')
+      .style('font-size', '10px')
+      .style('fill', '#2c3e50')
+      .text(label);
+
+    g.append('text')
+      .attr('transform', `translate(${i * CELL_SIZE + CELL_SIZE / 2},-6) rotate(-45)`)
+      .style('font-size', '10px')
+      .style('fill', '#2c3e50')
+      .text(label);
+  });
+
+  fields.forEach((row, i) => {
+    fields.forEach((column, j) => {
+      const value = matrix[i][j];
+      const isDiagonal = i === j;
+      const isSelected = selectedPair && (
+        (selectedPair.y === row.field && selectedPair.x === column.field) ||
+        (selectedPair.x === row.field && selectedPair.y === column.field)
+      );
+
+      const cell = g.append('g')
+        .attr('transform', `translate(${j * CELL_SIZE},${i * CELL_SIZE})`)
+        .style('cursor', isDiagonal || value === null ? 'default' : 'pointer')
+        .on('click', () => {
+          if (!isDiagonal && value !== null) onSelect({ x: column.field, y: row.field });
+        });
+
+      cell.append('rect')
+        .attr('width', CELL_SIZE - 2)
+        .attr('height', CELL_SIZE - 2)
+        .attr('fill', value === null ? '#f5f5f5' : correlationColor(value))
+        .attr('stroke', isSelected ? '#2c3e50' : 'none')
+        .attr('stroke-width', 2);
+
+      cell.append('text')
+        .attr('x', (CELL_SIZE - 2) / 2)
+        .attr('y', (CELL_SIZE - 2) / 2)
+        .attr('dy', '0.35em')
+        .attr('text-anchor', 'middle')
+        .style('font-size', '10px')
+        .style('pointer-events', 'none')
+        .style('fill', value !== null && Math.abs(value) > 0.6 ? 'white' : '#2c3e50')
+        .text(value === null ? '–' : value.toFixed(2));
+
+      cell.append('title')
+        .text(`${row.label} × ${column.label}: ${formatCoefficient(value)} (${counts[i][j].toLocaleString()} reviews rate both)`);
+    });
+  });
+};
+
+const CorrelationHeatmap = ({ fields, matrix, counts, selectedPair, onSelect }) => {
+  const containerRef = useRef();
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+    drawHeatmap(containerRef.current, { fields, matrix, counts }, selectedPair, onSelect);
+  }, [fields, matrix, counts, selectedPair, onSelect]);
+
+  return <div ref={containerRef} />;
+};
+
+// Joint distribution of a pair: one bubble per combination of values sized by its review
+// count, with the least-squares line
+const drawPairScatter = (container, pair, { entity, xLabel, yLabel, color, ratingScale }, onPointClick) => {
+  d3.select(container).selectAll('*').remove();
+
+  const width = 360;
+  const height = 300;
+  const margin = { top: 10, right: 15, bottom: 40, left: 45 };
+  const innerWidth = width - margin.left - margin.right;
+  const innerHeight = height - margin.top - margin.bottom;
+
+  const svg = d3.select(container)
+    .append('svg')
+    .attr('width', width)
+    .attr('height', height);
+
+  const g = svg.append('g')
+    .attr('transform', `translate(${margin.left},${margin.top})`);
+
+  const x = d3.scaleLinear().domain([0, 10]).range([0, innerWidth]);
+  const y = d3.scaleLinear().domain([0, 10]).range([innerHeight, 0]);
+  const r = d3.scaleSqrt().domain([0, d3.max(pair.points, d => d.count) || 1]).range([0, 14]);
+
+  const tickFormat = (field) => (d) => formatRating(d, ratingScale, entity, field, { suffix: false, digits: 0 });
+
+  g.append('g')
+    .attr('transform', `translate(0,${innerHeight})`)
+    .call(d3.axisBottom(x).ticks(5).tickFormat(tickFormat(pair.xField)))
+    .style('font-size', '9px');
+
+  g.append('g')
+    .call(d3.axisLeft(y).ticks(5).tickFormat(tickFormat(pair.yField)))
+    .style('font-size', '9px');
+
+  g.append('text')
+    .attr('x', innerWidth / 2)
+    .attr('y', innerHeight + 32)
+    .attr('text-anchor', 'middle')
+    .style('font-size', '10px')
+    .style('fill', '#2c3e50')
+    .text(xLabel);
+
+  g.append('text')
+    .attr('transform', `translate(-32,${innerHeight / 2}) rotate(-90)`)
+    .attr('text-anchor', 'middle')
+    .style('font-size', '10px')
+    .style('fill', '#2c3e50')
+    .text(yLabel);
+
+  g.selectAll('.pair-point')
+    .data(pair.points)
+    .enter()
+    .append('circle')
+    .attr('class', 'pair-point')
+    .attr('cx', d => x(d.x))
+    .attr('cy', d => y(d.y))
+    .attr('r', d => Math.max(2, r(d.count)))
+    .attr('fill', color)
+    .attr('fill-opacity', 0.5)
+    .attr('stroke', color)
+    .style('cursor', 'pointer')
+    .on('click', (event, d) => onPointClick(d))
+    .append('title')
+    .text(d => `${xLabel} ${formatRating(d.x, ratingScale, entity, pair.xField)} · ${yLabel} ${formatRating(d.y, ratingScale, entity, pair.yField)}: ${d.count.toLocaleString()} reviews · click to read them`);
+
+  if (pair.fit) {
+    // Clip the line to the plot area
+    const ends = [0, 10]
+      .map(xValue => ({ x: xValue, y: pair.fit.intercept + pair.fit.slope * xValue }))
+      .map(p => ({ x: p.x, y: Math.max(0, Math.min(10, p.y)) }));
+
+    g.append('line')
+      .attr('x1', x(ends[0].x))
+      .attr('y1', y(ends[0].y))
+      .attr('x2', x(ends[1].x))
+      .attr('y2', y(ends[1].y))
+      .attr('stroke', '#2c3e50')
+      .attr('stroke-width', 1.5)
+      .attr('stroke-dasharray', '4,3')
+      .style('pointer-events', 'none');
+  }
+};
+
+const PairScatter = ({ pair, entity, xLabel, yLabel, color, ratingScale, onPointClick }) => {
+  const containerRef = useRef();
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+    drawPairScatter(containerRef.current, pair, { entity, xLabel, yLabel, color, ratingScale }, onPointClick);
+  }, [pair, entity, xLabel, yLabel, color, ratingScale, onPointClick]);
+
+  return <div ref={containerRef} />;
+};
+
+// Correlations between the rating columns of one dataset within the current filters: a heatmap
+// of the chosen coefficient, the scatter of a clicked pair and the drivers of the overall rating.
+// `fetchCorrelations` computes them in the data worker (see utils/correlations.js).
+const CorrelationExplorer = ({ fetchCorrelations, datasets }) => {
+  const { filters, view, openDrilldown } = useFilters();
+  const { ratingScale } = view;
+
+  const [entity, setEntity] = useState(() => (ENTITY_OPTIONS.find(o => datasets[o.entity].length > 0) || ENTITY_OPTIONS[0]).entity);
+  const [method, setMethod] = useState('pearson');
+  const [pair, setPair] = useState(null);
+  const [correlations, setCorrelations] = useState(null);
+
+  const hasData = datasets[entity].length > 0;
+
+  useEffect(() => {
+    if (!hasData) return;
+    let cancelled = false;
+
+    fetchCorrelations({ filters, entity, pair }).then(result => {
+      if (!cancelled) setCorrelations(result);
+    }).catch(err => console.error('Error computing correlations:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchCorrelations, filters, entity, pair, hasData, datasets]);
+
+  const option = ENTITY_OPTIONS.find(o => o.entity === entity);
+  const current = correlations && correlations.entity === entity ? correlations : null;
+  const labelOf = (field) => current.fields.find(f => f.field === field)?.label || field;
+
+  const openPointReviews = (point) => {
+    const { xField, yField } = current.pair;
+    openDrilldown({
+      title: `${labelOf(xField)} ${formatRating(point.x, ratingScale, entity, xField)} · ${labelOf(yField)} ${formatRating(point.y, ratingScale, entity, yField)}`,
+      subtitle: `${option.label} · reviews with both ratings`,
+      fields: { [entity]: yField },
+      ratings: { [xField]: point.x, [yField]: point.y }
+    });
+  };
+
+  return (
+    <div style={{ flex: 1, minHeight: 0, padding: '20px', overflowY: 'auto', boxSizing: 'border-box' }}>
+      <h2 style={{ margin: '0 0 5px 0', fontSize: '18px', color: '#2c3e50' }}>Correlations</h2>
+      <p style={{ margin: '0 0 15px 0', fontSize: '12px', color: '#7f8c8d' }}>
+        How the rating columns move together within the current filters. Each pair is correlated
+        over the reviews that rate both; Spearman compares ranks, so it suits the 1–5 sub-ratings
+        and is less sensitive to outliers. Click a cell to see the two ratings against each other.
+      </p>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '15px', fontSize: '12px', color: '#7f8c8d' }}>
+        <label>
+          Dataset{' '}
+          <select
+            value={entity}
+            onChange={(e) => {
+              setEntity(e.target.value);
+              setPair(null);
+            }}
+            style={selectStyle}
+          >
+            {ENTITY_OPTIONS.map(o => (
+              <option key={o.entity} value={o.entity}>{o.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Coefficient{' '}
+          <select value={method} onChange={(e) => setMethod(e.target.value)} style={selectStyle}>
+            {CORRELATION_METHODS.map(m => (
+              <option key={m.key} value={m.key}>{m.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!hasData && <div style={{ fontSize: '11px', color: '#95a5a6' }}>No {option.label.toLowerCase()} reviews loaded.</div>}
+      {hasData && !current && <div style={{ fontSize: '11px', color: '#95a5a6' }}>Computing correlations…</div>}
+
+      {hasData && current && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '15px', alignItems: 'flex-start' }}>
+          <div style={{ ...panelStyle, borderTop: `4px solid ${option.color}` }}>
+            <h3 style={panelTitleStyle}>{CORRELATION_METHODS.find(m => m.key === method).label} correlation</h3>
+            <CorrelationHeatmap
+              fields={current.fields}
+              matrix={current[method]}
+              counts={current.counts}
+              selectedPair={pair}
+              onSelect={setPair}
+            />
+            <CorrelationLegend />
+          </div>
+
+          <div style={{ ...panelStyle, minWidth: '360px', borderTop: `4px solid ${option.color}` }}>
+            {current.pair ? (
+              <>
+                <h3 style={panelTitleStyle}>{labelOf(current.pair.yField)} vs {labelOf(current.pair.xField)}</h3>
+                <div style={{ marginBottom: '6px', fontSize: '10px', color: '#95a5a6' }}>
+                  Pearson {formatCoefficient(current.pair.pearson)} · Spearman {formatCoefficient(current.pair.spearman)} · {current.pair.count.toLocaleString()} reviews · click a bubble to read its reviews
+                </div>
+                <PairScatter
+                  pair={current.pair}
+                  entity={entity}
+                  xLabel={labelOf(current.pair.xField)}
+                  yLabel={labelOf(current.pair.yField)}
+                  color={option.color}
+                  ratingScale={ratingScale}
+                  onPointClick={openPointReviews}
+                />
+              </>
+            ) : (
+              <div style={{ fontSize: '11px', color: '#95a5a6' }}>Click a cell of the heatmap to compare two ratings.</div>
+            )}
+          </div>
+
+          <DriverPanel drivers={current.drivers} color={option.color} onSelect={(field) => setPair({ x: field, y: 'overall_rating' })} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const CorrelationLegend = () => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px', fontSize: '10px', color: '#7f8c8d' }}>
+    <span>-1</span>
+    <div
+      style={{
+        width: '160px',
+        height: '8px',
+        borderRadius: '4px',
+        background: `linear-gradient(to right, ${d3.range(-1, 1.01, 0.25).map(v => correlationColor(v)).join(', ')})`
+      }}
+    />
+    <span>+1</span>
+  </div>
+);
+
+// Standardized regression coefficients of the sub-ratings on the overall rating
+const DriverPanel = ({ drivers, color, onSelect }) => {
+  if (!drivers) return null;
+
+  const maxBeta = d3.max(drivers.drivers, d => Math.abs(d.beta)) || 1;
+
+  return (
+    <div style={{ ...panelStyle, flex: 1, minWidth: '300px', borderTop: `4px solid ${color}` }}>
+      <h3 style={panelTitleStyle}>Drivers of the overall rating</h3>
+      <div style={{ marginBottom: '8px', fontSize: '10px', color: '#95a5a6' }}>
+        Standardized coefficients of a regression of the overall rating on the sub-ratings, over
+        the {drivers.count.toLocaleString()} reviews that rate all of them
+        {drivers.rSquared !== null && ` · R² ${drivers.rSquared.toFixed(2)}`}
+      </div>
+
+      {drivers.drivers.length === 0 ? (
+        <div style={{ fontSize: '11px', color: '#95a5a6' }}>Not enough complete reviews within the current filters.</div>
+      ) : (
+        drivers.drivers.map(driver => (
+          <div
+            key={driver.field}
+            onClick={() => onSelect(driver.field)}
+            style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px', fontSize: '11px', cursor: 'pointer' }}
+            title={`β ${driver.beta.toFixed(3)} · correlation ${formatCoefficient(driver.correlation)} · click to plot against the overall rating`}
+          >
+            <span style={{ width: '110px', color: '#2c3e50', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{driver.label}</span>
+            <div style={{ position: 'relative', flex: 1, height: '10px', background: '#f0f0f0', borderRadius: '3px' }}>
+              <div style={{ position: 'absolute', left: '50%', top: '-2px', bottom: '-2px', width: '1px', background: '#95a5a6' }} />
+              <div
+                style={{
+                  position: 'absolute',
+                  top: 0,
+                  bottom: 0,
+                  left: driver.beta >= 0 ? '50%' : `${50 - (Math.abs(driver.beta) / maxBeta) * 50}%`,
+                  width: `${(Math.abs(driver.beta) / maxBeta) * 50}%`,
+                  background: driver.beta >= 0 ? color : '#e74c3c',
+                  borderRadius: '3px'
+                }}
+              />
+            </div>
+            <span style={{ width: '36px', textAlign: 'right', fontWeight: 'bold', color: '#2c3e50' }}>{driver.beta.toFixed(2)}</span>
+          </div>
+        ))
+      )}
+
+      {drivers.excluded.length > 0 && (
+        <div style={{ marginTop: '8px', fontSize: '10px', color: '#95a5a6' }}>
+          Left out, rated in too few reviews: {drivers.excluded.map(d => `${d.label} (${Math.round(d.coverage * 100)}%)`).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const panelStyle = {
+  padding: '12px',
+  background: 'white',
+  border: '1px solid #e0e0e0',
+  borderRadius: '8px'
+};
+
+const panelTitleStyle = {
+  margin: '0 0 4px 0',
+  fontSize: '13px',
+  color: '#2c3e50'
+};
+
+const selectStyle = {
+  padding: '6px 8px',
+  fontSize: '12px',
+  border: '1px solid #cfcfcf',
+  borderRadius: '6px',
+  color: '#2c3e50',
+  background: 'white'
+};
+
+export default CorrelationExplorer;
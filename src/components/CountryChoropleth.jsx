@@ -0,0 +1,335 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import { useFilters } from '../context/filterContext';
+import * as d3 from 'd3';
+import { feature } from 'topojson-client';
+import worldTopology from 'world-atlas/countries-110m.json';
+import { aggregateByCountryRatings } from '../utils/dataProcessor';
+import { formatRating } from '../utils/ratingSchema';
+import { formatDimensionInterval } from '../utils/dimensions';
+
+const worldCountries = feature(worldTopology, worldTopology.objects.countries);
+
+// Reviewer countries whose Skytrax name differs from the world-atlas name
+const COUNTRY_NAME_ALIASES = {
+  'United States': 'United States of America',
+  'Czech Republic': 'Czechia',
+  'Russian Federation': 'Russia',
+  'Trinidad & Tobago': 'Trinidad and Tobago'
+};
+
+const mapNameToReviewerCountry = (countryRatings) => {
+  const lookup = new Map();
+  countryRatings.forEach(d => {
+    lookup.set(COUNTRY_NAME_ALIASES[d.country] || d.country, d);
+  });
+  return lookup;
+};
+
+const CountryChoropleth = ({ airportData, loungeData, isPreview = false }) => {
+  const svgRef = useRef();
+  const { filters, updateFilter, view } = useFilters();
+  const { ratingScale } = view;
+
+  const countryRatings = useMemo(
+    () => aggregateByCountryRatings(airportData || [], loungeData || [])
+      .filter(d => d.country),
+    [airportData, loungeData]
+  );
+
+  const ratingsByMapName = useMemo(
+    () => mapNameToReviewerCountry(countryRatings),
+    [countryRatings]
+  );
+
+  // Small territories (Singapore, Hong Kong, ...) are not in the 110m geometry
+  const offMapCountries = useMemo(() => {
+    const mapNames = new Set(worldCountries.features.map(f => f.properties.name));
+    return countryRatings
+      .filter(d => !mapNames.has(COUNTRY_NAME_ALIASES[d.country] || d.country))
+      .sort((a, b) => b.totalReviews - a.totalReviews);
+  }, [countryRatings]);
+
+  const handleCountryToggle = useCallback((country) => {
+    const current = filters.selectedCountries;
+    const updated = current.includes(country)
+      ? current.filter(c => c !== country)
+      : [...current, country];
+    updateFilter('selectedCountries', updated);
+  }, [filters.selectedCountries, updateFilter]);
+
+  const drawChoropleth = useCallback(() => {
+    const containerWidth = svgRef.current.clientWidth;
+    const containerHeight = svgRef.current.clientHeight;
+    const margin = isPreview
+      ? { top: 30, right: 10, bottom: 30, left: 10 }
+      : { top: 70, right: 20, bottom: 60, left: 20 };
+    const width = containerWidth - margin.left - margin.right;
+    const height = containerHeight - margin.top - margin.bottom;
+
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    const svg = d3.select(svgRef.current)
+      .append('svg')
+      .attr('width', containerWidth)
+      .attr('height', containerHeight);
+
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const projection = d3.geoNaturalEarth1()
+      .fitSize([width, height], { type: 'Sphere' });
+    const path = d3.geoPath(projection);
+
+    const colorScale = d3.scaleSequential()
+      .domain([0, 10])
+      .interpolator(d3.interpolateRdYlGn);
+
+    const selected = new Set(filters.selectedCountries);
+
+    g.append('path')
+      .datum({ type: 'Sphere' })
+      .attr('d', path)
+      .attr('fill', '#eef3f8')
+      .attr('stroke', '#d0d7de');
+
+    const tooltip = isPreview ? null : d3.select('body')
+      .append('div')
+      .attr('class', 'choropleth-tooltip timeseries-tooltip')
+      .style('position', 'fixed')
+      .style('padding', '10px')
+      .style('font-size', '11px')
+      .style('pointer-events', 'none')
+      .style('opacity', 0)
+      .style('z-index', '10000');
+
+    // 95% interval of an average, in grey after its value
+    const formatCI = (ci, entity) => (ci
+      ? `<span style="color: #7f8c8d;">(95% CI ${formatDimensionInterval(ci, ratingScale, entity, entity ? 'overall_rating' : null)})</span>`
+      : '');
+
+    g.selectAll('.country')
+      .data(worldCountries.features)
+      .enter()
+      .append('path')
+      .attr('class', 'country')
+      .attr('d', path)
+      .attr('fill', f => {
+        const stats = ratingsByMapName.get(f.properties.name);
+        return stats ? colorScale(stats.combinedRating) : '#dfe3e8';
+      })
+      .attr('stroke', f => {
+        const stats = ratingsByMapName.get(f.properties.name);
+        return stats && selected.has(stats.country) ? '#2c3e50' : 'white';
+      })
+      .attr('stroke-width', f => {
+        const stats = ratingsByMapName.get(f.properties.name);
+        return stats && selected.has(stats.country) ? 2 : 0.5;
+      })
+      .attr('opacity', f => {
+        if (selected.size === 0) return 1;
+        const stats = ratingsByMapName.get(f.properties.name);
+        return stats && selected.has(stats.country) ? 1 : 0.45;
+      })
+      .style('cursor', f => !isPreview && ratingsByMapName.has(f.properties.name) ? 'pointer' : 'default')
+      .on('click', function(event, f) {
+        if (isPreview) return;
+        const stats = ratingsByMapName.get(f.properties.name);
+        if (stats) {
+          handleCountryToggle(stats.country);
+        }
+      })
+      .on('mouseover', function(event, f) {
+        if (!tooltip) return;
+        const stats = ratingsByMapName.get(f.properties.name);
+
+        d3.select(this).raise().attr('stroke', '#2c3e50').attr('stroke-width', 1.5);
+
+        tooltip
+          .style('opacity', 1)
+          .html(stats ? `
+            <div style="font-weight: bold; margin-bottom: 6px;">${stats.country}</div>
+            <div><strong>Combined rating:</strong> ${formatRating(stats.combinedRating, ratingScale, null, null, { digits: 2 })} ${formatCI(stats.combinedStats.ci, null)}</div>
+            <div><strong>Airport:</strong> ${stats.airportCount ? `${formatRating(stats.avgAirportRating, ratingScale, 'airport', 'overall_rating', { digits: 2 })} ${formatCI(stats.airportStats.ci, 'airport')} (${stats.airportCount} reviews)` : 'n/a'}</div>
+            <div><strong>Lounge:</strong> ${stats.loungeCount ? `${formatRating(stats.avgLoungeRating, ratingScale, 'lounge', 'overall_rating', { digits: 2 })} ${formatCI(stats.loungeStats.ci, 'lounge')} (${stats.loungeCount} reviews)` : 'n/a'}</div>
+            <div style="margin-top: 6px; color: #7f8c8d;">Click to ${selected.has(stats.country) ? 'remove from' : 'add to'} filter</div>
+          ` : `
+            <div style="font-weight: bold;">${f.properties.name}</div>
+            <div style="color: #7f8c8d;">No reviewers from this country</div>
+          `)
+          .style('left', `${event.pageX + 15}px`)
+          .style('top', `${event.pageY - 40}px`);
+      })
+      .on('mousemove', function(event) {
+        if (!tooltip) return;
+        tooltip
+          .style('left', `${event.pageX + 15}px`)
+          .style('top', `${event.pageY - 40}px`);
+      })
+      .on('mouseout', function(event, f) {
+        if (!tooltip) return;
+        const stats = ratingsByMapName.get(f.properties.name);
+        const isSelected = stats && selected.has(stats.country);
+        d3.select(this)
+          .attr('stroke', isSelected ? '#2c3e50' : 'white')
+          .attr('stroke-width', isSelected ? 2 : 0.5);
+        tooltip.style('opacity', 0);
+      });
+
+    // Title
+    svg.append('text')
+      .attr('x', containerWidth / 2)
+      .attr('y', isPreview ? 18 : 30)
+      .attr('text-anchor', 'middle')
+      .style('font-size', isPreview ? '11px' : '17px')
+      .style('font-weight', 'bold')
+      .style('fill', '#2c3e50')
+      .text('Airport & Lounge Ratings by Reviewer Country');
+
+    if (!isPreview) {
+      svg.append('text')
+        .attr('x', containerWidth / 2)
+        .attr('y', 50)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '11px')
+        .style('fill', '#7f8c8d')
+        .text('Click countries to filter every view to reviews written by reviewers from those countries');
+    }
+
+    // Colour legend
+    const legendWidth = isPreview ? 100 : 160;
+    const legend = svg.append('g')
+      .attr('transform', `translate(${margin.left + 10}, ${containerHeight - (isPreview ? 18 : 35)})`);
+
+    const defs = svg.append('defs');
+    const gradient = defs.append('linearGradient')
+      .attr('id', `choropleth-gradient${isPreview ? '-preview' : ''}`)
+      .attr('x1', '0%')
+      .attr('x2', '100%');
+
+    for (let i = 0; i <= 10; i++) {
+      gradient.append('stop')
+        .attr('offset', `${(i / 10) * 100}%`)
+        .attr('stop-color', colorScale(i));
+    }
+
+    legend.append('rect')
+      .attr('width', legendWidth)
+      .attr('height', isPreview ? 8 : 12)
+      .style('fill', `url(#choropleth-gradient${isPreview ? '-preview' : ''})`)
+      .attr('rx', 2);
+
+    legend.append('text')
+      .attr('x', 0)
+      .attr('y', isPreview ? 16 : 24)
+      .style('font-size', isPreview ? '7px' : '9px')
+      .style('fill', '#7f8c8d')
+      .text('0');
+
+    legend.append('text')
+      .attr('x', legendWidth)
+      .attr('y', isPreview ? 16 : 24)
+      .attr('text-anchor', 'end')
+      .style('font-size', isPreview ? '7px' : '9px')
+      .style('fill', '#7f8c8d')
+      .text(ratingScale === '100' ? '100' : '10');
+
+    legend.append('text')
+      .attr('x', legendWidth + 8)
+      .attr('y', isPreview ? 7 : 10)
+      .style('font-size', isPreview ? '8px' : '10px')
+      .style('fill', '#2c3e50')
+      .text('Combined rating');
+  }, [ratingsByMapName, filters.selectedCountries, isPreview, ratingScale, handleCountryToggle]);
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+    drawChoropleth();
+
+    return () => {
+      d3.selectAll('.choropleth-tooltip').remove();
+    };
+  }, [drawChoropleth]);
+
+  return (
+    <div style={{ width: '100%', height: '100%', position: 'relative' }}>
+      {!isPreview && (
+        <div
+          style={{
+            position: 'absolute',
+            top: 12,
+            right: 12,
+            zIndex: 10,
+            width: 210,
+            background: 'rgba(255,255,255,0.95)',
+            border: '1px solid #d0d0d0',
+            borderRadius: 8,
+            padding: '8px 10px',
+            fontSize: 12,
+            color: '#2c3e50',
+          }}
+        >
+          <div style={{ fontWeight: 700, marginBottom: 6 }}>
+            Selected countries ({filters.selectedCountries.length})
+          </div>
+          {filters.selectedCountries.length === 0 && (
+            <div style={{ fontSize: 11, color: '#7f8c8d' }}>All countries</div>
+          )}
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+            {filters.selectedCountries.map(country => (
+              <button
+                key={country}
+                onClick={() => handleCountryToggle(country)}
+                style={{ ...chipStyle, background: '#3498db', color: 'white' }}
+              >
+                {country} ✕
+              </button>
+            ))}
+          </div>
+          {filters.selectedCountries.length > 0 && (
+            <button
+              onClick={() => updateFilter('selectedCountries', [])}
+              style={{ ...chipStyle, marginTop: 6, background: '#e74c3c', color: 'white' }}
+            >
+              Clear countries
+            </button>
+          )}
+
+          {offMapCountries.length > 0 && (
+            <>
+              <div style={{ fontWeight: 700, margin: '10px 0 6px 0' }}>Not on map</div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+                {offMapCountries.map(d => (
+                  <button
+                    key={d.country}
+                    onClick={() => handleCountryToggle(d.country)}
+                    title={`${formatRating(d.combinedRating, ratingScale, null, null, { digits: 2 })} (95% CI ${formatDimensionInterval(d.combinedStats.ci, ratingScale, null, null)}) from ${d.totalReviews} reviews`}
+                    style={{
+                      ...chipStyle,
+                      background: filters.selectedCountries.includes(d.country) ? '#3498db' : '#ecf0f1',
+                      color: filters.selectedCountries.includes(d.country) ? 'white' : '#2c3e50'
+                    }}
+                  >
+                    {d.country}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      <div ref={svgRef} style={{ width: '100%', height: '100%' }} />
+    </div>
+  );
+};
+
+const chipStyle = {
+  padding: '3px 7px',
+  fontSize: '10px',
+  border: 'none',
+  borderRadius: '10px',
+  cursor: 'pointer',
+  fontWeight: '600'
+};
+
+export default CountryChoropleth;
@@ -0,0 +1,279 @@
+import { useRef, useState } from 'react';
+import Papa from 'papaparse';
+import {
+  DATASET_SCHEMAS,
+  DATASET_TYPES,
+  detectDatasetType,
+  suggestColumnMapping,
+  getMissingRequiredFields
+} from '../utils/schemaDetection';
+import DataQualityPanel from './DataQualityPanel';
+import LoadProgress from './LoadProgress';
+import { formatFileSize } from '../utils/format';
+
+let nextUploadId = 0;
+
+const DataLoader = ({ reports, loads, onLoad }) => {
+  const [uploads, setUploads] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef();
+
+  const updateUpload = (id, changes) => {
+    setUploads(prev => prev.map(u => u.id === id ? { ...u, ...changes } : u));
+  };
+
+  const removeUpload = (id) => {
+    setUploads(prev => prev.filter(u => u.id !== id));
+  };
+
+  // Only the first rows are parsed here to read the headers; the full file is parsed in the data worker
+  const previewFile = (file) => {
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      preview: 20,
+      complete: (results) => {
+        const headers = results.meta.fields || [];
+        if (headers.length === 0 || results.data.length === 0) {
+          setMessage({ type: 'error', text: `${file.name} has no rows` });
+          return;
+        }
+
+        const { type } = detectDatasetType(headers);
+        const upload = {
+          id: nextUploadId++,
+          file,
+          fileName: file.name,
+          headers,
+          detectedType: type,
+          type: type || 'airline',
+          mapping: suggestColumnMapping(headers, type || 'airline')
+        };
+        setUploads(prev => [...prev, upload]);
+      },
+      error: (err) => {
+        console.error('CSV upload error:', err);
+        setMessage({ type: 'error', text: `Could not read ${file.name}: ${err.message}` });
+      }
+    });
+  };
+
+  const handleFiles = (files) => {
+    setMessage(null);
+    Array.from(files)
+      .filter(file => /\.csv$/i.test(file.name) || file.type === 'text/csv')
+      .forEach(previewFile);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const handleTypeChange = (upload, type) => {
+    updateUpload(upload.id, { type, mapping: suggestColumnMapping(upload.headers, type) });
+  };
+
+  const handleMappingChange = (upload, field, header) => {
+    updateUpload(upload.id, { mapping: { ...upload.mapping, [field]: header } });
+  };
+
+  const handleLoad = (upload) => {
+    removeUpload(upload.id);
+    setMessage(null);
+
+    onLoad(upload.type, { file: upload.file, mapping: upload.mapping }, upload.fileName)
+      .then(count => setMessage({
+        type: count > 0 ? 'ok' : 'error',
+        text: `${upload.fileName}: ${count.toLocaleString()} rows loaded as ${DATASET_SCHEMAS[upload.type].label.toLowerCase()}`
+      }))
+      .catch(err => setMessage({ type: 'error', text: `${upload.fileName}: ${err.message}` }));
+  };
+
+  return (
+    <div style={{ padding: '20px', height: '100%', overflowY: 'auto', boxSizing: 'border-box' }}>
+      <h2 style={{ margin: '0 0 5px 0', fontSize: '18px', color: '#2c3e50' }}>Load Review Data</h2>
+      <p style={{ margin: '0 0 15px 0', fontSize: '12px', color: '#7f8c8d' }}>
+        Drop any Skytrax-style CSV (airline, airport, lounge or seat reviews). The dataset type is
+        detected from the headers; columns with different names can be mapped below.
+      </p>
+
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => fileInputRef.current.click()}
+        style={{
+          padding: '30px',
+          marginBottom: '15px',
+          border: `2px dashed ${isDragging ? '#3498db' : '#cfcfcf'}`,
+          borderRadius: '8px',
+          background: isDragging ? '#ebf5fb' : '#fafafa',
+          textAlign: 'center',
+          fontSize: '13px',
+          color: '#7f8c8d',
+          cursor: 'pointer'
+        }}
+      >
+        Drag CSV files here, or click to choose files
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          multiple
+          onChange={(e) => {
+            handleFiles(e.target.files);
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {message && (
+        <div style={{
+          marginBottom: '15px',
+          fontSize: '12px',
+          color: message.type === 'error' ? '#e74c3c' : '#27ae60'
+        }}>
+          {message.text}
+        </div>
+      )}
+
+      {loads.length > 0 && (
+        <div style={{ marginBottom: '15px' }}>
+          <LoadProgress loads={loads} />
+        </div>
+      )}
+
+      {uploads.map(upload => {
+        const schema = DATASET_SCHEMAS[upload.type];
+        const missing = getMissingRequiredFields(upload.mapping, upload.type);
+
+        return (
+          <div
+            key={upload.id}
+            style={{
+              marginBottom: '15px',
+              padding: '15px',
+              background: 'white',
+              border: '1px solid #e0e0e0',
+              borderRadius: '8px'
+            }}
+          >
+            <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '10px' }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: '13px', fontWeight: 'bold', color: '#2c3e50' }}>{upload.fileName}</div>
+                <div style={{ fontSize: '11px', color: '#7f8c8d' }}>
+                  {formatFileSize(upload.file.size)}, {upload.headers.length} columns
+                  {upload.detectedType
+                    ? ` · detected as ${DATASET_SCHEMAS[upload.detectedType].label.toLowerCase()}`
+                    : ' · dataset type not recognised'}
+                </div>
+              </div>
+              <label style={{ fontSize: '11px', color: '#2c3e50' }}>
+                Load as{' '}
+                <select
+                  value={upload.type}
+                  onChange={(e) => handleTypeChange(upload, e.target.value)}
+                  style={selectStyle}
+                >
+                  {DATASET_TYPES.map(type => (
+                    <option key={type} value={type}>{DATASET_SCHEMAS[type].label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))',
+              gap: '4px 15px',
+              maxHeight: '260px',
+              overflowY: 'auto',
+              marginBottom: '10px'
+            }}>
+              {[...schema.required, ...schema.optional].map(field => {
+                const isRequired = schema.required.includes(field);
+                const isMissing = missing.includes(field);
+
+                return (
+                  <label
+                    key={field}
+                    style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '11px' }}
+                  >
+                    <span style={{
+                      flex: '0 0 130px',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      color: isMissing ? '#e74c3c' : '#2c3e50',
+                      fontWeight: isRequired ? 'bold' : 'normal'
+                    }}>
+                      {field}{isRequired && ' *'}
+                    </span>
+                    <select
+                      value={upload.mapping[field]}
+                      onChange={(e) => handleMappingChange(upload, field, e.target.value)}
+                      style={{ ...selectStyle, flex: 1, minWidth: 0, borderColor: isMissing ? '#e74c3c' : '#cfcfcf' }}
+                    >
+                      <option value="">— not mapped —</option>
+                      {upload.headers.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </label>
+                );
+              })}
+            </div>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <span style={{ flex: 1, fontSize: '11px', color: missing.length ? '#e74c3c' : '#7f8c8d' }}>
+                {missing.length
+                  ? `Map the required fields: ${missing.join(', ')}`
+                  : `Replaces the current ${schema.label.toLowerCase()}`}
+              </span>
+              <button onClick={() => removeUpload(upload.id)} style={{ ...buttonStyle, background: '#95a5a6' }}>
+                Discard
+              </button>
+              <button
+                onClick={() => handleLoad(upload)}
+                disabled={missing.length > 0}
+                style={{ ...buttonStyle, opacity: missing.length ? 0.5 : 1, cursor: missing.length ? 'not-allowed' : 'pointer' }}
+              >
+                Load into dashboard
+              </button>
+            </div>
+          </div>
+        );
+      })}
+
+      <DataQualityPanel reports={reports} />
+    </div>
+  );
+};
+
+const selectStyle = {
+  padding: '4px 6px',
+  fontSize: '11px',
+  border: '1px solid #cfcfcf',
+  borderRadius: '4px',
+  color: '#2c3e50',
+  background: 'white'
+};
+
+const buttonStyle = {
+  padding: '6px 12px',
+  fontSize: '11px',
+  background: '#3498db',
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontWeight: 'bold'
+};
+
+export default DataLoader;
@@ -0,0 +1,126 @@
+import Papa from 'papaparse';
+import { DATASET_SCHEMAS, DATASET_TYPES } from '../utils/schemaDetection';
+import { REJECTION_REASONS, toRejectedRows } from '../utils/dataValidation';
+import { downloadFile } from '../utils/download';
+
+const reasonColors = {
+  missing: '#e67e22',
+  date: '#9b59b6',
+  numeric: '#e74c3c',
+  range: '#c0392b'
+};
+
+const DataQualityPanel = ({ reports }) => {
+  const handleDownload = (report) => {
+    const csv = Papa.unparse(toRejectedRows(report.rejected));
+    const baseName = (report.source || report.type).replace(/\s*\(.*\)$/, '').replace(/\.csv$/i, '');
+    downloadFile(csv, `${baseName}-rejected.csv`, 'text/csv');
+  };
+
+  return (
+    <div>
+      <h3 style={{ fontSize: '14px', margin: '20px 0 5px 0', color: '#2c3e50' }}>Data Quality</h3>
+      <p style={{ margin: '0 0 10px 0', fontSize: '11px', color: '#7f8c8d' }}>
+        Rows are excluded when a required field is missing, the date cannot be parsed or a rating
+        is outside its scale. Ratings of 0 count as "not rated" for optional sub-ratings.
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(280px, 1fr))', gap: '10px' }}>
+        {DATASET_TYPES.map(type => {
+          const report = reports[type];
+
+          return (
+            <div
+              key={type}
+              style={{
+                padding: '12px',
+                background: 'white',
+                border: '1px solid #e0e0e0',
+                borderRadius: '8px',
+                fontSize: '11px',
+                opacity: report ? 1 : 0.6
+              }}
+            >
+              <div style={{ fontSize: '13px', fontWeight: 'bold', color: '#2c3e50' }}>
+                {DATASET_SCHEMAS[type].label}
+              </div>
+              <div style={{ color: '#7f8c8d', marginBottom: '8px' }}>
+                {report ? report.source : 'Not loaded'}
+              </div>
+
+              {report && (
+                <>
+                  <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+                    <StatBox label="Rows" value={report.total} color="#2c3e50" />
+                    <StatBox label="Loaded" value={report.loaded} color="#27ae60" />
+                    <StatBox label="Excluded" value={report.excluded} color={report.excluded ? '#e74c3c' : '#95a5a6'} />
+                  </div>
+
+                  {report.total > 0 && (
+                    <div style={{ display: 'flex', height: '6px', borderRadius: '3px', overflow: 'hidden', background: '#27ae60', marginBottom: '8px' }}>
+                      {Object.entries(report.byReason).map(([reason, count]) => (
+                        <div
+                          key={reason}
+                          title={`${REJECTION_REASONS[reason]}: ${count}`}
+                          style={{ width: `${(count / report.total) * 100}%`, background: reasonColors[reason] }}
+                        />
+                      ))}
+                    </div>
+                  )}
+
+                  {report.byField.map(({ reason, field, count }) => (
+                    <div
+                      key={`${reason}:${field}`}
+                      style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '2px 0' }}
+                    >
+                      <span style={{
+                        width: '8px',
+                        height: '8px',
+                        borderRadius: '2px',
+                        background: reasonColors[reason],
+                        flexShrink: 0
+                      }} />
+                      <span style={{ flex: 1, color: '#2c3e50' }}>
+                        {REJECTION_REASONS[reason]} <span style={{ color: '#7f8c8d' }}>({field})</span>
+                      </span>
+                      <span style={{ fontWeight: 'bold', color: '#2c3e50' }}>{count.toLocaleString()}</span>
+                    </div>
+                  ))}
+
+                  {report.excluded > 0 && (
+                    <button
+                      onClick={() => handleDownload(report)}
+                      style={{
+                        marginTop: '8px',
+                        width: '100%',
+                        padding: '6px 10px',
+                        fontSize: '11px',
+                        background: '#3498db',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '3px',
+                        cursor: 'pointer',
+                        fontWeight: 'bold'
+                      }}
+                    >
+                      Download rejected rows (CSV)
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const StatBox = ({ label, value, color }) => (
+  <div style={{ flex: 1, padding: '6px', background: '#f8f9fa', borderRadius: '4px', textAlign: 'center' }}>
+    <div style={{ fontSize: '15px', fontWeight: 'bold', color }}>{value.toLocaleString()}</div>
+    <div style={{ fontSize: '10px', color: '#7f8c8d' }}>{label}</div>
+  </div>
+);
+
+export default DataQualityPanel;
@@ -0,0 +1,211 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import { useFilters } from '../context/filterContext';
+import * as d3 from 'd3';
+import { aggregateByMonth } from '../utils/dataProcessor';
+import { endOfMonth, lastTwelveMonthsRange, yearRange } from '../utils/dates';
+
+const SERIES = [
+  { key: 'airline', label: 'Airlines', color: '#3498db' },
+  { key: 'airport', label: 'Airports', color: '#27ae60' },
+  { key: 'lounge', label: 'Lounges', color: '#e67e22' }
+];
+
+const DateRangeBrush = ({ airlineData, airportData, loungeData }) => {
+  const svgRef = useRef();
+  const { filters, updateFilter } = useFilters();
+
+  const monthlyCounts = useMemo(() => {
+    const withDates = (data) => data.filter(d => d.parsedDate && !isNaN(d.parsedDate));
+    const byEntity = {
+      airline: aggregateByMonth(withDates(airlineData), 'airline'),
+      airport: aggregateByMonth(withDates(airportData), 'airport'),
+      lounge: aggregateByMonth(withDates(loungeData), 'lounge')
+    };
+
+    // Month keys are Date objects, so merge the three series by timestamp
+    const rows = new Map();
+    SERIES.forEach(s => {
+      byEntity[s.key].forEach((stats, month) => {
+        if (!rows.has(+month)) {
+          rows.set(+month, { month, airline: 0, airport: 0, lounge: 0 });
+        }
+        rows.get(+month)[s.key] = stats.count;
+      });
+    });
+
+    return Array.from(rows.values()).sort((a, b) => a.month - b.month);
+  }, [airlineData, airportData, loungeData]);
+
+  const years = useMemo(
+    () => Array.from(new Set(monthlyCounts.map(d => d.month.getFullYear()))).sort((a, b) => b - a),
+    [monthlyCounts]
+  );
+
+  const applyPreset = (preset) => {
+    if (preset === 'all' || monthlyCounts.length === 0) {
+      updateFilter('dateRange', null);
+    } else if (preset === 'last12') {
+      updateFilter('dateRange', lastTwelveMonthsRange(monthlyCounts[monthlyCounts.length - 1].month));
+    } else {
+      updateFilter('dateRange', yearRange(+preset));
+    }
+  };
+
+  const drawTimeline = useCallback(() => {
+    const containerWidth = svgRef.current.clientWidth;
+    const containerHeight = svgRef.current.clientHeight;
+    const margin = { top: 8, right: 15, bottom: 22, left: 40 };
+    const width = containerWidth - margin.left - margin.right;
+    const height = containerHeight - margin.top - margin.bottom;
+
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    if (monthlyCounts.length === 0 || width <= 0 || height <= 0) return;
+
+    const svg = d3.select(svgRef.current)
+      .append('svg')
+      .attr('width', containerWidth)
+      .attr('height', containerHeight);
+
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const [firstMonth, lastMonth] = d3.extent(monthlyCounts, d => d.month);
+
+    const xScale = d3.scaleTime()
+      .domain([firstMonth, d3.timeMonth.offset(lastMonth, 1)])
+      .range([0, width]);
+
+    const stacked = d3.stack().keys(SERIES.map(s => s.key))(monthlyCounts);
+
+    const yScale = d3.scaleLinear()
+      .domain([0, d3.max(stacked[stacked.length - 1], d => d[1]) || 1])
+      .range([height, 0])
+      .nice();
+
+    const colorByKey = Object.fromEntries(SERIES.map(s => [s.key, s.color]));
+
+    g.selectAll('.series')
+      .data(stacked)
+      .enter()
+      .append('g')
+      .attr('fill', d => colorByKey[d.key])
+      .attr('opacity', 0.75)
+      .selectAll('rect')
+      .data(d => d)
+      .enter()
+      .append('rect')
+      .attr('x', d => xScale(d.data.month))
+      .attr('y', d => yScale(d[1]))
+      .attr('width', d => Math.max(1, xScale(d3.timeMonth.offset(d.data.month, 1)) - xScale(d.data.month) - 1))
+      .attr('height', d => yScale(d[0]) - yScale(d[1]));
+
+    g.append('g')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(xScale).ticks(Math.max(2, Math.floor(width / 80))))
+      .style('font-size', '9px');
+
+    g.append('g')
+      .call(d3.axisLeft(yScale).ticks(3))
+      .style('font-size', '9px');
+
+    const brush = d3.brushX()
+      .extent([[0, 0], [width, height]])
+      .on('end', function(event) {
+        // Ignore the programmatic moves below
+        if (!event.sourceEvent) return;
+
+        if (!event.selection) {
+          updateFilter('dateRange', null);
+          return;
+        }
+
+        const [x0, x1] = event.selection.map(xScale.invert);
+        const start = d3.timeMonth.floor(x0);
+        const end = endOfMonth(d3.timeMonth.offset(d3.timeMonth.ceil(x1), -1));
+        updateFilter('dateRange', [start, end < start ? endOfMonth(start) : end]);
+      });
+
+    const brushG = g.append('g')
+      .attr('class', 'date-brush')
+      .call(brush);
+
+    if (filters.dateRange) {
+      const x0 = Math.max(0, xScale(filters.dateRange[0]));
+      const x1 = Math.min(width, xScale(filters.dateRange[1]));
+      if (x1 > x0) {
+        brushG.call(brush.move, [x0, x1]);
+      }
+    }
+  }, [monthlyCounts, filters.dateRange, updateFilter]);
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+    drawTimeline();
+  }, [drawTimeline]);
+
+  const formatMonth = d3.timeFormat('%b %Y');
+
+  return (
+    <div className="timeline-strip">
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        fontSize: '11px',
+        color: '#2c3e50',
+        flexShrink: 0
+      }}>
+        <strong style={{ fontSize: '12px' }}>Reviews per month</strong>
+
+        {SERIES.map(s => (
+          <span key={s.key} style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', color: '#7f8c8d' }}>
+            <span style={{ width: 10, height: 10, borderRadius: 2, background: s.color, opacity: 0.75 }} />
+            {s.label}
+          </span>
+        ))}
+
+        <span style={{ marginLeft: 'auto', color: filters.dateRange ? '#2196f3' : '#7f8c8d', fontWeight: 'bold' }}>
+          {filters.dateRange
+            ? `${formatMonth(filters.dateRange[0])} – ${formatMonth(filters.dateRange[1])}`
+            : 'All dates (drag to select a window)'}
+        </span>
+
+        <button onClick={() => applyPreset('all')} style={presetButtonStyle}>All</button>
+        <button onClick={() => applyPreset('last12')} style={presetButtonStyle}>Last 12 months of data</button>
+        <select
+          value={
+            filters.dateRange &&
+            filters.dateRange[0].getMonth() === 0 &&
+            filters.dateRange[1].getMonth() === 11 &&
+            filters.dateRange[0].getFullYear() === filters.dateRange[1].getFullYear()
+              ? filters.dateRange[0].getFullYear()
+              : ''
+          }
+          onChange={(e) => e.target.value && applyPreset(e.target.value)}
+          style={{ ...presetButtonStyle, background: 'white', color: '#2c3e50', border: '1px solid #cfcfcf' }}
+        >
+          <option value="">Calendar year…</option>
+          {years.map(year => (
+            <option key={year} value={year}>{year}</option>
+          ))}
+        </select>
+      </div>
+
+      <div ref={svgRef} style={{ flex: 1, minHeight: 0 }} />
+    </div>
+  );
+};
+
+const presetButtonStyle = {
+  padding: '4px 8px',
+  fontSize: '11px',
+  background: '#3498db',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontWeight: 'bold'
+};
+
+export default DateRangeBrush;
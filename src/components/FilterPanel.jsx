@@ -1,36 +1,89 @@
-import { useState, useEffect } from 'react';
+import { useMemo } from 'react';
 import { useFilters } from '../context/filterContext';
 import * as d3 from 'd3';
+import { hasActiveFilters, RATING_THRESHOLDS, selectedAirlineNames } from '../utils/filterSelectors';
+import { SEGMENTS, listSegmentValues } from '../utils/segments';
+import RangeSlider from './RangeSlider';
+import PresetManager from './PresetManager';
 
-const FilterPanel = ({ data }) => {
+const FilterPanel = ({ airlineData, airportData, loungeData, filteredData }) => {
   const { filters, updateFilter, resetFilters } = useFilters();
-  const [airlines, setAirlines] = useState([]);
+  const selectedAirlines = selectedAirlineNames(filters.selectedAirlines);
 
-  useEffect(() => {
-    if (!data || data.length === 0) return;
+  const airlines = useMemo(() => {
+    if (!airlineData || airlineData.length === 0) return [];
 
     const airlineCounts = d3.rollup(
-      data,
+      airlineData,
       v => v.length,
       d => d.airline_name
     );
     
-    const topAirlines = Array.from(airlineCounts.entries())
+    return Array.from(airlineCounts.entries())
       .sort((a, b) => b[1] - a[1])
       .slice(0, 20)
       .map(d => ({ name: d[0], count: d[1] }));
-    
-    setAirlines(topAirlines);
-  }, [data]);
+  }, [airlineData]);
+
+  const countries = useMemo(() => {
+    const countryCounts = d3.rollup(
+      [...airlineData, ...airportData, ...loungeData].filter(d => d.author_country),
+      v => v.length,
+      d => d.author_country
+    );
+
+    return Array.from(countryCounts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 20)
+      .map(d => ({ name: d[0], count: d[1] }));
+  }, [airlineData, airportData, loungeData]);
+
+  // Values of every segment that occurs in the loaded data
+  const segmentOptions = useMemo(() => {
+    return SEGMENTS
+      .map(segment => ({ segment, values: listSegmentValues([airlineData, airportData, loungeData], segment) }))
+      .filter(option => option.values.length > 0);
+  }, [airlineData, airportData, loungeData]);
+
+  const totalReviews = airlineData.length + airportData.length + loungeData.length;
+  const matchingReviews = filteredData.airlineData.length +
+    filteredData.airportData.length +
+    filteredData.loungeData.length;
 
   const handleAirlineToggle = (airline) => {
-    const current = filters.selectedAirlines;
+    const current = selectedAirlines;
     const updated = current.includes(airline)
       ? current.filter(a => a !== airline)
       : [...current, airline];
     updateFilter('selectedAirlines', updated);
   };
 
+  const handleThresholdChange = (key, range) => {
+    const updated = { ...filters.ratingThresholds };
+    if (range[0] <= 0 && range[1] >= 10) {
+      delete updated[key];
+    } else {
+      updated[key] = range;
+    }
+    updateFilter('ratingThresholds', updated);
+  };
+
+  const handleCountryToggle = (country) => {
+    const current = filters.selectedCountries;
+    const updated = current.includes(country)
+      ? current.filter(c => c !== country)
+      : [...current, country];
+    updateFilter('selectedCountries', updated);
+  };
+
+  const handleSegmentToggle = (segmentKey, value) => {
+    const current = filters.selectedSegments[segmentKey] || [];
+    const updated = current.includes(value)
+      ? current.filter(v => v !== value)
+      : [...current, value];
+    updateFilter('selectedSegments', { ...filters.selectedSegments, [segmentKey]: updated });
+  };
+
   const handleSelectAll = () => {
     updateFilter('selectedAirlines', airlines.map(a => a.name));
   };
@@ -63,6 +116,155 @@ const FilterPanel = ({ data }) => {
         Reset All Filters
       </button>
 
+      <PresetManager />
+
+      {hasActiveFilters(filters) && (
+        <div style={{ marginBottom: '20px' }}>
+          <h3 style={sectionTitleStyle}>Active Filters</h3>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '5px' }}>
+            {filters.dimensionFilter && (
+              <ActiveFilterChip
+                label={`Dimension: ${filters.dimensionFilter.dimension}`}
+                onClear={() => updateFilter('dimensionFilter', null)}
+              />
+            )}
+            {filters.dateRange && (
+              <ActiveFilterChip
+                label={`${d3.timeFormat('%b %Y')(filters.dateRange[0])} – ${d3.timeFormat('%b %Y')(filters.dateRange[1])}`}
+                onClear={() => updateFilter('dateRange', null)}
+              />
+            )}
+            {(filters.ratingRange[0] > 0 || filters.ratingRange[1] < 10) && (
+              <ActiveFilterChip
+                label={`Overall ${filters.ratingRange[0]}–${filters.ratingRange[1]}`}
+                onClear={() => updateFilter('ratingRange', [0, 10])}
+              />
+            )}
+            {RATING_THRESHOLDS
+              .filter(t => filters.ratingThresholds[t.key])
+              .map(t => (
+                <ActiveFilterChip
+                  key={t.key}
+                  label={`${entityLabels[t.entity]} ${t.label} ${filters.ratingThresholds[t.key][0]}–${filters.ratingThresholds[t.key][1]}`}
+                  onClear={() => handleThresholdChange(t.key, [0, 10])}
+                />
+              ))}
+            {filters.selectedAirlines.length > 0 && (
+              <ActiveFilterChip
+                label={`${selectedAirlines.length} airline${selectedAirlines.length === 1 ? '' : 's'}`}
+                onClear={() => updateFilter('selectedAirlines', [])}
+              />
+            )}
+            {filters.selectedCountries.length > 0 && (
+              <ActiveFilterChip
+                label={`${filters.selectedCountries.length} countr${filters.selectedCountries.length === 1 ? 'y' : 'ies'}`}
+                onClear={() => updateFilter('selectedCountries', [])}
+              />
+            )}
+            {SEGMENTS
+              .filter(segment => filters.selectedSegments[segment.key]?.length > 0)
+              .map(segment => (
+                <ActiveFilterChip
+                  key={segment.key}
+                  label={`${segment.label}: ${filters.selectedSegments[segment.key].join(', ')}`}
+                  onClear={() => updateFilter('selectedSegments', { ...filters.selectedSegments, [segment.key]: [] })}
+                />
+              ))}
+          </div>
+        </div>
+      )}
+
+      {segmentOptions.length > 0 && (
+        <div style={{ marginBottom: '20px' }}>
+          <h3 style={sectionTitleStyle}>Segments</h3>
+          <label style={{ display: 'block', fontSize: '11px', color: '#7f8c8d', marginBottom: '10px' }}>
+            Split charts by{' '}
+            <select
+              value={filters.splitBy || ''}
+              onChange={(e) => updateFilter('splitBy', e.target.value || null)}
+              style={{ padding: '4px 6px', fontSize: '11px', border: '1px solid #cfcfcf', borderRadius: '4px', color: '#2c3e50' }}
+            >
+              <option value="">Nothing</option>
+              {segmentOptions.map(({ segment }) => (
+                <option key={segment.key} value={segment.key}>{segment.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {segmentOptions.map(({ segment, values }) => (
+            <div key={segment.key} style={{ marginBottom: '10px' }}>
+              <div style={{ fontSize: '11px', fontWeight: 'bold', color: '#2c3e50', marginBottom: '4px' }}>
+                {segment.label}
+              </div>
+              {values.map(({ value, count }) => {
+                const isSelected = (filters.selectedSegments[segment.key] || []).includes(value);
+                return (
+                  <label
+                    key={value}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'flex-start',
+                      padding: '4px 6px',
+                      cursor: 'pointer',
+                      fontSize: '11px',
+                      borderRadius: '4px',
+                      marginBottom: '2px',
+                      background: isSelected ? '#3498db20' : 'transparent',
+                      border: isSelected ? '1px solid #3498db' : '1px solid transparent'
+                    }}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={isSelected}
+                      onChange={() => handleSegmentToggle(segment.key, value)}
+                      style={{ marginRight: '8px', marginTop: '2px', flexShrink: 0 }}
+                    />
+                    <span style={{ flex: 1, color: '#2c3e50', fontWeight: '500' }}>{value}</span>
+                    <span style={{ color: '#95a5a6', fontSize: '10px', marginLeft: '8px', fontWeight: 'bold' }}>{count}</span>
+                  </label>
+                );
+              })}
+            </div>
+          ))}
+          <div style={{ fontSize: '10px', color: '#7f8c8d' }}>
+            Datasets without a segment column are not filtered by it.
+          </div>
+        </div>
+      )}
+
+      <div style={{ marginBottom: '20px' }}>
+        <h3 style={sectionTitleStyle}>Rating Ranges</h3>
+        <div style={{ fontSize: '10px', color: '#7f8c8d', marginBottom: '8px' }}>
+          All ranges apply together (0-10 scale). Sub-ratings only filter the reviews that carry them.
+        </div>
+
+        <RangeSlider
+          label="Overall (all reviews)"
+          value={filters.ratingRange}
+          onChange={(range) => updateFilter('ratingRange', range)}
+          color="#f39c12"
+        />
+
+        {['airline', 'lounge'].map(entity => (
+          <div key={entity} style={{ marginTop: '10px' }}>
+            <div style={{ fontSize: '11px', fontWeight: 'bold', color: entityColors[entity], marginBottom: '6px' }}>
+              {entityLabels[entity]} sub-ratings
+            </div>
+            {RATING_THRESHOLDS
+              .filter(t => t.entity === entity)
+              .map(t => (
+                <RangeSlider
+                  key={t.key}
+                  label={t.label}
+                  value={filters.ratingThresholds[t.key] || [0, 10]}
+                  onChange={(range) => handleThresholdChange(t.key, range)}
+                  color={entityColors[entity]}
+                />
+              ))}
+          </div>
+        ))}
+      </div>
+
       <div style={{ marginBottom: '20px' }}>
         <h3 style={{ 
           fontSize: '14px', 
@@ -77,7 +279,7 @@ const FilterPanel = ({ data }) => {
             marginLeft: '5px',
             fontWeight: 'normal'
           }}>
-            ({filters.selectedAirlines.length} selected)
+            ({selectedAirlines.length} selected)
           </span>
         </h3>
         
@@ -158,6 +360,59 @@ const FilterPanel = ({ data }) => {
         </div>
       </div>
 
+      <div style={{ marginBottom: '20px' }}>
+        <h3 style={sectionTitleStyle}>
+          Reviewer Countries
+          <span style={{ 
+            fontSize: '11px', 
+            color: '#7f8c8d', 
+            marginLeft: '5px',
+            fontWeight: 'normal'
+          }}>
+            ({filters.selectedCountries.length} selected)
+          </span>
+        </h3>
+
+        <div style={{ 
+          maxHeight: '300px', 
+          overflowY: 'auto',
+          overflowX: 'hidden'
+        }}>
+          {countries.map(country => {
+            const isSelected = filters.selectedCountries.includes(country.name);
+            return (
+              <label 
+                key={country.name}
+                style={{
+                  display: 'flex',
+                  alignItems: 'flex-start',
+                  padding: '6px',
+                  cursor: 'pointer',
+                  fontSize: '11px',
+                  borderRadius: '4px',
+                  marginBottom: '3px',
+                  background: isSelected ? '#3498db20' : 'transparent',
+                  border: isSelected ? '1px solid #3498db' : '1px solid transparent'
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={isSelected}
+                  onChange={() => handleCountryToggle(country.name)}
+                  style={{ marginRight: '8px', marginTop: '2px', flexShrink: 0 }}
+                />
+                <span style={{ flex: 1, color: '#2c3e50', fontWeight: '500' }}>
+                  {country.name}
+                </span>
+                <span style={{ color: '#95a5a6', fontSize: '10px', marginLeft: '8px', fontWeight: 'bold' }}>
+                  {country.count}
+                </span>
+              </label>
+            );
+          })}
+        </div>
+      </div>
+
       <div style={{ 
         padding: '12px', 
         background: '#ecf0f1', 
@@ -169,7 +424,10 @@ const FilterPanel = ({ data }) => {
           Dataset Statistics
         </div>
         <div style={{ color: '#7f8c8d' }}>
-          Total Reviews: {data.length.toLocaleString()}
+          Total Reviews: {totalReviews.toLocaleString()}
+        </div>
+        <div style={{ color: '#7f8c8d' }}>
+          Matching Filters: {matchingReviews.toLocaleString()}
         </div>
         <div style={{ color: '#7f8c8d' }}>
           Airlines: {airlines.length}
@@ -179,6 +437,35 @@ const FilterPanel = ({ data }) => {
   );
 };
 
+const ActiveFilterChip = ({ label, onClear }) => (
+  <button
+    onClick={onClear}
+    title="Clear this filter"
+    style={{
+      padding: '4px 8px',
+      fontSize: '10px',
+      background: '#3498db',
+      color: 'white',
+      border: 'none',
+      borderRadius: '10px',
+      cursor: 'pointer',
+      fontWeight: 'bold'
+    }}
+  >
+    {label} ✕
+  </button>
+);
+
+const entityLabels = { airline: 'Airline', airport: 'Airport', lounge: 'Lounge' };
+const entityColors = { airline: '#3498db', airport: '#27ae60', lounge: '#e67e22' };
+
+const sectionTitleStyle = {
+  fontSize: '14px',
+  marginBottom: '10px',
+  color: '#2c3e50',
+  fontWeight: 'bold'
+};
+
 const smallButtonStyle = {
   flex: 1,
   padding: '6px 8px',
@@ -0,0 +1,50 @@
+import { formatFileSize } from '../utils/format';
+
+const phaseLabels = {
+  download: 'Downloading',
+  parse: 'Parsing',
+  process: 'Validating'
+};
+
+// One progress bar per file being loaded by the data worker
+const LoadProgress = ({ loads }) => {
+  if (loads.length === 0) return null;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      {loads.map(load => {
+        const fraction = load.status === 'done' ? 1 : load.total > 0 ? Math.min(1, load.loaded / load.total) : null;
+        const color = load.status === 'error' ? '#e74c3c' : load.status === 'done' ? '#27ae60' : '#3498db';
+
+        let detail;
+        if (load.status === 'done') {
+          detail = `${load.rows.toLocaleString()} rows loaded`;
+        } else if (load.status === 'error') {
+          detail = `Failed: ${load.message}`;
+        } else {
+          detail = `${phaseLabels[load.phase]}${load.total > 0 ? ` ${formatFileSize(load.loaded)} of ${formatFileSize(load.total)}` : '…'}`;
+        }
+
+        return (
+          <div key={load.requestId} style={{ fontSize: '11px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px', marginBottom: '3px' }}>
+              <span style={{ fontWeight: 'bold', color: '#2c3e50' }}>{load.source}</span>
+              <span style={{ color: load.status === 'error' ? '#e74c3c' : '#7f8c8d' }}>{detail}</span>
+            </div>
+            <div style={{ height: '6px', borderRadius: '3px', background: '#ecf0f1', overflow: 'hidden' }}>
+              <div style={{
+                width: fraction === null ? '100%' : `${fraction * 100}%`,
+                height: '100%',
+                background: color,
+                opacity: fraction === null ? 0.4 : 1,
+                transition: 'width 0.2s ease'
+              }} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default LoadProgress;
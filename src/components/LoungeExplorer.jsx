@@ -0,0 +1,379 @@
+import { useEffect, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { useFilters } from '../context/filterContext';
+import { formatRating } from '../utils/ratingSchema';
+import {
+  LOUNGE_RADAR_FIELDS,
+  LOUNGE_GROUPINGS,
+  UNSPECIFIED_LOUNGE_TYPE,
+  MIN_RANKED_REVIEWS
+} from '../utils/lounges';
+
+const RADAR_RINGS = [2, 4, 6, 8, 10];
+
+// Fixed colours for the common lounge types, the rest from a categorical palette
+const TYPE_COLORS = { 'First Class': '#8e44ad', 'Business Class': '#2980b9', 'Frequent Flyer': '#16a085' };
+const fallbackTypeColor = d3.scaleOrdinal(['#e67e22', '#c0392b', '#7f8c8d', '#d35400']);
+const typeColor = (type) => TYPE_COLORS[type] || fallbackTypeColor(type || UNSPECIFIED_LOUNGE_TYPE);
+
+const typeLabel = (type) => type || UNSPECIFIED_LOUNGE_TYPE;
+
+// Radar of the lounge sub-ratings; `series` is [{ label, color, ratings: { field: average } }]
+const drawRadar = (container, series, ratingScale, { size, showLabels }) => {
+  d3.select(container).selectAll('*').remove();
+
+  const margin = showLabels ? 55 : 8;
+  const radius = size / 2 - margin;
+  const angle = (i) => (i / LOUNGE_RADAR_FIELDS.length) * 2 * Math.PI - Math.PI / 2;
+  const rScale = d3.scaleLinear().domain([0, 10]).range([0, radius]);
+  const point = (i, value) => [Math.cos(angle(i)) * rScale(value), Math.sin(angle(i)) * rScale(value)];
+  const formatValue = (value, field, digits) => formatRating(value, ratingScale, 'lounge', field, { suffix: false, digits });
+
+  const svg = d3.select(container)
+    .append('svg')
+    .attr('width', size)
+    .attr('height', size);
+
+  const g = svg.append('g')
+    .attr('transform', `translate(${size / 2},${size / 2})`);
+
+  // Rings and spokes
+  RADAR_RINGS.forEach(ring => {
+    g.append('polygon')
+      .attr('points', LOUNGE_RADAR_FIELDS.map((_, i) => point(i, ring).join(',')).join(' '))
+      .attr('fill', 'none')
+      .attr('stroke', '#e0e0e0')
+      .attr('stroke-width', 1);
+
+    if (showLabels) {
+      g.append('text')
+        .attr('x', 3)
+        .attr('y', -rScale(ring))
+        .attr('dy', '0.9em')
+        .style('font-size', '8px')
+        .style('fill', '#95a5a6')
+        .text(formatValue(ring, 'comfort_rating', 0));
+    }
+  });
+
+  LOUNGE_RADAR_FIELDS.forEach(({ label }, i) => {
+    const [x, y] = point(i, 10);
+    g.append('line')
+      .attr('x1', 0)
+      .attr('y1', 0)
+      .attr('x2', x)
+      .attr('y2', y)
+      .attr('stroke', '#e0e0e0');
+
+    if (showLabels) {
+      const [lx, ly] = point(i, 11.5);
+      g.append('text')
+        .attr('x', lx)
+        .attr('y', ly)
+        .attr('dy', '0.35em')
+        .attr('text-anchor', Math.abs(lx) < 5 ? 'middle' : lx > 0 ? 'start' : 'end')
+        .style('font-size', '10px')
+        .style('fill', '#2c3e50')
+        .text(label);
+    }
+  });
+
+  // One polygon per series; missing sub-ratings are drawn at the centre
+  series.forEach(s => {
+    const values = LOUNGE_RADAR_FIELDS.map(({ field }) => s.ratings[field] ?? 0);
+
+    g.append('polygon')
+      .attr('points', values.map((value, i) => point(i, value).join(',')).join(' '))
+      .attr('fill', s.color)
+      .attr('fill-opacity', series.length > 1 ? 0.12 : 0.25)
+      .attr('stroke', s.color)
+      .attr('stroke-width', 1.5);
+
+    LOUNGE_RADAR_FIELDS.forEach(({ field, label }, i) => {
+      if (s.ratings[field] === null) return;
+      const [x, y] = point(i, s.ratings[field]);
+      g.append('circle')
+        .attr('cx', x)
+        .attr('cy', y)
+        .attr('r', showLabels ? 3 : 2)
+        .attr('fill', s.color)
+        .append('title')
+        .text(`${s.label} · ${label}: ${formatRating(s.ratings[field], ratingScale, 'lounge', field)}`);
+    });
+  });
+};
+
+const LoungeRadar = ({ series, ratingScale, size, showLabels = false }) => {
+  const containerRef = useRef();
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+    drawRadar(containerRef.current, series, ratingScale, { size, showLabels });
+  }, [series, ratingScale, size, showLabels]);
+
+  return <div ref={containerRef} style={{ width: `${size}px`, height: `${size}px`, flexShrink: 0 }} />;
+};
+
+// Lounges of one airport (or one airline): lounge types compared on a radar, then every lounge
+// ranked within its airport. `fetchLoungeInsights` computes them in the data worker (see utils/lounges.js).
+const LoungeExplorer = ({ fetchLoungeInsights, datasets }) => {
+  const { filters, view, openDrilldown } = useFilters();
+  const { ratingScale } = view;
+
+  const [groupBy, setGroupBy] = useState('airport');
+  const [group, setGroup] = useState('');
+  const [insights, setInsights] = useState(null);
+
+  const hasLounges = datasets.lounge.length > 0;
+
+  useEffect(() => {
+    if (!hasLounges) return;
+    let cancelled = false;
+
+    fetchLoungeInsights({ filters, groupBy, group: group || null }).then(result => {
+      if (!cancelled) setInsights(result);
+    }).catch(err => console.error('Error computing lounge insights:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchLoungeInsights, filters, groupBy, group, hasLounges, datasets]);
+
+  if (!hasLounges) {
+    return <div style={{ padding: '20px', fontSize: '12px', color: '#7f8c8d' }}>No lounge reviews loaded.</div>;
+  }
+
+  const grouping = LOUNGE_GROUPINGS.find(g => g.key === groupBy);
+  const current = insights && insights.groupBy === groupBy ? insights : null;
+
+  const typeSeries = current
+    ? current.types.map(t => ({ label: t.label, color: typeColor(t.type), ratings: t.ratings }))
+    : [];
+
+  const openLoungeReviews = (lounge) => {
+    openDrilldown({
+      title: `${lounge.airline_name || 'Unknown airline'} · ${typeLabel(lounge.lounge_type)}`,
+      subtitle: `Lounge reviews · ${lounge.airport}`,
+      fields: { lounge: 'overall_rating' },
+      match: { airport: lounge.airport, airline_name: lounge.airline_name, lounge_type: lounge.lounge_type }
+    });
+  };
+
+  const openTypeReviews = (type) => {
+    openDrilldown({
+      title: `${typeLabel(type.type)} lounges`,
+      subtitle: `Lounge reviews · ${current.group}`,
+      fields: { lounge: 'overall_rating' },
+      match: { [grouping.field]: current.group, lounge_type: type.type }
+    });
+  };
+
+  return (
+    <div style={{ flex: 1, minHeight: 0, padding: '20px', overflowY: 'auto', boxSizing: 'border-box' }}>
+      <h2 style={{ margin: '0 0 5px 0', fontSize: '18px', color: '#2c3e50' }}>Lounge Explorer</h2>
+      <p style={{ margin: '0 0 15px 0', fontSize: '12px', color: '#7f8c8d' }}>
+        Lounge reviews within the current filters. A lounge is an airline's lounge of one type at
+        one airport; ranks compare the lounges of the same airport by their overall rating, with
+        lounges that have fewer than {MIN_RANKED_REVIEWS} reviews ranked last.
+      </p>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '15px', fontSize: '12px', color: '#7f8c8d' }}>
+        <label>
+          Group by{' '}
+          <select
+            value={groupBy}
+            onChange={(e) => {
+              setGroupBy(e.target.value);
+              setGroup('');
+            }}
+            style={selectStyle}
+          >
+            {LOUNGE_GROUPINGS.map(g => (
+              <option key={g.key} value={g.key}>{g.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {grouping.label}{' '}
+          <select value={current ? current.group || '' : group} onChange={(e) => setGroup(e.target.value)} style={{ ...selectStyle, maxWidth: '320px' }}>
+            {current && current.groups.map(g => (
+              <option key={g.name} value={g.name}>{g.name} ({g.count})</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {current && !current.group && (
+        <div style={{ fontSize: '11px', color: '#95a5a6' }}>No lounge reviews within the current filters.</div>
+      )}
+
+      {current && current.group && (
+        <>
+          <div style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
+            <StatBox label="Reviews" value={current.reviewCount.toLocaleString()} />
+            <StatBox label="Lounges" value={current.lounges.length.toLocaleString()} />
+            <StatBox label="Lounge types" value={current.types.length.toLocaleString()} />
+            <StatBox
+              label={`Best rated${current.lounges[0] ? ` · ${current.lounges[0].airline_name}` : ''}`}
+              value={current.lounges[0] ? formatRating(current.lounges[0].overall, ratingScale, 'lounge', 'overall_rating') : 'n/a'}
+              color="#e67e22"
+            />
+          </div>
+
+          <div style={{ ...panelStyle, display: 'flex', flexWrap: 'wrap', alignItems: 'flex-start', gap: '20px', marginBottom: '15px' }}>
+            <div>
+              <h3 style={panelTitleStyle}>Lounge types at a glance</h3>
+              <LoungeRadar series={typeSeries} ratingScale={ratingScale} size={340} showLabels />
+            </div>
+            <div style={{ flex: 1, minWidth: '280px' }}>
+              <h3 style={panelTitleStyle}>Lounge types compared</h3>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
+                <thead>
+                  <tr style={{ color: '#7f8c8d', textAlign: 'left' }}>
+                    <th style={cellStyle}>Type</th>
+                    <th style={cellStyle}>Reviews</th>
+                    <th style={cellStyle}>Overall</th>
+                    <th style={cellStyle} title="The same lounge type across all lounges within the filters">All lounges</th>
+                    <th style={cellStyle} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {current.types.map(type => {
+                    const baseline = current.allTypes.find(t => t.type === type.type);
+                    return (
+                      <tr key={type.type} style={{ borderTop: '1px solid #f0f0f0' }}>
+                        <td style={cellStyle}>
+                          <span style={{ display: 'inline-block', width: '10px', height: '10px', borderRadius: '2px', marginRight: '6px', background: typeColor(type.type) }} />
+                          {type.label}
+                        </td>
+                        <td style={cellStyle}>{type.count.toLocaleString()}</td>
+                        <td style={{ ...cellStyle, fontWeight: 'bold' }}>{formatRating(type.overall, ratingScale, 'lounge', 'overall_rating')}</td>
+                        <td style={{ ...cellStyle, color: '#7f8c8d' }}>{baseline ? formatRating(baseline.overall, ratingScale, 'lounge', 'overall_rating') : 'n/a'}</td>
+                        <td style={{ ...cellStyle, textAlign: 'right' }}>
+                          <button onClick={() => openTypeReviews(type)} style={linkButtonStyle}>Reviews</button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px', marginTop: '15px' }}>
+                <thead>
+                  <tr style={{ color: '#7f8c8d', textAlign: 'left' }}>
+                    <th style={cellStyle}>Sub-rating</th>
+                    {current.types.map(type => (
+                      <th key={type.type} style={{ ...cellStyle, color: typeColor(type.type) }}>{type.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {LOUNGE_RADAR_FIELDS.map(({ field, label }) => (
+                    <tr key={field} style={{ borderTop: '1px solid #f0f0f0' }}>
+                      <td style={cellStyle}>{label}</td>
+                      {current.types.map(type => (
+                        <td key={type.type} style={cellStyle}>{formatRating(type.ratings[field], ratingScale, 'lounge', field, { suffix: false })}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <h3 style={panelTitleStyle}>
+            Lounge ranking{groupBy === 'airline' ? ' (ranks within each airport)' : ''}
+          </h3>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '10px' }}>
+            {current.lounges.map(lounge => (
+              <LoungeCard
+                key={lounge.key}
+                lounge={lounge}
+                ratingScale={ratingScale}
+                showAirport={groupBy === 'airline'}
+                onOpenReviews={() => openLoungeReviews(lounge)}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const LoungeCard = ({ lounge, ratingScale, showAirport, onOpenReviews }) => {
+  const color = typeColor(lounge.lounge_type);
+  const fewReviews = lounge.count < MIN_RANKED_REVIEWS;
+  const series = [{ label: lounge.airline_name, color, ratings: lounge.ratings }];
+
+  return (
+    <div style={{ ...panelStyle, display: 'flex', gap: '10px', borderLeft: `4px solid ${color}` }}>
+      <LoungeRadar series={series} ratingScale={ratingScale} size={90} />
+      <div style={{ flex: 1, minWidth: 0, fontSize: '11px', color: '#7f8c8d' }}>
+        <div style={{ display: 'flex', alignItems: 'baseline', gap: '6px' }}>
+          <span style={{ fontSize: '14px', fontWeight: 'bold', color: '#2c3e50' }}>#{lounge.airportRank}</span>
+          <span>of {lounge.airportLoungeCount}{showAirport ? ` at ${lounge.airport}` : ''}</span>
+          <span style={{ marginLeft: 'auto', fontSize: '14px', fontWeight: 'bold', color }}>
+            {formatRating(lounge.overall, ratingScale, 'lounge', 'overall_rating')}
+          </span>
+        </div>
+        <div style={{ fontSize: '12px', fontWeight: '600', color: '#2c3e50', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={lounge.airline_name}>
+          {lounge.airline_name || 'Unknown airline'}
+        </div>
+        <div style={{ color }}>{typeLabel(lounge.lounge_type)}</div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '4px' }}>
+          <span title={fewReviews ? `Fewer than ${MIN_RANKED_REVIEWS} reviews, ranked after the better-reviewed lounges` : undefined}>
+            {lounge.count.toLocaleString()} review{lounge.count === 1 ? '' : 's'}{fewReviews ? ' · few' : ''}
+          </span>
+          <button onClick={onOpenReviews} style={{ ...linkButtonStyle, marginLeft: 'auto' }}>Read</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const StatBox = ({ label, value, color = '#2c3e50' }) => (
+  <div style={{ flex: 1, minWidth: 0, padding: '8px 10px', background: 'white', border: '1px solid #e0e0e0', borderRadius: '6px' }}>
+    <div style={{ fontSize: '16px', fontWeight: 'bold', color }}>{value}</div>
+    <div style={{ fontSize: '10px', color: '#7f8c8d', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{label}</div>
+  </div>
+);
+
+const panelStyle = {
+  padding: '12px',
+  background: 'white',
+  border: '1px solid #e0e0e0',
+  borderRadius: '8px'
+};
+
+const panelTitleStyle = {
+  margin: '0 0 8px 0',
+  fontSize: '13px',
+  color: '#2c3e50'
+};
+
+const cellStyle = {
+  padding: '4px 6px'
+};
+
+const selectStyle = {
+  padding: '6px 8px',
+  fontSize: '12px',
+  border: '1px solid #cfcfcf',
+  borderRadius: '6px',
+  color: '#2c3e50',
+  background: 'white'
+};
+
+const linkButtonStyle = {
+  padding: '3px 8px',
+  fontSize: '10px',
+  background: '#3498db',
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontWeight: 'bold'
+};
+
+export default LoungeExplorer;
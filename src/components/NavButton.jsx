@@ -0,0 +1,24 @@
+// Header button that switches the dashboard view, filled with the view's own colour
+const NavButton = ({ label, color, hoverColor, onClick, spaced = true }) => (
+  <button
+    onClick={onClick}
+    style={{
+      marginRight: spaced ? '10px' : 0,
+      padding: '10px 20px',
+      fontSize: '12px',
+      fontWeight: '600',
+      background: color,
+      color: 'white',
+      border: 'none',
+      borderRadius: '6px',
+      cursor: 'pointer',
+      transition: 'all 0.3s ease'
+    }}
+    onMouseEnter={(e) => e.target.style.background = hoverColor}
+    onMouseLeave={(e) => e.target.style.background = color}
+  >
+    {label}
+  </button>
+);
+
+export default NavButton;
@@ -1,962 +1,303 @@
-import { useEffect, useRef, useState } from 'react';
-import { useFilters } from '../context/filterContext';
-import * as d3 from 'd3';
-
-const MultiEncodingScatterPlot = ({ data, dimensionFilter, isPreview = false }) => {
-  const svgRef = useRef();
-  const { filters } = useFilters();
-  const [highlightDimension, setHighlightDimension] = useState('overall');
-
-  useEffect(() => {
-    if (!data || data.length === 0 || !svgRef.current) return;
-
-    if (isPreview) {
-      drawPreviewScatterPlot();
-    } else {
-      drawScatterPlot();
-    }
-
-    // Cleanup tooltips on unmount
-    return () => {
-      d3.selectAll('.airline-tooltip').remove();
-    };
-  }, [data, filters, dimensionFilter, isPreview, highlightDimension]);
-
-  const processAirlineData = (rawData) => {
-    const airlineStats = d3.rollup(
-      rawData,
-      reviews => {
-        const validReviews = reviews.filter(r => r.overall_rating > 0);
-
-        // Normalize 0-5 ratings to 0-10
-        const normalize = (rating, max = 5) => {
-          if (!rating || rating === 0) return null;
-          return max === 5 ? rating * 2 : rating;
-        };
-
-        // Calculate recommendation rate
-        const recommendationRate = reviews.filter(r => r.recommended === '1').length / reviews.length;
-
-        // Get Y-axis value based on dimension filter
-        let yAxisValue;
-        let yAxisLabel = 'Overall';
-
-        if (dimensionFilter) {
-          const fieldConfig = dimensionFilter.fields.airline;
-          if (fieldConfig && fieldConfig.field) {
-            const values = validReviews
-              .map(r => r[fieldConfig.field])
-              .filter(v => v && v > 0);
-            yAxisValue = values.length > 0 
-              ? d3.mean(values) * fieldConfig.multiplier 
-              : null;
-            yAxisLabel = dimensionFilter.dimension;
-          } else {
-            yAxisValue = d3.mean(validReviews, d => d.overall_rating);
-          }
-        } else {
-          yAxisValue = d3.mean(validReviews, d => d.overall_rating);
-        }
-
-        return {
-          airline_name: reviews[0].airline_name,
-          review_count: validReviews.length,
-          // Main axes
-          value_money: normalize(d3.mean(validReviews, d => d.value_money_rating)),
-          overall: yAxisValue,  // This will be the selected dimension or overall
-          yAxisLabel: yAxisLabel,
-          // Additional encodings
-          seat_comfort: normalize(d3.mean(validReviews, d => d.seat_comfort_rating)),
-          food_beverages: normalize(d3.mean(validReviews, d => d.food_beverages_rating)),
-          cabin_staff: normalize(d3.mean(validReviews, d => d.cabin_staff_rating)),
-          entertainment: normalize(d3.mean(validReviews, d => d.inflight_entertainment_rating)),
-          // Derived metrics
-          recommendationRate
-        };
-      },
-      d => d.airline_name
-    );
-
-    return Array.from(airlineStats.values())
-      .filter(a => a.review_count >= 10 && a.value_money !== null && a.overall !== null);
-  };
-
-  const drawPreviewScatterPlot = () => {
-    const containerWidth = svgRef.current.clientWidth;
-    const containerHeight = svgRef.current.clientHeight;
-    const margin = { top: 35, right: 120, bottom: 40, left: 45 };
-    const width = containerWidth - margin.left - margin.right;
-    const height = containerHeight - margin.top - margin.bottom;
-
-    d3.select(svgRef.current).selectAll('*').remove();
-
-    const airlines = processAirlineData(data);
-
-    const svg = d3.select(svgRef.current)
-      .append('svg')
-      .attr('width', containerWidth)
-      .attr('height', containerHeight);
-
-    const g = svg.append('g')
-      .attr('transform', `translate(${margin.left},${margin.top})`);
-
-    // Scales
-    const xScale = d3.scaleLinear()
-      .domain([0, 10])
-      .range([0, width])
-      .nice();
-
-    const yScale = d3.scaleLinear()
-      .domain([0, 10])
-      .range([height, 0])
-      .nice();
-
-    const sizeScale = d3.scaleSqrt()
-      .domain([0, d3.max(airlines, d => d.review_count)])
-      .range([4, 20]);
-
-    const colorScale = d3.scaleSequential()
-      .domain([0, 10])
-      .interpolator(d3.interpolateRdYlGn);
-
-    const opacityScale = d3.scaleLinear()
-      .domain([0, 1])
-      .range([0.3, 0.95]);
-
-    const getBorderWidth = (foodRating, circleRadius) => {
-      const basePercent = 0.08 + (0.10 * (circleRadius / 20));
-      const baseWidth = circleRadius * basePercent;
-      const ratingMultiplier = 0.5 + (foodRating / 10);
-      return baseWidth * ratingMultiplier;
-    };
-
-    const getRingWidth = (staffRating, circleRadius) => {
-      const basePercent = 0.08 + (0.07 * (circleRadius / 20));
-      const baseWidth = circleRadius * basePercent;
-      const ratingMultiplier = 0.5 + (staffRating / 10);
-      return baseWidth * ratingMultiplier;
-    };
-
-    // Grid lines
-    g.append('g')
-      .selectAll('line')
-      .data(xScale.ticks(5))
-      .enter()
-      .append('line')
-      .attr('x1', d => xScale(d))
-      .attr('x2', d => xScale(d))
-      .attr('y1', 0)
-      .attr('y2', height)
-      .attr('stroke', '#e8e8e8')
-      .attr('stroke-width', 0.5);
-
-    g.append('g')
-      .selectAll('line')
-      .data(yScale.ticks(5))
-      .enter()
-      .append('line')
-      .attr('x1', 0)
-      .attr('x2', width)
-      .attr('y1', d => yScale(d))
-      .attr('y2', d => yScale(d))
-      .attr('stroke', '#e8e8e8')
-      .attr('stroke-width', 0.5);
-
-    // Quadrant labels
-    const quadrants = [
-      { x: width * 0.75, y: height * 0.25, label: 'Premium', color: '#27ae60' },
-      { x: width * 0.25, y: height * 0.25, label: 'Pricey', color: '#3498db' },
-      { x: width * 0.25, y: height * 0.75, label: 'Poor Value', color: '#e74c3c' },
-      { x: width * 0.75, y: height * 0.75, label: 'Budget', color: '#f39c12' }
-    ];
-
-    quadrants.forEach(q => {
-      g.append('text')
-        .attr('x', q.x)
-        .attr('y', q.y)
-        .attr('text-anchor', 'middle')
-        .style('font-size', '11px')
-        .style('font-weight', 'bold')
-        .style('fill', q.color)
-        .style('opacity', 0.15)
-        .text(q.label);
-    });
-
-    // Draw circles
-    const circles = g.selectAll('.airline-point')
-      .data(airlines)
-      .enter()
-      .append('g');
-
-    // Inner rings
-    circles.append('circle')
-      .attr('cx', d => xScale(d.value_money))
-      .attr('cy', d => yScale(d.overall))
-      .attr('r', d => sizeScale(d.review_count) * 0.55)
-      .attr('fill', 'none')
-      .attr('stroke', d => colorScale(d.cabin_staff))
-      .attr('stroke-width', d => getRingWidth(d.cabin_staff, sizeScale(d.review_count)))
-      .attr('opacity', 0.8);
-
-    // Main circles
-    circles.append('circle')
-      .attr('cx', d => xScale(d.value_money))
-      .attr('cy', d => yScale(d.overall))
-      .attr('r', d => sizeScale(d.review_count))
-      .attr('fill', d => colorScale(d.seat_comfort))
-      .attr('opacity', d => opacityScale(d.recommendationRate))
-      .attr('stroke', 'white')
-      .attr('stroke-width', d => getBorderWidth(d.food_beverages, sizeScale(d.review_count)));
-
-    // Axes
-    g.append('g')
-      .attr('transform', `translate(0,${height})`)
-      .call(d3.axisBottom(xScale).ticks(5))
-      .style('font-size', '8px');
-
-    g.append('g')
-      .call(d3.axisLeft(yScale).ticks(5))
-      .style('font-size', '8px');
-
-    // Axis labels
-    g.append('text')
-      .attr('x', width / 2)
-      .attr('y', height + 30)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '9px')
-      .style('font-weight', 'bold')
-      .style('fill', '#2c3e50')
-      .text('Value for Money →');
-
-    const yAxisLabel = dimensionFilter ? dimensionFilter.dimension : 'Overall Rating';
-    g.append('text')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -height / 2)
-      .attr('y', -32)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '9px')
-      .style('font-weight', 'bold')
-      .style('fill', '#2c3e50')
-      .text(`← ${yAxisLabel}`);
-
-    // Title
-    svg.append('text')
-      .attr('x', containerWidth / 2)
-      .attr('y', 18)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '11px')
-      .style('font-weight', 'bold')
-      .style('fill', '#2c3e50')
-      .text('Multi-Dimensional Airline Performance');
-
-    // Compact Legend - LARGER VERSION
-    const legendX = margin.left + width + 10;
-    const legend = svg.append('g')
-      .attr('transform', `translate(${legendX}, ${margin.top})`);
-
-    let legendY = 0;
-
-    // Title
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '10px')
-      .style('font-weight', 'bold')
-      .style('fill', '#2c3e50')
-      .text('Visual Encodings:');
-
-    legendY += 18;
-
-    // Color gradient
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '8px')
-      .style('font-weight', '500')
-      .style('fill', '#2c3e50')
-      .text('Fill = Seat');
-
-    legendY += 12;
-
-    const defs = svg.append('defs');
-    const gradient = defs.append('linearGradient')
-      .attr('id', 'comfort-gradient-preview')
-      .attr('x1', '0%')
-      .attr('x2', '100%');
-
-    for (let i = 0; i <= 10; i++) {
-      gradient.append('stop')
-        .attr('offset', `${(i / 10) * 100}%`)
-        .attr('stop-color', colorScale(i));
-    }
-
-    legend.append('rect')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .attr('width', 90)
-      .attr('height', 10)
-      .style('fill', 'url(#comfort-gradient-preview)')
-      .attr('rx', 2);
-
-    legendY += 22;
-
-    // Size
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '8px')
-      .style('font-weight', '500')
-      .style('fill', '#2c3e50')
-      .text('Size = Reviews');
-
-    legendY += 12;
-
-    [100, 500].forEach((count, i) => {
-      const cx = 12 + i * 40;
-      legend.append('circle')
-        .attr('cx', cx)
-        .attr('cy', legendY + 6)
-        .attr('r', sizeScale(count))
-        .attr('fill', '#95a5a6')
-        .attr('opacity', 0.5)
-        .attr('stroke', 'white')
-        .attr('stroke-width', 1);
-
-      legend.append('text')
-        .attr('x', cx)
-        .attr('y', legendY + 20)
-        .attr('text-anchor', 'middle')
-        .style('font-size', '7px')
-        .style('fill', '#7f8c8d')
-        .text(count);
-    });
-
-    legendY += 32;
-
-    // Opacity
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '8px')
-      .style('font-weight', '500')
-      .style('fill', '#2c3e50')
-      .text('Opacity = %');
-
-    legendY += 12;
-
-    [30, 100].forEach((percent, i) => {
-      const cx = 12 + i * 40;
-      legend.append('circle')
-        .attr('cx', cx)
-        .attr('cy', legendY + 5)
-        .attr('r', 8)
-        .attr('fill', '#3498db')
-        .attr('opacity', percent / 100);
-
-      legend.append('text')
-        .attr('x', cx)
-        .attr('y', legendY + 20)
-        .attr('text-anchor', 'middle')
-        .style('font-size', '7px')
-        .style('fill', '#7f8c8d')
-        .text(`${percent}%`);
-    });
-
-    legendY += 32;
-
-    // Border
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '8px')
-      .style('font-weight', '500')
-      .style('fill', '#2c3e50')
-      .text('Border = Food');
-
-    legendY += 12;
-
-    [2, 9].forEach((rating, i) => {
-      const cx = 12 + i * 40;
-      const r = 8;
-      legend.append('circle')
-        .attr('cx', cx)
-        .attr('cy', legendY + 5)
-        .attr('r', r)
-        .attr('fill', '#ecf0f1')
-        .attr('stroke', '#e67e22')
-        .attr('stroke-width', getBorderWidth(rating, r));
-
-      legend.append('text')
-        .attr('x', cx)
-        .attr('y', legendY + 20)
-        .attr('text-anchor', 'middle')
-        .style('font-size', '7px')
-        .style('fill', '#7f8c8d')
-        .text(rating);
-    });
-
-    legendY += 32;
-
-    // Ring
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '8px')
-      .style('font-weight', '500')
-      .style('fill', '#2c3e50')
-      .text('Ring = Staff');
-
-    legendY += 12;
-
-    const ringDemo = legend.append('g')
-      .attr('transform', `translate(25, ${legendY + 8})`);
-
-    ringDemo.append('circle')
-      .attr('r', 11)
-      .attr('fill', '#95a5a6')
-      .attr('opacity', 0.3);
-
-    ringDemo.append('circle')
-      .attr('r', 6)
-      .attr('fill', 'none')
-      .attr('stroke', colorScale(8))
-      .attr('stroke-width', getRingWidth(8, 11))
-      .attr('opacity', 0.8);
-  };
-
-  const drawScatterPlot = () => {
-    const containerWidth = svgRef.current.clientWidth;
-    const containerHeight = svgRef.current.clientHeight;
-    const margin = { top: 70, right: 200, bottom: 70, left: 70 };
-    const width = containerWidth - margin.left - margin.right;
-    const height = containerHeight - margin.top - margin.bottom;
-
-    d3.select(svgRef.current).selectAll('*').remove();
-
-    let filteredData = data;
-    if (filters.selectedAirlines && filters.selectedAirlines.length > 0) {
-      filteredData = data.filter(d => filters.selectedAirlines.includes(d.airline_name));
-    }
-
-    const airlines = processAirlineData(filteredData);
-
-    const svg = d3.select(svgRef.current)
-      .append('svg')
-      .attr('width', containerWidth)
-      .attr('height', containerHeight);
-
-    const g = svg.append('g')
-      .attr('transform', `translate(${margin.left},${margin.top})`);
-
-    // Scales
-    const xScale = d3.scaleLinear()
-      .domain([0, 10])
-      .range([0, width])
-      .nice();
-
-    const yScale = d3.scaleLinear()
-      .domain([0, 10])
-      .range([height, 0])
-      .nice();
-
-    const sizeScale = d3.scaleSqrt()
-      .domain([0, d3.max(airlines, d => d.review_count)])
-      .range([6, 35]);
-
-    const colorScale = d3.scaleSequential()
-      .domain([0, 10])
-      .interpolator(d3.interpolateRdYlGn);
-
-    const opacityScale = d3.scaleLinear()
-      .domain([0, 1])
-      .range([0.3, 0.95]);
-
-    const getBorderWidth = (foodRating, circleRadius) => {
-      const basePercent = 0.08 + (0.10 * (circleRadius / 35));
-      const baseWidth = circleRadius * basePercent;
-      const ratingMultiplier = 0.5 + (foodRating / 10);
-      return baseWidth * ratingMultiplier;
-    };
-
-    const getRingWidth = (staffRating, circleRadius) => {
-      const basePercent = 0.08 + (0.07 * (circleRadius / 35));
-      const baseWidth = circleRadius * basePercent;
-      const ratingMultiplier = 0.5 + (staffRating / 10);
-      return baseWidth * ratingMultiplier;
-    };
-
-    // Grid lines
-    g.append('g')
-      .attr('class', 'grid-x')
-      .selectAll('line')
-      .data(xScale.ticks(10))
-      .enter()
-      .append('line')
-      .attr('x1', d => xScale(d))
-      .attr('x2', d => xScale(d))
-      .attr('y1', 0)
-      .attr('y2', height)
-      .attr('stroke', '#e8e8e8')
-      .attr('stroke-width', 1);
-
-    g.append('g')
-      .attr('class', 'grid-y')
-      .selectAll('line')
-      .data(yScale.ticks(10))
-      .enter()
-      .append('line')
-      .attr('x1', 0)
-      .attr('x2', width)
-      .attr('y1', d => yScale(d))
-      .attr('y2', d => yScale(d))
-      .attr('stroke', '#e8e8e8')
-      .attr('stroke-width', 1);
-
-    // Draw quadrant labels
-    const quadrants = [
-      { x: width * 0.75, y: height * 0.20, label: 'Premium Quality', color: '#27ae60' },
-      { x: width * 0.25, y: height * 0.20, label: 'Good but Pricey', color: '#3498db' },
-      { x: width * 0.25, y: height * 0.80, label: 'Poor Value', color: '#e74c3c' },
-      { x: width * 0.75, y: height * 0.80, label: 'Budget Friendly', color: '#f39c12' }
-    ];
-
-    quadrants.forEach(q => {
-      g.append('text')
-        .attr('x', q.x)
-        .attr('y', q.y)
-        .attr('text-anchor', 'middle')
-        .style('font-size', '15px')
-        .style('font-weight', 'bold')
-        .style('fill', q.color)
-        .style('opacity', 0.12)
-        .text(q.label);
-    });
-
-    // Draw circles
-    const circles = g.selectAll('.airline-point')
-      .data(airlines)
-      .enter()
-      .append('g')
-      .attr('class', 'airline-point');
-
-    // Inner rings
-    const innerRings = circles.append('circle')
-      .attr('class', 'inner-ring')
-      .attr('cx', d => xScale(d.value_money))
-      .attr('cy', d => yScale(d.overall))
-      .attr('r', d => sizeScale(d.review_count) * 0.55)
-      .attr('fill', 'none')
-      .attr('stroke', d => colorScale(d.cabin_staff))
-      .attr('stroke-width', d => getRingWidth(d.cabin_staff, sizeScale(d.review_count)))
-      .attr('opacity', 0.8)
-      .style('pointer-events', 'none');
-
-    // Main circles
-    const mainCircles = circles.append('circle')
-      .attr('class', 'main-circle')
-      .attr('cx', d => xScale(d.value_money))
-      .attr('cy', d => yScale(d.overall))
-      .attr('r', d => sizeScale(d.review_count))
-      .attr('fill', d => colorScale(d.seat_comfort))
-      .attr('opacity', d => opacityScale(d.recommendationRate))
-      .attr('stroke', 'white')
-      .attr('stroke-width', d => getBorderWidth(d.food_beverages, sizeScale(d.review_count)))
-      .style('cursor', 'pointer')
-      .on('mouseover', function(event, d) {
-        const radius = sizeScale(d.review_count);
-        d3.select(this)
-          .attr('stroke', '#2c3e50')
-          .attr('stroke-width', getBorderWidth(d.food_beverages, radius) + 2);
-
-        d3.select(this.parentNode).select('.inner-ring')
-          .attr('opacity', 1)
-          .attr('stroke-width', getRingWidth(d.cabin_staff, radius) + 2.5)
-          .attr('stroke', '#2c3e50')
-          .style('filter', 'drop-shadow(0 0 6px rgba(44, 62, 80, 0.9))');
-
-        d3.selectAll('.airline-tooltip').remove();
-
-        const tooltip = d3.select('body')
-          .append('div')
-          .attr('class', 'airline-tooltip')
-          .style('position', 'fixed')
-          .style('background', 'white')
-          .style('border', '3px solid #2c3e50')
-          .style('border-radius', '8px')
-          .style('padding', '14px')
-          .style('box-shadow', '0 4px 16px rgba(0,0,0,0.25)')
-          .style('pointer-events', 'none')
-          .style('z-index', '10000')
-          .style('max-width', '240px')
-          .style('font-family', 'Segoe UI, sans-serif');
-
-        const x = Math.min(event.pageX + 20, window.innerWidth - 260);
-        const y = Math.max(event.pageY - 100, 10);
-
-        tooltip.style('left', `${x}px`)
-          .style('top', `${y}px`);
-
-        tooltip.append('div')
-          .style('font-size', '13px')
-          .style('font-weight', 'bold')
-          .style('color', '#2c3e50')
-          .style('margin-bottom', '10px')
-          .style('padding-bottom', '8px')
-          .style('border-bottom', '2px solid #ecf0f1')
-          .text(d.airline_name.length > 35 ? d.airline_name.substring(0, 35) + '...' : d.airline_name);
-
-        const metricsDiv = tooltip.append('div')
-          .style('display', 'grid')
-          .style('grid-template-columns', '1fr 1fr')
-          .style('gap', '6px')
-          .style('margin-bottom', '8px');
-
-        const yAxisLabel = d.yAxisLabel || 'Overall';
-        const metrics = [
-          { label: yAxisLabel, value: d.overall.toFixed(1), color: '#f39c12' },
-          { label: 'Value', value: d.value_money.toFixed(1), color: '#27ae60' },
-          { label: 'Seat', value: d.seat_comfort.toFixed(1), color: '#3498db' },
-          { label: 'Food', value: d.food_beverages.toFixed(1), color: '#e67e22' },
-          { label: 'Staff', value: d.cabin_staff.toFixed(1), color: '#9b59b6' },
-          { label: 'Entertain', value: d.entertainment.toFixed(1), color: '#e74c3c' }
-        ];
-
-        metrics.forEach(m => {
-          const metricDiv = metricsDiv.append('div')
-            .style('padding', '5px')
-            .style('background', '#f8f9fa')
-            .style('border-radius', '4px')
-            .style('font-size', '10px')
-            .style('display', 'flex')
-            .style('justify-content', 'space-between')
-            .style('align-items', 'center');
-
-          metricDiv.append('span')
-            .style('color', '#7f8c8d')
-            .text(m.label);
-
-          metricDiv.append('span')
-            .style('font-weight', 'bold')
-            .style('color', m.color)
-            .text(m.value);
-        });
-
-        const statsDiv = tooltip.append('div')
-          .style('padding-top', '8px')
-          .style('border-top', '1px solid #ecf0f1')
-          .style('font-size', '9px')
-          .style('color', '#7f8c8d')
-          .style('display', 'flex')
-          .style('justify-content', 'space-between');
-
-        statsDiv.append('span')
-          .html(`<strong>${d.review_count}</strong> reviews`);
-
-        statsDiv.append('span')
-          .html(`<strong>${(d.recommendationRate * 100).toFixed(0)}%</strong> recommend`);
-      })
-      .on('mouseout', function(event, d) {
-        const radius = sizeScale(d.review_count);
-        d3.select(this)
-          .attr('stroke', 'white')
-          .attr('stroke-width', getBorderWidth(d.food_beverages, radius));
-
-        d3.select(this.parentNode).select('.inner-ring')
-          .attr('opacity', 0.8)
-          .attr('stroke-width', getRingWidth(d.cabin_staff, radius))
-          .attr('stroke', colorScale(d.cabin_staff))
-          .style('filter', 'none');
-
-        d3.selectAll('.airline-tooltip').remove();
-      })
-      .on('mousemove', function(event) {
-        const x = Math.min(event.pageX + 20, window.innerWidth - 260);
-        const y = Math.max(event.pageY - 100, 10);
-        d3.select('.airline-tooltip')
-          .style('left', `${x}px`)
-          .style('top', `${y}px`);
-      });
-
-    // Axes
-    const xAxis = d3.axisBottom(xScale).ticks(10);
-    const yAxis = d3.axisLeft(yScale).ticks(10);
-
-    g.append('g')
-      .attr('transform', `translate(0,${height})`)
-      .call(xAxis)
-      .style('font-size', '11px')
-      .selectAll('text')
-      .style('fill', '#2c3e50');
-
-    g.append('g')
-      .call(yAxis)
-      .style('font-size', '11px')
-      .selectAll('text')
-      .style('fill', '#2c3e50');
-
-    // Axis labels
-    g.append('text')
-      .attr('x', width / 2)
-      .attr('y', height + 50)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '13px')
-      .style('font-weight', 'bold')
-      .style('fill', '#2c3e50')
-      .text('Value for Money Rating (0-10) →');
-
-    const yAxisLabel = dimensionFilter ? `${dimensionFilter.dimension} Rating` : 'Overall Rating';
-    g.append('text')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -height / 2)
-      .attr('y', -50)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '13px')
-      .style('font-weight', 'bold')
-      .style('fill', '#2c3e50')
-      .text(`← ${yAxisLabel} (0-10)`);
-
-    // Title
-    const titleText = dimensionFilter 
-      ? `Multi-Dimensional Airline Performance: ${dimensionFilter.dimension} Analysis`
-      : 'Multi-Dimensional Airline Performance Analysis';
-
-    svg.append('text')
-      .attr('x', containerWidth / 2)
-      .attr('y', 30)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '17px')
-      .style('font-weight', 'bold')
-      .style('fill', '#2c3e50')
-      .text(titleText);
-
-    // Full Legend
-    const legendX = margin.left + width + 20;
-    const legend = svg.append('g')
-      .attr('transform', `translate(${legendX}, ${margin.top})`);
-
-    let legendY = 0;
-
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '12px')
-      .style('font-weight', 'bold')
-      .style('fill', '#2c3e50')
-      .text('Visual Encodings:');
-
-    legendY += 25;
-
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '10px')
-      .style('font-weight', 'bold')
-      .style('fill', '#2c3e50')
-      .text('Fill Color = Seat Comfort');
-
-    legendY += 18;
-
-    const colorGradient = legend.append('g')
-      .attr('transform', `translate(0, ${legendY})`);
-
-    const defs = svg.append('defs');
-    const gradient = defs.append('linearGradient')
-      .attr('id', 'comfort-gradient')
-      .attr('x1', '0%')
-      .attr('x2', '100%');
-
-    for (let i = 0; i <= 10; i++) {
-      gradient.append('stop')
-        .attr('offset', `${(i / 10) * 100}%`)
-        .attr('stop-color', colorScale(i));
-    }
-
-    colorGradient.append('rect')
-      .attr('width', 140)
-      .attr('height', 14)
-      .style('fill', 'url(#comfort-gradient)')
-      .attr('rx', 3);
-
-    colorGradient.append('text')
-      .attr('x', 0)
-      .attr('y', 26)
-      .style('font-size', '8px')
-      .style('fill', '#7f8c8d')
-      .text('Poor');
-
-    colorGradient.append('text')
-      .attr('x', 140)
-      .attr('y', 26)
-      .attr('text-anchor', 'end')
-      .style('font-size', '8px')
-      .style('fill', '#7f8c8d')
-      .text('Excellent');
-
-    legendY += 45;
-
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '10px')
-      .style('font-weight', 'bold')
-      .style('fill', '#2c3e50')
-      .text('Circle Size = Reviews');
-
-    legendY += 18;
-
-    const sizeExamples = legend.append('g')
-      .attr('transform', `translate(0, ${legendY})`);
-
-    const sizeData = [
-      { count: 100, cx: 15 },
-      { count: 500, cx: 60 },
-      { count: 1000, cx: 120 }
-    ];
-
-    sizeData.forEach(item => {
-      sizeExamples.append('circle')
-        .attr('cx', item.cx)
-        .attr('cy', 18)
-        .attr('r', sizeScale(item.count))
-        .attr('fill', '#95a5a6')
-        .attr('opacity', 0.5)
-        .attr('stroke', 'white')
-        .attr('stroke-width', 2);
-
-      sizeExamples.append('text')
-        .attr('x', item.cx)
-        .attr('y', 40)
-        .attr('text-anchor', 'middle')
-        .style('font-size', '8px')
-        .style('fill', '#7f8c8d')
-        .text(item.count);
-    });
-
-    legendY += 60;
-
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '10px')
-      .style('font-weight', 'bold')
-      .style('fill', '#2c3e50')
-      .text('Opacity = Recommend %');
-
-    legendY += 18;
-
-    const opacityExamples = legend.append('g')
-      .attr('transform', `translate(0, ${legendY})`);
-
-    [30, 65, 100].forEach((percent, i) => {
-      const cx = 20 + i * 40;
-      opacityExamples.append('circle')
-        .attr('cx', cx)
-        .attr('cy', 12)
-        .attr('r', 12)
-        .attr('fill', '#3498db')
-        .attr('opacity', percent / 100);
-
-      opacityExamples.append('text')
-        .attr('x', cx)
-        .attr('y', 32)
-        .attr('text-anchor', 'middle')
-        .style('font-size', '8px')
-        .style('fill', '#7f8c8d')
-        .text(`${percent}%`);
-    });
-
-    legendY += 50;
-
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '10px')
-      .style('font-weight', 'bold')
-      .style('fill', '#2c3e50')
-      .text('Border = Food Rating');
-
-    legendY += 15;
-
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '8px')
-      .style('fill', '#7f8c8d')
-      .style('font-style', 'italic')
-      .text('(width scales with rating)');
-
-    legendY += 15;
-
-    const borderExamples = legend.append('g')
-      .attr('transform', `translate(0, ${legendY})`);
-
-    [2, 5, 9].forEach((rating, i) => {
-      const cx = 20 + i * 40;
-      const radius = 12;
-      borderExamples.append('circle')
-        .attr('cx', cx)
-        .attr('cy', 12)
-        .attr('r', radius)
-        .attr('fill', '#ecf0f1')
-        .attr('stroke', '#e67e22')
-        .attr('stroke-width', getBorderWidth(rating, radius));
-
-      borderExamples.append('text')
-        .attr('x', cx)
-        .attr('y', 32)
-        .attr('text-anchor', 'middle')
-        .style('font-size', '8px')
-        .style('fill', '#7f8c8d')
-        .text(rating.toFixed(0));
-    });
-
-    legendY += 50;
-
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '10px')
-      .style('font-weight', 'bold')
-      .style('fill', '#2c3e50')
-      .text('Inner Ring = Staff Rating');
-
-    legendY += 15;
-
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendY)
-      .style('font-size', '8px')
-      .style('fill', '#7f8c8d')
-      .style('font-style', 'italic')
-      .text('(width scales with rating)');
-
-    legendY += 18;
-
-    const ringExample = legend.append('g')
-      .attr('transform', `translate(35, ${legendY + 15})`);
-
-    ringExample.append('circle')
-      .attr('r', 18)
-      .attr('fill', '#95a5a6')
-      .attr('opacity', 0.3);
-
-    ringExample.append('circle')
-      .attr('r', 10)
-      .attr('fill', 'none')
-      .attr('stroke', colorScale(8.5))
-      .attr('stroke-width', getRingWidth(8.5, 18))
-      .attr('opacity', 0.8);
-
-    // Add spacing before dimension selector
-    legendY += 40;
-      
-  };
-
-  return (
-    <div ref={svgRef} style={{ width: '100%', height: '100%' }}>
-      {/* 6 dimensions encoded: X/Y axes, size, color, opacity, border thickness. Hover circles for details. */}
-    </div>
-  );
-};
-
-export default MultiEncodingScatterPlot;
\ No newline at end of file
+import { useCallback, useEffect, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { useFilters } from '../context/filterContext';
+import { NO_MATCHING_AIRLINE, selectedAirlineNames } from '../utils/filterSelectors';
+import { formatRating, ratingAxisFormat, ratingAxisLabel } from '../utils/ratingSchema';
+
+// Axes in their default order; drag an axis title to reorder them
+const PARALLEL_AXES = [
+  { field: 'seat_comfort_rating', label: 'Seat Comfort' },
+  { field: 'cabin_staff_rating', label: 'Cabin Staff' },
+  { field: 'food_beverages_rating', label: 'Food & Beverages' },
+  { field: 'inflight_entertainment_rating', label: 'Entertainment' },
+  { field: 'value_money_rating', label: 'Value for Money' },
+  { field: 'overall_rating', label: 'Overall' }
+];
+
+const DEFAULT_AXIS_ORDER = PARALLEL_AXES.map(axis => axis.field);
+
+const NO_BRUSHES = {};
+const NO_AIRLINES = [];
+
+const lineColor = d3.scaleSequential().domain([0, 10]).interpolator(d3.interpolateRdYlGn);
+
+// Whether an airline's averages fall inside every brushed range ({ field: [low, high] })
+const withinBrushes = (airline, brushes) => Object.entries(brushes).every(([field, [low, high]]) => (
+  airline[field] !== null && airline[field] >= low && airline[field] <= high
+));
+
+const sameAirlines = (a, b) => a.length === b.length && a.every(name => b.includes(name));
+
+// One polyline per airline across the rating axes. Each axis has a vertical brush; `onBrush`
+// receives all brushed ranges when a brush ends, `onReorder` the field order after an axis drag.
+const drawParallelCoordinates = (container, airlines, { axisOrder, brushes, selectedAirlines, ratingScale, onBrush, onReorder, onOpen }) => {
+  const containerWidth = container.clientWidth;
+  const containerHeight = container.clientHeight;
+  const margin = { top: 40, right: 40, bottom: 20, left: 40 };
+  const width = containerWidth - margin.left - margin.right;
+  const height = containerHeight - margin.top - margin.bottom;
+
+  d3.select(container).selectAll('*').remove();
+
+  const svg = d3.select(container)
+    .append('svg')
+    .attr('width', containerWidth)
+    .attr('height', containerHeight);
+
+  const g = svg.append('g')
+    .attr('transform', `translate(${margin.left},${margin.top})`);
+
+  const axes = axisOrder.map(field => PARALLEL_AXES.find(axis => axis.field === field));
+  const x = d3.scalePoint().domain(axisOrder).range([0, width]);
+  const y = d3.scaleLinear().domain([0, 10]).range([height, 0]);
+
+  // Axis positions while one is being dragged
+  const positions = Object.fromEntries(axisOrder.map(field => [field, x(field)]));
+
+  // Missing averages (e.g. no entertainment ratings) leave a gap in the line
+  const line = d3.line()
+    .defined(d => d.value !== null)
+    .x(d => positions[d.field])
+    .y(d => y(d.value));
+  const linePoints = (airline) => axisOrder.map(field => ({ field, value: airline[field] }));
+
+  const ranges = { ...brushes };
+  const hasBrushes = () => Object.keys(ranges).length > 0;
+  const isHighlighted = (airline) => {
+    if (hasBrushes()) return withinBrushes(airline, ranges);
+    return selectedAirlines.length === 0 || selectedAirlines.includes(airline.airline_name);
+  };
+
+  const paths = g.append('g')
+    .attr('class', 'parallel-lines')
+    .selectAll('path')
+    .data([...airlines].sort((a, b) => a.count - b.count))
+    .enter()
+    .append('path')
+    .attr('d', d => line(linePoints(d)))
+    .attr('fill', 'none')
+    .attr('stroke-width', 1.5)
+    .style('cursor', 'pointer')
+    .on('mouseover', function(event, d) {
+      d3.select(this).attr('stroke-width', 3.5).raise();
+      d3.selectAll('.parallel-tooltip').remove();
+      d3.select('body')
+        .append('div')
+        .attr('class', 'parallel-tooltip')
+        .style('position', 'fixed')
+        .style('left', `${Math.min(event.pageX + 20, window.innerWidth - 240)}px`)
+        .style('top', `${Math.max(event.pageY - 60, 10)}px`)
+        .style('background', 'white')
+        .style('border', '2px solid #2c3e50')
+        .style('border-radius', '6px')
+        .style('padding', '10px')
+        .style('font-size', '11px')
+        .style('color', '#2c3e50')
+        .style('pointer-events', 'none')
+        .style('z-index', '10000')
+        .html(`
+          <div style="font-weight: bold; margin-bottom: 6px;">${d.airline_name}</div>
+          ${axes.map(axis => `<div><strong>${axis.label}:</strong> ${formatRating(d[axis.field], ratingScale, 'airline', axis.field)}</div>`).join('')}
+          <div><strong>Reviews:</strong> ${d.count.toLocaleString()}</div>
+          <div style="margin-top: 4px; color: #7f8c8d; font-style: italic;">Click to read the reviews</div>
+        `);
+    })
+    .on('mouseout', function() {
+      d3.select(this).attr('stroke-width', 1.5);
+      d3.selectAll('.parallel-tooltip').remove();
+    })
+    .on('click', (event, d) => {
+      d3.selectAll('.parallel-tooltip').remove();
+      onOpen(d);
+    });
+
+  const styleLines = () => {
+    paths
+      .attr('stroke', d => (isHighlighted(d) ? lineColor(d.overall_rating ?? 5) : '#d5d8dc'))
+      .attr('stroke-opacity', d => (isHighlighted(d) ? 0.8 : 0.35));
+    paths.filter(d => isHighlighted(d)).raise();
+  };
+  styleLines();
+
+  const axisGroups = g.selectAll('.parallel-axis')
+    .data(axes)
+    .enter()
+    .append('g')
+    .attr('class', 'parallel-axis')
+    .attr('transform', d => `translate(${positions[d.field]},0)`);
+
+  axisGroups.append('g')
+    .call(d3.axisLeft(y).ticks(5).tickFormat(ratingAxisFormat(ratingScale)))
+    .style('font-size', '9px');
+
+  // The title is the drag handle
+  axisGroups.append('text')
+    .attr('y', -14)
+    .attr('text-anchor', 'middle')
+    .style('font-size', '11px')
+    .style('font-weight', 'bold')
+    .style('fill', '#2c3e50')
+    .style('cursor', 'move')
+    .text(d => d.label)
+    .call(d3.drag()
+      .container(g.node())
+      .on('drag', function(event, d) {
+        positions[d.field] = Math.max(0, Math.min(width, event.x));
+        axisGroups.attr('transform', a => `translate(${positions[a.field]},0)`);
+        paths.attr('d', a => line([...linePoints(a)].sort((p, q) => positions[p.field] - positions[q.field])));
+      })
+      .on('end', () => {
+        const order = [...axisOrder].sort((a, b) => positions[a] - positions[b]);
+        if (order.some((field, i) => field !== axisOrder[i])) {
+          onReorder(order);
+        } else {
+          // Dropped in its own slot: snap back
+          axisOrder.forEach(field => { positions[field] = x(field); });
+          axisGroups.attr('transform', a => `translate(${positions[a.field]},0)`);
+          paths.attr('d', a => line(linePoints(a)));
+        }
+      }));
+
+  axisGroups.each(function(axis) {
+    const brush = d3.brushY()
+      .extent([[-10, 0], [10, height]])
+      .on('brush end', (event) => {
+        // Ignore the programmatic moves below
+        if (!event.sourceEvent) return;
+
+        if (event.selection) {
+          const [top, bottom] = event.selection;
+          ranges[axis.field] = [y.invert(bottom), y.invert(top)];
+        } else {
+          delete ranges[axis.field];
+        }
+        styleLines();
+
+        if (event.type === 'end') onBrush({ ...ranges });
+      });
+
+    const brushG = d3.select(this)
+      .append('g')
+      .attr('class', 'parallel-brush')
+      .call(brush);
+
+    if (brushes[axis.field]) {
+      const [low, high] = brushes[axis.field];
+      brushG.call(brush.move, [y(high), y(low)]);
+    }
+  });
+
+  svg.append('text')
+    .attr('x', containerWidth - margin.right)
+    .attr('y', containerHeight - 4)
+    .attr('text-anchor', 'end')
+    .style('font-size', '10px')
+    .style('fill', '#7f8c8d')
+    .text(`Average ratings ${ratingAxisLabel(ratingScale)}`);
+};
+
+// Parallel coordinates of the per-airline average ratings. Brushing the axes selects the airlines
+// whose lines pass through every brush and writes them to filters.selectedAirlines, so the rest
+// of the dashboard follows. `profiles` come from aggregateAirlineProfiles, computed without that
+// filter (see computeSharedAggregates), otherwise a brush could never widen the selection again.
+const ParallelCoordinates = ({ profiles }) => {
+  const containerRef = useRef();
+  const { filters, updateFilter, view, openDrilldown } = useFilters();
+  const { selectedAirlines } = filters;
+  const { ratingScale } = view;
+
+  const [axisOrder, setAxisOrder] = useState(DEFAULT_AXIS_ORDER);
+  // Brushed ranges with the airlines they selected; the brushes are only shown while the
+  // airline filter still holds that selection (the filter panel may have changed it since)
+  const [brushState, setBrushState] = useState({ ranges: NO_BRUSHES, airlines: [] });
+
+  const airlines = profiles || NO_AIRLINES;
+  const brushes = sameAirlines(brushState.airlines, selectedAirlines) ? brushState.ranges : NO_BRUSHES;
+  const brushedCount = Object.keys(brushes).length;
+  const selectedCount = selectedAirlineNames(selectedAirlines).length;
+
+  const handleBrush = useCallback((ranges) => {
+    const brushed = Object.keys(ranges).length > 0;
+    const names = brushed
+      ? airlines.filter(airline => withinBrushes(airline, ranges)).map(airline => airline.airline_name)
+      : [];
+    // Brushes no airline passes filter every airline out; an empty selection would clear the filter
+    const selection = brushed && names.length === 0 ? [NO_MATCHING_AIRLINE] : names;
+    setBrushState({ ranges, airlines: selection });
+    updateFilter('selectedAirlines', selection);
+  }, [airlines, updateFilter]);
+
+  const openAirlineReviews = useCallback((airline) => {
+    openDrilldown({
+      title: airline.airline_name,
+      subtitle: 'Airline reviews · overall ratings',
+      fields: { airline: 'overall_rating' },
+      match: { airline_name: airline.airline_name }
+    });
+  }, [openDrilldown]);
+
+  useEffect(() => {
+    if (!containerRef.current || airlines.length === 0) return;
+
+    drawParallelCoordinates(containerRef.current, airlines, {
+      axisOrder,
+      brushes,
+      selectedAirlines,
+      ratingScale,
+      onBrush: handleBrush,
+      onReorder: setAxisOrder,
+      onOpen: openAirlineReviews
+    });
+
+    // Cleanup tooltips on unmount
+    return () => {
+      d3.selectAll('.parallel-tooltip').remove();
+    };
+  }, [airlines, axisOrder, brushes, selectedAirlines, ratingScale, handleBrush, openAirlineReviews]);
+
+  return (
+    <div className="parallel-container">
+      <h2>Airline Rating Profiles</h2>
+      <p>
+        One line per airline with 10+ reviews, coloured by its overall rating. Drag along an axis to
+        brush a range: the airlines whose lines pass every brush become the airline filter for the
+        whole dashboard. Drag an axis title to reorder the axes; click a line to read its reviews.
+      </p>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '6px', fontSize: '11px', color: '#7f8c8d', flexShrink: 0 }}>
+        <span>
+          {brushedCount > 0
+            ? `${selectedCount} of ${airlines.length} airlines within ${brushedCount} brush${brushedCount === 1 ? '' : 'es'}`
+            : selectedAirlines.length > 0
+              ? `${selectedCount} airline${selectedCount === 1 ? '' : 's'} selected in the filters`
+              : `${airlines.length} airlines`}
+          {brushedCount > 0 && selectedCount === 0 && ' · no airline passes every brush, so the other views have no airline reviews'}
+        </span>
+        {brushedCount > 0 && (
+          <button onClick={() => handleBrush(NO_BRUSHES)} style={buttonStyle}>Clear brushes</button>
+        )}
+        {axisOrder.some((field, i) => field !== DEFAULT_AXIS_ORDER[i]) && (
+          <button onClick={() => setAxisOrder(DEFAULT_AXIS_ORDER)} style={buttonStyle}>Reset axis order</button>
+        )}
+      </div>
+
+      {!profiles && <div style={{ fontSize: '12px', color: '#95a5a6' }}>Computing airline profiles…</div>}
+      {profiles && airlines.length === 0 && (
+        <div style={{ fontSize: '12px', color: '#95a5a6' }}>No airline with 10+ reviews within the current filters.</div>
+      )}
+      {airlines.length > 0 && <div ref={containerRef} style={{ flex: 1, minHeight: 0 }} />}
+    </div>
+  );
+};
+
+const buttonStyle = {
+  padding: '4px 10px',
+  fontSize: '11px',
+  border: '1px solid #cfcfcf',
+  borderRadius: '6px',
+  color: '#2c3e50',
+  background: 'white',
+  cursor: 'pointer'
+};
+
+export default ParallelCoordinates;
@@ -1,132 +1,218 @@
 import { useEffect, useRef, useState } from 'react';
+import { useFilters } from '../context/filterContext';
 import * as d3 from 'd3';
+import { getDimensionByKey, toDimensionFilter, formatDimensionValue, formatDimensionInterval } from '../utils/dimensions';
+import { getAspectByKey } from '../utils/aspects';
+import { createSegmentColorScale } from '../utils/segments';
+
+const entityColors = { airline: '#3498db', airport: '#27ae60', lounge: '#e67e22' };
+const entityLabels = { airline: 'Airlines', airport: 'Airports', lounge: 'Lounges' };
+
+// What each entity column of a card shows: its average, or the distribution of its ratings
+const DISTRIBUTION_MODES = [
+  { key: 'bars', label: 'Average' },
+  { key: 'histogram', label: 'Histogram' },
+  { key: 'violin', label: 'Violin' },
+  { key: 'box', label: 'Box' }
+];
+
+// Number of card columns that gives the largest cards (about as wide as tall) for `count` cards
+const chooseGridColumns = (count, width, height) => {
+  let best = { cols: 1, size: 0 };
+
+  for (let cols = 1; cols <= Math.max(1, count); cols++) {
+    const rows = Math.ceil(count / cols);
+    const size = Math.min(width / cols, (height / rows) * 1.2);
+    if (size > best.size) best = { cols, size };
+  }
+
+  return best.cols;
+};
+
+// Drill-down subtitle for the reviews behind a dimension bar
+const describeDimensionReviews = (dim) => {
+  return dim.isRate ? 'Reviews that say whether they recommend' : `Reviews with a ${dim.label} rating`;
+};
+
+// Bar tooltip: the average with its 95% interval and spread
+const describeEntityAverage = (dim, entity, ratingScale) => {
+  const format = (value) => formatDimensionValue(value, ratingScale, entity.entity, entity.field);
+  const interval = `95% CI ${formatDimensionInterval(entity.ci, ratingScale, entity.entity, entity.field)}`;
+
+  if (dim.isRate) {
+    return `${entity.label}: ${format(entity.average)} recommend (${interval}) of ${entity.count.toLocaleString()} reviews (click to read)`;
+  }
+  const box = entity.distribution?.box;
+  return `${entity.label}: mean ${format(entity.average)} (${interval}), median ${format(entity.median)}, ` +
+    `SD ${formatDimensionValue(entity.sd, ratingScale, entity.entity, entity.field, { suffix: false })}` +
+    `${box ? `, quartiles ${formatDimensionInterval([box.q1, box.q3], ratingScale, entity.entity, entity.field)}` : ''} ` +
+    `from ${entity.count.toLocaleString()} reviews (click to read)`;
+};
+
+// Error bar of a 95% interval centred on x; `y` maps a 0-10 value to the card
+const drawIntervalWhisker = (parent, x, ci, y, capWidth) => {
+  const whisker = parent.append('g')
+    .attr('stroke', '#2c3e50')
+    .attr('stroke-width', 1)
+    .style('pointer-events', 'none');
+
+  whisker.append('line')
+    .attr('x1', x)
+    .attr('x2', x)
+    .attr('y1', y(ci[0]))
+    .attr('y2', y(ci[1]));
+
+  ci.forEach(bound => {
+    whisker.append('line')
+      .attr('x1', x - capWidth / 2)
+      .attr('x2', x + capWidth / 2)
+      .attr('y1', y(bound))
+      .attr('y2', y(bound));
+  });
+};
+
+// Distribution of one entity's ratings (see describeDistribution in aggregations.js) in its card
+// column: horizontal histogram bars, a mirrored violin or a box plot, on the card's rating axis `y`
+const drawDistribution = (parent, { bins, box }, mode, { x, width, y, color }) => {
+  const g = parent.append('g').style('pointer-events', 'none');
+  const centre = x + width / 2;
+  const maxCount = d3.max(bins, bin => bin.count);
+  // Spacing of the rating values, for the bar thickness and the violin ends
+  const step = bins.length > 1 ? d3.min(d3.pairs(bins, (a, b) => b.value - a.value)) : 2;
+
+  if (mode === 'histogram') {
+    const length = d3.scaleLinear().domain([0, maxCount]).range([0, width]);
+    const thickness = Math.max(1, (y(0) - y(step)) * 0.8);
+
+    bins.forEach(bin => {
+      g.append('rect')
+        .attr('x', x)
+        .attr('y', y(bin.value) - thickness / 2)
+        .attr('width', Math.max(1, length(bin.count)))
+        .attr('height', thickness)
+        .attr('fill', color)
+        .attr('opacity', 0.7);
+    });
+  } else if (mode === 'violin') {
+    const halfWidth = d3.scaleLinear().domain([0, maxCount]).range([0, width / 2]);
+    const outline = [
+      { value: bins[0].value - step / 2, count: 0 },
+      ...bins,
+      { value: bins[bins.length - 1].value + step / 2, count: 0 }
+    ];
+
+    g.append('path')
+      .datum(outline)
+      .attr('d', d3.area()
+        .y(d => y(d.value))
+        .x0(d => centre - halfWidth(d.count))
+        .x1(d => centre + halfWidth(d.count))
+        .curve(d3.curveCatmullRom))
+      .attr('fill', color)
+      .attr('fill-opacity', 0.55)
+      .attr('stroke', color);
+
+    g.append('line')
+      .attr('x1', centre - width / 4)
+      .attr('x2', centre + width / 4)
+      .attr('y1', y(box.median))
+      .attr('y2', y(box.median))
+      .attr('stroke', '#2c3e50')
+      .attr('stroke-width', 2);
+  } else {
+    const boxWidth = width * 0.6;
+
+    g.append('line')
+      .attr('x1', centre)
+      .attr('x2', centre)
+      .attr('y1', y(box.lowerWhisker))
+      .attr('y2', y(box.upperWhisker))
+      .attr('stroke', '#2c3e50');
+
+    [box.lowerWhisker, box.upperWhisker].forEach(value => {
+      g.append('line')
+        .attr('x1', centre - boxWidth / 4)
+        .attr('x2', centre + boxWidth / 4)
+        .attr('y1', y(value))
+        .attr('y2', y(value))
+        .attr('stroke', '#2c3e50');
+    });
+
+    g.append('rect')
+      .attr('x', centre - boxWidth / 2)
+      .attr('y', y(box.q3))
+      .attr('width', boxWidth)
+      .attr('height', Math.max(1, y(box.q1) - y(box.q3)))
+      .attr('fill', color)
+      .attr('fill-opacity', 0.6)
+      .attr('stroke', color);
+
+    g.append('line')
+      .attr('x1', centre - boxWidth / 2)
+      .attr('x2', centre + boxWidth / 2)
+      .attr('y1', y(box.median))
+      .attr('y2', y(box.median))
+      .attr('stroke', '#2c3e50')
+      .attr('stroke-width', 2);
+  }
+};
 
+// `dimensionMetrics` are the per-dimension entity averages from aggregateDimensionMetrics,
+// `aspectMetrics` the text-aspect mentions and sentiment from aggregateAspectMetrics.
+// With a `split` each entity's bar becomes a group of bars, one per segment value.
 const PerformanceDistributionMatrix = ({ 
-  airlineData, 
-  airportData, 
-  loungeData, 
-  onFilterChange,
+  dimensionMetrics, 
+  aspectMetrics,
+  split = null,
   isPreview = false 
 }) => {
   const svgRef = useRef();
-  const [selectedDimension, setSelectedDimension] = useState(null);
+  const { filters, updateFilter, view, openDrilldown } = useFilters();
+  const selectedDimension = filters.dimensionFilter;
+  const { ratingScale } = view;
+  const [showAspects, setShowAspects] = useState(false);
+  const [distributionMode, setDistributionMode] = useState('bars');
 
   useEffect(() => {
-    if (!airlineData || !airportData || !loungeData || !svgRef.current) return;
+    if (!dimensionMetrics || !svgRef.current) return;
     drawDimensionCards();
-  }, [airlineData, airportData, loungeData, selectedDimension, isPreview]);
+  }, [dimensionMetrics, aspectMetrics, split, showAspects, distributionMode, selectedDimension, isPreview, ratingScale]);
 
+  // Attach the dimension definitions and entity colors to the worker-computed averages
   const getDimensionMetrics = () => {
-    const dimensions = [
-      { 
-        label: 'Comfort', 
-        key: 'comfort',
-        fields: {
-          airline: { field: 'seat_comfort_rating', multiplier: 2 },
-          airport: null,
-          lounge: { field: 'comfort_rating', multiplier: 1 }
-        }
-      },
-      { 
-        label: 'Staff', 
-        key: 'staff',
-        fields: {
-          airline: { field: 'cabin_staff_rating', multiplier: 2 },
-          airport: { field: 'airport_staff_rating', multiplier: 1 },
-          lounge: { field: 'staff_service_rating', multiplier: 1 }
-        }
-      },
-      { 
-        label: 'Food', 
-        key: 'food',
-        fields: {
-          airline: { field: 'food_beverages_rating', multiplier: 2 },
-          airport: { field: 'food_beverages_rating', multiplier: 1 },
-          lounge: { field: 'catering_rating', multiplier: 1 }
-        }
-      },
-      { 
-        label: 'Clean', 
-        key: 'cleanliness',
-        fields: {
-          airline: null,
-          airport: { field: 'terminal_cleanliness_rating', multiplier: 1 },
-          lounge: { field: 'cleanliness_rating', multiplier: 1 }
-        }
-      },
-      { 
-        label: 'Overall', 
-        key: 'overall',
-        fields: {
-          airline: { field: 'overall_rating', multiplier: 1 },
-          airport: { field: 'overall_rating', multiplier: 1 },
-          lounge: { field: 'overall_rating', multiplier: 1 }
-        }
-      }
-    ];
-
-    const dataMap = { airline: airlineData, airport: airportData, lounge: loungeData };
-    const entityColors = { airline: '#3498db', airport: '#27ae60', lounge: '#e67e22' };
-    const entityLabels = { airline: 'Airlines', airport: 'Airports', lounge: 'Lounges' };
-
-    return dimensions.map(dim => {
-      const entityAverages = [];
-
-      ['airline', 'airport', 'lounge'].forEach(entity => {
-        const fieldConfig = dim.fields[entity];
-        if (!fieldConfig) {
-          entityAverages.push({
-            entity,
-            label: entityLabels[entity],
-            average: null,
-            count: 0,
-            color: entityColors[entity]
-          });
-          return;
-        }
-
-        const data = dataMap[entity];
-        const validRatings = data
-          .map(d => d[fieldConfig.field])
-          .filter(r => r != null && r > 0)
-          .map(r => r * fieldConfig.multiplier);
-
-        entityAverages.push({
-          entity,
-          label: entityLabels[entity],
-          average: validRatings.length > 0 ? d3.mean(validRatings) : null,
-          count: validRatings.length,
-          color: entityColors[entity],
-          field: fieldConfig.field
-        });
-      });
-
-      const hasData = entityAverages.some(e => e.average !== null);
-
-      return {
-        ...dim,
-        entityAverages,
-        hasData
-      };
-    });
+    const ratingDimensions = dimensionMetrics.map(metrics => ({
+      ...getDimensionByKey(metrics.key),
+      hasData: metrics.hasData,
+      entityAverages: metrics.entityAverages.map(e => ({
+        ...e,
+        label: entityLabels[e.entity],
+        color: entityColors[e.entity]
+      }))
+    }));
+
+    if (!showAspects || !aspectMetrics) return ratingDimensions;
+
+    // Aspect cards show text sentiment; they can be read but not selected as a dimension filter
+    const aspectDimensions = aspectMetrics.map(metrics => ({
+      ...getAspectByKey(metrics.key),
+      key: `aspect:${metrics.key}`,
+      aspectKey: metrics.key,
+      isAspect: true,
+      hasData: metrics.hasData,
+      entityAverages: metrics.entityAverages.map(e => ({
+        ...e,
+        label: entityLabels[e.entity],
+        color: entityColors[e.entity]
+      }))
+    }));
+
+    return [...ratingDimensions, ...aspectDimensions];
   };
 
   const handleDimensionClick = (dimension) => {
-    const newDimension = selectedDimension?.key === dimension.key ? null : dimension;
-    setSelectedDimension(newDimension);
-
-    if (onFilterChange) {
-      if (newDimension) {
-        onFilterChange({
-          dimension: newDimension.label,
-          dimensionKey: newDimension.key,
-          fields: newDimension.fields,
-          entityAverages: newDimension.entityAverages
-        });
-      } else {
-        onFilterChange(null);
-      }
-    }
+    const newDimension = selectedDimension?.dimensionKey === dimension.key ? null : dimension;
+
+    updateFilter('dimensionFilter', newDimension ? toDimensionFilter(newDimension) : null);
   };
 
   const drawDimensionCards = () => {
@@ -149,7 +235,11 @@ const PerformanceDistributionMatrix = ({
       .attr('transform', `translate(${margin.left},${margin.top})`);
 
     const dimensions = getDimensionMetrics();
-    const cols = 5;
+    // The previews are too small for distributions; split segments are only drawn as bars
+    const mode = isPreview ? 'bars' : distributionMode;
+    const showSegments = Boolean(split) && mode === 'bars';
+    const segmentColor = split ? createSegmentColorScale(split.values) : null;
+    const cols = chooseGridColumns(dimensions.length, width, height);
     const rows = Math.ceil(dimensions.length / cols);
     const cardWidth = width / cols;
     const cardHeight = height / rows;
@@ -161,13 +251,13 @@ const PerformanceDistributionMatrix = ({
       const x = col * cardWidth;
       const y = row * cardHeight;
 
-      const isSelected = selectedDimension?.key === dim.key;
+      const isSelected = selectedDimension?.dimensionKey === dim.key;
 
       const cardG = g.append('g')
         .attr('transform', `translate(${x},${y})`)
-        .style('cursor', dim.hasData ? 'pointer' : 'not-allowed')
+        .style('cursor', dim.isAspect ? 'default' : dim.hasData ? 'pointer' : 'not-allowed')
         .on('click', function() {
-          if (dim.hasData) {
+          if (dim.hasData && !dim.isAspect) {
             handleDimensionClick(dim);
           }
         });
@@ -178,12 +268,13 @@ const PerformanceDistributionMatrix = ({
         .attr('y', cardPadding)
         .attr('width', cardWidth - cardPadding * 2)
         .attr('height', cardHeight - cardPadding * 2)
-        .attr('fill', isSelected ? '#e3f2fd' : 'white')
+        .attr('fill', isSelected ? '#e3f2fd' : dim.isAspect ? '#fbf8fd' : 'white')
         .attr('stroke', isSelected ? '#2196f3' : '#e0e0e0')
         .attr('stroke-width', isSelected ? 3 : 1.5)
+        .attr('stroke-dasharray', dim.isAspect ? '4,3' : null)
         .attr('rx', 8)
         .on('mouseover', function() {
-          if (dim.hasData && !isSelected) {
+          if (dim.hasData && !isSelected && !dim.isAspect) {
             d3.select(this)
               .attr('fill', '#f5f5f5')
               .attr('stroke', '#2196f3')
@@ -191,7 +282,7 @@ const PerformanceDistributionMatrix = ({
           }
         })
         .on('mouseout', function() {
-          if (!isSelected) {
+          if (!isSelected && !dim.isAspect) {
             d3.select(this)
               .attr('fill', 'white')
               .attr('stroke', '#e0e0e0')
@@ -199,63 +290,183 @@ const PerformanceDistributionMatrix = ({
           }
         });
 
-      if (dim.hasData) {
-        // Icon
-        cardG.append('text')
-          .attr('x', cardWidth / 2)
-          .attr('y', cardPadding + 20)
-          .attr('text-anchor', 'middle')
-          .style('font-size', isPreview ? '18px' : '24px')
-          .style('pointer-events', 'none')
-          .text(dim.icon);
+      // Dimension label, shortened to the card width (full label in the card tooltip)
+      const label = dim.isAspect ? `${dim.label} (text)` : dim.label;
+      const labelSize = isPreview ? 10 : 12;
+      const maxLabelChars = Math.max(3, Math.floor((cardWidth - cardPadding * 2 - 8) / (labelSize * 0.6)));
 
-        // Dimension label
-        cardG.append('text')
-          .attr('x', cardWidth / 2)
-          .attr('y', cardPadding + (isPreview ? 38 : 48))
-          .attr('text-anchor', 'middle')
-          .style('font-size', isPreview ? '10px' : '12px')
-          .style('font-weight', isSelected ? 'bold' : '600')
-          .style('fill', isSelected ? '#2196f3' : '#2c3e50')
-          .style('pointer-events', 'none')
-          .text(dim.label);
+      cardG.append('text')
+        .attr('x', cardWidth / 2)
+        .attr('y', cardPadding + (isPreview ? 16 : 22))
+        .attr('text-anchor', 'middle')
+        .style('font-size', `${labelSize}px`)
+        .style('font-weight', isSelected ? 'bold' : '600')
+        .style('fill', !dim.hasData ? '#bdc3c7' : isSelected ? '#2196f3' : '#2c3e50')
+        .style('pointer-events', 'none')
+        .text(label.length > maxLabelChars ? `${label.slice(0, maxLabelChars - 1)}…` : label);
 
+      cardG.select('rect').append('title').text(label);
+
+      if (dim.hasData) {
         // Mini bar chart showing entity averages
-        const barAreaY = cardPadding + (isPreview ? 50 : 65);
+        const barAreaY = cardPadding + (isPreview ? 34 : 44);
         const barAreaHeight = cardHeight - barAreaY - cardPadding - 5;
         const barWidth = (cardWidth - cardPadding * 2 - 10) / 3;
         const barScale = d3.scaleLinear()
           .domain([0, 10])
           .range([0, barAreaHeight]);
+        // Intervals can reach past the scale ends; keep them on the card
+        const valueY = (value) => barAreaY + barAreaHeight - barScale(Math.max(0, Math.min(10, value)));
 
         dim.entityAverages.forEach((entity, i) => {
           const barX = cardPadding + 5 + i * barWidth;
-          
+
+          // Grouped bars per segment, on an entity-coloured base line
+          if (showSegments && entity.segments && entity.average !== null) {
+            const segmentWidth = (barWidth - 4) / entity.segments.length;
+
+            cardG.append('rect')
+              .attr('x', barX)
+              .attr('y', barAreaY + barAreaHeight + 1)
+              .attr('width', barWidth - 4)
+              .attr('height', 3)
+              .attr('fill', entity.color);
+
+            entity.segments.forEach((segment, j) => {
+              if (segment.average === null) return;
+              const barHeight = barScale(segment.average);
+              const segmentX = barX + j * segmentWidth;
+
+              cardG.append('rect')
+                .attr('x', segmentX)
+                .attr('y', barAreaY + barAreaHeight - barHeight)
+                .attr('width', Math.max(1, segmentWidth - 1))
+                .attr('height', barHeight)
+                .attr('fill', segmentColor(segment.value))
+                .attr('opacity', 0.8)
+                .style('cursor', 'pointer')
+                .on('mouseover', function() {
+                  d3.select(this).attr('opacity', 1);
+                })
+                .on('mouseout', function() {
+                  d3.select(this).attr('opacity', 0.8);
+                })
+                .on('click', function(event) {
+                  event.stopPropagation();
+                  openDrilldown({
+                    title: `${entity.label} · ${dim.label}`,
+                    subtitle: `${describeDimensionReviews(dim)} · ${segment.value}`,
+                    fields: { [entity.entity]: entity.field },
+                    segment: { field: split.field, value: segment.value }
+                  });
+                })
+                .append('title')
+                .text(`${entity.label} · ${segment.value}: ${formatDimensionValue(segment.average, ratingScale, entity.entity, entity.field)} (95% CI ${formatDimensionInterval(segment.ci, ratingScale, entity.entity, entity.field)}) from ${segment.count.toLocaleString()} reviews (click to read)`);
+
+              if (segment.ci && segmentWidth >= 6) {
+                drawIntervalWhisker(cardG, segmentX + (segmentWidth - 1) / 2, segment.ci, valueY, Math.min(6, segmentWidth - 2));
+              }
+
+              if (segmentWidth >= 20) {
+                cardG.append('text')
+                  .attr('x', segmentX + (segmentWidth - 1) / 2)
+                  .attr('y', barAreaY + barAreaHeight - barHeight - 3)
+                  .attr('text-anchor', 'middle')
+                  .style('font-size', '9px')
+                  .style('fill', '#2c3e50')
+                  .style('pointer-events', 'none')
+                  .text(formatDimensionValue(segment.average, ratingScale, entity.entity, entity.field, { suffix: false }));
+              }
+            });
+            return;
+          }
+
           if (entity.average !== null) {
             const barHeight = barScale(entity.average);
             const barY = barAreaY + barAreaHeight - barHeight;
+            const showDistribution = mode !== 'bars' && Boolean(entity.distribution);
+
+            if (showDistribution) {
+              drawDistribution(cardG, entity.distribution, mode, {
+                x: barX,
+                width: barWidth - 4,
+                y: valueY,
+                color: entity.color
+              });
+
+              // Mean marker, comparable with the bar view
+              cardG.append('path')
+                .attr('d', d3.symbol().type(d3.symbolDiamond).size(24))
+                .attr('transform', `translate(${barX + (barWidth - 4) / 2},${barY})`)
+                .attr('fill', 'white')
+                .attr('stroke', '#2c3e50')
+                .style('pointer-events', 'none');
+            }
 
-            // Bar
+            // Bar (an invisible hit area over the column when it shows the distribution)
             cardG.append('rect')
               .attr('x', barX)
-              .attr('y', barY)
+              .attr('y', showDistribution ? barAreaY : barY)
               .attr('width', barWidth - 4)
-              .attr('height', barHeight)
-              .attr('fill', entity.color)
+              .attr('height', showDistribution ? barAreaHeight : barHeight)
+              .attr('fill', showDistribution ? 'transparent' : entity.color)
               .attr('opacity', 0.7)
               .attr('rx', 2)
-              .style('pointer-events', 'none');
+              .style('cursor', 'pointer')
+              .on('mouseover', function() {
+                d3.select(this).attr('opacity', 1);
+              })
+              .on('mouseout', function() {
+                d3.select(this).attr('opacity', 0.7);
+              })
+              // Bars open their reviews instead of selecting the card's dimension
+              .on('click', function(event) {
+                event.stopPropagation();
+                openDrilldown(dim.isAspect
+                  ? {
+                    title: `${entity.label} · ${dim.label}`,
+                    subtitle: `Reviews that mention ${dim.label.toLowerCase()}`,
+                    fields: { [entity.entity]: 'overall_rating' },
+                    aspect: dim.aspectKey
+                  }
+                  : {
+                    title: `${entity.label} · ${dim.label}`,
+                    subtitle: describeDimensionReviews(dim),
+                    fields: { [entity.entity]: entity.field }
+                  });
+              })
+              .append('title')
+              .text(dim.isAspect
+                ? `${entity.label}: mentioned in ${entity.mentions.toLocaleString()} reviews (${(entity.share * 100).toFixed(0)}%), text sentiment ${entity.sentiment > 0 ? '+' : ''}${entity.sentiment.toFixed(2)} (click to read)`
+                : describeEntityAverage(dim, entity, ratingScale));
+
+            // 95% interval error bar
+            if (entity.ci && !showDistribution) {
+              drawIntervalWhisker(cardG, barX + (barWidth - 4) / 2, entity.ci, valueY, 6);
+            }
 
             // Value label on bar (always show)
             cardG.append('text')
               .attr('x', barX + (barWidth - 4) / 2)
-              .attr('y', barY - 3)
+              .attr('y', (showDistribution ? barAreaY : entity.ci ? valueY(entity.ci[1]) : barY) - 3)
               .attr('text-anchor', 'middle')
               .style('font-size', isPreview ? '9px' : '10px')
               .style('font-weight', 'bold')
               .style('fill', entity.color)
               .style('pointer-events', 'none')
-              .text(entity.average.toFixed(1));
+              .text(formatDimensionValue(entity.average, ratingScale, entity.entity, entity.field, { suffix: false }));
+          } else {
+            // This entity type has no such rating (or no review mentions the aspect)
+            cardG.append('text')
+              .attr('x', barX + (barWidth - 4) / 2)
+              .attr('y', barAreaY + barAreaHeight - 3)
+              .attr('text-anchor', 'middle')
+              .style('font-size', isPreview ? '8px' : '9px')
+              .style('fill', '#bdc3c7')
+              .style('font-style', 'italic')
+              .text('n/a')
+              .append('title')
+              .text(`${entity.label}: no ${dim.label} data`);
           }
         });
 
@@ -292,6 +503,70 @@ const PerformanceDistributionMatrix = ({
       .style('fill', '#7f8c8d')
       .text('Click any dimension to update both visualizations above');
 
+    // Toggle for the text-aspect cards
+    if (aspectMetrics) {
+      const toggleWidth = isPreview ? 90 : 110;
+      const aspectToggle = svg.append('g')
+        .attr('transform', `translate(15, ${isPreview ? 8 : 15})`)
+        .style('cursor', 'pointer')
+        .on('click', function() {
+          setShowAspects(!showAspects);
+        });
+
+      aspectToggle.append('rect')
+        .attr('width', toggleWidth)
+        .attr('height', isPreview ? 20 : 28)
+        .attr('fill', showAspects ? '#8e44ad' : 'white')
+        .attr('stroke', '#8e44ad')
+        .attr('rx', 5);
+
+      aspectToggle.append('text')
+        .attr('x', toggleWidth / 2)
+        .attr('y', isPreview ? 10 : 14)
+        .attr('text-anchor', 'middle')
+        .attr('dy', '0.35em')
+        .style('font-size', isPreview ? '9px' : '11px')
+        .style('font-weight', 'bold')
+        .style('fill', showAspects ? 'white' : '#8e44ad')
+        .style('pointer-events', 'none')
+        .text(showAspects ? 'Hide text aspects' : 'Show text aspects');
+    }
+
+    // Average / distribution switch
+    if (!isPreview) {
+      const buttonWidth = 62;
+      const modeSwitch = svg.append('g')
+        .attr('transform', `translate(${aspectMetrics ? 135 : 15}, 15)`);
+
+      DISTRIBUTION_MODES.forEach((option, i) => {
+        const isActive = distributionMode === option.key;
+        const button = modeSwitch.append('g')
+          .attr('transform', `translate(${i * buttonWidth}, 0)`)
+          .style('cursor', 'pointer')
+          .on('click', function() {
+            setDistributionMode(option.key);
+          });
+
+        button.append('rect')
+          .attr('width', buttonWidth - 2)
+          .attr('height', 28)
+          .attr('fill', isActive ? '#2c3e50' : 'white')
+          .attr('stroke', '#2c3e50')
+          .attr('rx', 5);
+
+        button.append('text')
+          .attr('x', (buttonWidth - 2) / 2)
+          .attr('y', 14)
+          .attr('text-anchor', 'middle')
+          .attr('dy', '0.35em')
+          .style('font-size', '11px')
+          .style('font-weight', 'bold')
+          .style('fill', isActive ? 'white' : '#2c3e50')
+          .style('pointer-events', 'none')
+          .text(option.label);
+      });
+    }
+
     // Active filter indicator
     if (selectedDimension) {
       svg.append('text')
@@ -300,7 +575,7 @@ const PerformanceDistributionMatrix = ({
         .style('font-size', '11px')
         .style('font-weight', 'bold')
         .style('fill', '#2196f3')
-        .text(`Active: ${selectedDimension.label} ratings`);
+        .text(`Active: ${selectedDimension.dimension} ratings`);
 
       // Reset button
       if (!isPreview) {
@@ -308,10 +583,7 @@ const PerformanceDistributionMatrix = ({
           .attr('transform', `translate(${containerWidth - 100}, 15)`)
           .style('cursor', 'pointer')
           .on('click', function() {
-            setSelectedDimension(null);
-            if (onFilterChange) {
-              onFilterChange(null);
-            }
+            updateFilter('dimensionFilter', null);
           });
 
         resetButton.append('rect')
@@ -370,6 +642,32 @@ const PerformanceDistributionMatrix = ({
         .style('fill', '#7f8c8d')
         .text(entity.name);
     });
+
+    // Legend (segment colors) for the grouped bars
+    if (showSegments) {
+      const segmentSpacing = isPreview ? 75 : 90;
+      const segmentStartX = containerWidth - 15 - split.values.length * segmentSpacing;
+
+      split.values.forEach((value, i) => {
+        const x = segmentStartX + i * segmentSpacing;
+
+        svg.append('rect')
+          .attr('x', x)
+          .attr('y', legendY - 5)
+          .attr('width', 10)
+          .attr('height', 10)
+          .attr('fill', segmentColor(value))
+          .attr('rx', 2);
+
+        svg.append('text')
+          .attr('x', x + 13)
+          .attr('y', legendY)
+          .attr('dy', '0.35em')
+          .style('font-size', '9px')
+          .style('fill', '#7f8c8d')
+          .text(value.length > 13 ? `${value.slice(0, 12)}…` : value);
+      });
+    }
   };
 
   return (
@@ -0,0 +1,222 @@
+import { useRef, useState } from 'react';
+import { useFilters } from '../context/filterContext';
+import { toPlainState, fromPlainState } from '../utils/urlState';
+import {
+  loadPresets,
+  savePresets,
+  createPreset,
+  exportPresets,
+  parsePresetFile
+} from '../utils/presets';
+import { downloadFile } from '../utils/download';
+
+const PresetManager = () => {
+  const { filters, view, applyDashboardState } = useFilters();
+  const [presets, setPresets] = useState(loadPresets);
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef();
+
+  const updatePresets = (next) => {
+    setPresets(next);
+    savePresets(next);
+  };
+
+  const handleSave = () => {
+    if (!newName.trim()) return;
+    updatePresets([...presets, createPreset(newName, toPlainState({ filters, view }))]);
+    setNewName('');
+    setMessage({ type: 'ok', text: 'Preset saved' });
+  };
+
+  const handleApply = (preset) => {
+    applyDashboardState(fromPlainState(preset.state));
+    setMessage({ type: 'ok', text: `Loaded "${preset.name}"` });
+  };
+
+  const handleDelete = (preset) => {
+    if (!window.confirm(`Delete preset "${preset.name}"?`)) return;
+    updatePresets(presets.filter(p => p.id !== preset.id));
+  };
+
+  const handleRenameStart = (preset) => {
+    setEditingId(preset.id);
+    setEditingName(preset.name);
+  };
+
+  const handleRenameCommit = () => {
+    if (editingName.trim()) {
+      updatePresets(presets.map(p => p.id === editingId ? { ...p, name: editingName.trim() } : p));
+    }
+    setEditingId(null);
+  };
+
+  const handleExport = () => {
+    downloadFile(exportPresets(presets), 'skytrax-presets.json', 'application/json');
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        const imported = parsePresetFile(text);
+        updatePresets([...presets, ...imported]);
+        setMessage({ type: 'ok', text: `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}` });
+      })
+      .catch(err => {
+        console.error('Preset import error:', err);
+        setMessage({ type: 'error', text: `Import failed: ${err.message}` });
+      });
+  };
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <h3 style={{ fontSize: '14px', marginBottom: '10px', color: '#2c3e50', fontWeight: 'bold' }}>
+        Saved Presets
+      </h3>
+
+      <div style={{ display: 'flex', gap: '5px', marginBottom: '8px' }}>
+        <input
+          type="text"
+          value={newName}
+          placeholder="Name this view…"
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          style={inputStyle}
+        />
+        <button onClick={handleSave} disabled={!newName.trim()} style={{ ...buttonStyle, opacity: newName.trim() ? 1 : 0.5 }}>
+          Save
+        </button>
+      </div>
+
+      {presets.length === 0 && (
+        <div style={{ fontSize: '11px', color: '#95a5a6', fontStyle: 'italic', marginBottom: '8px' }}>
+          No saved presets yet
+        </div>
+      )}
+
+      <div style={{ maxHeight: '180px', overflowY: 'auto', marginBottom: '8px' }}>
+        {presets.map(preset => (
+          <div
+            key={preset.id}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '4px',
+              padding: '5px 6px',
+              marginBottom: '3px',
+              borderRadius: '4px',
+              background: '#f8f9fa',
+              fontSize: '11px'
+            }}
+          >
+            {editingId === preset.id ? (
+              <input
+                type="text"
+                value={editingName}
+                autoFocus
+                onChange={(e) => setEditingName(e.target.value)}
+                onBlur={handleRenameCommit}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleRenameCommit();
+                  if (e.key === 'Escape') setEditingId(null);
+                }}
+                style={{ ...inputStyle, padding: '3px 5px' }}
+              />
+            ) : (
+              <button
+                onClick={() => handleApply(preset)}
+                title="Load this preset"
+                style={{
+                  flex: 1,
+                  textAlign: 'left',
+                  background: 'none',
+                  border: 'none',
+                  padding: 0,
+                  color: '#2c3e50',
+                  fontWeight: '600',
+                  fontSize: '11px',
+                  cursor: 'pointer',
+                  wordBreak: 'break-word'
+                }}
+              >
+                {preset.name}
+              </button>
+            )}
+            <button onClick={() => handleRenameStart(preset)} title="Rename" style={iconButtonStyle}>✎</button>
+            <button onClick={() => handleDelete(preset)} title="Delete" style={iconButtonStyle}>✕</button>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '5px' }}>
+        <button onClick={() => fileInputRef.current.click()} style={{ ...buttonStyle, flex: 1 }}>
+          Import
+        </button>
+        <button
+          onClick={handleExport}
+          disabled={presets.length === 0}
+          style={{ ...buttonStyle, flex: 1, opacity: presets.length === 0 ? 0.5 : 1 }}
+        >
+          Export
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {message && (
+        <div style={{
+          marginTop: '6px',
+          fontSize: '10px',
+          color: message.type === 'error' ? '#e74c3c' : '#27ae60'
+        }}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: '6px 8px',
+  fontSize: '11px',
+  border: '1px solid #cfcfcf',
+  borderRadius: '4px',
+  color: '#2c3e50',
+  background: 'white'
+};
+
+const buttonStyle = {
+  padding: '6px 10px',
+  fontSize: '11px',
+  background: '#3498db',
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontWeight: 'bold'
+};
+
+const iconButtonStyle = {
+  padding: '2px 5px',
+  fontSize: '11px',
+  background: 'transparent',
+  color: '#7f8c8d',
+  border: 'none',
+  borderRadius: '3px',
+  cursor: 'pointer'
+};
+
+export default PresetManager;
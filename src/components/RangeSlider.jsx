@@ -0,0 +1,84 @@
+import { useState } from 'react';
+
+/**
+ * Dual-handle range slider built from two overlaid range inputs.
+ * The range is only committed through onChange when a handle is released,
+ * so dragging does not re-filter the whole dashboard on every step.
+ */
+const RangeSlider = ({ label, value, onChange, min = 0, max = 10, step = 1, color = '#3498db' }) => {
+  const [draft, setDraft] = useState(null);
+  const [low, high] = draft || value;
+
+  const handleLowChange = (e) => {
+    setDraft([Math.min(+e.target.value, high), high]);
+  };
+
+  const handleHighChange = (e) => {
+    setDraft([low, Math.max(+e.target.value, low)]);
+  };
+
+  const commit = () => {
+    if (!draft) return;
+    onChange(draft);
+    setDraft(null);
+  };
+
+  const isActive = low > min || high < max;
+  const lowPercent = ((low - min) / (max - min)) * 100;
+  const highPercent = ((high - min) / (max - min)) * 100;
+
+  return (
+    <div style={{ marginBottom: '10px' }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        fontSize: '11px',
+        marginBottom: '2px',
+        color: '#2c3e50'
+      }}>
+        <span style={{ fontWeight: isActive ? 'bold' : '500' }}>{label}</span>
+        <span style={{ color: isActive ? color : '#95a5a6', fontWeight: 'bold' }}>
+          {low} – {high}
+        </span>
+      </div>
+
+      <div className="range-slider">
+        <div className="range-slider-track" />
+        <div
+          className="range-slider-fill"
+          style={{
+            left: `${lowPercent}%`,
+            width: `${highPercent - lowPercent}%`,
+            background: isActive ? color : '#bdc3c7'
+          }}
+        />
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={low}
+          aria-label={`${label} minimum`}
+          onChange={handleLowChange}
+          onPointerUp={commit}
+          onKeyUp={commit}
+          onBlur={commit}
+        />
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={high}
+          aria-label={`${label} maximum`}
+          onChange={handleHighChange}
+          onPointerUp={commit}
+          onKeyUp={commit}
+          onBlur={commit}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default RangeSlider;
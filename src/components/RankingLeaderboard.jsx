@@ -0,0 +1,194 @@
+import { useEffect, useState } from 'react';
+import { useFilters } from '../context/filterContext';
+import { formatRating } from '../utils/ratingSchema';
+import { PRIOR_STRENGTHS, RANKING_MODES } from '../utils/rankings';
+
+const ENTITY_PANELS = [
+  { entity: 'airline', label: 'Airlines', color: '#3498db' },
+  { entity: 'airport', label: 'Airports', color: '#27ae60' },
+  { entity: 'lounge', label: 'Lounges', color: '#e67e22' }
+];
+
+// Rank movement from the raw to the adjusted ranking
+const describeMovement = (subject) => {
+  const change = subject.rawRank - subject.adjustedRank;
+  if (change === 0) return { text: '=', color: '#95a5a6' };
+  return change > 0
+    ? { text: `▲${change}`, color: '#27ae60' }
+    : { text: `▼${-change}`, color: '#e74c3c' };
+};
+
+// Leaderboards of airlines, airports and lounges with their raw and Bayesian-adjusted overall
+// ratings. `fetchRankings` computes them in the data worker (see utils/rankings.js); the order
+// and prior strength are view settings, so a published ranking can be shared as a link.
+const RankingLeaderboard = ({ fetchRankings, datasets }) => {
+  const { filters, view, updateView, openDrilldown } = useFilters();
+  const { ratingScale, rankingMode, priorStrength } = view;
+  const [rankings, setRankings] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchRankings({ filters, priorStrength, mode: rankingMode }).then(result => {
+      if (!cancelled) setRankings(result);
+    }).catch(err => console.error('Error computing rankings:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchRankings, filters, priorStrength, rankingMode, datasets]);
+
+  const openSubjectReviews = (entity, label, subject) => {
+    openDrilldown({
+      title: subject.name,
+      subtitle: `${subject.place ? `${label} · ${subject.place}` : label} · overall ratings`,
+      fields: { [entity]: 'overall_rating' },
+      match: subject.match
+    });
+  };
+
+  return (
+    <div style={{ flex: 1, minHeight: 0, padding: '20px', overflowY: 'auto', boxSizing: 'border-box' }}>
+      <h2 style={{ margin: '0 0 5px 0', fontSize: '18px', color: '#2c3e50' }}>Rankings</h2>
+      <p style={{ margin: '0 0 15px 0', fontSize: '12px', color: '#7f8c8d' }}>
+        Overall ratings within the current filters. The adjusted score is a Bayesian average: each
+        mean is pulled toward the mean of all reviews of its kind as if {priorStrength} reviews at
+        that mean were added, so a few enthusiastic reviews cannot put a subject on top. The arrows
+        show how far the adjustment moves a subject from its raw-average rank.
+      </p>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '15px', fontSize: '12px', color: '#7f8c8d' }}>
+        <label>
+          Order by{' '}
+          <select value={rankingMode} onChange={(e) => updateView('rankingMode', e.target.value)} style={selectStyle}>
+            {RANKING_MODES.map(mode => (
+              <option key={mode.key} value={mode.key}>{mode.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Prior strength{' '}
+          <select value={priorStrength} onChange={(e) => updateView('priorStrength', +e.target.value)} style={selectStyle}>
+            {PRIOR_STRENGTHS.map(strength => (
+              <option key={strength} value={strength}>
+                {strength === 0 ? '0 (no adjustment)' : `${strength} reviews`}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!rankings && <div style={{ fontSize: '11px', color: '#95a5a6' }}>Computing rankings…</div>}
+
+      {rankings && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '15px', alignItems: 'flex-start' }}>
+          {ENTITY_PANELS.map(({ entity, label, color }) => {
+            const { leaders, subjectCount, priorMean } = rankings[entity];
+            return (
+              <div key={entity} style={{ ...panelStyle, flex: 1, minWidth: '320px', borderTop: `4px solid ${color}` }}>
+                <h3 style={panelTitleStyle}>{label}</h3>
+                <div style={{ marginBottom: '6px', fontSize: '10px', color: '#95a5a6' }}>
+                  Prior: {formatRating(priorMean, ratingScale, entity, 'overall_rating')} over all {label.toLowerCase()}
+                </div>
+                {leaders.length === 0 ? (
+                  <div style={{ fontSize: '11px', color: '#95a5a6' }}>No rated reviews within the current filters.</div>
+                ) : (
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
+                    <thead>
+                      <tr style={{ color: '#7f8c8d', textAlign: 'left' }}>
+                        <th style={cellStyle}>#</th>
+                        <th style={cellStyle}>Name</th>
+                        <th style={cellStyle}>Reviews</th>
+                        <th style={cellStyle}>Raw</th>
+                        <th style={cellStyle}>Adjusted</th>
+                        <th style={cellStyle} title="Rank change from the raw to the adjusted ranking">Move</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {leaders.map((subject, i) => {
+                        const movement = describeMovement(subject);
+                        return (
+                          <tr
+                            key={subject.key}
+                            onClick={() => openSubjectReviews(entity, label, subject)}
+                            style={{ borderTop: '1px solid #f0f0f0', cursor: 'pointer' }}
+                            title={`Raw rank ${subject.rawRank}, adjusted rank ${subject.adjustedRank} · click to read the reviews`}
+                          >
+                            <td style={{ ...cellStyle, color: '#7f8c8d' }}>{i + 1}</td>
+                            <td style={{ ...cellStyle, maxWidth: '140px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#2c3e50' }}>
+                              {subject.name}
+                              {subject.place && <div style={{ fontSize: '10px', color: '#95a5a6', overflow: 'hidden', textOverflow: 'ellipsis' }}>{subject.place}</div>}
+                            </td>
+                            <td style={cellStyle}>{subject.count.toLocaleString()}</td>
+                            <td style={{ ...cellStyle, color: '#7f8c8d' }}>{formatRating(subject.raw, ratingScale, entity, 'overall_rating', { suffix: false })}</td>
+                            <td style={cellStyle}>
+                              <ShrinkageBar subject={subject} priorMean={priorMean} color={color} ratingScale={ratingScale} entity={entity} />
+                            </td>
+                            <td style={{ ...cellStyle, fontWeight: 'bold', color: movement.color }}>{movement.text}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                )}
+                <div style={{ marginTop: '6px', fontSize: '10px', color: '#95a5a6' }}>
+                  {leaders.length} of {subjectCount} {label.toLowerCase()}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Adjusted score with the pull from the raw mean toward the prior drawn on a 0-10 track
+const ShrinkageBar = ({ subject, priorMean, color, ratingScale, entity }) => {
+  const left = Math.min(subject.raw, subject.adjusted) * 10;
+  const right = Math.max(subject.raw, subject.adjusted) * 10;
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+      <span style={{ width: '30px', fontWeight: 'bold', color: '#2c3e50' }}>
+        {formatRating(subject.adjusted, ratingScale, entity, 'overall_rating', { suffix: false })}
+      </span>
+      <div style={{ position: 'relative', flex: 1, minWidth: '60px', height: '8px', background: '#f0f0f0', borderRadius: '4px' }}>
+        {priorMean !== null && (
+          <div style={{ position: 'absolute', left: `${priorMean * 10}%`, width: '1px', top: '-3px', bottom: '-3px', background: '#95a5a6' }} />
+        )}
+        <div style={{ position: 'absolute', left: `${left}%`, width: `${right - left}%`, top: '3px', height: '2px', background: color, opacity: 0.4 }} />
+        <div style={{ position: 'absolute', left: `calc(${subject.raw * 10}% - 3px)`, top: '1px', width: '4px', height: '4px', border: `1px solid ${color}`, borderRadius: '50%', background: 'white' }} />
+        <div style={{ position: 'absolute', left: `calc(${subject.adjusted * 10}% - 3px)`, top: '1px', width: '6px', height: '6px', borderRadius: '50%', background: color }} />
+      </div>
+    </div>
+  );
+};
+
+const panelStyle = {
+  padding: '12px',
+  background: 'white',
+  border: '1px solid #e0e0e0',
+  borderRadius: '8px'
+};
+
+const panelTitleStyle = {
+  margin: '0 0 4px 0',
+  fontSize: '13px',
+  color: '#2c3e50'
+};
+
+const cellStyle = {
+  padding: '4px 6px'
+};
+
+const selectStyle = {
+  padding: '6px 8px',
+  fontSize: '12px',
+  border: '1px solid #cfcfcf',
+  borderRadius: '6px',
+  color: '#2c3e50',
+  background: 'white'
+};
+
+export default RankingLeaderboard;
@@ -0,0 +1,167 @@
+import { useFilters } from '../context/filterContext';
+import { RECOMMENDATION_FIELD, formatRate, formatNetScore } from '../utils/recommendation';
+
+const ENTITY_PANELS = [
+  { entity: 'airline', label: 'Airlines', color: '#3498db' },
+  { entity: 'airport', label: 'Airports', color: '#27ae60' },
+  { entity: 'lounge', label: 'Lounges', color: '#e67e22' }
+];
+
+const netColor = (net) => (net > 0 ? '#27ae60' : net < 0 ? '#e74c3c' : '#7f8c8d');
+
+// `leaderboard` is aggregateRecommendationLeaderboard's result for the filtered data
+const RecommendationLeaderboard = ({ leaderboard }) => {
+  const { openDrilldown } = useFilters();
+
+  if (!leaderboard) {
+    return <div style={{ padding: '20px', fontSize: '12px', color: '#7f8c8d' }}>Computing recommendation rates…</div>;
+  }
+
+  const openSubjectReviews = (entity, label, subject) => {
+    openDrilldown({
+      title: subject.name,
+      subtitle: `${subject.place ? `${label} · ${subject.place}` : label} · reviews that say whether they recommend`,
+      fields: { [entity]: RECOMMENDATION_FIELD },
+      match: subject.match
+    });
+  };
+
+  return (
+    <div style={{ flex: 1, minHeight: 0, padding: '20px', overflowY: 'auto', boxSizing: 'border-box' }}>
+      <h2 style={{ margin: '0 0 5px 0', fontSize: '18px', color: '#2c3e50' }}>Net Recommenders</h2>
+      <p style={{ margin: '0 0 15px 0', fontSize: '12px', color: '#7f8c8d' }}>
+        Share of reviewers who recommend, with its 95% Wilson interval. Subjects are ranked by the
+        lower end of the interval, so a high rate from a handful of reviews does not top the list.
+        The net score is the share recommending minus the share not recommending.
+      </p>
+
+      <div style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
+        {ENTITY_PANELS.map(({ entity, label, color }) => {
+          const { overall } = leaderboard[entity];
+          return (
+            <StatBox
+              key={entity}
+              label={`${label} · ${overall.total.toLocaleString()} reviews · net ${formatNetScore(overall.net)}`}
+              value={formatRate(overall.rate)}
+              color={color}
+            />
+          );
+        })}
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '15px', alignItems: 'flex-start' }}>
+        {ENTITY_PANELS.map(({ entity, label, color }) => {
+          const { leaders, subjectCount } = leaderboard[entity];
+          return (
+            <div key={entity} style={{ ...panelStyle, flex: 1, minWidth: '300px', borderTop: `4px solid ${color}` }}>
+              <h3 style={panelTitleStyle}>{label}</h3>
+              {leaders.length === 0 ? (
+                <div style={{ fontSize: '11px', color: '#95a5a6' }}>Not enough reviews within the current filters.</div>
+              ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
+                  <thead>
+                    <tr style={{ color: '#7f8c8d', textAlign: 'left' }}>
+                      <th style={cellStyle}>#</th>
+                      <th style={cellStyle}>Name</th>
+                      <th style={cellStyle}>Reviews</th>
+                      <th style={cellStyle}>Recommend</th>
+                      <th style={cellStyle} title="Share recommending minus share not recommending">Net</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {leaders.map((subject, i) => (
+                      <tr
+                        key={subject.key}
+                        onClick={() => openSubjectReviews(entity, label, subject)}
+                        style={{ borderTop: '1px solid #f0f0f0', cursor: 'pointer' }}
+                        title="Click to read the reviews"
+                      >
+                        <td style={{ ...cellStyle, color: '#7f8c8d' }}>{i + 1}</td>
+                        <td style={{ ...cellStyle, maxWidth: '140px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#2c3e50' }}>
+                          <SubjectName subject={subject} />
+                        </td>
+                        <td style={cellStyle}>{subject.total.toLocaleString()}</td>
+                        <td style={cellStyle}>
+                          <RateInterval rate={subject.rate} ci={subject.ci} color={color} />
+                        </td>
+                        <td style={{ ...cellStyle, fontWeight: 'bold', color: netColor(subject.net) }}>{formatNetScore(subject.net)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              <div style={{ marginTop: '6px', fontSize: '10px', color: '#95a5a6' }}>
+                {leaders.length} of {subjectCount} {label.toLowerCase()} with enough reviews
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// Subject name, with the airport under a lounge
+const SubjectName = ({ subject }) => (
+  <>
+    {subject.name}
+    {subject.place && <div style={{ fontSize: '10px', color: '#95a5a6', overflow: 'hidden', textOverflow: 'ellipsis' }}>{subject.place}</div>}
+  </>
+);
+
+// Rate with its interval drawn on a 0-100% track
+const RateInterval = ({ rate, ci, color }) => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }} title={`95% CI ${formatRate(ci[0])} – ${formatRate(ci[1])}`}>
+    <span style={{ width: '30px', fontWeight: 'bold', color: '#2c3e50' }}>{formatRate(rate)}</span>
+    <div style={{ position: 'relative', flex: 1, minWidth: '60px', height: '8px', background: '#f0f0f0', borderRadius: '4px' }}>
+      <div
+        style={{
+          position: 'absolute',
+          left: `${ci[0] * 100}%`,
+          width: `${(ci[1] - ci[0]) * 100}%`,
+          top: 0,
+          bottom: 0,
+          background: color,
+          opacity: 0.35,
+          borderRadius: '4px'
+        }}
+      />
+      <div
+        style={{
+          position: 'absolute',
+          left: `calc(${rate * 100}% - 1px)`,
+          width: '2px',
+          top: '-2px',
+          bottom: '-2px',
+          background: color
+        }}
+      />
+    </div>
+  </div>
+);
+
+const StatBox = ({ label, value, color = '#2c3e50' }) => (
+  <div style={{ flex: 1, minWidth: 0, padding: '8px 10px', background: 'white', border: '1px solid #e0e0e0', borderRadius: '6px' }}>
+    <div style={{ fontSize: '16px', fontWeight: 'bold', color }}>{value}</div>
+    <div style={{ fontSize: '10px', color: '#7f8c8d', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{label}</div>
+  </div>
+);
+
+const panelStyle = {
+  padding: '12px',
+  background: 'white',
+  border: '1px solid #e0e0e0',
+  borderRadius: '8px'
+};
+
+const panelTitleStyle = {
+  margin: '0 0 8px 0',
+  fontSize: '13px',
+  color: '#2c3e50'
+};
+
+const cellStyle = {
+  padding: '4px 6px'
+};
+
+export default RecommendationLeaderboard;
@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { getHighlightSegments } from '../utils/textSearch';
+import { formatRating } from '../utils/ratingSchema';
+import { getReviewUrl } from '../utils/format';
+import { SENTIMENT_FLAGS } from '../utils/textAnalytics';
+import { getAspectByKey } from '../utils/aspects';
+
+const EXCERPT_LENGTH = 400;
+const NO_HIGHLIGHTS = new Set();
+
+const entityColors = { airline: '#3498db', airport: '#27ae60', lounge: '#e67e22' };
+const entityLabels = { airline: 'Airline', airport: 'Airport', lounge: 'Lounge' };
+
+const Highlighted = ({ text, terms }) => (
+  <>
+    {getHighlightSegments(text, terms).map((segment, i) => (
+      segment.match
+        ? <mark key={i} style={{ background: '#f9e79f', padding: 0 }}>{segment.text}</mark>
+        : <span key={i}>{segment.text}</span>
+    ))}
+  </>
+);
+
+// One review with its ratings; `highlightTerms` (lowercase tokens) are marked in the text
+const ReviewCard = ({ review, ratingScale, highlightTerms = NO_HIGHLIGHTS }) => {
+  const [expanded, setExpanded] = useState(false);
+  const isLong = review.content.length > EXCERPT_LENGTH;
+  const content = isLong && !expanded ? `${review.content.slice(0, EXCERPT_LENGTH)}…` : review.content;
+  const url = getReviewUrl(review.link);
+
+  return (
+    <div
+      style={{
+        marginBottom: '10px',
+        padding: '12px 15px',
+        background: 'white',
+        border: '1px solid #e0e0e0',
+        borderLeft: `4px solid ${entityColors[review.entity]}`,
+        borderRadius: '6px',
+        fontSize: '12px'
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'baseline', gap: '10px', marginBottom: '4px' }}>
+        <span style={{ fontSize: '10px', fontWeight: 'bold', color: entityColors[review.entity], textTransform: 'uppercase' }}>
+          {entityLabels[review.entity]}
+        </span>
+        <span style={{ flex: 1, minWidth: 0, fontWeight: 'bold', color: '#2c3e50' }}>
+          {review.subject}
+          {review.entity === 'lounge' && review.airport && (
+            <span style={{ fontWeight: 'normal', color: '#7f8c8d' }}> · {review.airport}</span>
+          )}
+        </span>
+        <span style={{ fontWeight: 'bold', color: '#2c3e50', whiteSpace: 'nowrap' }}>
+          {formatRating(review.rating, ratingScale, review.entity, 'overall_rating')}
+        </span>
+      </div>
+
+      {review.subRatings.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '6px' }}>
+          {review.subRatings.map(r => (
+            <span
+              key={r.field}
+              style={{ padding: '1px 6px', background: '#f4f6f7', borderRadius: '3px', fontSize: '10px', color: '#566573' }}
+            >
+              {r.label} <strong>{formatRating(r.value, ratingScale, review.entity, r.field, { suffix: false })}</strong>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {review.title && (
+        <div style={{ fontStyle: 'italic', color: '#34495e', marginBottom: '4px' }}>
+          <Highlighted text={review.title} terms={highlightTerms} />
+        </div>
+      )}
+
+      <div style={{ color: '#2c3e50', lineHeight: 1.5 }}>
+        <Highlighted text={content} terms={highlightTerms} />
+        {isLong && (
+          <button
+            onClick={() => setExpanded(!expanded)}
+            style={{ marginLeft: '6px', padding: 0, border: 'none', background: 'none', color: '#3498db', cursor: 'pointer', fontSize: '11px' }}
+          >
+            {expanded ? 'Show less' : 'Show full review'}
+          </button>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 10px', marginTop: '6px', fontSize: '11px', color: '#7f8c8d' }}>
+        <span>{review.author || 'Anonymous'}{review.author_country && ` (${review.author_country})`}</span>
+        <span>{review.date}</span>
+        {review.recommended === '1' && <span style={{ color: '#27ae60' }}>Recommended</span>}
+        {review.recommended === '0' && <span style={{ color: '#e74c3c' }}>Not recommended</span>}
+        {review.sentiment !== null && (
+          <span title="Lexicon sentiment of the review text, from -1 (negative) to +1 (positive)">
+            Text sentiment {review.sentiment > 0 ? '+' : ''}{review.sentiment.toFixed(2)}
+          </span>
+        )}
+        {review.aspects.length > 0 && (
+          <span>Mentions {review.aspects.map(key => getAspectByKey(key).label.toLowerCase()).join(', ')}</span>
+        )}
+        {review.sentimentFlag && (
+          <span style={{ color: '#8e44ad', fontWeight: 'bold' }}>⚠ {SENTIMENT_FLAGS[review.sentimentFlag]}</span>
+        )}
+        {url && (
+          <a href={url} target="_blank" rel="noopener noreferrer" style={{ marginLeft: 'auto', color: '#3498db' }}>
+            Source ↗
+          </a>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewCard;
@@ -0,0 +1,130 @@
+import { useEffect, useState } from 'react';
+import { useFilters } from '../context/filterContext';
+import ReviewCard from './ReviewCard';
+
+const PAGE_SIZE = 20;
+
+// Side drawer with the reviews behind the chart mark in `drilldown` (set via openDrilldown).
+// `fetchReviews` loads one page from the data worker (see useDataWorker).
+const ReviewDrawer = ({ fetchReviews }) => {
+  const { filters, view, drilldown, closeDrilldown } = useFilters();
+  const [page, setPage] = useState({ target: null, filters: null, index: 0 });
+  const [response, setResponse] = useState(null);
+
+  // Start on the first page whenever another mark is opened or the filters change, since a
+  // narrower selection may not reach the page that was open
+  const pageIndex = page.target === drilldown && page.filters === filters ? page.index : 0;
+
+  useEffect(() => {
+    if (!drilldown) return;
+    let cancelled = false;
+
+    fetchReviews({ filters, target: drilldown, offset: pageIndex * PAGE_SIZE, limit: PAGE_SIZE }).then(result => {
+      if (!cancelled) setResponse({ ...result, target: drilldown, pageIndex });
+    }).catch(err => console.error('Error loading reviews:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchReviews, filters, drilldown, pageIndex]);
+
+  useEffect(() => {
+    if (!drilldown) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') closeDrilldown();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [drilldown, closeDrilldown]);
+
+  if (!drilldown) return null;
+
+  // Keep showing the previous page until the next one arrives, but never another mark's reviews
+  const current = response && response.target === drilldown ? response : null;
+  const pageCount = current ? Math.max(1, Math.ceil(current.total / PAGE_SIZE)) : 1;
+
+  const goToPage = (index) => {
+    setPage({ target: drilldown, filters, index });
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        right: 0,
+        bottom: 0,
+        width: '440px',
+        maxWidth: '100vw',
+        display: 'flex',
+        flexDirection: 'column',
+        background: '#f8f9fa',
+        borderLeft: '1px solid #d0d0d0',
+        boxShadow: '-4px 0 16px rgba(0,0,0,0.15)',
+        zIndex: 10001
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'flex-start', gap: '10px', padding: '15px 20px', background: 'white', borderBottom: '1px solid #e0e0e0' }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <h3 style={{ margin: 0, fontSize: '15px', color: '#2c3e50' }}>{drilldown.title}</h3>
+          {drilldown.subtitle && (
+            <div style={{ fontSize: '11px', color: '#7f8c8d', marginTop: '2px' }}>{drilldown.subtitle}</div>
+          )}
+          <div style={{ fontSize: '11px', color: '#7f8c8d', marginTop: '4px' }}>
+            {current
+              ? `${current.total.toLocaleString()} review${current.total === 1 ? '' : 's'} within the current filters`
+              : 'Loading reviews…'}
+          </div>
+        </div>
+        <button
+          onClick={closeDrilldown}
+          title="Close (Esc)"
+          style={{ padding: '2px 8px', fontSize: '16px', border: 'none', background: 'none', color: '#7f8c8d', cursor: 'pointer' }}
+        >
+          ×
+        </button>
+      </div>
+
+      <div style={{ flex: 1, minHeight: 0, overflowY: 'auto', padding: '15px 20px' }}>
+        {current && current.results.map(review => (
+          <ReviewCard key={review.id} review={review} ratingScale={view.ratingScale} />
+        ))}
+      </div>
+
+      {current && pageCount > 1 && (
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '10px 20px', background: 'white', borderTop: '1px solid #e0e0e0', fontSize: '11px', color: '#7f8c8d' }}>
+          <button
+            onClick={() => goToPage(current.pageIndex - 1)}
+            disabled={current.pageIndex === 0}
+            style={pagerButtonStyle(current.pageIndex === 0)}
+          >
+            ← Newer
+          </button>
+          <span>Page {current.pageIndex + 1} of {pageCount}</span>
+          <button
+            onClick={() => goToPage(current.pageIndex + 1)}
+            disabled={current.pageIndex >= pageCount - 1}
+            style={pagerButtonStyle(current.pageIndex >= pageCount - 1)}
+          >
+            Older →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const pagerButtonStyle = (disabled) => ({
+  padding: '6px 12px',
+  fontSize: '11px',
+  background: disabled ? '#bdc3c7' : '#3498db',
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  cursor: disabled ? 'default' : 'pointer',
+  fontWeight: 'bold'
+});
+
+export default ReviewDrawer;
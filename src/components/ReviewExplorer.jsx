@@ -0,0 +1,122 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useFilters } from '../context/filterContext';
+import { REVIEW_SORTS, parseSearchQuery, getHighlightTerms } from '../utils/textSearch';
+import ReviewCard from './ReviewCard';
+
+const PAGE_SIZE = 50;
+
+// Full-text review browser over the current filtered selection.
+// `searchReviews` runs the query in the data worker (see useDataWorker).
+const ReviewExplorer = ({ searchReviews, datasets }) => {
+  const { filters, view } = useFilters();
+  const [query, setQuery] = useState('');
+  const [sort, setSort] = useState('relevance');
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [response, setResponse] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    // Wait for a pause in typing before querying
+    const timer = setTimeout(() => {
+      searchReviews({ filters, query, sort, limit }).then(result => {
+        if (!cancelled) setResponse({ ...result, query });
+      }).catch(err => console.error('Error searching reviews:', err));
+    }, 200);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchReviews, filters, query, sort, limit, datasets]);
+
+  // Highlight what the shown results were searched for, not what is being typed
+  const highlightTerms = useMemo(
+    () => getHighlightTerms(parseSearchQuery(response ? response.query : '')),
+    [response]
+  );
+
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    setLimit(PAGE_SIZE);
+  };
+
+  const handleSortChange = (value) => {
+    setSort(value);
+    setLimit(PAGE_SIZE);
+  };
+
+  return (
+    <div style={{ flex: 1, minHeight: 0, padding: '20px', overflowY: 'auto', boxSizing: 'border-box' }}>
+      <h2 style={{ margin: '0 0 5px 0', fontSize: '18px', color: '#2c3e50' }}>Review Explorer</h2>
+      <p style={{ margin: '0 0 15px 0', fontSize: '12px', color: '#7f8c8d' }}>
+        Search review titles and texts within the current filters. All keywords must match;
+        use "double quotes" for exact phrases.
+      </p>
+
+      <div style={{ display: 'flex', gap: '10px', marginBottom: '10px' }}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => handleQueryChange(e.target.value)}
+          placeholder='e.g. shower "free wifi"'
+          style={{
+            flex: 1,
+            padding: '8px 10px',
+            fontSize: '13px',
+            border: '1px solid #cfcfcf',
+            borderRadius: '6px'
+          }}
+        />
+        <select value={sort} onChange={(e) => handleSortChange(e.target.value)} style={selectStyle}>
+          {REVIEW_SORTS.map(s => (
+            <option key={s.key} value={s.key}>{s.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ fontSize: '11px', color: '#7f8c8d', marginBottom: '10px' }}>
+        {response
+          ? `${response.total.toLocaleString()} matching review${response.total === 1 ? '' : 's'}${response.total > response.results.length ? `, showing ${response.results.length.toLocaleString()}` : ''}`
+          : 'Searching…'}
+      </div>
+
+      {response && response.results.map(review => (
+        <ReviewCard
+          key={review.id}
+          review={review}
+          highlightTerms={highlightTerms}
+          ratingScale={view.ratingScale}
+        />
+      ))}
+
+      {response && response.total > response.results.length && (
+        <button onClick={() => setLimit(limit + PAGE_SIZE)} style={buttonStyle}>
+          Show {Math.min(PAGE_SIZE, response.total - response.results.length)} more
+        </button>
+      )}
+    </div>
+  );
+};
+
+const selectStyle = {
+  padding: '6px 8px',
+  fontSize: '12px',
+  border: '1px solid #cfcfcf',
+  borderRadius: '6px',
+  color: '#2c3e50',
+  background: 'white'
+};
+
+const buttonStyle = {
+  padding: '6px 12px',
+  fontSize: '11px',
+  background: '#3498db',
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontWeight: 'bold'
+};
+
+export default ReviewExplorer;
@@ -0,0 +1,360 @@
+import { useEffect, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { useFilters } from '../context/filterContext';
+import { ENTITY_TYPES } from '../utils/filterSelectors';
+import { SUBJECT_FIELDS } from '../utils/reviews';
+import { SENTIMENT_FLAGS } from '../utils/textAnalytics';
+import { ratingAxisFormat, ratingAxisLabel } from '../utils/ratingSchema';
+import ReviewCard from './ReviewCard';
+
+const entityLabels = { airline: 'Airlines', airport: 'Airports', lounge: 'Lounges' };
+const NGRAM_OPTIONS = [
+  { n: 1, label: 'Words' },
+  { n: 2, label: 'Two-word phrases' },
+  { n: 3, label: 'Three-word phrases' }
+];
+
+// Red (negative) to green (positive) text sentiment
+const sentimentColor = d3.scaleDiverging(d3.interpolateRdYlGn).domain([-0.5, 0, 0.5]).clamp(true);
+
+const formatSentiment = (value) => value === null ? 'n/a' : `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+
+// Horizontal bars of the most frequent terms, coloured by mean sentiment
+const drawTopTerms = (container, terms) => {
+  d3.select(container).selectAll('*').remove();
+
+  const margin = { top: 10, right: 45, bottom: 30, left: 150 };
+  const width = container.clientWidth - margin.left - margin.right;
+  const barHeight = 18;
+  const height = Math.max(barHeight, terms.length * barHeight);
+
+  const svg = d3.select(container)
+    .append('svg')
+    .attr('width', container.clientWidth)
+    .attr('height', height + margin.top + margin.bottom);
+
+  if (terms.length === 0) {
+    svg.append('text')
+      .attr('x', container.clientWidth / 2)
+      .attr('y', 30)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '11px')
+      .style('fill', '#95a5a6')
+      .text('No recurring terms in this selection');
+    return;
+  }
+
+  const g = svg.append('g')
+    .attr('transform', `translate(${margin.left},${margin.top})`);
+
+  const xScale = d3.scaleLinear()
+    .domain([0, d3.max(terms, d => d.count)])
+    .range([0, width]);
+
+  const yScale = d3.scaleBand()
+    .domain(terms.map(d => d.term))
+    .range([0, height])
+    .padding(0.2);
+
+  g.selectAll('.term-bar')
+    .data(terms)
+    .enter()
+    .append('rect')
+    .attr('class', 'term-bar')
+    .attr('x', 0)
+    .attr('y', d => yScale(d.term))
+    .attr('width', d => xScale(d.count))
+    .attr('height', yScale.bandwidth())
+    .attr('fill', d => sentimentColor(d.sentiment))
+    .attr('stroke', '#95a5a6')
+    .attr('stroke-width', 0.5)
+    .attr('rx', 2)
+    .append('title')
+    .text(d => `${d.term}: ${d.count.toLocaleString()} reviews, mean sentiment ${formatSentiment(d.sentiment)}`);
+
+  g.selectAll('.term-count')
+    .data(terms)
+    .enter()
+    .append('text')
+    .attr('class', 'term-count')
+    .attr('x', d => xScale(d.count) + 4)
+    .attr('y', d => yScale(d.term) + yScale.bandwidth() / 2)
+    .attr('dy', '0.35em')
+    .style('font-size', '10px')
+    .style('fill', '#7f8c8d')
+    .text(d => d.count.toLocaleString());
+
+  g.append('g')
+    .call(d3.axisLeft(yScale).tickSize(0))
+    .style('font-size', '11px')
+    .call(axis => axis.select('.domain').remove());
+
+  g.append('g')
+    .attr('transform', `translate(0,${height})`)
+    .call(d3.axisBottom(xScale).ticks(5))
+    .style('font-size', '10px');
+
+  svg.append('text')
+    .attr('x', margin.left + width / 2)
+    .attr('y', height + margin.top + margin.bottom - 2)
+    .attr('text-anchor', 'middle')
+    .style('font-size', '10px')
+    .style('fill', '#7f8c8d')
+    .text('Reviews using the term');
+};
+
+// Mean text sentiment per whole rating point, as bars above / below zero
+const drawSentimentByRating = (container, byRating, ratingScale) => {
+  d3.select(container).selectAll('*').remove();
+
+  const margin = { top: 15, right: 15, bottom: 40, left: 45 };
+  const width = container.clientWidth - margin.left - margin.right;
+  const height = 220 - margin.top - margin.bottom;
+
+  const svg = d3.select(container)
+    .append('svg')
+    .attr('width', container.clientWidth)
+    .attr('height', height + margin.top + margin.bottom);
+
+  const g = svg.append('g')
+    .attr('transform', `translate(${margin.left},${margin.top})`);
+
+  const xScale = d3.scaleBand()
+    .domain(d3.range(0, 11))
+    .range([0, width])
+    .padding(0.2);
+
+  const yScale = d3.scaleLinear()
+    .domain([-1, 1])
+    .range([height, 0]);
+
+  g.selectAll('.sentiment-bar')
+    .data(byRating)
+    .enter()
+    .append('rect')
+    .attr('class', 'sentiment-bar')
+    .attr('x', d => xScale(d.rating))
+    .attr('y', d => yScale(Math.max(0, d.sentiment)))
+    .attr('width', xScale.bandwidth())
+    .attr('height', d => Math.abs(yScale(d.sentiment) - yScale(0)))
+    .attr('fill', d => sentimentColor(d.sentiment))
+    .attr('stroke', '#95a5a6')
+    .attr('stroke-width', 0.5)
+    .append('title')
+    .text(d => `${d.count.toLocaleString()} reviews, mean sentiment ${formatSentiment(d.sentiment)}`);
+
+  g.append('line')
+    .attr('x1', 0)
+    .attr('x2', width)
+    .attr('y1', yScale(0))
+    .attr('y2', yScale(0))
+    .attr('stroke', '#7f8c8d');
+
+  g.append('g')
+    .attr('transform', `translate(0,${height})`)
+    .call(d3.axisBottom(xScale).tickFormat(ratingAxisFormat(ratingScale)))
+    .style('font-size', '10px');
+
+  g.append('g')
+    .call(d3.axisLeft(yScale).ticks(5))
+    .style('font-size', '10px');
+
+  svg.append('text')
+    .attr('x', margin.left + width / 2)
+    .attr('y', height + margin.top + 34)
+    .attr('text-anchor', 'middle')
+    .style('font-size', '10px')
+    .style('fill', '#7f8c8d')
+    .text(`Overall rating ${ratingAxisLabel(ratingScale)}`);
+
+  svg.append('text')
+    .attr('transform', 'rotate(-90)')
+    .attr('x', -(margin.top + height / 2))
+    .attr('y', 12)
+    .attr('text-anchor', 'middle')
+    .style('font-size', '10px')
+    .style('fill', '#7f8c8d')
+    .text('Mean text sentiment');
+};
+
+// Top terms, sentiment vs. rating and contradicting reviews for one entity type (or one subject).
+// `fetchTextInsights` computes them in the data worker (see utils/textAnalytics.js).
+const TextInsights = ({ fetchTextInsights, datasets }) => {
+  const { filters, view, openDrilldown } = useFilters();
+  const { ratingScale } = view;
+  const termsRef = useRef();
+  const ratingRef = useRef();
+
+  const availableEntities = ENTITY_TYPES.filter(entity => datasets[entity].length > 0);
+  const [selectedEntity, setSelectedEntity] = useState(null);
+  const [subject, setSubject] = useState('');
+  const [n, setN] = useState(1);
+  const [insights, setInsights] = useState(null);
+
+  const entity = availableEntities.includes(selectedEntity) ? selectedEntity : availableEntities[0];
+
+  useEffect(() => {
+    if (!entity) return;
+    let cancelled = false;
+
+    fetchTextInsights({ filters, entity, subject: subject || null, n }).then(result => {
+      if (!cancelled) setInsights(result);
+    }).catch(err => console.error('Error computing text insights:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchTextInsights, filters, entity, subject, n, datasets]);
+
+  useEffect(() => {
+    if (!insights || !termsRef.current || !ratingRef.current) return;
+    drawTopTerms(termsRef.current, insights.terms);
+    drawSentimentByRating(ratingRef.current, insights.byRating, ratingScale);
+  }, [insights, ratingScale]);
+
+  const openFlaggedReviews = () => {
+    openDrilldown({
+      title: 'Text contradicts rating',
+      subtitle: `${subject || entityLabels[entity]} · reviews flagged by text sentiment`,
+      fields: { [entity]: 'overall_rating' },
+      match: subject ? { [SUBJECT_FIELDS[entity]]: subject } : undefined,
+      flaggedOnly: true
+    });
+  };
+
+  if (!entity) {
+    return <div style={{ padding: '20px', fontSize: '12px', color: '#7f8c8d' }}>No reviews loaded.</div>;
+  }
+
+  const flaggedTotal = insights ? insights.flagCounts.negativeText + insights.flagCounts.positiveText : 0;
+  const subjectOptions = insights && insights.entity === entity ? insights.subjects : [];
+
+  return (
+    <div style={{ flex: 1, minHeight: 0, padding: '20px', overflowY: 'auto', boxSizing: 'border-box' }}>
+      <h2 style={{ margin: '0 0 5px 0', fontSize: '18px', color: '#2c3e50' }}>Text Insights</h2>
+      <p style={{ margin: '0 0 15px 0', fontSize: '12px', color: '#7f8c8d' }}>
+        Terms and lexicon-based sentiment of the review texts within the current filters. Bars are
+        coloured by the mean sentiment of the reviews that use the term.
+      </p>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '15px', fontSize: '12px', color: '#7f8c8d' }}>
+        <label>
+          Reviews of{' '}
+          <select
+            value={entity}
+            onChange={(e) => {
+              setSelectedEntity(e.target.value);
+              setSubject('');
+            }}
+            style={selectStyle}
+          >
+            {availableEntities.map(e => (
+              <option key={e} value={e}>{entityLabels[e]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Subject{' '}
+          <select value={subject} onChange={(e) => setSubject(e.target.value)} style={{ ...selectStyle, maxWidth: '320px' }}>
+            <option value="">All {entityLabels[entity].toLowerCase()}</option>
+            {subject && !subjectOptions.some(s => s.name === subject) && (
+              <option value={subject}>{subject}</option>
+            )}
+            {subjectOptions.map(s => (
+              <option key={s.name} value={s.name}>{s.name} ({s.count})</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Terms{' '}
+          <select value={n} onChange={(e) => setN(+e.target.value)} style={selectStyle}>
+            {NGRAM_OPTIONS.map(o => (
+              <option key={o.n} value={o.n}>{o.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {insights && (
+        <div style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
+          <StatBox label="Reviews" value={insights.reviewCount.toLocaleString()} />
+          <StatBox label="Mean text sentiment" value={formatSentiment(insights.averageSentiment)} color={insights.averageSentiment === null ? '#95a5a6' : sentimentColor(insights.averageSentiment)} />
+          <StatBox label={SENTIMENT_FLAGS.negativeText} value={insights.flagCounts.negativeText.toLocaleString()} color="#8e44ad" />
+          <StatBox label={SENTIMENT_FLAGS.positiveText} value={insights.flagCounts.positiveText.toLocaleString()} color="#8e44ad" />
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 3fr) minmax(0, 2fr)', gap: '15px', marginBottom: '15px' }}>
+        <div style={panelStyle}>
+          <h3 style={panelTitleStyle}>Top {NGRAM_OPTIONS.find(o => o.n === n).label.toLowerCase()}</h3>
+          <div ref={termsRef} style={{ width: '100%' }} />
+        </div>
+        <div style={panelStyle}>
+          <h3 style={panelTitleStyle}>Text sentiment by rating</h3>
+          <div ref={ratingRef} style={{ width: '100%' }} />
+        </div>
+      </div>
+
+      {insights && (
+        <div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '10px' }}>
+            <h3 style={{ ...panelTitleStyle, margin: 0 }}>Reviews whose text contradicts the rating</h3>
+            {flaggedTotal > 0 && (
+              <button onClick={openFlaggedReviews} style={buttonStyle}>
+                Read all {flaggedTotal.toLocaleString()}
+              </button>
+            )}
+          </div>
+          {insights.examples.length === 0 && (
+            <div style={{ fontSize: '11px', color: '#95a5a6' }}>No contradictions in this selection.</div>
+          )}
+          {insights.examples.map(review => (
+            <ReviewCard key={review.id} review={review} ratingScale={ratingScale} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const StatBox = ({ label, value, color = '#2c3e50' }) => (
+  <div style={{ flex: 1, padding: '8px 10px', background: 'white', border: '1px solid #e0e0e0', borderRadius: '6px' }}>
+    <div style={{ fontSize: '16px', fontWeight: 'bold', color }}>{value}</div>
+    <div style={{ fontSize: '10px', color: '#7f8c8d' }}>{label}</div>
+  </div>
+);
+
+const panelStyle = {
+  padding: '12px',
+  background: 'white',
+  border: '1px solid #e0e0e0',
+  borderRadius: '8px'
+};
+
+const panelTitleStyle = {
+  margin: '0 0 8px 0',
+  fontSize: '13px',
+  color: '#2c3e50'
+};
+
+const selectStyle = {
+  padding: '6px 8px',
+  fontSize: '12px',
+  border: '1px solid #cfcfcf',
+  borderRadius: '6px',
+  color: '#2c3e50',
+  background: 'white'
+};
+
+const buttonStyle = {
+  padding: '6px 12px',
+  fontSize: '11px',
+  background: '#3498db',
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontWeight: 'bold'
+};
+
+export default TextInsights;
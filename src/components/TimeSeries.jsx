@@ -1,18 +1,49 @@
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useRef } from 'react';
+import { useFilters } from '../context/filterContext';
 import * as d3 from 'd3';
+import { formatRating, ratingAxisFormat, ratingAxisLabel } from '../utils/ratingSchema';
+import { createSegmentColorScale } from '../utils/segments';
+import { RECOMMENDATION_FIELD, formatRate } from '../utils/recommendation';
+import { wilsonInterval, poolSummaries } from '../utils/stats';
+
+const selectStyle = {
+  width: 190,
+  padding: '6px 8px',
+  borderRadius: 6,
+  border: '1px solid #cfcfcf',
+  background: 'white',
+  color: '#2c3e50',
+  fontSize: 12
+};
+
+// Pool the rating summaries of several monthly entries (e.g. one month over the years)
+const poolRatings = (entries) => {
+  const pooled = poolSummaries(entries.map(d => ({ count: d.count, mean: d.avgRating, median: d.median, sd: d.sd })));
+  return { avgRating: pooled.mean, count: pooled.count, median: pooled.median, sd: pooled.sd, ci: pooled.ci };
+};
+
+const categoryEntities = { Airlines: 'airline', Airports: 'airport', Lounges: 'lounge' };
+const categoryColors = { Airlines: '#3498db', Airports: '#27ae60', Lounges: '#e67e22' };
+// Trend line pattern per category when the colour shows the split segment
+const categoryDashes = { Airlines: null, Airports: '6,3', Lounges: '2,3' };
 
+// `monthly` holds the per-month aggregates from aggregateMonthlyRatings for each entity type,
+// `split` the segment they are split by (see describeSplit) or null.
+// The y axis shows the average rating or, with view.timeMetric 'recommendation', the
+// recommendation rate (on the same 0-10 scale) with its Wilson interval as a whisker.
 const TimeSeriesAnalysis = ({ 
-  airlineData, 
-  airportData, 
-  loungeData, 
-  dimensionFilter,
+  monthly, 
+  split = null,
   isPreview = false 
 }) => {
   const svgRef = useRef();
-  const [yearGrouping, setYearGrouping] = useState('all'); // 'all', 'individual', '5year'
+  const { filters, view, updateView, openDrilldown } = useFilters();
+  const { dimensionFilter } = filters;
+  const { yearGrouping, timeMetric, ratingScale } = view; // yearGrouping: 'all', 'individual', '5year'
+  const showRecommendation = timeMetric === 'recommendation';
 
   useEffect(() => {
-    if (!airlineData || !airportData || !loungeData || !svgRef.current) return;
+    if (!monthly || !svgRef.current) return;
 
     if (isPreview) {
       drawPreviewScatterTimeSeries();
@@ -23,59 +54,9 @@ const TimeSeriesAnalysis = ({
     return () => {
       d3.selectAll('.timeseries-tooltip').remove();
     };
-  }, [airlineData, airportData, loungeData, yearGrouping, dimensionFilter, isPreview]);
-
-  const processMonthlyYearData = (rawData, category) => {
-    const parseDate = d3.timeParse('%Y-%m-%d');
-
-    const dataWithDates = rawData
-      .filter(d => d.date)
-      .map(d => ({
-        ...d,
-        parsedDate: parseDate(d.date),
-        category
-      }))
-      .filter(d => d.parsedDate);
-
-    // Determine which field to use based on dimensionFilter
-    const getRatingValue = (d) => {
-      if (!dimensionFilter) {
-        return d.overall_rating > 0 ? d.overall_rating : null;
-      }
-
-      // Get the field configuration for this category
-      const entityType = category === 'Airlines' ? 'airline' : 
-                         category === 'Airports' ? 'airport' : 'lounge';
-      const fieldConfig = dimensionFilter.fields[entityType];
-
-      if (!fieldConfig) return null;
-
-      const value = d[fieldConfig.field];
-      if (!value || value === 0) return null;
-
-      return value * fieldConfig.multiplier;
-    };
+  }, [monthly, split, yearGrouping, timeMetric, dimensionFilter, isPreview, ratingScale]);
 
-    // Group by month and year
-    const grouped = d3.rollup(
-      dataWithDates,
-      v => {
-        const ratings = v.map(getRatingValue).filter(r => r !== null);
-        if (ratings.length === 0) return null;
-
-        return {
-          avgRating: Math.min(10, Math.max(0, d3.mean(ratings))),
-          count: ratings.length,
-          category: v[0].category,
-          month: v[0].parsedDate.getMonth(),
-          year: v[0].parsedDate.getFullYear()
-        };
-      },
-      d => `${d.parsedDate.getFullYear()}-${d.parsedDate.getMonth()}`
-    );
-
-    return Array.from(grouped.values()).filter(v => v !== null);
-  };
+  const segmentColor = split ? createSegmentColorScale(split.values) : null;
 
   const groupDataByYears = (data) => {
     if (yearGrouping === 'all') {
@@ -83,20 +64,24 @@ const TimeSeriesAnalysis = ({
       const grouped = d3.rollup(
         data,
         v => ({
-          avgRating: d3.mean(v, d => d.avgRating),
-          count: d3.sum(v, d => d.count),
+          ...poolRatings(v),
+          recommended: d3.sum(v, d => d.recommended),
+          recommendTotal: d3.sum(v, d => d.recommendTotal),
           category: v[0].category,
           month: v[0].month,
-          yearLabel: 'All Years'
+          segment: v[0].segment,
+          yearLabel: 'All Years',
+          years: null
         }),
-        d => `${d.month}-${d.category}`
+        d => `${d.month}-${d.category}-${d.segment}`
       );
       return Array.from(grouped.values());
     } else if (yearGrouping === 'individual') {
       // Keep individual years
       return data.map(d => ({
         ...d,
-        yearLabel: d.year.toString()
+        yearLabel: d.year.toString(),
+        years: [d.year, d.year]
       }));
     } else {
       // Group into 5-year periods and AGGREGATE
@@ -106,23 +91,58 @@ const TimeSeriesAnalysis = ({
           const periodStart = Math.floor(v[0].year / 5) * 5;
           const periodEnd = periodStart + 4;
           return {
-            avgRating: d3.mean(v, d => d.avgRating),
-            count: d3.sum(v, d => d.count),
+            ...poolRatings(v),
+            recommended: d3.sum(v, d => d.recommended),
+            recommendTotal: d3.sum(v, d => d.recommendTotal),
             category: v[0].category,
             month: v[0].month,
+            segment: v[0].segment,
             yearLabel: `${periodStart}-${periodEnd}`,
-            yearGroup: periodStart
+            yearGroup: periodStart,
+            years: [periodStart, periodEnd]
           };
         },
         d => {
           const periodStart = Math.floor(d.year / 5) * 5;
-          return `${d.month}-${d.category}-${periodStart}`;
+          return `${d.month}-${d.category}-${d.segment}-${periodStart}`;
         }
       );
       return Array.from(grouped.values());
     }
   };
 
+  // Points of the selected metric; recommendation points carry their rate as avgRating
+  const toMetricPoints = (data) => {
+    const points = showRecommendation
+      ? data.map(d => ({ ...d, ...recommendationPoint(d.recommended, d.recommendTotal) }))
+      : data;
+    return points.filter(d => Number.isFinite(d.avgRating));
+  };
+
+  const recommendationPoint = (recommended, total) => ({
+    avgRating: total > 0 ? (recommended / total) * 10 : null,
+    count: total,
+    median: null,
+    sd: null,
+    ci: wilsonInterval(recommended, total)?.map(p => p * 10) ?? null
+  });
+
+  // Overall value per month over the categories: the pooled rating or recommendation rate
+  const combinePoints = (v) => (showRecommendation
+    ? recommendationPoint(d3.sum(v, d => d.recommended), d3.sum(v, d => d.recommendTotal))
+    : poolRatings(v));
+
+  const metricLabel = showRecommendation
+    ? 'Recommendation'
+    : dimensionFilter ? dimensionFilter.dimension : 'Overall';
+
+  // Rates are plotted on the 0-10 scale like the ratings
+  const formatMetric = (value, entity, field) => (showRecommendation
+    ? formatRate(value / 10)
+    : formatRating(value, ratingScale, entity, field, { digits: 2 }));
+
+  const metricAxisFormat = showRecommendation ? d => `${(d * 10).toFixed(0)}%` : ratingAxisFormat(ratingScale);
+
   const drawPreviewScatterTimeSeries = () => {
     const containerWidth = svgRef.current.clientWidth;
     const containerHeight = svgRef.current.clientHeight;
@@ -132,11 +152,7 @@ const TimeSeriesAnalysis = ({
 
     d3.select(svgRef.current).selectAll('*').remove();
 
-    const airlineMonthly = processMonthlyYearData(airlineData, 'Airlines');
-    const airportMonthly = processMonthlyYearData(airportData, 'Airports');
-    const loungeMonthly = processMonthlyYearData(loungeData, 'Lounges');
-
-    const allData = groupDataByYears([...airlineMonthly, ...airportMonthly, ...loungeMonthly]);
+    const allData = toMetricPoints(groupDataByYears([...monthly.airline, ...monthly.airport, ...monthly.lounge]));
 
     const svg = d3.select(svgRef.current)
       .append('svg')
@@ -184,7 +200,7 @@ const TimeSeriesAnalysis = ({
       const x = xScale(monthName) + xScale.bandwidth() / 2;
       const y = yScale(d.avgRating);
       const size = sizeScale(d.count);
-      const color = colorScale(d.avgRating);
+      const color = split ? segmentColor(d.segment) : colorScale(d.avgRating);
 
       if (d.category === 'Airlines') {
         g.append('circle')
@@ -220,18 +236,16 @@ const TimeSeriesAnalysis = ({
       }
     });
 
-    // Draw trend lines for each category
+    // Draw trend lines for each category (and each segment when split)
     if (yearGrouping === 'all') {
       const categories = ['Airlines', 'Airports', 'Lounges'];
-      const categoryColors = {
-        'Airlines': '#3498db',
-        'Airports': '#27ae60',
-        'Lounges': '#e67e22'
-      };
+      const series = split
+        ? categories.flatMap(category => split.values.map(segment => ({ category, segment })))
+        : categories.map(category => ({ category, segment: null }));
 
-      categories.forEach(category => {
+      series.forEach(({ category, segment }) => {
         const categoryData = allData
-          .filter(d => d.category === category)
+          .filter(d => d.category === category && (!split || d.segment === segment))
           .sort((a, b) => a.month - b.month);
 
         if (categoryData.length > 1) {
@@ -243,9 +257,10 @@ const TimeSeriesAnalysis = ({
           g.append('path')
             .datum(categoryData)
             .attr('fill', 'none')
-            .attr('stroke', categoryColors[category])
+            .attr('stroke', split ? segmentColor(segment) : categoryColors[category])
             .attr('stroke-width', 2)
-            .attr('stroke-opacity', 0.4)
+            .attr('stroke-opacity', split ? 0.6 : 0.4)
+            .attr('stroke-dasharray', split ? categoryDashes[category] : null)
             .attr('d', line);
         }
       });
@@ -254,7 +269,7 @@ const TimeSeriesAnalysis = ({
     // Calculate overall average per month
     const overallByMonth = d3.rollup(
       allData,
-      v => d3.mean(v, d => d.avgRating),
+      v => combinePoints(v).avgRating,
       d => d.month
     );
 
@@ -313,7 +328,7 @@ const TimeSeriesAnalysis = ({
       .style('stroke', '#2c3e50');
 
     const yAxis = g.append('g')
-      .call(d3.axisLeft(yScale).ticks(5))
+      .call(d3.axisLeft(yScale).ticks(5).tickFormat(metricAxisFormat))
       .style('font-size', '8px');
 
     yAxis.selectAll('text')
@@ -339,7 +354,7 @@ const TimeSeriesAnalysis = ({
       .attr('text-anchor', 'middle')
       .style('font-size', '8px')
       .style('fill', '#2c3e50')
-      .text(dimensionFilter ? dimensionFilter.dimension : 'Rating');
+      .text(showRecommendation ? 'Recommend %' : dimensionFilter ? dimensionFilter.dimension : 'Rating');
 
     // Title
     svg.append('text')
@@ -349,7 +364,9 @@ const TimeSeriesAnalysis = ({
       .style('font-size', '10px')
       .style('font-weight', 'bold')
       .style('fill', '#2c3e50')
-      .text(dimensionFilter 
+      .text(showRecommendation
+        ? 'Monthly Recommendation Rate'
+        : dimensionFilter 
         ? `Monthly ${dimensionFilter.dimension} Trends` 
         : 'Monthly Service Quality Trends');
 
@@ -384,6 +401,26 @@ const TimeSeriesAnalysis = ({
     });
   };
 
+  // Reviews behind a month point: one category, or every category for the overall stars
+  const openMonthDrilldown = (entities, month, monthName, years, yearLabel, segment = null) => {
+    const fields = Object.fromEntries(entities.map(entity => [
+      entity,
+      showRecommendation ? RECOMMENDATION_FIELD : dimensionFilter ? dimensionFilter.fields[entity] : 'overall_rating'
+    ]));
+    const categoryLabel = entities.length === 1
+      ? Object.keys(categoryEntities).find(c => categoryEntities[c] === entities[0])
+      : 'All categories';
+
+    openDrilldown({
+      title: `${monthName}, ${yearLabel}`,
+      subtitle: `${categoryLabel}${segment ? ` · ${segment}` : ''} · ${showRecommendation ? 'Recommendations' : `${metricLabel} ratings`}`,
+      fields,
+      month,
+      years,
+      segment: segment ? { field: split.field, value: segment } : undefined
+    });
+  };
+
   const drawScatterTimeSeries = () => {
     const containerWidth = svgRef.current.clientWidth;
     const containerHeight = svgRef.current.clientHeight;
@@ -393,11 +430,7 @@ const TimeSeriesAnalysis = ({
 
     d3.select(svgRef.current).selectAll('*').remove();
 
-    const airlineMonthly = processMonthlyYearData(airlineData, 'Airlines');
-    const airportMonthly = processMonthlyYearData(airportData, 'Airports');
-    const loungeMonthly = processMonthlyYearData(loungeData, 'Lounges');
-
-    const allData = groupDataByYears([...airlineMonthly, ...airportMonthly, ...loungeMonthly]);
+    const allData = toMetricPoints(groupDataByYears([...monthly.airline, ...monthly.airport, ...monthly.lounge]));
 
     const svg = d3.select(svgRef.current)
       .append('svg')
@@ -469,13 +502,41 @@ const TimeSeriesAnalysis = ({
       .style('opacity', 0)
       .style('z-index', '10000');
 
+    // 95% interval whiskers behind the points (Wilson intervals for recommendation rates)
+    const whiskers = g.append('g')
+      .attr('stroke-width', 1.5)
+      .attr('stroke-opacity', 0.6)
+      .style('pointer-events', 'none');
+    const whiskerY = (value) => yScale(Math.max(0, Math.min(10, value)));
+
+    allData.filter(d => d.ci).forEach(d => {
+      const x = xScale(monthNames[d.month]) + xScale.bandwidth() / 2;
+      const color = split ? segmentColor(d.segment) : categoryColors[d.category];
+
+      whiskers.append('line')
+        .attr('x1', x)
+        .attr('x2', x)
+        .attr('y1', whiskerY(d.ci[0]))
+        .attr('y2', whiskerY(d.ci[1]))
+        .attr('stroke', color);
+
+      d.ci.forEach(bound => {
+        whiskers.append('line')
+          .attr('x1', x - 4)
+          .attr('x2', x + 4)
+          .attr('y1', whiskerY(bound))
+          .attr('y2', whiskerY(bound))
+          .attr('stroke', color);
+      });
+    });
+
     // Draw shapes with interaction
     allData.forEach(d => {
       const monthName = monthNames[d.month];
       const x = xScale(monthName) + xScale.bandwidth() / 2;
       const y = yScale(d.avgRating);
       const size = sizeScale(d.count);
-      const color = colorScale(d.avgRating);
+      const color = split ? segmentColor(d.segment) : colorScale(d.avgRating);
 
       let shape;
 
@@ -520,7 +581,8 @@ const TimeSeriesAnalysis = ({
             .attr('stroke', '#2c3e50')
             .attr('stroke-width', 3);
 
-          const dimensionLabel = dimensionFilter ? dimensionFilter.dimension : 'Overall';
+          const entity = categoryEntities[d.category];
+          const field = dimensionFilter ? dimensionFilter.fields[entity] : 'overall_rating';
 
           tooltip
             .style('opacity', 1)
@@ -528,8 +590,12 @@ const TimeSeriesAnalysis = ({
               <div style="font-weight: bold; margin-bottom: 6px;">${d.category}</div>
               <div><strong>Month:</strong> ${monthName}</div>
               <div><strong>Year:</strong> ${d.yearLabel}</div>
-              <div><strong>Avg ${dimensionLabel}:</strong> ${d.avgRating.toFixed(2)}/10</div>
+              ${d.segment ? `<div><strong>${split.label}:</strong> ${d.segment}</div>` : ''}
+              <div><strong>Avg ${metricLabel}:</strong> ${formatMetric(d.avgRating, entity, field)}</div>
+              ${d.ci ? `<div><strong>95% CI:</strong> ${formatMetric(d.ci[0], entity, field)} – ${formatMetric(d.ci[1], entity, field)}</div>` : ''}
+              ${d.sd !== null && d.sd !== undefined ? `<div><strong>Median / SD:</strong> ${d.median !== null ? formatMetric(d.median, entity, field) : 'n/a'} / ${formatRating(d.sd, ratingScale, entity, field, { digits: 2, suffix: false })}</div>` : ''}
               <div><strong>Reviews:</strong> ${d.count.toLocaleString()}</div>
+              <div style="margin-top: 4px; color: #7f8c8d; font-style: italic;">Click to read the reviews</div>
             `)
             .style('left', `${event.pageX + 15}px`)
             .style('top', `${event.pageY - 40}px`);
@@ -545,21 +611,23 @@ const TimeSeriesAnalysis = ({
           tooltip
             .style('left', `${event.pageX + 15}px`)
             .style('top', `${event.pageY - 40}px`);
+        })
+        .on('click', function() {
+          tooltip.style('opacity', 0);
+          openMonthDrilldown([categoryEntities[d.category]], d.month, monthName, d.years, d.yearLabel, d.segment);
         });
     });
 
-    // Draw trend lines for each category
+    // Draw trend lines for each category (and each segment when split)
     if (yearGrouping === 'all') {
       const categories = ['Airlines', 'Airports', 'Lounges'];
-      const categoryColors = {
-        'Airlines': '#3498db',
-        'Airports': '#27ae60',
-        'Lounges': '#e67e22'
-      };
+      const series = split
+        ? categories.flatMap(category => split.values.map(segment => ({ category, segment })))
+        : categories.map(category => ({ category, segment: null }));
 
-      categories.forEach(category => {
+      series.forEach(({ category, segment }) => {
         const categoryData = allData
-          .filter(d => d.category === category)
+          .filter(d => d.category === category && (!split || d.segment === segment))
           .sort((a, b) => a.month - b.month);
 
         if (categoryData.length > 1) {
@@ -571,9 +639,10 @@ const TimeSeriesAnalysis = ({
           g.append('path')
             .datum(categoryData)
             .attr('fill', 'none')
-            .attr('stroke', categoryColors[category])
+            .attr('stroke', split ? segmentColor(segment) : categoryColors[category])
             .attr('stroke-width', 2)
-            .attr('stroke-opacity', 0.4)
+            .attr('stroke-opacity', split ? 0.6 : 0.4)
+            .attr('stroke-dasharray', split ? categoryDashes[category] : null)
             .attr('d', line);
         }
       });
@@ -582,10 +651,10 @@ const TimeSeriesAnalysis = ({
     // Calculate overall average per month
     const overallByMonth = d3.rollup(
       allData,
-      v => ({
-        avgRating: d3.mean(v, d => d.avgRating),
-        totalReviews: d3.sum(v, d => d.count)
-      }),
+      v => {
+        const combined = combinePoints(v);
+        return { ...combined, totalReviews: combined.count };
+      },
       d => d.month
     );
 
@@ -608,16 +677,16 @@ const TimeSeriesAnalysis = ({
             .attr('stroke-width', 4)
             .attr('transform', `translate(${x},${y}) scale(1.3)`);
 
-          const dimensionLabel = dimensionFilter ? dimensionFilter.dimension : 'Overall';
-
           tooltip
             .style('opacity', 1)
             .html(`
               <div style="font-weight: bold; margin-bottom: 6px;">Overall Average</div>
               <div><strong>Month:</strong> ${monthName}</div>
               <div><strong>Period:</strong> ${yearGrouping === 'all' ? 'All Years' : 'Selected Period'}</div>
-              <div><strong>Combined ${dimensionLabel}:</strong> ${stats.avgRating.toFixed(2)}/10</div>
+              <div><strong>Combined ${metricLabel}:</strong> ${formatMetric(stats.avgRating, null, null)}</div>
+              ${stats.ci ? `<div><strong>95% CI:</strong> ${formatMetric(stats.ci[0], null, null)} – ${formatMetric(stats.ci[1], null, null)}</div>` : ''}
               <div><strong>Total Reviews:</strong> ${stats.totalReviews.toLocaleString()}</div>
+              <div style="margin-top: 4px; color: #7f8c8d; font-style: italic;">Click to read the reviews</div>
             `)
             .style('left', `${event.pageX + 15}px`)
             .style('top', `${event.pageY - 40}px`);
@@ -632,6 +701,10 @@ const TimeSeriesAnalysis = ({
           tooltip
             .style('left', `${event.pageX + 15}px`)
             .style('top', `${event.pageY - 40}px`);
+        })
+        .on('click', function() {
+          tooltip.style('opacity', 0);
+          openMonthDrilldown(Object.values(categoryEntities), month, monthName, null, 'All Years');
         });
     });
 
@@ -677,7 +750,7 @@ const TimeSeriesAnalysis = ({
       .style('stroke', '#2c3e50');
 
     const yAxis = g.append('g')
-      .call(d3.axisLeft(yScale).ticks(10).tickFormat(d => d.toFixed(0)))
+      .call(d3.axisLeft(yScale).ticks(10).tickFormat(metricAxisFormat))
       .style('font-size', '11px');
 
     yAxis.selectAll('text')
@@ -706,9 +779,11 @@ const TimeSeriesAnalysis = ({
       .style('font-size', '13px')
       .style('font-weight', 'bold')
       .style('fill', '#2c3e50')
-      .text(dimensionFilter 
-        ? `${dimensionFilter.dimension} Rating (0-10)` 
-        : 'Average Rating (0-10)');
+      .text(showRecommendation
+        ? 'Recommendation Rate (%)'
+        : dimensionFilter 
+        ? `${dimensionFilter.dimension} Rating ${ratingAxisLabel(ratingScale)}` 
+        : `Average Rating ${ratingAxisLabel(ratingScale)}`);
 
     // Title
     svg.append('text')
@@ -718,7 +793,9 @@ const TimeSeriesAnalysis = ({
       .style('font-size', '17px')
       .style('font-weight', 'bold')
       .style('fill', '#2c3e50')
-      .text(dimensionFilter 
+      .text(showRecommendation
+        ? 'Recommendation Rate by Month'
+        : dimensionFilter 
         ? `${dimensionFilter.dimension} Trends by Month` 
         : 'Service Quality Trends by Month');
 
@@ -734,7 +811,9 @@ const TimeSeriesAnalysis = ({
       .attr('text-anchor', 'middle')
       .style('font-size', '11px')
       .style('fill', '#7f8c8d')
-      .text(`${subtitleText} | Circle size = review volume | Color: red (poor) → green (excellent)`);
+      .text(`${subtitleText} | Circle size = review volume | Whiskers: 95% ${showRecommendation ? 'Wilson ' : ''}interval | ${split
+        ? `Color: ${split.label.toLowerCase()}`
+        : 'Color: red (poor) → green (excellent)'}`);
 
     // Legend
     const legend = svg.append('g')
@@ -793,6 +872,34 @@ const TimeSeriesAnalysis = ({
         .text(item.label);
     });
 
+    // Segment colours replace the rating colour scale when split
+    if (split) {
+      const segmentLegend = svg.append('g')
+        .attr('transform', `translate(${containerWidth - margin.right - 255}, ${margin.top - 40})`);
+
+      segmentLegend.append('text')
+        .style('font-size', '10px')
+        .style('fill', '#2c3e50')
+        .style('font-weight', 'bold')
+        .text(split.label);
+
+      split.values.forEach((segment, i) => {
+        const itemG = segmentLegend.append('g')
+          .attr('transform', `translate(${(i % 3) * 85}, ${12 + Math.floor(i / 3) * 13})`);
+        itemG.append('rect')
+          .attr('width', 9)
+          .attr('height', 9)
+          .attr('fill', segmentColor(segment));
+        itemG.append('text')
+          .attr('x', 12)
+          .attr('y', 8)
+          .style('font-size', '9px')
+          .style('fill', '#2c3e50')
+          .text(segment.length > 12 ? `${segment.slice(0, 11)}…` : segment);
+      });
+      return;
+    }
+
     // Color scale legend
     const colorLegend = svg.append('g')
       .attr('transform', `translate(${containerWidth - margin.right - 100}, ${margin.top - 30})`);
@@ -813,9 +920,9 @@ const TimeSeriesAnalysis = ({
       .attr('height', 12)
       .style('fill', `url(#${gradientId})`);
 
-    colorLegend.append('text').attr('x', 0).attr('y', 24).style('font-size', '9px').style('fill', '#7f8c8d').text('0');
-    colorLegend.append('text').attr('x', 80).attr('y', 24).attr('text-anchor', 'end').style('font-size', '9px').style('fill', '#7f8c8d').text('10');
-    colorLegend.append('text').attr('x', 40).attr('y', -5).attr('text-anchor', 'middle').style('font-size', '10px').style('fill', '#2c3e50').text('Rating');
+    colorLegend.append('text').attr('x', 0).attr('y', 24).style('font-size', '9px').style('fill', '#7f8c8d').text(showRecommendation ? '0%' : '0');
+    colorLegend.append('text').attr('x', 80).attr('y', 24).attr('text-anchor', 'end').style('font-size', '9px').style('fill', '#7f8c8d').text(showRecommendation ? '100%' : '10');
+    colorLegend.append('text').attr('x', 40).attr('y', -5).attr('text-anchor', 'middle').style('font-size', '10px').style('fill', '#2c3e50').text(showRecommendation ? 'Recommend' : 'Rating');
   };
 
   return (
@@ -835,24 +942,31 @@ const TimeSeriesAnalysis = ({
               color: '#2c3e50',
             }}
           >
-            <div style={{ fontWeight: 700, marginBottom: 6 }}>Year grouping</div>
-            <select
-              value={yearGrouping}
-              onChange={(e) => setYearGrouping(e.target.value)}
-              style={{
-                width: 190,
-                padding: '6px 8px',
-                borderRadius: 6,
-                border: '1px solid #cfcfcf',
-                background: 'white',
-                color: '#2c3e50',
-                fontSize: 12,
-              }}
-            >
-              <option value="all">All years (average)</option>
-              <option value="individual">Individual years</option>
-              <option value="5year">5-year groups</option>
-            </select>
+            <div style={{ display: 'flex', gap: 10 }}>
+              <div>
+                <div style={{ fontWeight: 700, marginBottom: 6 }}>Year grouping</div>
+                <select
+                  value={yearGrouping}
+                  onChange={(e) => updateView('yearGrouping', e.target.value)}
+                  style={selectStyle}
+                >
+                  <option value="all">All years (average)</option>
+                  <option value="individual">Individual years</option>
+                  <option value="5year">5-year groups</option>
+                </select>
+              </div>
+              <div>
+                <div style={{ fontWeight: 700, marginBottom: 6 }}>Y axis</div>
+                <select
+                  value={timeMetric}
+                  onChange={(e) => updateView('timeMetric', e.target.value)}
+                  style={{ ...selectStyle, width: 150 }}
+                >
+                  <option value="rating">{dimensionFilter ? `${dimensionFilter.dimension} rating` : 'Average rating'}</option>
+                  <option value="recommendation">Recommendation rate</option>
+                </select>
+              </div>
+            </div>
           </div>
         )}
 
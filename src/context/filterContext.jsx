@@ -1,28 +1,76 @@
-import { createContext, useContext, useState } from 'react';
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { createDefaultFilters } from '../utils/filterSelectors';
+import { parseDashboardState, serializeDashboardState } from '../utils/urlState';
 
 const filterContext = createContext();
 
 export const FilterProvider = ({ children }) => {
-  const [filters, setFilters] = useState({
-    selectedAirlines: [],
-    selectedCountries: [],
-    dateRange: null,
-    ratingRange: [0, 10]
-  });
+  // The URL is the initial source, so shared links open on the same analysis
+  const [initialState] = useState(() => parseDashboardState(window.location.search));
+  const [filters, setFilters] = useState(initialState.filters);
+  const [view, setView] = useState(initialState.view);
 
   const [processedData, setProcessedData] = useState(null);
 
+  // Chart mark whose reviews are shown in the drill-down drawer (see utils/drilldown.js).
+  // Not part of the URL: it is a transient panel, not an analysis setting.
+  const [drilldown, setDrilldown] = useState(null);
+  // Stable, so the drawer does not re-register its Escape handler on every render
+  const closeDrilldown = useCallback(() => setDrilldown(null), []);
+
+  // Set while applying a popstate so restoring history does not push a new entry
+  const restoringRef = useRef(false);
+  const hasSyncedRef = useRef(false);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = parseDashboardState(window.location.search);
+      restoringRef.current = true;
+      setFilters(state.filters);
+      setView(state.view);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  useEffect(() => {
+    const query = serializeDashboardState({ filters, view });
+    const url = `${window.location.pathname}${query}${window.location.hash}`;
+
+    if (restoringRef.current) {
+      restoringRef.current = false;
+      return;
+    }
+
+    // Normalize the URL we were opened with without adding a history entry
+    if (!hasSyncedRef.current) {
+      hasSyncedRef.current = true;
+      window.history.replaceState(null, '', url);
+      return;
+    }
+
+    if (query !== window.location.search) {
+      window.history.pushState(null, '', url);
+    }
+  }, [filters, view]);
+
   const updateFilter = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
   };
 
   const resetFilters = () => {
-    setFilters({
-      selectedAirlines: [],
-      selectedCountries: [],
-      dateRange: null,
-      ratingRange: [0, 10]
-    });
+    setFilters(createDefaultFilters());
+  };
+
+  const updateView = (key, value) => {
+    setView(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Replace the whole dashboard state at once (e.g. when loading a saved preset)
+  const applyDashboardState = (state) => {
+    setFilters(state.filters);
+    setView(state.view);
   };
 
   return (
@@ -30,6 +78,12 @@ export const FilterProvider = ({ children }) => {
       filters,
       updateFilter,
       resetFilters,
+      view,
+      updateView,
+      applyDashboardState,
+      drilldown,
+      openDrilldown: setDrilldown,
+      closeDrilldown,
       processedData,
       setProcessedData
     }}>
@@ -0,0 +1,225 @@
+/**
+ * Offline gazetteer of airport coordinates ([lat, lon]).
+ * Keys are normalized airport names (see normalizeAirportName in dataProcessor.js),
+ * so "London Heathrow Airport" and "london-heathrow-airport" both resolve to "london heathrow".
+ */
+export const AIRPORT_LOCATIONS = {
+  // Europe
+  'london heathrow': [51.470, -0.454],
+  'london gatwick': [51.148, -0.190],
+  'london city': [51.505, 0.055],
+  'london stansted': [51.885, 0.235],
+  'london luton': [51.875, -0.368],
+  'manchester': [53.354, -2.275],
+  'birmingham': [52.454, -1.748],
+  'edinburgh': [55.950, -3.363],
+  'glasgow': [55.872, -4.433],
+  'glasgow prestwick': [55.509, -4.587],
+  'aberdeen': [57.202, -2.198],
+  'newcastle': [55.037, -1.692],
+  'jersey': [49.208, -2.196],
+  'guernsey': [49.435, -2.602],
+  'dublin': [53.421, -6.270],
+  'cork': [51.841, -8.491],
+  'paris cdg': [49.010, 2.548],
+  'paris charles de gaulle': [49.010, 2.548],
+  'paris orly': [48.723, 2.379],
+  'lyon': [45.726, 5.091],
+  'toulouse': [43.629, 1.364],
+  'bordeaux': [44.828, -0.715],
+  'basel mulhouse': [47.590, 7.529],
+  'amsterdam schiphol': [52.310, 4.768],
+  'brussels zaventem': [50.901, 4.484],
+  'brussels': [50.901, 4.484],
+  'luxembourg': [49.627, 6.211],
+  'frankfurt main': [50.038, 8.562],
+  'frankfurt': [50.038, 8.562],
+  'munich': [48.354, 11.786],
+  'dusseldorf': [51.290, 6.767],
+  'cologne bonn': [50.866, 7.143],
+  'hannover': [52.461, 9.685],
+  'berlin tegel': [52.560, 13.288],
+  'zurich': [47.458, 8.555],
+  'geneva': [46.238, 6.109],
+  'vienna': [48.110, 16.570],
+  'prague': [50.101, 14.260],
+  'warsaw chopin': [52.166, 20.967],
+  'katowice': [50.474, 19.080],
+  'budapest ferihegy': [47.439, 19.262],
+  'bucharest otopeni': [44.571, 26.085],
+  'sofia': [42.697, 23.411],
+  'copenhagen': [55.618, 12.656],
+  'aalborg': [57.093, 9.849],
+  'oslo': [60.194, 11.100],
+  'stockholm arlanda': [59.652, 17.919],
+  'stockholm vasteras': [59.589, 16.634],
+  'gothenburg city': [57.775, 11.870],
+  'helsinki vantaa': [60.317, 24.963],
+  'keflavik': [63.985, -22.606],
+  'riga': [56.924, 23.971],
+  'vilnius': [54.634, 25.286],
+  'madrid barajas': [40.472, -3.561],
+  'barcelona': [41.297, 2.078],
+  'alicante': [38.282, -0.558],
+  'lisbon': [38.774, -9.134],
+  'porto': [41.248, -8.681],
+  'ponta delgada': [37.742, -25.698],
+  'rome fiumicino': [41.800, 12.239],
+  'rome ciampino': [41.799, 12.595],
+  'milan malpensa': [45.630, 8.723],
+  'milan linate': [45.445, 9.277],
+  'venice marco polo': [45.505, 12.352],
+  'turin': [45.201, 7.650],
+  'malta': [35.857, 14.477],
+  'athens': [37.936, 23.947],
+  'thessaloniki': [40.520, 22.971],
+  'larnaca': [34.875, 33.625],
+  'istanbul ataturk': [40.976, 28.814],
+  'antalya': [36.899, 30.800],
+  'izmir': [38.292, 27.157],
+  'moscow sheremetyevo': [55.973, 37.415],
+  'moscow domodedovo': [55.409, 37.906],
+  'kiev borispol': [50.345, 30.895],
+
+  // Middle East & Africa
+  'dubai': [25.253, 55.366],
+  'abu dhabi': [24.433, 54.651],
+  'doha': [25.273, 51.608],
+  'hamad doha': [25.273, 51.608],
+  'bahrain': [26.271, 50.634],
+  'muscat seeb': [23.593, 58.284],
+  'dammam port': [26.471, 49.798],
+  'riyadh': [24.958, 46.699],
+  'jeddah': [21.680, 39.157],
+  'amman queen alia': [31.723, 35.993],
+  'beirut': [33.821, 35.488],
+  'tel aviv': [32.011, 34.887],
+  'cairo': [30.122, 31.406],
+  'casablanca': [33.368, -7.590],
+  'khartoum': [15.590, 32.553],
+  'addis ababa': [8.978, 38.799],
+  'nairobi': [-1.319, 36.928],
+  'dar es salaam': [-6.878, 39.203],
+  'lusaka': [-15.331, 28.453],
+  'lagos': [6.577, 3.321],
+  'johannesburg': [-26.139, 28.246],
+  'cape town': [-33.965, 18.602],
+  'mauritius': [-20.430, 57.683],
+
+  // Asia
+  'singapore changi': [1.364, 103.991],
+  'hong kong': [22.308, 113.918],
+  'bangkok suvarnabhumi': [13.690, 100.750],
+  'phuket': [8.113, 98.317],
+  'krabi': [8.099, 98.986],
+  'koh samui': [9.548, 100.062],
+  'chiang mai': [18.767, 98.963],
+  'klia kuala lumpur': [2.746, 101.710],
+  'kuala lumpur': [2.746, 101.710],
+  'penang': [5.297, 100.277],
+  'kuching': [1.485, 110.347],
+  'kota kinabalu': [5.937, 116.051],
+  'bandar seri begawan': [4.944, 114.928],
+  'jakarta': [-6.126, 106.656],
+  'denpasar bali': [-8.748, 115.167],
+  'manila': [14.509, 121.020],
+  'cebu': [10.307, 123.979],
+  'ho chi minh city': [10.819, 106.652],
+  'hanoi': [21.221, 105.807],
+  'yangon': [16.907, 96.133],
+  'tokyo narita': [35.772, 140.393],
+  'tokyo haneda': [35.549, 139.780],
+  'kansai osaka': [34.434, 135.244],
+  'fukuoka': [33.586, 130.451],
+  'incheon': [37.460, 126.441],
+  'seoul incheon': [37.460, 126.441],
+  'beijing capital': [40.080, 116.585],
+  'shanghai pudong': [31.144, 121.805],
+  'shanghai hongqiao': [31.198, 121.336],
+  'guangzhou': [23.392, 113.299],
+  'shenzhen baoan': [22.639, 113.811],
+  'xiamen': [24.544, 118.128],
+  'chengdu': [30.578, 103.947],
+  'dalian': [38.966, 121.539],
+  'taipei': [25.080, 121.233],
+  'delhi': [28.556, 77.100],
+  'mumbai': [19.089, 72.868],
+  'chennai': [12.994, 80.171],
+  'bangalore': [13.199, 77.706],
+  'hyderabad': [17.240, 78.429],
+  'kolkata': [22.654, 88.447],
+  'pune': [18.582, 73.920],
+  'colombo': [7.181, 79.884],
+  'male': [4.192, 73.529],
+  'dhaka': [23.843, 90.398],
+  'kathmandu': [27.697, 85.359],
+  'karachi': [24.907, 67.161],
+  'almaty': [43.352, 77.040],
+
+  // Oceania
+  'sydney': [-33.940, 151.175],
+  'melbourne': [-37.670, 144.843],
+  'brisbane': [-27.384, 153.117],
+  'perth': [-31.940, 115.967],
+  'adelaide': [-34.945, 138.531],
+  'darwin': [-12.415, 130.877],
+  'hobart': [-42.836, 147.510],
+  'gold coast': [-28.164, 153.505],
+  'auckland': [-37.008, 174.792],
+  'wellington': [-41.327, 174.805],
+  'papeete': [-17.553, -149.607],
+  'raratonga': [-21.203, -159.806],
+  'rarotonga': [-21.203, -159.806],
+
+  // Americas
+  'new york jfk': [40.641, -73.778],
+  'newark': [40.690, -74.174],
+  'boston logan': [42.366, -71.010],
+  'philadelphia': [39.874, -75.243],
+  'washington dulles': [38.953, -77.456],
+  'washington national': [38.851, -77.040],
+  'atlanta hartsfield': [33.641, -84.428],
+  'charlotte': [35.214, -80.943],
+  'miami': [25.796, -80.287],
+  'orlando': [28.431, -81.308],
+  'chicago o hare': [41.974, -87.907],
+  'detroit': [42.216, -83.355],
+  'cincinnati': [39.049, -84.668],
+  'st louis': [38.748, -90.370],
+  'memphis': [35.042, -89.977],
+  'minneapolis st paul': [44.885, -93.222],
+  'dallas fort worth': [32.900, -97.040],
+  'houston hobby': [29.646, -95.277],
+  'austin': [30.197, -97.666],
+  'denver': [39.856, -104.674],
+  'salt lake city': [40.790, -111.979],
+  'phoenix': [33.437, -112.008],
+  'las vegas': [36.084, -115.154],
+  'los angeles lax': [33.942, -118.409],
+  'san diego': [32.734, -117.190],
+  'san francisco': [37.621, -122.379],
+  'portland': [45.589, -122.597],
+  'seattle': [47.450, -122.309],
+  'anchorage': [61.174, -149.996],
+  'honolulu': [21.321, -157.925],
+  'kahului maui': [20.899, -156.430],
+  'toronto pearson': [43.678, -79.625],
+  'montreal': [45.470, -73.741],
+  'ottawa': [45.322, -75.667],
+  'winnipeg': [49.910, -97.240],
+  'calgary': [51.131, -114.011],
+  'vancouver': [49.195, -123.178],
+  'mexico city': [19.436, -99.072],
+  'tijuana': [32.541, -116.970],
+  'panama tocumen': [9.071, -79.383],
+  'san juan': [18.439, -66.002],
+  'bermuda': [32.364, -64.679],
+  'antigua vc bird': [17.137, -61.793],
+  'bogota': [4.702, -74.147],
+  'guayaquil': [-2.157, -79.884],
+  'lima': [-12.022, -77.114],
+  'santiago de chile': [-33.393, -70.786],
+  'buenos aires': [-34.822, -58.536],
+  'sao paulo guarulhos': [-23.432, -46.469],
+  'rio de janeiro': [-22.810, -43.251],
+};
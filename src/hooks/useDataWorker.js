@@ -0,0 +1,174 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * Runs CSV loading and the shared aggregations in workers/dataWorker.js.
+ *
+ * Returns the processed datasets and their validation reports, one progress entry per
+ * loaded file, the aggregates for the current filters, `loadDataset` for new files, and
+ * one-off queries within a filter state: `searchReviews` / `fetchDrilldownReviews` for review
+ * lists, `fetchTextInsights` for the text analytics, `fetchLoungeInsights` for the lounge
+ * explorer, `fetchRankings` for the ranking leaderboards and `fetchCorrelations` for the
+ * correlation explorer.
+ */
+
+// Send a load request and track its progress in `loads`
+const startLoad = (worker, pending, setLoads, requestId, datasetType, input, source) => {
+  const load = {
+    requestId,
+    datasetType,
+    source,
+    status: 'loading',
+    phase: input.file ? 'parse' : 'download',
+    loaded: 0,
+    total: input.file ? input.file.size : 0
+  };
+
+  if (!worker) {
+    const error = new Error('Data worker is not running');
+    setLoads(prev => [...prev, { ...load, status: 'error', message: error.message }]);
+    return Promise.reject(error);
+  }
+
+  setLoads(prev => [...prev, load]);
+
+  return new Promise((resolve, reject) => {
+    pending.set(requestId, { resolve, reject });
+    worker.postMessage({ kind: 'load', requestId, datasetType, source, ...input });
+  });
+};
+
+// One-off request answered with a single 'result' message
+const requestResult = (worker, pending, requestId, message) => {
+  if (!worker) return Promise.reject(new Error('Data worker is not running'));
+
+  return new Promise((resolve, reject) => {
+    pending.set(requestId, { resolve, reject });
+    worker.postMessage({ ...message, requestId });
+  });
+};
+
+export const useDataWorker = (filters, initialSources = []) => {
+  const workerRef = useRef(null);
+  const pendingRef = useRef(new Map());
+  const nextIdRef = useRef(0);
+  const latestAggregateRef = useRef(null);
+
+  const [datasets, setDatasets] = useState({ airline: [], airport: [], lounge: [], seat: [] });
+  const [reports, setReports] = useState({});
+  const [loads, setLoads] = useState([]);
+  const [aggregates, setAggregates] = useState(null);
+
+  useEffect(() => {
+    const worker = new Worker(new URL('../workers/dataWorker.js', import.meta.url), { type: 'module' });
+    const pending = pendingRef.current;
+    workerRef.current = worker;
+
+    const updateLoad = (requestId, changes) => {
+      setLoads(prev => prev.map(l => l.requestId === requestId ? { ...l, ...changes } : l));
+    };
+
+    worker.onmessage = (e) => {
+      const message = e.data;
+
+      if (message.kind === 'progress') {
+        updateLoad(message.requestId, { phase: message.phase, loaded: message.loaded, total: message.total });
+      } else if (message.kind === 'loaded') {
+        setDatasets(prev => ({ ...prev, [message.datasetType]: message.data }));
+        setReports(prev => ({ ...prev, [message.datasetType]: message.report }));
+        updateLoad(message.requestId, { status: 'done', rows: message.data.length });
+        pending.get(message.requestId)?.resolve(message.data.length);
+        pending.delete(message.requestId);
+      } else if (message.kind === 'result') {
+        pending.get(message.requestId)?.resolve(message.result);
+        pending.delete(message.requestId);
+      } else if (message.kind === 'aggregated') {
+        // Results for superseded filter states are dropped
+        if (message.requestId === latestAggregateRef.current) setAggregates(message.aggregates);
+      } else if (message.kind === 'error') {
+        console.error('Data worker error:', message.message);
+        updateLoad(message.requestId, { status: 'error', message: message.message });
+        pending.get(message.requestId)?.reject(new Error(message.message));
+        pending.delete(message.requestId);
+      }
+    };
+
+    initialSources.forEach(({ datasetType, url, source }) => {
+      startLoad(worker, pending, setLoads, nextIdRef.current++, datasetType, { url }, source);
+    });
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      pending.clear();
+      setLoads(prev => prev.filter(l => l.status !== 'loading'));
+    };
+  }, [initialSources]);
+
+  useEffect(() => {
+    if (!workerRef.current) return;
+    const requestId = nextIdRef.current++;
+    latestAggregateRef.current = requestId;
+    workerRef.current.postMessage({ kind: 'aggregate', requestId, filters });
+  }, [filters, datasets]);
+
+  // input is { file } for uploads or { url }, plus an optional column `mapping`
+  const loadDataset = (datasetType, input, source) => {
+    return startLoad(workerRef.current, pendingRef.current, setLoads, nextIdRef.current++, datasetType, input, source);
+  };
+
+  // The query functions are stable, so views can list them as effect dependencies.
+  // Review lists resolve with { total, results }.
+  const searchReviews = useCallback(({ filters: searchFilters, query, sort, limit }) => {
+    return requestResult(workerRef.current, pendingRef.current, nextIdRef.current++, {
+      kind: 'search', filters: searchFilters, query, sort, limit
+    });
+  }, []);
+
+  const fetchDrilldownReviews = useCallback(({ filters: drilldownFilters, target, offset, limit }) => {
+    return requestResult(workerRef.current, pendingRef.current, nextIdRef.current++, {
+      kind: 'drilldown', filters: drilldownFilters, target, offset, limit
+    });
+  }, []);
+
+  // Resolves with the result of computeTextInsights (see utils/textAnalytics.js)
+  const fetchTextInsights = useCallback(({ filters: insightFilters, entity, subject, n }) => {
+    return requestResult(workerRef.current, pendingRef.current, nextIdRef.current++, {
+      kind: 'textInsights', filters: insightFilters, entity, subject, n
+    });
+  }, []);
+
+  // Resolves with the result of computeLoungeInsights (see utils/lounges.js)
+  const fetchLoungeInsights = useCallback(({ filters: loungeFilters, groupBy, group }) => {
+    return requestResult(workerRef.current, pendingRef.current, nextIdRef.current++, {
+      kind: 'lounges', filters: loungeFilters, groupBy, group
+    });
+  }, []);
+
+  // Resolves with the result of computeRankings (see utils/rankings.js)
+  const fetchRankings = useCallback(({ filters: rankingFilters, priorStrength, mode, limit }) => {
+    return requestResult(workerRef.current, pendingRef.current, nextIdRef.current++, {
+      kind: 'rankings', filters: rankingFilters, priorStrength, mode, limit
+    });
+  }, []);
+
+  // Resolves with the result of computeCorrelations (see utils/correlations.js)
+  const fetchCorrelations = useCallback(({ filters: correlationFilters, entity, pair }) => {
+    return requestResult(workerRef.current, pendingRef.current, nextIdRef.current++, {
+      kind: 'correlations', filters: correlationFilters, entity, pair
+    });
+  }, []);
+
+  return {
+    datasets,
+    reports,
+    loads,
+    aggregates,
+    loadDataset,
+    searchReviews,
+    fetchDrilldownReviews,
+    fetchTextInsights,
+    fetchLoungeInsights,
+    fetchRankings,
+    fetchCorrelations
+  };
+};
@@ -2,9 +2,12 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { FilterProvider } from './context/filterContext'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <FilterProvider>
+      <App />
+    </FilterProvider>
   </StrictMode>,
 )
@@ -0,0 +1,286 @@
+import * as d3 from 'd3';
+import { RATING_DIMENSIONS, getDimensionValue } from './dimensions';
+import { ASPECTS, sentimentToScore } from './aspects';
+import { CABIN_CLASSES, describeSplit, getSegmentValue } from './segments';
+import { aggregateAirlineRatings } from './dataProcessor';
+import { getRecommendation, summarizeRecommendations, aggregateRecommendationLeaderboard } from './recommendation';
+import { wilsonInterval, summarizeValues, boxPlotStats } from './stats';
+import { createHistogramBins, calculateOptimalBins } from './scales';
+
+/**
+ * Aggregations shared by the overview cards and the focused views.
+ * They run in the data worker (see workers/dataWorker.js) on the filtered datasets,
+ * so the components only draw the results.
+ */
+
+const CATEGORY_ENTITIES = { Airlines: 'airline', Airports: 'airport', Lounges: 'lounge' };
+
+/**
+ * Average rating per calendar month and year for one dataset (time series).
+ * Uses the selected dimension's field when a dimension filter is set; with a `split`
+ * (see describeSplit) there is one entry per segment value and month. Entries carry the
+ * median, standard deviation and 95% interval (`ci`) of the rating next to its average, and
+ * count the reviews that say whether they recommend (`recommendTotal`) and those that do.
+ */
+export const aggregateMonthlyRatings = (rawData, category, dimensionFilter, split = null) => {
+  // The processors' parsedDate (see dates.js), so the months match the drill-down's
+  const dataWithDates = rawData
+    .filter(d => d.parsedDate && !isNaN(d.parsedDate))
+    .map(d => ({ ...d, category }));
+
+  // Determine which field to use based on dimensionFilter
+  const entity = CATEGORY_ENTITIES[category];
+  const field = dimensionFilter ? dimensionFilter.fields[entity] : 'overall_rating';
+  const getRatingValue = (d) => field ? getDimensionValue(d, entity, field) : null;
+
+  // Group by month and year
+  const grouped = d3.rollup(
+    dataWithDates,
+    v => {
+      const stats = summarizeValues(v.map(getRatingValue));
+      const recommendations = v.map(getRecommendation).filter(r => r !== null);
+      if (stats.count === 0 && recommendations.length === 0) return null;
+
+      return {
+        avgRating: stats.mean !== null ? Math.min(10, Math.max(0, stats.mean)) : null,
+        count: stats.count,
+        median: stats.median,
+        sd: stats.sd,
+        ci: stats.ci,
+        recommended: recommendations.filter(Boolean).length,
+        recommendTotal: recommendations.length,
+        category: v[0].category,
+        month: v[0].parsedDate.getMonth(),
+        year: v[0].parsedDate.getFullYear(),
+        segment: split ? getSegmentValue(v[0], split) : null
+      };
+    },
+    d => `${d.parsedDate.getFullYear()}-${d.parsedDate.getMonth()}${split ? `-${getSegmentValue(d, split)}` : ''}`
+  );
+
+  return Array.from(grouped.values()).filter(v => v !== null);
+};
+
+/**
+ * Per-airline averages for the multi-encoding scatter plot (airlines with at least 10 reviews).
+ * `cabins` breaks each airline down by cabin class (classes with at least 3 reviews).
+ */
+export const aggregateAirlineScatterStats = (rawData, dimensionFilter) => {
+  const cabinsByAirline = d3.group(
+    aggregateAirlineRatings(rawData, { byCabin: true, minReviews: 3 })
+      .filter(c => c.cabin_flown)
+      .sort((a, b) => d3.ascending(CABIN_CLASSES.indexOf(a.cabin_flown), CABIN_CLASSES.indexOf(b.cabin_flown))),
+    c => c.airline_name
+  );
+
+  const airlineStats = d3.rollup(
+    rawData,
+    reviews => {
+      const validReviews = reviews.filter(r => r.overall_rating > 0);
+
+      // Mean of a rating on the normalized scale (null when nobody rated it)
+      const meanRating = (field) => {
+        return d3.mean(validReviews, d => getDimensionValue(d, 'airline', field)) ?? null;
+      };
+      const ratingStats = (field) => summarizeValues(validReviews.map(d => getDimensionValue(d, 'airline', field)));
+
+      // Share of the reviews saying whether they recommend that do
+      const recommendationRate = summarizeRecommendations(reviews).rate ?? 0;
+
+      // Get Y-axis value based on dimension filter
+      let yAxisStats;
+      let yAxisLabel = 'Overall';
+
+      if (dimensionFilter && dimensionFilter.fields.airline) {
+        yAxisStats = ratingStats(dimensionFilter.fields.airline);
+        yAxisLabel = dimensionFilter.dimension;
+      } else {
+        yAxisStats = ratingStats('overall_rating');
+      }
+      const valueStats = ratingStats('value_money_rating');
+
+      return {
+        airline_name: reviews[0].airline_name,
+        review_count: validReviews.length,
+        // Main axes
+        value_money: valueStats.mean,
+        overall: yAxisStats.mean,  // This will be the selected dimension or overall
+        yAxisLabel: yAxisLabel,
+        // 95% intervals of the two axis means
+        value_money_ci: valueStats.ci,
+        overall_ci: yAxisStats.ci,
+        // Additional encodings
+        seat_comfort: meanRating('seat_comfort_rating'),
+        food_beverages: meanRating('food_beverages_rating'),
+        cabin_staff: meanRating('cabin_staff_rating'),
+        entertainment: meanRating('inflight_entertainment_rating'),
+        // Derived metrics
+        recommendationRate,
+        cabins: (cabinsByAirline.get(reviews[0].airline_name) || []).map(c => ({
+          cabin: c.cabin_flown,
+          count: c.count,
+          overall: c.overall_rating,
+          overall_ci: c.stats.overall_rating.ci,
+          value_money: c.value_money_rating
+        }))
+      };
+    },
+    d => d.airline_name
+  );
+
+  return Array.from(airlineStats.values())
+    .filter(a => a.review_count >= 10 && a.value_money !== null && a.overall !== null);
+};
+
+/**
+ * Histogram and box plot statistics of normalized ratings for the matrix distribution views.
+ * Ratings are discrete: when there are no more rating values than Sturges' bin count, every
+ * value gets its own bin (thresholds halfway between the values). Bins are
+ * { x0, x1, count, value } with `value` the mean rating in the bin; empty bins are left out.
+ */
+const describeDistribution = (ratings) => {
+  if (ratings.length === 0) return null;
+
+  const levels = Array.from(new Set(ratings)).sort(d3.ascending);
+  const numBins = calculateOptimalBins(ratings.length);
+  const thresholds = levels.length <= numBins ? d3.pairs(levels, (a, b) => (a + b) / 2) : numBins;
+  const bins = createHistogramBins(ratings, r => r, thresholds, [0, 10]);
+
+  return {
+    bins: bins
+      .filter(bin => bin.length > 0)
+      .map(bin => ({ x0: bin.x0, x1: bin.x1, count: bin.length, value: d3.mean(bin) })),
+    box: boxPlotStats(ratings)
+  };
+};
+
+/**
+ * Average of every rating dimension per entity type (performance matrix cards).
+ * Every average comes with its 95% interval `ci` (t-based, or Wilson for the recommendation
+ * rate), ratings also with their `median` and `sd` and their `distribution` (see
+ * describeDistribution). With a `split` each entity average also lists its `segments`
+ * ({ value, average, count, ci }).
+ */
+export const aggregateDimensionMetrics = ({ airlineData, airportData, loungeData }, split = null) => {
+  const dataMap = { airline: airlineData, airport: airportData, lounge: loungeData };
+
+  return RATING_DIMENSIONS.map(dim => {
+    const entityAverages = ['airline', 'airport', 'lounge'].map(entity => {
+      const field = dim.fields[entity];
+      if (!field) {
+        return { entity, average: null, count: 0 };
+      }
+
+      // Rates get their Wilson interval, on the same 0-10 scale as the average
+      const summarize = (rows) => {
+        const stats = summarizeValues(rows.map(d => getDimensionValue(d, entity, field)));
+        if (dim.isRate) {
+          const recommended = rows.filter(d => getDimensionValue(d, entity, field) > 0).length;
+          return { ...stats, median: null, sd: null, ci: wilsonInterval(recommended, stats.count)?.map(p => p * 10) ?? null };
+        }
+        return stats;
+      };
+
+      const stats = summarize(dataMap[entity]);
+      const distribution = dim.isRate
+        ? null
+        : describeDistribution(dataMap[entity].map(d => getDimensionValue(d, entity, field)).filter(r => r !== null));
+
+      const segments = split && split.values.map(value => {
+        const segmentStats = summarize(dataMap[entity].filter(d => getSegmentValue(d, split) === value));
+        return { value, average: segmentStats.mean, count: segmentStats.count, ci: segmentStats.ci };
+      });
+
+      return {
+        entity,
+        average: stats.mean,
+        count: stats.count,
+        median: stats.median,
+        sd: stats.sd,
+        ci: stats.ci,
+        distribution,
+        field,
+        segments
+      };
+    });
+
+    return {
+      key: dim.key,
+      entityAverages,
+      hasData: entityAverages.some(e => e.average !== null)
+    };
+  });
+};
+
+/**
+ * Mentions and text sentiment of every review aspect per entity type (extra matrix cards).
+ * `average` is the aspect sentiment on the 0-10 card scale, `share` the fraction of reviews
+ * that mention the aspect.
+ */
+export const aggregateAspectMetrics = ({ airlineData, airportData, loungeData }) => {
+  const dataMap = { airline: airlineData, airport: airportData, lounge: loungeData };
+
+  return ASPECTS.map(aspect => {
+    const entityAverages = ['airline', 'airport', 'lounge'].map(entity => {
+      const rows = dataMap[entity];
+      const mentioning = rows.filter(d => d.aspects && aspect.key in d.aspects);
+      const sentiments = mentioning.map(d => d.aspects[aspect.key]).filter(s => s !== null);
+      const sentiment = sentiments.length > 0 ? d3.mean(sentiments) : null;
+
+      return {
+        entity,
+        mentions: mentioning.length,
+        share: rows.length > 0 ? mentioning.length / rows.length : 0,
+        sentiment,
+        average: sentiment !== null ? sentimentToScore(sentiment) : null,
+        count: sentiments.length
+      };
+    });
+
+    return {
+      key: aspect.key,
+      entityAverages,
+      hasData: entityAverages.some(e => e.average !== null)
+    };
+  });
+};
+
+/**
+ * Scatter plot aggregates per segment value (one facet each)
+ */
+export const aggregateAirlineScatterFacets = (rawData, dimensionFilter, split) => {
+  return split.values.map(value => ({
+    segment: value,
+    airlines: aggregateAirlineScatterStats(rawData.filter(d => getSegmentValue(d, split) === value), dimensionFilter)
+  }));
+};
+
+/**
+ * Per-airline average ratings for the parallel coordinates (airlines with at least 10 reviews)
+ */
+export const aggregateAirlineProfiles = (rawData) => aggregateAirlineRatings(rawData);
+
+/**
+ * Everything the overview cards need for one filtered selection.
+ * `split` describes the segment the charts are split by (null without filters.splitBy).
+ * The airline profiles are brushed into filters.selectedAirlines, so they are computed from
+ * `profileAirlineData`: the airline reviews filtered without that filter.
+ */
+export const computeSharedAggregates = ({ airlineData, airportData, loungeData }, { dimensionFilter, splitBy }, { profileAirlineData = airlineData } = {}) => {
+  const split = describeSplit([airlineData, airportData, loungeData], splitBy);
+
+  return {
+    split,
+    monthly: {
+      airline: aggregateMonthlyRatings(airlineData, 'Airlines', dimensionFilter, split),
+      airport: aggregateMonthlyRatings(airportData, 'Airports', dimensionFilter, split),
+      lounge: aggregateMonthlyRatings(loungeData, 'Lounges', dimensionFilter, split)
+    },
+    airlineStats: aggregateAirlineScatterStats(airlineData, dimensionFilter),
+    airlineFacets: split ? aggregateAirlineScatterFacets(airlineData, dimensionFilter, split) : null,
+    airlineProfiles: aggregateAirlineProfiles(profileAirlineData),
+    dimensionMetrics: aggregateDimensionMetrics({ airlineData, airportData, loungeData }, split),
+    aspectMetrics: aggregateAspectMetrics({ airlineData, airportData, loungeData }),
+    recommendations: aggregateRecommendationLeaderboard({ airlineData, airportData, loungeData })
+  };
+};
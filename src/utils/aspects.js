@@ -0,0 +1,101 @@
+import { tokenize } from './textSearch';
+import { analyzeSentiment } from './textAnalytics';
+
+/**
+ * Rule-based aspect tagging of review texts. A review mentions an aspect when one of its
+ * keywords (single words or short phrases) occurs in a sentence; the aspect's sentiment is the
+ * lexicon sentiment of just those sentences.
+ */
+export const ASPECTS = [
+  {
+    key: 'seat',
+    label: 'Seat',
+    keywords: ['seat', 'seats', 'seating', 'chair', 'chairs', 'armchair', 'armchairs', 'sofa', 'sofas', 'couch', 'recliner', 'recline', 'legroom']
+  },
+  {
+    key: 'food',
+    label: 'Food',
+    keywords: ['food', 'meal', 'meals', 'catering', 'buffet', 'snack', 'snacks', 'breakfast', 'lunch', 'dinner', 'sandwich', 'sandwiches', 'menu', 'dish', 'dishes', 'drinks', 'coffee']
+  },
+  {
+    key: 'staff',
+    label: 'Staff',
+    keywords: ['staff', 'service', 'attendant', 'attendants', 'crew', 'reception', 'receptionist', 'employee', 'employees', 'waiter', 'waiters', 'hostess', 'agent', 'agents']
+  },
+  {
+    key: 'wifi',
+    label: 'Wifi',
+    keywords: ['wifi', 'wi fi', 'internet', 'connectivity', 'connection', 'wireless']
+  },
+  {
+    key: 'queue',
+    label: 'Queues',
+    keywords: ['queue', 'queues', 'queued', 'queuing', 'queueing', 'wait', 'waiting', 'waited', 'long line', 'long lines']
+  },
+  {
+    key: 'cleanliness',
+    label: 'Cleanliness',
+    keywords: ['clean', 'cleanliness', 'dirty', 'filthy', 'tidy', 'untidy', 'spotless', 'hygiene', 'messy', 'toilet', 'toilets', 'washroom', 'washrooms', 'restroom', 'restrooms', 'bathroom', 'bathrooms']
+  },
+  {
+    key: 'delays',
+    label: 'Delays',
+    keywords: ['delay', 'delays', 'delayed', 'late', 'cancelled', 'canceled', 'cancellation', 'missed connection']
+  },
+  {
+    key: 'baggage',
+    label: 'Baggage',
+    keywords: ['baggage', 'luggage', 'bag', 'bags', 'suitcase', 'suitcases', 'carry on', 'belt', 'carousel']
+  },
+  {
+    key: 'price',
+    label: 'Price',
+    keywords: ['price', 'prices', 'priced', 'overpriced', 'expensive', 'cheap', 'cost', 'costs', 'fee', 'fees', 'value for money', 'paid', 'pay']
+  }
+];
+
+export const getAspectByKey = (key) => ASPECTS.find(aspect => aspect.key === key) || null;
+
+// Keywords split into tokens, longest first so phrases win over their words
+const ASPECT_MATCHERS = ASPECTS.map(aspect => ({
+  key: aspect.key,
+  keywords: aspect.keywords.map(keyword => keyword.split(' ')).sort((a, b) => b.length - a.length)
+}));
+
+const containsKeyword = (tokens, keyword) => {
+  for (let i = 0; i <= tokens.length - keyword.length; i++) {
+    if (keyword.every((word, j) => tokens[i + j] === word)) return true;
+  }
+  return false;
+};
+
+/**
+ * Aspects mentioned in a text: { [aspectKey]: sentiment } with the sentiment of the mentioning
+ * sentences (-1..1), or null when those sentences carry no sentiment words
+ */
+export const tagAspects = (text) => {
+  const mentions = {};
+  if (!text) return mentions;
+
+  const sentencesByAspect = {};
+  String(text).split(/[.!?;\n]+/).forEach(sentence => {
+    const tokens = tokenize(sentence);
+    if (tokens.length === 0) return;
+
+    ASPECT_MATCHERS.forEach(({ key, keywords }) => {
+      if (keywords.some(keyword => containsKeyword(tokens, keyword))) {
+        (sentencesByAspect[key] = sentencesByAspect[key] || []).push(sentence);
+      }
+    });
+  });
+
+  Object.entries(sentencesByAspect).forEach(([key, sentences]) => {
+    const { score, hits } = analyzeSentiment(sentences.join('. '));
+    mentions[key] = hits > 0 ? score : null;
+  });
+
+  return mentions;
+};
+
+// Aspect sentiment (-1..1) shown on the normalized 0-10 rating scale of the matrix cards
+export const sentimentToScore = (sentiment) => (sentiment + 1) * 5;
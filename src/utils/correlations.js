@@ -0,0 +1,145 @@
+import * as d3 from 'd3';
+import { getEntityRatings, getNormalizedRating } from './ratingSchema';
+import { pearsonCorrelation, spearmanCorrelation, standardizedRegression } from './stats';
+
+/**
+ * Correlations between the rating columns of one dataset and a driver analysis of its overall
+ * rating. Every pair of columns is correlated over the reviews that rate both (pairwise
+ * complete), with both Pearson and Spearman coefficients so the view can switch between them.
+ * The drivers are the standardized coefficients of a regression of overall_rating on the
+ * sub-ratings: the change in overall rating, in standard deviations, per standard deviation of
+ * a sub-rating with the others held fixed.
+ */
+
+export const CORRELATION_METHODS = [
+  { key: 'pearson', label: 'Pearson' },
+  { key: 'spearman', label: 'Spearman (rank)' }
+];
+
+const DRIVER_TARGET = 'overall_rating';
+
+// Sub-ratings rated in fewer of the reviews with an overall rating are left out of the
+// regression, which needs reviews that rate every predictor
+const MIN_DRIVER_COVERAGE = 0.5;
+
+// Normalized values of both columns over the reviews that rate both
+const pairValues = (columns, a, b) => {
+  const xs = [];
+  const ys = [];
+  columns[a].forEach((x, i) => {
+    const y = columns[b][i];
+    if (x !== null && y !== null) {
+      xs.push(x);
+      ys.push(y);
+    }
+  });
+  return [xs, ys];
+};
+
+// Regression of the overall rating on the sub-ratings rated often enough
+const computeDrivers = (ratings, columns) => {
+  const target = ratings.findIndex(r => r.field === DRIVER_TARGET);
+  if (target === -1) return null;
+
+  const rated = d3.range(columns[target].length).filter(i => columns[target][i] !== null);
+  const candidates = ratings
+    .map((r, index) => ({
+      index,
+      field: r.field,
+      label: r.label,
+      coverage: rated.length ? rated.filter(i => columns[index][i] !== null).length / rated.length : 0
+    }))
+    .filter(c => c.index !== target);
+
+  const included = candidates.filter(c => c.coverage >= MIN_DRIVER_COVERAGE);
+  const excluded = candidates.filter(c => c.coverage < MIN_DRIVER_COVERAGE);
+  const complete = rated.filter(i => included.every(c => columns[c.index][i] !== null));
+
+  const y = complete.map(i => columns[target][i]);
+  const regression = standardizedRegression(included.map(c => complete.map(i => columns[c.index][i])), y);
+
+  return {
+    count: complete.length,
+    rSquared: regression ? regression.rSquared : null,
+    drivers: regression
+      ? included
+        .map((c, k) => ({
+          field: c.field,
+          label: c.label,
+          coverage: c.coverage,
+          beta: regression.betas[k],
+          correlation: pearsonCorrelation(complete.map(i => columns[c.index][i]), y)
+        }))
+        .sort((a, b) => b.beta - a.beta)
+      : [],
+    excluded
+  };
+};
+
+/**
+ * Joint distribution of two rating columns for the pair scatter: one point per combination of
+ * values with its review count, and the least-squares line of y on x
+ */
+export const describeRatingPair = (rows, entity, xField, yField) => {
+  const x = rows.map(row => getNormalizedRating(row, entity, xField));
+  const y = rows.map(row => getNormalizedRating(row, entity, yField));
+  const [xs, ys] = pairValues([x, y], 0, 1);
+
+  const points = Array.from(
+    d3.rollup(xs.map((value, i) => [value, ys[i]]), v => v.length, d => d[0], d => d[1]),
+    ([xValue, byY]) => Array.from(byY, ([yValue, count]) => ({ x: xValue, y: yValue, count }))
+  ).flat();
+
+  const pearson = pearsonCorrelation(xs, ys);
+  const fit = pearson === null ? null : (() => {
+    const slope = pearson * d3.deviation(ys) / d3.deviation(xs);
+    return { slope, intercept: d3.mean(ys) - slope * d3.mean(xs) };
+  })();
+
+  return {
+    xField,
+    yField,
+    count: xs.length,
+    pearson,
+    spearman: xs.length ? spearmanCorrelation(xs, ys) : null,
+    points,
+    fit
+  };
+};
+
+/**
+ * Correlation matrices (Pearson, Spearman and the pairwise review counts, in the order of
+ * `fields`) and driver analysis of one entity's filtered reviews, plus the joint distribution
+ * of `pair` ({ x, y } fields) when given
+ */
+export const computeCorrelations = (rows, entity, { pair = null } = {}) => {
+  const ratings = getEntityRatings(entity);
+  const columns = ratings.map(r => rows.map(row => getNormalizedRating(row, entity, r.field)));
+
+  const pearson = ratings.map(() => new Array(ratings.length).fill(null));
+  const spearman = ratings.map(() => new Array(ratings.length).fill(null));
+  const counts = ratings.map(() => new Array(ratings.length).fill(0));
+
+  ratings.forEach((_, a) => {
+    for (let b = a; b < ratings.length; b++) {
+      const [xs, ys] = pairValues(columns, a, b);
+      counts[a][b] = counts[b][a] = xs.length;
+      if (a === b) {
+        if (xs.length) pearson[a][a] = spearman[a][a] = 1;
+        continue;
+      }
+      pearson[a][b] = pearson[b][a] = pearsonCorrelation(xs, ys);
+      spearman[a][b] = spearman[b][a] = xs.length ? spearmanCorrelation(xs, ys) : null;
+    }
+  });
+
+  return {
+    entity,
+    fields: ratings.map(r => ({ field: r.field, label: r.label })),
+    pearson,
+    spearman,
+    counts,
+    drivers: computeDrivers(ratings, columns),
+    pair: pair ? describeRatingPair(rows, entity, pair.x, pair.y) : null
+  };
+};
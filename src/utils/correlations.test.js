@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { computeCorrelations, describeRatingPair } from './correlations';
+
+// Lounge reviews whose overall rating equals their comfort rating; cleanliness varies on its own
+// and only one review rates the washrooms
+const comfort = [1, 2, 3, 4, 5, 1, 2, 3];
+const cleanliness = [2, 2, 4, 4, 5, 5, 1, 3];
+const loungeRows = comfort.map((value, i) => ({
+  overall_rating: String(value),
+  comfort_rating: String(value),
+  cleanliness_rating: String(cleanliness[i]),
+  washrooms_rating: i === 0 ? '3' : ''
+}));
+
+const fieldIndex = (result, field) => result.fields.findIndex(f => f.field === field);
+
+describe('computeCorrelations', () => {
+  const result = computeCorrelations(loungeRows, 'lounge');
+  const overall = fieldIndex(result, 'overall_rating');
+  const comfortIndex = fieldIndex(result, 'comfort_rating');
+  const washrooms = fieldIndex(result, 'washrooms_rating');
+  const bar = fieldIndex(result, 'bar_beverages_rating');
+
+  it('lists the rating columns of the entity', () => {
+    expect(result.entity).toBe('lounge');
+    expect(result.fields[overall]).toEqual({ field: 'overall_rating', label: 'Overall' });
+    expect(result.fields).toHaveLength(result.pearson.length);
+  });
+
+  it('correlates every pair over the reviews that rate both', () => {
+    expect(result.pearson[overall][comfortIndex]).toBeCloseTo(1, 10);
+    expect(result.spearman[comfortIndex][overall]).toBeCloseTo(1, 10);
+    expect(result.counts[overall][comfortIndex]).toBe(8);
+    expect(result.counts[overall][washrooms]).toBe(1);
+    // One shared review is too few to correlate
+    expect(result.pearson[overall][washrooms]).toBeNull();
+  });
+
+  it('leaves unrated columns empty', () => {
+    expect(result.pearson[bar][bar]).toBeNull();
+    expect(result.pearson[washrooms][washrooms]).toBe(1);
+    expect(result.counts[bar][overall]).toBe(0);
+  });
+
+  it('regresses the overall rating on the well-covered sub-ratings', () => {
+    const { drivers } = result;
+    expect(drivers.count).toBe(8);
+    expect(drivers.rSquared).toBeCloseTo(1, 10);
+    expect(drivers.drivers.map(d => d.field)).toEqual(['comfort_rating', 'cleanliness_rating']);
+    expect(drivers.drivers[0].beta).toBeCloseTo(1, 10);
+    expect(drivers.drivers[1].beta).toBeCloseTo(0, 10);
+    expect(drivers.excluded.find(c => c.field === 'washrooms_rating').coverage).toBe(1 / 8);
+  });
+
+  it('has no drivers without reviews', () => {
+    const { drivers } = computeCorrelations([], 'airport');
+    expect(drivers.count).toBe(0);
+    expect(drivers.rSquared).toBeNull();
+    expect(drivers.drivers).toEqual([]);
+  });
+
+  it('describes the requested pair', () => {
+    const { pair } = computeCorrelations(loungeRows, 'lounge', { pair: { x: 'comfort_rating', y: 'overall_rating' } });
+    expect(pair.xField).toBe('comfort_rating');
+    expect(pair.count).toBe(8);
+  });
+});
+
+describe('describeRatingPair', () => {
+  it('counts reviews per combination of values and fits a line', () => {
+    const pair = describeRatingPair(loungeRows, 'lounge', 'comfort_rating', 'overall_rating');
+
+    expect(pair.points).toContainEqual({ x: 2, y: 2, count: 2 });
+    expect(pair.points).toContainEqual({ x: 10, y: 10, count: 1 });
+    expect(pair.points).toHaveLength(5);
+    expect(pair.fit.slope).toBeCloseTo(1, 10);
+    expect(pair.fit.intercept).toBeCloseTo(0, 10);
+  });
+
+  it('has no fit without rated pairs', () => {
+    const pair = describeRatingPair(loungeRows, 'lounge', 'comfort_rating', 'catering_rating');
+    expect(pair).toMatchObject({ count: 0, pearson: null, spearman: null, points: [], fit: null });
+  });
+});
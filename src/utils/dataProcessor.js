@@ -1,158 +1,253 @@
 import * as d3 from 'd3';
+import { AIRPORT_LOCATIONS } from '../data/airportLocations';
+import { validateDataset, summarizeValidation } from './dataValidation';
+import { getEntityRatings, getNormalizedRating } from './ratingSchema';
+import { scoreReviewSentiment } from './textAnalytics';
+import { tagAspects } from './aspects';
+import { CABIN_CLASSES, TRAVELLER_TYPES } from './segments';
+import { summarizeValues, poolSummaries, bayesianAverage } from './stats';
+import { DEFAULT_PRIOR_STRENGTH, rankSubjects, sortByRanking } from './rankings';
+import { parseReviewDate } from './dates';
 
-export const processAirlineData = (rawData) => {
-  // Filter rows with sufficient rating data
-  const validData = rawData.filter(row => 
-    row.overall_rating && 
-    row.seat_comfort_rating &&
-    row.cabin_staff_rating &&
-    row.value_money_rating
-  );
+// Convert the rating columns of a row to numbers on their native scale (missing / 0 -> null)
+const parseRatings = (row, entity) => {
+  getEntityRatings(entity).forEach(({ field }) => {
+    row[field] = +row[field] || null;
+  });
+};
+
+// Reduce spellings such as "Economy Class" or "business class" to the CABIN_CLASSES labels
+export const normalizeCabinClass = (value) => {
+  const stem = String(value || '').toLowerCase().replace(/[^a-z]+/g, ' ').replace(/\bclass\b/g, '').trim();
+  if (!stem) return '';
 
+  const [economy, premiumEconomy, business, first] = CABIN_CLASSES;
+  if (stem.includes('premium')) return premiumEconomy;
+  if (stem.includes('economy') || stem === 'coach') return economy;
+  if (stem.includes('business')) return business;
+  if (stem.includes('first')) return first;
+  return String(value).trim();
+};
+
+// Reduce spellings such as "FamilyLeisure" or "solo leisure" to the TRAVELLER_TYPES labels
+export const normalizeTravellerType = (value) => {
+  const stem = String(value || '').toLowerCase().replace(/[^a-z]+/g, '');
+  if (!stem) return '';
+  return TRAVELLER_TYPES.find(type => type.toLowerCase().replace(/[^a-z]+/g, '') === stem) || String(value).trim();
+};
+
+// The processors take the rows validateDataset kept (see prepareDataset) and parse them in place
+
+export const processAirlineData = (validData) => {
   // Parse dates
   validData.forEach(row => {
-    row.parsedDate = new Date(row.date);
-    row.overall_rating = +row.overall_rating;
-    row.seat_comfort_rating = +row.seat_comfort_rating;
-    row.cabin_staff_rating = +row.cabin_staff_rating;
-    row.food_beverages_rating = +row.food_beverages_rating || null;
-    row.inflight_entertainment_rating = +row.inflight_entertainment_rating || null;
-    row.value_money_rating = +row.value_money_rating;
+    row.parsedDate = parseReviewDate(row.date);
+    row.type_traveller = normalizeTravellerType(row.type_traveller);
+    row.cabin_flown = normalizeCabinClass(row.cabin_flown);
+    parseRatings(row, 'airline');
   });
 
   return validData;
 };
 
-export const getTopAirlines = (data, n = 10) => {
-  const airlineCounts = d3.rollup(
-    data,
-    v => ({
-      count: v.length,
-      avgRating: d3.mean(v, d => d.overall_rating)
-    }),
-    d => d.airline_name
-  );
+/**
+ * Names of the top `n` airlines by `rankBy`, a RANKING_MODES key: 'volume' (most reviewed),
+ * 'raw' (highest mean overall rating) or 'adjusted' (highest Bayesian-shrunk rating, see rankings.js)
+ */
+export const getTopAirlines = (data, n = 10, { rankBy = 'volume', priorStrength = DEFAULT_PRIOR_STRENGTH } = {}) => {
+  if (rankBy === 'volume') {
+    const airlineCounts = d3.rollup(data, v => v.length, d => d.airline_name);
+    return Array.from(airlineCounts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, n)
+      .map(d => d[0]);
+  }
 
-  return Array.from(airlineCounts.entries())
-    .sort((a, b) => b[1].count - a[1].count)
-    .slice(0, n)
-    .map(d => d[0]);
+  const { subjects } = rankSubjects(data, 'airline', { priorStrength });
+  return sortByRanking(subjects, rankBy).slice(0, n).map(s => s.name);
 };
 
+const COUNTRY_AGGREGATE_FIELDS = ['overall_rating', 'seat_comfort_rating', 'cabin_staff_rating'];
+
+/**
+ * Average airline ratings per reviewer country. `stats` holds the summary statistics behind
+ * each average, keyed by rating field (see summarizeValues).
+ */
 export const aggregateByCountry = (data) => {
   return d3.rollup(
     data,
-    v => ({
-      count: v.length,
-      avgRating: d3.mean(v, d => d.overall_rating * 2),
-      avgSeatComfort: d3.mean(v, d => d.seat_comfort_rating * 2),
-      avgCabinStaff: d3.mean(v, d => d.cabin_staff_rating * 2)
-    }),
+    v => {
+      const stats = Object.fromEntries(COUNTRY_AGGREGATE_FIELDS.map(field => [
+        field,
+        summarizeValues(v.map(d => getNormalizedRating(d, 'airline', field)))
+      ]));
+
+      return {
+        count: v.length,
+        avgRating: stats.overall_rating.mean,
+        avgSeatComfort: stats.seat_comfort_rating.mean,
+        avgCabinStaff: stats.cabin_staff_rating.mean,
+        stats
+      };
+    },
     d => d.author_country
   );
 };
 
-export const aggregateByMonth = (data) => {
+export const aggregateByMonth = (data, entity) => {
   return d3.rollup(
     data,
     v => ({
       count: v.length,
-      avgRating: d3.mean(v, d => d.overall_rating)
+      avgRating: d3.mean(v, d => getNormalizedRating(d, entity, 'overall_rating'))
     }),
     d => d3.timeMonth(d.parsedDate)
   );
 };
 
-export const processAirportData = (rawData) => {
-  const validData = rawData.filter(row => 
-    row.airport_name && 
-    row.overall_rating &&
-    !isNaN(+row.overall_rating)
-  );
-
+export const processAirportData = (validData) => {
   validData.forEach(row => {
-    row.parsedDate = new Date(row.date);
-    row.overall_rating = +row.overall_rating;
-    row.queuing_rating = +row.queuing_rating || null;
-    row.terminal_cleanliness_rating = +row.terminal_cleanliness_rating || null;
-    row.airport_shopping_rating = +row.airport_shopping_rating || null;
+    row.parsedDate = parseReviewDate(row.date);
+    row.type_traveller = normalizeTravellerType(row.type_traveller);
+    parseRatings(row, 'airport');
   });
 
   return validData;
 };
 
-export const processLoungeData = (rawData) => {
-  const validData = rawData.filter(row => 
-    row.lounge_name && 
-    row.airport &&
-    row.overall_rating &&
-    !isNaN(+row.overall_rating)
-  );
+export const processLoungeData = (validData) => {
+  validData.forEach(row => {
+    row.parsedDate = parseReviewDate(row.date);
+    row.type_traveller = normalizeTravellerType(row.type_traveller);
+    parseRatings(row, 'lounge');
+  });
 
+  return validData;
+};
+
+export const processSeatData = (validData) => {
   validData.forEach(row => {
-    row.parsedDate = new Date(row.date);
-    row.overall_rating = +row.overall_rating * 2;
-    row.comfort_rating = +row.comfort_rating * 2 || null;
-    row.cleanliness_rating = +row.cleanliness_rating * 2 || null;
-    row.staff_service_rating = +row.staff_service_rating * 2 || null;
+    row.parsedDate = parseReviewDate(row.date);
+    row.type_traveller = normalizeTravellerType(row.type_traveller);
+    row.cabin_flown = normalizeCabinClass(row.cabin_flown);
+    parseRatings(row, 'seat');
   });
 
   return validData;
 };
 
+const DATASET_PROCESSORS = {
+  airline: processAirlineData,
+  airport: processAirportData,
+  lounge: processLoungeData,
+  seat: processSeatData
+};
+
+// Validate raw CSV rows (rows with sufficient, in-range rating data, see dataValidation.js) and
+// process the valid ones, keeping the report for the data-quality panel
+export const prepareDataset = (type, rows, source) => {
+  const validation = validateDataset(type, rows);
+  const data = DATASET_PROCESSORS[type](validation.valid);
+
+  // Text sentiment and aspects are computed once per review so the views only aggregate them
+  data.forEach(row => {
+    Object.assign(row, scoreReviewSentiment(row, type));
+    row.aspects = tagAspects(row.content);
+  });
+
+  return {
+    data,
+    report: { ...summarizeValidation(type, validation), source }
+  };
+};
+
+// Airport names differ between datasets ("London Heathrow Airport" in lounge.csv,
+// "london-heathrow-airport" in airport.csv), so both are reduced to a common key
+export const normalizeAirportName = (name) => {
+  if (!name) return '';
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && word !== 'airport' && word !== 'international')
+    .join(' ');
+};
+
+export const getAirportLocation = (name) => {
+  return AIRPORT_LOCATIONS[normalizeAirportName(name)] || null;
+};
+
 export const aggregateAirportsByLocation = (airportData, loungeData) => {
   // Group airport reviews by airport name
   const airportsByName = d3.rollup(
     airportData,
     v => ({
+      name: v[0].airport_name,
       count: v.length,
-      avgRating: d3.mean(v, d => d.overall_rating),
-      avgQueuing: d3.mean(v, d => d.queuing_rating * 2),
-      avgCleanliness: d3.mean(v, d => d.terminal_cleanliness_rating * 2),
-      avgShopping: d3.mean(v, d => d.airport_shopping_rating * 2),
+      avgRating: d3.mean(v, d => getNormalizedRating(d, 'airport', 'overall_rating')),
+      avgQueuing: d3.mean(v, d => getNormalizedRating(d, 'airport', 'queuing_rating')),
+      avgCleanliness: d3.mean(v, d => getNormalizedRating(d, 'airport', 'terminal_cleanliness_rating')),
+      avgShopping: d3.mean(v, d => getNormalizedRating(d, 'airport', 'airport_shopping_rating')),
       reviews: v
     }),
-    d => d.airport_name
+    d => normalizeAirportName(d.airport_name)
   );
 
   // Group lounges by airport
   const loungesByAirport = d3.rollup(
     loungeData,
     v => ({
+      name: v[0].airport,
       count: v.length,
-      avgRating: d3.mean(v, d => d.overall_rating),
+      avgRating: d3.mean(v, d => getNormalizedRating(d, 'lounge', 'overall_rating')),
       lounges: v.map(l => ({
         name: l.lounge_name,
-        rating: l.overall_rating,
-        comfort: l.comfort_rating,
-        cleanliness: l.cleanliness_rating,
-        staff: l.staff_service_rating
-      }))
+        airline: l.airline_name,
+        type: l.lounge_type,
+        rating: getNormalizedRating(l, 'lounge', 'overall_rating'),
+        comfort: getNormalizedRating(l, 'lounge', 'comfort_rating'),
+        cleanliness: getNormalizedRating(l, 'lounge', 'cleanliness_rating'),
+        staff: getNormalizedRating(l, 'lounge', 'staff_service_rating')
+      })),
+      reviews: v
     }),
-    d => d.airport
+    d => normalizeAirportName(d.airport)
   );
 
-  // Combine airport and lounge data
-  const combined = Array.from(airportsByName.entries()).map(([airportName, airportStats]) => {
-    const loungeStats = loungesByAirport.get(airportName) || { count: 0, avgRating: null, lounges: [] };
-    
-    return {
-      name: airportName,
-      airport: airportStats,
-      lounges: loungeStats
-    };
-  });
+  // Combine airport and lounge data (airports with only lounge reviews are kept too)
+  const allKeys = new Set([...airportsByName.keys(), ...loungesByAirport.keys()]);
+
+  return Array.from(allKeys)
+    .filter(key => key)
+    .map(key => {
+      const airportStats = airportsByName.get(key) || { count: 0, avgRating: null, reviews: [] };
+      const loungeStats = loungesByAirport.get(key) || { count: 0, avgRating: null, lounges: [], reviews: [] };
 
-  return combined;
+      return {
+        key,
+        // Lounge names are human readable, airport.csv names are slugs
+        name: loungeStats.name || airportStats.name,
+        coordinates: AIRPORT_LOCATIONS[key] || null,
+        airport: airportStats,
+        lounges: loungeStats
+      };
+    });
 };
 
+/**
+ * Airport and lounge ratings per reviewer country, each average with its summary statistics
+ * (`airportStats`, `loungeStats`, `combinedStats`; see summarizeValues)
+ */
 export const aggregateByCountryRatings = (airportData, loungeData) => {
   // Aggregate airports by country
   const airportByCountry = d3.rollup(
     airportData,
     v => ({
       airportCount: v.length,
-      avgAirportRating: d3.mean(v, d => d.overall_rating)
+      avgAirportRating: d3.mean(v, d => getNormalizedRating(d, 'airport', 'overall_rating')),
+      airportStats: summarizeValues(v.map(d => getNormalizedRating(d, 'airport', 'overall_rating')))
     }),
     d => d.author_country
   );
@@ -162,7 +257,8 @@ export const aggregateByCountryRatings = (airportData, loungeData) => {
     loungeData,
     v => ({
       loungeCount: v.length,
-      avgLoungeRating: d3.mean(v, d => d.overall_rating)
+      avgLoungeRating: d3.mean(v, d => getNormalizedRating(d, 'lounge', 'overall_rating')),
+      loungeStats: summarizeValues(v.map(d => getNormalizedRating(d, 'lounge', 'overall_rating')))
     }),
     d => d.author_country
   );
@@ -174,8 +270,8 @@ export const aggregateByCountryRatings = (airportData, loungeData) => {
   ]);
 
   return Array.from(allCountries).map(country => {
-    const airport = airportByCountry.get(country) || { airportCount: 0, avgAirportRating: 0 };
-    const lounge = loungeByCountry.get(country) || { loungeCount: 0, avgLoungeRating: 0 };
+    const airport = airportByCountry.get(country) || { airportCount: 0, avgAirportRating: 0, airportStats: summarizeValues([]) };
+    const lounge = loungeByCountry.get(country) || { loungeCount: 0, avgLoungeRating: 0, loungeStats: summarizeValues([]) };
     
     const totalReviews = airport.airportCount + lounge.loungeCount;
     const combinedRating = totalReviews > 0
@@ -189,31 +285,65 @@ export const aggregateByCountryRatings = (airportData, loungeData) => {
       loungeCount: lounge.loungeCount,
       avgAirportRating: airport.avgAirportRating,
       avgLoungeRating: lounge.avgLoungeRating,
+      airportStats: airport.airportStats,
+      loungeStats: lounge.loungeStats,
+      combinedStats: poolSummaries([airport.airportStats, lounge.loungeStats]),
       combinedRating,
       totalReviews
     };
   }).filter(d => d.totalReviews > 0);
 };
 
-export const aggregateAirlineRatings = (data) => {
-  // Group by airline and calculate average ratings
+const AIRLINE_AGGREGATE_FIELDS = [
+  'seat_comfort_rating',
+  'cabin_staff_rating',
+  'food_beverages_rating',
+  'inflight_entertainment_rating',
+  'value_money_rating',
+  'overall_rating'
+];
+
+/**
+ * Average ratings per airline (at least `minReviews` reviews), most reviewed first.
+ * `stats` holds the summary statistics behind each average (see summarizeValues) and
+ * `overall_adjusted` the overall rating shrunk toward the mean of all reviews by `priorStrength`
+ * (see rankings.js). With `rankBy: 'adjusted'` the airlines are ordered by that score instead,
+ * which needs no review cut-off, so `minReviews` defaults to 1.
+ * With `byCabin` there is one entry per airline and cabin class (`cabin_flown`, '' when unknown).
+ */
+export const aggregateAirlineRatings = (data, {
+  byCabin = false,
+  rankBy = 'volume',
+  minReviews = rankBy === 'adjusted' ? 1 : 10,
+  priorStrength = DEFAULT_PRIOR_STRENGTH
+} = {}) => {
+  const priorMean = d3.mean(data, d => getNormalizedRating(d, 'airline', 'overall_rating')) ?? null;
+
+  // Group by airline (and cabin) and calculate average ratings
   const airlineAggregates = d3.rollup(
     data,
-    v => ({
-      airline_name: v[0].airline_name,
-      count: v.length,
-      seat_comfort_rating: d3.mean(v, d => d.seat_comfort_rating * 2),
-      cabin_staff_rating: d3.mean(v, d => d.cabin_staff_rating * 2),
-      food_beverages_rating: d3.mean(v, d => d.food_beverages_rating * 2),
-      inflight_entertainment_rating: d3.mean(v, d => d.inflight_entertainment_rating * 2),
-      value_money_rating: d3.mean(v, d => d.value_money_rating * 2),
-      overall_rating: d3.mean(v, d => d.overall_rating)
-    }),
-    d => d.airline_name
+    v => {
+      const stats = Object.fromEntries(AIRLINE_AGGREGATE_FIELDS.map(field => [
+        field,
+        summarizeValues(v.map(d => getNormalizedRating(d, 'airline', field)))
+      ]));
+
+      return {
+        airline_name: v[0].airline_name,
+        ...(byCabin ? { cabin_flown: v[0].cabin_flown || '' } : {}),
+        count: v.length,
+        ...Object.fromEntries(AIRLINE_AGGREGATE_FIELDS.map(field => [field, stats[field].mean])),
+        overall_adjusted: bayesianAverage(stats.overall_rating.mean, stats.overall_rating.count, priorMean, priorStrength),
+        stats
+      };
+    },
+    d => byCabin ? `${d.airline_name}|${d.cabin_flown || ''}` : d.airline_name
   );
 
   // Convert to array and filter out airlines with insufficient data
   return Array.from(airlineAggregates.values())
-    .filter(airline => airline.count >= 10) // At least 10 reviews
-    .sort((a, b) => b.count - a.count); // Sort by review count
+    .filter(airline => airline.count >= minReviews)
+    .sort(rankBy === 'adjusted'
+      ? (a, b) => (b.overall_adjusted ?? -1) - (a.overall_adjusted ?? -1) || b.count - a.count
+      : (a, b) => b.count - a.count); // Sort by review count
 };
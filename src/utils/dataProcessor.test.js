@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import {
+  aggregateAirlineRatings,
+  aggregateByCountry,
+  getTopAirlines,
+  normalizeCabinClass,
+  normalizeTravellerType,
+  processAirlineData,
+  processLoungeData
+} from './dataProcessor';
+import { getSegmentByKey, listSegmentValues } from './segments';
+
+describe('normalizeTravellerType', () => {
+  it('maps spelling variants to one label', () => {
+    expect(normalizeTravellerType('FamilyLeisure')).toBe('Family Leisure');
+    expect(normalizeTravellerType(' solo  leisure ')).toBe('Solo Leisure');
+    expect(normalizeTravellerType('Business')).toBe('Business');
+  });
+
+  it('keeps unknown types and empties missing ones', () => {
+    expect(normalizeTravellerType(' Crew ')).toBe('Crew');
+    expect(normalizeTravellerType(undefined)).toBe('');
+  });
+});
+
+describe('normalizeCabinClass', () => {
+  it('maps spelling variants to the cabin classes', () => {
+    expect(normalizeCabinClass('economy class')).toBe('Economy');
+    expect(normalizeCabinClass('Premium Economy')).toBe('Premium Economy');
+    expect(normalizeCabinClass('FIRST CLASS')).toBe('First');
+    expect(normalizeCabinClass('')).toBe('');
+  });
+});
+
+describe('traveller segments', () => {
+  it('count lounge and airline reviews of the same traveller type together', () => {
+    const lounges = processLoungeData([{ date: '2014-01-01', overall_rating: '4', type_traveller: 'FamilyLeisure' }]);
+    const airlines = processAirlineData([{ date: '2014-01-01', overall_rating: '8', type_traveller: 'Family Leisure' }]);
+
+    expect(listSegmentValues([airlines, lounges], getSegmentByKey('traveller'))).toEqual([
+      { value: 'Family Leisure', count: 2 }
+    ]);
+  });
+});
+
+// One perfect review, ten 9s and one 2: the mean of all twelve reviews is 8.5
+const reviews = (airline_name, rating, count) => Array.from({ length: count }, () => ({ airline_name, overall_rating: rating }));
+const airlineRows = [...reviews('solo-air', 10, 1), ...reviews('steady-air', 9, 10), ...reviews('poor-air', 2, 1)];
+
+describe('getTopAirlines', () => {
+  it('ranks by review count, raw mean or adjusted score', () => {
+    expect(getTopAirlines(airlineRows, 2)).toEqual(['steady-air', 'solo-air']);
+    expect(getTopAirlines(airlineRows, 1, { rankBy: 'raw' })).toEqual(['solo-air']);
+    expect(getTopAirlines(airlineRows, 3, { rankBy: 'adjusted', priorStrength: 10 })).toEqual(['steady-air', 'solo-air', 'poor-air']);
+  });
+});
+
+describe('aggregateAirlineRatings', () => {
+  it('keeps airlines with 10+ reviews by default', () => {
+    expect(aggregateAirlineRatings(airlineRows).map(a => a.airline_name)).toEqual(['steady-air']);
+  });
+
+  it('orders every airline by the adjusted score in the adjusted mode', () => {
+    const airlines = aggregateAirlineRatings(airlineRows, { rankBy: 'adjusted', priorStrength: 10 });
+    expect(airlines.map(a => a.airline_name)).toEqual(['steady-air', 'solo-air', 'poor-air']);
+    expect(airlines[0].overall_adjusted).toBeCloseTo(8.75, 10);
+    expect(airlines[1].overall_adjusted).toBeCloseTo(95 / 11, 10);
+  });
+});
+
+describe('aggregateByCountry', () => {
+  it('summarizes the ratings of each reviewer country', () => {
+    const countries = aggregateByCountry([
+      { author_country: 'France', overall_rating: 8, seat_comfort_rating: 4, cabin_staff_rating: 5 },
+      { author_country: 'France', overall_rating: 6, seat_comfort_rating: 2, cabin_staff_rating: null },
+      { author_country: 'Peru', overall_rating: 3 }
+    ]);
+    const france = countries.get('France');
+
+    expect(france).toMatchObject({ count: 2, avgRating: 7, avgSeatComfort: 6, avgCabinStaff: 10 });
+    expect(france.stats.overall_rating.sd).toBeCloseTo(Math.SQRT2, 10);
+    expect(france.stats.overall_rating.ci[0]).toBeCloseTo(7 - 12.706, 10);
+    expect(france.stats.cabin_staff_rating.ci).toBeNull();
+    expect(countries.get('Peru').avgSeatComfort).toBeNull();
+  });
+});
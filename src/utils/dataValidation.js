@@ -0,0 +1,124 @@
+import { getEntityRatings } from './ratingSchema';
+import { parseReviewDate } from './dates';
+
+/**
+ * Row-level validation for the raw CSV datasets. The processors in dataProcessor.js only keep
+ * rows that pass, and the data-quality panel reports the rest with the reason they were dropped.
+ */
+
+export const REJECTION_REASONS = {
+  missing: 'Missing field',
+  date: 'Unparseable date',
+  numeric: 'Non-numeric rating',
+  range: 'Out-of-range rating'
+};
+
+// Native [min, max] of every rating column of an entity, from the rating schema
+const ratingRanges = (entity) => {
+  return Object.fromEntries(getEntityRatings(entity).map(r => [r.field, r.native]));
+};
+
+/**
+ * `required` fields must be present; `ratings` maps rating columns to their native [min, max].
+ * Ratings that are not required may be empty or 0, which Skytrax uses for "not rated".
+ */
+export const VALIDATION_SCHEMAS = {
+  airline: {
+    required: ['date', 'overall_rating', 'seat_comfort_rating', 'cabin_staff_rating', 'value_money_rating'],
+    ratings: ratingRanges('airline')
+  },
+  airport: {
+    required: ['airport_name', 'date', 'overall_rating'],
+    ratings: ratingRanges('airport')
+  },
+  lounge: {
+    required: ['lounge_name', 'airport', 'date', 'overall_rating'],
+    ratings: ratingRanges('lounge')
+  },
+  seat: {
+    required: ['airline_name', 'date', 'overall_rating'],
+    ratings: ratingRanges('seat')
+  }
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * First problem found in a raw row as { reason, field }, or null when the row is valid
+ */
+export const findRowProblem = (row, schema) => {
+  const missingField = schema.required.find(field => isBlank(row[field]));
+  if (missingField) return { reason: 'missing', field: missingField };
+
+  if (isNaN(parseReviewDate(row.date))) return { reason: 'date', field: 'date' };
+
+  for (const [field, [min, max]] of Object.entries(schema.ratings)) {
+    const value = row[field];
+    const isRequired = schema.required.includes(field);
+    if (isBlank(value)) continue;
+
+    const rating = +value;
+    if (isNaN(rating)) return { reason: 'numeric', field };
+    if (rating === 0 && !isRequired) continue;
+    if (rating < min || rating > max) return { reason: 'range', field };
+  }
+
+  return null;
+};
+
+/**
+ * Split raw rows into valid and rejected ones.
+ * Rejected entries keep the original row along with the reason and offending field.
+ */
+export const validateDataset = (type, rawData) => {
+  const schema = VALIDATION_SCHEMAS[type];
+  const valid = [];
+  const rejected = [];
+
+  rawData.forEach(row => {
+    const problem = findRowProblem(row, schema);
+    if (problem) {
+      rejected.push({ row, ...problem });
+    } else {
+      valid.push(row);
+    }
+  });
+
+  return { valid, rejected };
+};
+
+/**
+ * Summary used by the data-quality panel: totals plus counts per reason and per field
+ */
+export const summarizeValidation = (type, { valid, rejected }) => {
+  const byReason = {};
+  const byField = {};
+
+  rejected.forEach(({ reason, field }) => {
+    byReason[reason] = (byReason[reason] || 0) + 1;
+    const key = `${reason}:${field}`;
+    byField[key] = byField[key] || { reason, field, count: 0 };
+    byField[key].count++;
+  });
+
+  return {
+    type,
+    total: valid.length + rejected.length,
+    loaded: valid.length,
+    excluded: rejected.length,
+    byReason,
+    byField: Object.values(byField).sort((a, b) => b.count - a.count),
+    rejected
+  };
+};
+
+/**
+ * Rejected rows as plain objects with the rejection reason appended, ready for Papa.unparse
+ */
+export const toRejectedRows = (rejected) => {
+  return rejected.map(({ row, reason, field }) => ({
+    ...row,
+    rejection_reason: REJECTION_REASONS[reason],
+    rejection_field: field
+  }));
+};
@@ -0,0 +1,33 @@
+import * as d3 from 'd3';
+
+/**
+ * Review dates are calendar days. They are parsed to local midnight so they line up with the
+ * local month and year boundaries of d3.timeMonth / d3.timeYear used by the timeline, its
+ * presets and the URL state (`new Date('2014-01-01')` is UTC midnight, which west of UTC is
+ * still December 31st).
+ */
+
+export const parseDay = d3.timeParse('%Y-%m-%d');
+
+export const formatDay = d3.timeFormat('%Y-%m-%d');
+
+/**
+ * Date of a review's `date` value; formats other than YYYY-MM-DD go through the Date constructor
+ * (an invalid Date when it cannot read them either)
+ */
+export const parseReviewDate = (value) => parseDay(String(value ?? '').trim()) || new Date(value);
+
+// Inclusive ends (last millisecond) of the day and month containing `date`
+export const endOfDay = (date) => new Date(d3.timeDay.offset(d3.timeDay.floor(date), 1) - 1);
+
+export const endOfMonth = (date) => new Date(d3.timeMonth.offset(d3.timeMonth.floor(date), 1) - 1);
+
+/**
+ * Date range of a calendar year
+ */
+export const yearRange = (year) => [new Date(year, 0, 1), endOfMonth(new Date(year, 11, 1))];
+
+/**
+ * Date range of the twelve months ending with the month of `date`
+ */
+export const lastTwelveMonthsRange = (date) => [d3.timeMonth.offset(d3.timeMonth.floor(date), -11), endOfMonth(date)];
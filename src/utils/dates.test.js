@@ -0,0 +1,48 @@
+import { describe, expect, it, vi } from 'vitest';
+import * as d3 from 'd3';
+import { applyFilters, createDefaultFilters } from './filterSelectors';
+import { aggregateByMonth } from './dataProcessor';
+import { lastTwelveMonthsRange, parseReviewDate, yearRange } from './dates';
+
+// West of UTC, where UTC-midnight dates fall on the previous local day
+vi.stubEnv('TZ', 'America/New_York');
+
+const rowsOn = (...days) => days.map(date => ({ date, parsedDate: parseReviewDate(date), overall_rating: 8 }));
+
+const keptDays = (rows, dateRange) => applyFilters(rows, { ...createDefaultFilters(), dateRange }, 'airline').map(d => d.date);
+
+describe('parseReviewDate', () => {
+  it('runs in the pinned timezone', () => {
+    expect(new Date(2014, 0, 1).getTimezoneOffset()).toBe(300);
+  });
+
+  it('parses YYYY-MM-DD to local midnight', () => {
+    const date = parseReviewDate('2014-01-01');
+    expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2014, 0, 1, 0]);
+  });
+
+  it('falls back to the Date constructor for other formats', () => {
+    expect(parseReviewDate('March 5, 2015').getDate()).toBe(5);
+    expect(isNaN(parseReviewDate('not a date'))).toBe(true);
+  });
+});
+
+describe('date range presets', () => {
+  const rows = rowsOn('2013-12-31', '2014-01-01', '2014-06-15', '2014-12-31', '2015-01-01');
+
+  it('keep both edge days of a year', () => {
+    expect(keptDays(rows, yearRange(2014))).toEqual(['2014-01-01', '2014-06-15', '2014-12-31']);
+  });
+
+  it('keep the twelve months up to the last month', () => {
+    expect(keptDays(rows, lastTwelveMonthsRange(new Date(2014, 11, 1)))).toEqual(['2014-01-01', '2014-06-15', '2014-12-31']);
+  });
+});
+
+describe('aggregateByMonth', () => {
+  it('counts a review dated the 1st in its own month', () => {
+    const months = aggregateByMonth(rowsOn('2014-03-01', '2014-03-31'), 'airline');
+    expect(Array.from(months.keys())).toEqual([d3.timeMonth(new Date(2014, 2, 15))]);
+    expect(months.get(Array.from(months.keys())[0]).count).toBe(2);
+  });
+});
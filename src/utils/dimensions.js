@@ -0,0 +1,97 @@
+import { RATING_SCHEMA, formatRating, getNormalizedRating } from './ratingSchema';
+import { RECOMMENDATION_FIELD, getRecommendation, formatRate } from './recommendation';
+
+/**
+ * Rating dimensions shared by the dimension selector, the scatter plot and the time series.
+ * They are derived from the rating schema: every column with a `dimension` becomes one, and
+ * `fields` maps each entity type to its rating column (null when the dataset has no such rating).
+ * The recommendation rate is a dimension too: its values are 10 (recommended) or 0, so averages
+ * are the rate on the 0-10 scale; read values through getDimensionValue / formatDimensionValue.
+ */
+
+const DIMENSION_ENTITIES = ['airline', 'airport', 'lounge'];
+
+// Shared names for dimensions whose columns are labelled differently per entity
+const DIMENSION_LABELS = {
+  comfort: 'Comfort',
+  staff: 'Staff',
+  food: 'Food',
+  cleanliness: 'Clean'
+};
+
+const buildRatingDimensions = () => {
+  const dimensions = new Map();
+
+  RATING_SCHEMA
+    .filter(spec => spec.dimension && DIMENSION_ENTITIES.includes(spec.entity))
+    .forEach(spec => {
+      if (!dimensions.has(spec.dimension)) {
+        dimensions.set(spec.dimension, {
+          label: DIMENSION_LABELS[spec.dimension] || spec.label,
+          key: spec.dimension,
+          fields: Object.fromEntries(DIMENSION_ENTITIES.map(entity => [entity, null]))
+        });
+      }
+      dimensions.get(spec.dimension).fields[spec.entity] = spec.field;
+    });
+
+  // Schema order, with Overall and the recommendation rate as the closing cards
+  const list = Array.from(dimensions.values());
+  return [
+    ...list.filter(d => d.key !== 'overall'),
+    ...list.filter(d => d.key === 'overall'),
+    RECOMMENDATION_DIMENSION
+  ];
+};
+
+const RECOMMENDATION_DIMENSION = {
+  label: 'Recommend',
+  key: 'recommended',
+  isRate: true,
+  fields: Object.fromEntries(DIMENSION_ENTITIES.map(entity => [entity, RECOMMENDATION_FIELD]))
+};
+
+export const RATING_DIMENSIONS = buildRatingDimensions();
+
+/**
+ * Normalized 0-10 value of a dimension field in a row (null when missing)
+ */
+export const getDimensionValue = (row, entity, field) => {
+  if (field === RECOMMENDATION_FIELD) {
+    const recommendation = getRecommendation(row);
+    return recommendation === null ? null : recommendation ? 10 : 0;
+  }
+  return getNormalizedRating(row, entity, field);
+};
+
+/**
+ * formatRating for dimension values; recommendation averages show as a percentage
+ */
+export const formatDimensionValue = (value, scale, entity, field, options) => {
+  if (field === RECOMMENDATION_FIELD) {
+    return value === null || value === undefined || isNaN(value) ? 'n/a' : formatRate(value / 10);
+  }
+  return formatRating(value, scale, entity, field, options);
+};
+
+/**
+ * "low–high" text of a 95% interval in the display scale of a dimension field
+ */
+export const formatDimensionInterval = (ci, scale, entity, field) => {
+  if (!ci) return 'n/a';
+  const format = (value) => formatDimensionValue(value, scale, entity, field, { suffix: false });
+  return `${format(ci[0])}–${format(ci[1])}`;
+};
+
+export const getDimensionByKey = (key) => {
+  return RATING_DIMENSIONS.find(dim => dim.key === key) || null;
+};
+
+/**
+ * Shape stored in filters.dimensionFilter when a dimension card is selected
+ */
+export const toDimensionFilter = (dimension) => ({
+  dimension: dimension.label,
+  dimensionKey: dimension.key,
+  fields: dimension.fields
+});
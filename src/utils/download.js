@@ -0,0 +1,17 @@
+/**
+ * Trigger a browser download of in-memory content
+ */
+export const downloadFile = (content, filename, type = 'text/plain') => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Revoking right after click() can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,57 @@
+import { toReviewResult, reviewTimestamp } from './reviews';
+import { getSegmentValue } from './segments';
+import { getDimensionValue } from './dimensions';
+
+/**
+ * Drill-down from a chart mark to the reviews behind it.
+ *
+ * A target describes the mark in plain data so it can be sent to the data worker:
+ *   { title, subtitle, fields, match?, ratings?, month?, years?, flaggedOnly?, aspect?, segment? }
+ * `fields` maps each entity the mark covers to the rating field it aggregates; only reviews
+ * that carry that rating count, exactly as in the aggregations. `match` requires exact field
+ * values (e.g. { airline_name }) and `ratings` exact normalized 0-10 ratings (e.g. { wifi_connectivity_rating: 4 }).
+ * `month` (0-11) and `years` ([from, to], inclusive) narrow to a calendar month, `flaggedOnly`
+ * keeps reviews whose text contradicts their rating and `aspect` those that mention an aspect
+ * (see aspects.js). `segment` ({ field, value }) keeps one value of a split segment, including
+ * its unknown value (see segments.js).
+ */
+
+export const matchesDrilldown = (row, target, entity) => {
+  if (target.match && Object.entries(target.match).some(([field, value]) => row[field] !== value)) return false;
+  if (target.ratings && Object.entries(target.ratings).some(([field, value]) => getDimensionValue(row, entity, field) !== value)) return false;
+  if (target.flaggedOnly && !row.sentimentFlag) return false;
+  if (target.aspect && !(row.aspects && target.aspect in row.aspects)) return false;
+  if (target.segment && getSegmentValue(row, target.segment) !== target.segment.value) return false;
+
+  if (target.month !== undefined || target.years) {
+    if (!row.parsedDate || isNaN(row.parsedDate)) return false;
+    if (target.month !== undefined && row.parsedDate.getMonth() !== target.month) return false;
+    if (target.years) {
+      const year = row.parsedDate.getFullYear();
+      if (year < target.years[0] || year > target.years[1]) return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * One page of the reviews behind a target within the filtered datasets, newest first
+ */
+export const selectDrilldownReviews = (filteredDatasets, target, offset = 0, limit = 20) => {
+  const matches = [];
+
+  Object.entries(target.fields).forEach(([entity, field]) => {
+    if (!field) return;
+    (filteredDatasets[entity] || []).forEach((row, position) => {
+      if (getDimensionValue(row, entity, field) !== null && matchesDrilldown(row, target, entity)) matches.push({ entity, position, row });
+    });
+  });
+
+  matches.sort((a, b) => reviewTimestamp(b.row) - reviewTimestamp(a.row));
+
+  return {
+    total: matches.length,
+    results: matches.slice(offset, offset + limit).map(toReviewResult)
+  };
+};
@@ -0,0 +1,31 @@
+import { describe, expect, it, vi } from 'vitest';
+import { aggregateMonthlyRatings } from './aggregations';
+import { matchesDrilldown } from './drilldown';
+import { parseReviewDate } from './dates';
+
+// West of UTC, where UTC-midnight dates fall on the previous local day
+vi.stubEnv('TZ', 'America/New_York');
+
+const rows = ['2014-02-28', '2014-03-01', '2014-03-31', '2014-04-01'].map(date => ({
+  date,
+  parsedDate: parseReviewDate(date),
+  overall_rating: 8
+}));
+
+describe('matchesDrilldown', () => {
+  it('opens the reviews of the clicked time-series month', () => {
+    const points = aggregateMonthlyRatings(rows, 'Airlines', null);
+    const march = points.find(p => p.year === 2014 && p.month === 2);
+    expect(march.count).toBe(2);
+
+    const target = { fields: { airline: 'overall_rating' }, month: march.month, years: [march.year, march.year] };
+    expect(rows.filter(row => matchesDrilldown(row, target, 'airline')).map(row => row.date))
+      .toEqual(['2014-03-01', '2014-03-31']);
+  });
+
+  it('keeps the exact field values of `match`', () => {
+    const target = { fields: { airline: 'overall_rating' }, match: { airline_name: 'qantas' } };
+    expect(matchesDrilldown({ airline_name: 'qantas' }, target, 'airline')).toBe(true);
+    expect(matchesDrilldown({ airline_name: 'emirates' }, target, 'airline')).toBe(false);
+  });
+});
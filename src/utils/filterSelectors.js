@@ -0,0 +1,148 @@
+import { getNormalizedRating } from './ratingSchema';
+import { SEGMENTS, getSegmentValue, hasSegmentField } from './segments';
+import { getDimensionValue } from './dimensions';
+
+/**
+ * Central filtering layer: every view receives its data through these selectors
+ * so a selection made anywhere is applied consistently across the dashboard.
+ */
+
+export const ENTITY_TYPES = ['airline', 'airport', 'lounge'];
+
+/**
+ * Sub-ratings that can be restricted to a range in the filter panel.
+ * Ranges are expressed on the normalized 0-10 scale (see ratingSchema.js).
+ */
+export const RATING_THRESHOLDS = [
+  { key: 'seat_comfort', label: 'Seat Comfort', entity: 'airline', field: 'seat_comfort_rating' },
+  { key: 'cabin_staff', label: 'Cabin Staff', entity: 'airline', field: 'cabin_staff_rating' },
+  { key: 'food_beverages', label: 'Food & Beverages', entity: 'airline', field: 'food_beverages_rating' },
+  { key: 'entertainment', label: 'Entertainment', entity: 'airline', field: 'inflight_entertainment_rating' },
+  { key: 'value_money', label: 'Value for Money', entity: 'airline', field: 'value_money_rating' },
+  { key: 'lounge_cleanliness', label: 'Cleanliness', entity: 'lounge', field: 'cleanliness_rating' },
+  { key: 'lounge_wifi', label: 'Wifi', entity: 'lounge', field: 'wifi_connectivity_rating' },
+  { key: 'lounge_washrooms', label: 'Washrooms', entity: 'lounge', field: 'washrooms_rating' }
+];
+
+/**
+ * Stand-in airline name for a selection that matched no airline, e.g. a profile brush no airline
+ * passes. It keeps the airline filter active, so every airline review is filtered out, where an
+ * empty selection would mean "no airline filter".
+ */
+export const NO_MATCHING_AIRLINE = '__no_matching_airline__';
+
+/**
+ * The real airline names of a selection, without NO_MATCHING_AIRLINE
+ */
+export const selectedAirlineNames = (selectedAirlines) => {
+  return selectedAirlines.filter(name => name !== NO_MATCHING_AIRLINE);
+};
+
+/**
+ * Initial (empty) filter state held by FilterProvider
+ */
+export const createDefaultFilters = () => ({
+  selectedAirlines: [],
+  selectedCountries: [],
+  dateRange: null,
+  ratingRange: [0, 10],
+  ratingThresholds: {},
+  dimensionFilter: null,
+  // Selected values per segment key (see segments.js), e.g. { traveller: ['Business'] }
+  selectedSegments: {},
+  // Segment key the charts are split by, or null
+  splitBy: null
+});
+
+const isFullRange = (range) => range[0] <= 0 && range[1] >= 10;
+
+const isInDateRange = (d, dateRange) => {
+  if (!d.parsedDate || isNaN(d.parsedDate)) return false;
+  return d.parsedDate >= dateRange[0] && d.parsedDate <= dateRange[1];
+};
+
+/**
+ * Apply the filter state to one dataset.
+ * Filters that do not apply to an entity (airports have no airline, airlines have no
+ * cleanliness rating, ...) leave that dataset untouched rather than emptying it.
+ * Pass `ignore` to skip filters, e.g. so a control can still list the options it filters on.
+ */
+export const applyFilters = (data, filters, entity, { ignore = [] } = {}) => {
+  if (!data || data.length === 0) return [];
+
+  const active = (key) => !ignore.includes(key);
+
+  const airlines = active('selectedAirlines') && entity !== 'airport' && filters.selectedAirlines.length > 0
+    ? new Set(filters.selectedAirlines)
+    : null;
+  const countries = active('selectedCountries') && filters.selectedCountries.length > 0
+    ? new Set(filters.selectedCountries)
+    : null;
+  const dateRange = active('dateRange') ? filters.dateRange : null;
+  const [minRating, maxRating] = filters.ratingRange;
+  const ratingActive = active('ratingRange') && !isFullRange(filters.ratingRange);
+  // Sub-rating ranges are ANDed together; each only constrains the entity that carries it
+  const thresholds = active('ratingThresholds')
+    ? RATING_THRESHOLDS.filter(t =>
+        t.entity === entity &&
+        filters.ratingThresholds[t.key] &&
+        !isFullRange(filters.ratingThresholds[t.key]))
+    : [];
+  const dimensionField = active('dimensionFilter') && filters.dimensionFilter
+    ? filters.dimensionFilter.fields[entity]
+    : null;
+  // Segment values are ORed within a segment; datasets without the column are not segmented
+  const segments = active('selectedSegments')
+    ? SEGMENTS
+        .filter(segment => filters.selectedSegments[segment.key]?.length > 0 && hasSegmentField(data, segment))
+        .map(segment => ({ segment, values: new Set(filters.selectedSegments[segment.key]) }))
+    : [];
+
+  if (!airlines && !countries && !dateRange && !ratingActive && thresholds.length === 0 && !dimensionField && segments.length === 0) {
+    return data;
+  }
+
+  return data.filter(d => {
+    if (airlines && !airlines.has(d.airline_name)) return false;
+    if (countries && !countries.has(d.author_country)) return false;
+    if (dateRange && !isInDateRange(d, dateRange)) return false;
+    if (ratingActive) {
+      const overall = getNormalizedRating(d, entity, 'overall_rating');
+      if (overall === null || overall < minRating || overall > maxRating) return false;
+    }
+    if (dimensionField && getDimensionValue(d, entity, dimensionField) === null) return false;
+    if (segments.some(({ segment, values }) => !values.has(getSegmentValue(d, segment)))) return false;
+
+    for (const t of thresholds) {
+      const value = getNormalizedRating(d, entity, t.field);
+      if (value === null) return false;
+
+      const [min, max] = filters.ratingThresholds[t.key];
+      if (value < min || value > max) return false;
+    }
+
+    return true;
+  });
+};
+
+/**
+ * Apply the filter state to all three datasets at once
+ */
+export const selectFilteredDatasets = ({ airlineData, airportData, loungeData }, filters, options) => ({
+  airlineData: applyFilters(airlineData, filters, 'airline', options),
+  airportData: applyFilters(airportData, filters, 'airport', options),
+  loungeData: applyFilters(loungeData, filters, 'lounge', options)
+});
+
+/**
+ * True when any filter differs from its default
+ */
+export const hasActiveFilters = (filters) => {
+  return filters.selectedAirlines.length > 0 ||
+    filters.selectedCountries.length > 0 ||
+    filters.dateRange !== null ||
+    !isFullRange(filters.ratingRange) ||
+    Object.values(filters.ratingThresholds).some(range => !isFullRange(range)) ||
+    filters.dimensionFilter !== null ||
+    Object.values(filters.selectedSegments).some(values => values.length > 0);
+};
@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyFilters,
+  createDefaultFilters,
+  hasActiveFilters,
+  NO_MATCHING_AIRLINE,
+  selectedAirlineNames,
+  selectFilteredDatasets
+} from './filterSelectors';
+
+const filtersWith = (overrides) => ({ ...createDefaultFilters(), ...overrides });
+
+const airlineRows = [
+  { airline_name: 'emirates', author_country: 'France', overall_rating: '9', seat_comfort_rating: '4', type_traveller: 'Business', parsedDate: new Date('2014-03-01') },
+  { airline_name: 'qantas', author_country: 'Australia', overall_rating: '4', seat_comfort_rating: '2', type_traveller: 'Solo Leisure', parsedDate: new Date('2015-06-01') },
+  { airline_name: 'qantas', author_country: 'France', overall_rating: '', seat_comfort_rating: '0', type_traveller: '', parsedDate: null }
+];
+
+const airportRows = [
+  { airport_name: 'london-heathrow', author_country: 'France', overall_rating: '8', parsedDate: new Date('2014-05-01') }
+];
+
+const loungeRows = [
+  { airport: 'Bangkok', airline_name: 'emirates', author_country: 'Australia', overall_rating: '4', cleanliness_rating: '5', parsedDate: new Date('2014-01-01') }
+];
+
+describe('applyFilters', () => {
+  it('returns the dataset itself when no filter is active', () => {
+    expect(applyFilters(airlineRows, createDefaultFilters(), 'airline')).toBe(airlineRows);
+  });
+
+  it('returns an empty list for missing data', () => {
+    expect(applyFilters(null, createDefaultFilters(), 'airline')).toEqual([]);
+  });
+
+  it('keeps the selected airlines and countries', () => {
+    const filters = filtersWith({ selectedAirlines: ['qantas'], selectedCountries: ['France'] });
+    expect(applyFilters(airlineRows, filters, 'airline')).toEqual([airlineRows[2]]);
+  });
+
+  it('does not apply the airline filter to airports', () => {
+    const filters = filtersWith({ selectedAirlines: ['qantas'] });
+    expect(applyFilters(airportRows, filters, 'airport')).toBe(airportRows);
+  });
+
+  it('filters every airline out for NO_MATCHING_AIRLINE', () => {
+    const filters = filtersWith({ selectedAirlines: [NO_MATCHING_AIRLINE] });
+    expect(applyFilters(airlineRows, filters, 'airline')).toEqual([]);
+    expect(hasActiveFilters(filters)).toBe(true);
+  });
+
+  it('drops rows without a valid date when a date range is set', () => {
+    const filters = filtersWith({ dateRange: [new Date('2014-01-01'), new Date('2014-12-31')] });
+    expect(applyFilters(airlineRows, filters, 'airline')).toEqual([airlineRows[0]]);
+  });
+
+  it('compares the overall rating on the normalized scale', () => {
+    // The lounge rates 4/5, i.e. 8/10
+    const filters = filtersWith({ ratingRange: [7, 10] });
+    expect(applyFilters(airlineRows, filters, 'airline')).toEqual([airlineRows[0]]);
+    expect(applyFilters(loungeRows, filters, 'lounge')).toEqual(loungeRows);
+  });
+
+  it('only applies sub-rating thresholds to the entity that carries them', () => {
+    const filters = filtersWith({ ratingThresholds: { seat_comfort: [5, 10] } });
+    expect(applyFilters(airlineRows, filters, 'airline')).toEqual([airlineRows[0]]);
+    expect(applyFilters(loungeRows, filters, 'lounge')).toBe(loungeRows);
+  });
+
+  it('matches segments and leaves datasets without the column unsegmented', () => {
+    const filters = filtersWith({ selectedSegments: { traveller: ['Business', 'Unknown'] } });
+    expect(applyFilters(airlineRows, filters, 'airline')).toEqual([airlineRows[0], airlineRows[2]]);
+    expect(applyFilters(loungeRows, filters, 'lounge')).toBe(loungeRows);
+  });
+
+  it('skips ignored filters', () => {
+    const filters = filtersWith({ selectedAirlines: ['qantas'], selectedCountries: ['France'] });
+    expect(applyFilters(airlineRows, filters, 'airline', { ignore: ['selectedAirlines'] }))
+      .toEqual([airlineRows[0], airlineRows[2]]);
+  });
+});
+
+describe('selectFilteredDatasets', () => {
+  it('filters all three datasets', () => {
+    const filters = filtersWith({ selectedCountries: ['Australia'] });
+    const result = selectFilteredDatasets({ airlineData: airlineRows, airportData: airportRows, loungeData: loungeRows }, filters);
+    expect(result).toEqual({ airlineData: [airlineRows[1]], airportData: [], loungeData: loungeRows });
+  });
+});
+
+describe('hasActiveFilters', () => {
+  it('is false for the default filters', () => {
+    expect(hasActiveFilters(createDefaultFilters())).toBe(false);
+  });
+
+  it('ignores full rating ranges and empty segment selections', () => {
+    const filters = filtersWith({ ratingThresholds: { seat_comfort: [0, 10] }, selectedSegments: { traveller: [] } });
+    expect(hasActiveFilters(filters)).toBe(false);
+  });
+
+  it('is true once a range is narrowed', () => {
+    expect(hasActiveFilters(filtersWith({ ratingRange: [2, 10] }))).toBe(true);
+  });
+});
+
+describe('selectedAirlineNames', () => {
+  it('leaves out NO_MATCHING_AIRLINE', () => {
+    expect(selectedAirlineNames([NO_MATCHING_AIRLINE])).toEqual([]);
+    expect(selectedAirlineNames(['qantas'])).toEqual(['qantas']);
+  });
+});
@@ -0,0 +1,11 @@
+export const formatFileSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+// Skytrax `link` values are site-relative paths
+export const getReviewUrl = (link) => {
+  if (!link) return null;
+  if (/^https?:\/\//.test(link)) return link;
+  return link.startsWith('/') ? `https://www.airlinequality.com${link}` : null;
+};
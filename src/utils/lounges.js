@@ -0,0 +1,107 @@
+import * as d3 from 'd3';
+import { getEntityRatings, getNormalizedRating } from './ratingSchema';
+
+/**
+ * Lounge explorer aggregations. A lounge is identified by the airline running it, its airport
+ * and its lounge type: the free-text lounge_name is too inconsistent to group on.
+ * All averages are normalized (0-10), like the other aggregations.
+ */
+
+// Sub-ratings on the radar axes (every lounge rating except overall)
+export const LOUNGE_RADAR_FIELDS = getEntityRatings('lounge')
+  .filter(spec => spec.field !== 'overall_rating')
+  .map(({ field, label }) => ({ field, label }));
+
+export const LOUNGE_GROUPINGS = [
+  { key: 'airport', label: 'Airport', field: 'airport' },
+  { key: 'airline', label: 'Airline', field: 'airline_name' }
+];
+
+// Label for the missing lounge_type values
+export const UNSPECIFIED_LOUNGE_TYPE = 'Unspecified';
+
+// Lounges with fewer reviews rank after the others, so one enthusiastic review cannot top an airport
+export const MIN_RANKED_REVIEWS = 3;
+
+export const loungeKey = (row) => `${row.airport}|${row.airline_name}|${row.lounge_type || ''}`;
+
+const averageRatings = (rows) => {
+  const mean = (field) => {
+    const values = rows.map(row => getNormalizedRating(row, 'lounge', field)).filter(v => v !== null);
+    return values.length > 0 ? d3.mean(values) : null;
+  };
+
+  return {
+    count: rows.length,
+    overall: mean('overall_rating'),
+    ratings: Object.fromEntries(LOUNGE_RADAR_FIELDS.map(({ field }) => [field, mean(field)]))
+  };
+};
+
+// Well-reviewed lounges first, then highest overall, more reviews breaking ties
+const byOverall = (a, b) =>
+  (b.count >= MIN_RANKED_REVIEWS) - (a.count >= MIN_RANKED_REVIEWS) ||
+  (b.overall ?? -1) - (a.overall ?? -1) ||
+  b.count - a.count;
+
+/**
+ * Every lounge in the rows with its averages and its rank among the lounges of its airport
+ */
+export const aggregateLounges = (rows) => {
+  const lounges = Array.from(d3.group(rows.filter(row => row.airport), loungeKey), ([key, loungeRows]) => ({
+    key,
+    airport: loungeRows[0].airport,
+    airline_name: loungeRows[0].airline_name || '',
+    lounge_type: loungeRows[0].lounge_type || '',
+    ...averageRatings(loungeRows)
+  }));
+
+  d3.group(lounges, lounge => lounge.airport).forEach(airportLounges => {
+    airportLounges.sort(byOverall).forEach((lounge, i) => {
+      lounge.airportRank = i + 1;
+      lounge.airportLoungeCount = airportLounges.length;
+    });
+  });
+
+  return lounges.sort(byOverall);
+};
+
+/**
+ * Averages per lounge_type (First Class, Business Class, ...) for the type comparison
+ */
+export const aggregateLoungeTypes = (rows) => {
+  return Array.from(d3.group(rows, row => row.lounge_type || ''), ([type, typeRows]) => ({
+    type,
+    label: type || UNSPECIFIED_LOUNGE_TYPE,
+    ...averageRatings(typeRows)
+  })).sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Everything the lounge explorer shows for the filtered lounge reviews.
+ * `groupBy` is a LOUNGE_GROUPINGS key and `group` one of its values (e.g. an airport); without
+ * a group the most reviewed one is used.
+ */
+export const computeLoungeInsights = (loungeRows, { groupBy = 'airport', group = null } = {}) => {
+  const grouping = LOUNGE_GROUPINGS.find(g => g.key === groupBy) || LOUNGE_GROUPINGS[0];
+
+  const groups = Array.from(
+    d3.rollup(loungeRows.filter(row => row[grouping.field]), v => v.length, row => row[grouping.field]),
+    ([name, count]) => ({ name, count })
+  ).sort((a, b) => b.count - a.count);
+
+  const selectedGroup = groups.some(g => g.name === group) ? group : (groups[0]?.name ?? null);
+  const groupRows = loungeRows.filter(row => row[grouping.field] === selectedGroup);
+  const groupKeys = new Set(groupRows.map(loungeKey));
+
+  return {
+    groupBy: grouping.key,
+    groups,
+    group: selectedGroup,
+    reviewCount: groupRows.length,
+    // Ranks are always within the airport, also when grouping by airline
+    lounges: aggregateLounges(loungeRows).filter(lounge => groupKeys.has(lounge.key)),
+    types: aggregateLoungeTypes(groupRows),
+    allTypes: aggregateLoungeTypes(loungeRows)
+  };
+};
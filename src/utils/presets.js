@@ -0,0 +1,65 @@
+/**
+ * Named analysis presets persisted in localStorage.
+ * Each preset stores the dashboard state in the plain JSON form from urlState.js.
+ */
+
+const STORAGE_KEY = 'skytrax-explorer.presets';
+
+const isValidPreset = (preset) => {
+  return preset &&
+    typeof preset.name === 'string' &&
+    preset.name.trim() !== '' &&
+    preset.state &&
+    typeof preset.state === 'object';
+};
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const loadPresets = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(isValidPreset) : [];
+  } catch (err) {
+    console.error('Could not read saved presets:', err);
+    return [];
+  }
+};
+
+export const savePresets = (presets) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch (err) {
+    console.error('Could not save presets:', err);
+  }
+};
+
+export const createPreset = (name, state) => ({
+  id: createId(),
+  name: name.trim(),
+  createdAt: new Date().toISOString(),
+  state
+});
+
+export const exportPresets = (presets) => {
+  return JSON.stringify({ version: 1, presets }, null, 2);
+};
+
+/**
+ * Parse an exported presets file (or a bare array of presets).
+ * Imported presets get fresh ids so they never collide with existing ones.
+ */
+export const parsePresetFile = (text) => {
+  const parsed = JSON.parse(text);
+  const presets = Array.isArray(parsed) ? parsed : parsed?.presets;
+
+  if (!Array.isArray(presets)) {
+    throw new Error('File does not contain a list of presets');
+  }
+
+  const valid = presets.filter(isValidPreset);
+  if (valid.length === 0) {
+    throw new Error('No valid presets found in file');
+  }
+
+  return valid.map(p => ({ ...createPreset(p.name, p.state), createdAt: p.createdAt || new Date().toISOString() }));
+};
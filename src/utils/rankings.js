@@ -0,0 +1,72 @@
+import * as d3 from 'd3';
+import { getNormalizedRating } from './ratingSchema';
+import { describeSubject } from './reviews';
+import { bayesianAverage } from './stats';
+
+/**
+ * Rankings of airlines, airports and lounges by their overall rating.
+ * Next to the raw mean every subject gets an adjusted score: its Bayesian average, shrunk toward
+ * the mean of all reviews of its entity type as if `priorStrength` reviews at that mean were
+ * added. A subject with a handful of reviews stays near the global mean, so it cannot top a
+ * ranking on a few perfect scores, while well-reviewed subjects keep their own mean.
+ */
+
+export const DEFAULT_PRIOR_STRENGTH = 10;
+
+// Prior strengths offered in the leaderboard (0 ranks by the raw mean)
+export const PRIOR_STRENGTHS = [0, 5, 10, 25, 50, 100];
+
+export const RANKING_MODES = [
+  { key: 'adjusted', label: 'Adjusted score' },
+  { key: 'raw', label: 'Raw average' },
+  { key: 'volume', label: 'Review count' }
+];
+
+const RANKING_ORDERS = {
+  adjusted: (a, b) => b.adjusted - a.adjusted || b.count - a.count,
+  raw: (a, b) => b.raw - a.raw || b.count - a.count,
+  volume: (a, b) => b.count - a.count || b.adjusted - a.adjusted
+};
+
+export const sortByRanking = (subjects, mode = 'adjusted') => {
+  return [...subjects].sort(RANKING_ORDERS[mode] || RANKING_ORDERS.adjusted);
+};
+
+/**
+ * Raw and adjusted overall rating of every subject of one entity type (see describeSubject),
+ * with its rank by each
+ */
+export const rankSubjects = (rows, entity, { priorStrength = DEFAULT_PRIOR_STRENGTH } = {}) => {
+  const rated = rows
+    .map(row => ({ subject: describeSubject(row, entity), rating: getNormalizedRating(row, entity, 'overall_rating') }))
+    .filter(d => d.subject && d.rating !== null);
+
+  const priorMean = d3.mean(rated, d => d.rating) ?? null;
+
+  const subjects = Array.from(d3.group(rated, d => d.subject.key), ([, group]) => {
+    const count = group.length;
+    const raw = d3.mean(group, d => d.rating);
+    return { ...group[0].subject, count, raw, adjusted: bayesianAverage(raw, count, priorMean, priorStrength) };
+  });
+
+  sortByRanking(subjects, 'raw').forEach((subject, i) => { subject.rawRank = i + 1; });
+  sortByRanking(subjects, 'adjusted').forEach((subject, i) => { subject.adjustedRank = i + 1; });
+
+  return { priorMean, subjects };
+};
+
+/**
+ * Leaderboards of the filtered datasets (keyed by entity) for the rankings view:
+ * the top `limit` subjects per entity type in the order of `mode` (a RANKING_MODES key)
+ */
+export const computeRankings = (selection, { priorStrength = DEFAULT_PRIOR_STRENGTH, mode = 'adjusted', limit = 20 } = {}) => {
+  return Object.fromEntries(['airline', 'airport', 'lounge'].map(entity => {
+    const { priorMean, subjects } = rankSubjects(selection[entity] || [], entity, { priorStrength });
+
+    return [entity, {
+      priorMean,
+      subjectCount: subjects.length,
+      leaders: sortByRanking(subjects, mode).slice(0, limit)
+    }];
+  }));
+};
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { computeRankings, rankSubjects, sortByRanking } from './rankings';
+
+const reviews = (airline_name, rating, count) => Array.from({ length: count }, () => ({ airline_name, overall_rating: String(rating) }));
+
+// One perfect review, ten 9s and one 2: the mean of all twelve reviews is 8.5
+const airlineRows = [
+  ...reviews('solo-air', 10, 1),
+  ...reviews('steady-air', 9, 10),
+  ...reviews('poor-air', 2, 1),
+  { airline_name: 'unrated-air', overall_rating: '' },
+  { airline_name: '', overall_rating: '7' }
+];
+
+const bySubject = (subjects) => Object.fromEntries(subjects.map(subject => [subject.key, subject]));
+
+describe('rankSubjects', () => {
+  it('shrinks the mean toward the mean of all reviews', () => {
+    const { priorMean, subjects } = rankSubjects(airlineRows, 'airline', { priorStrength: 10 });
+    const { 'solo-air': solo, 'steady-air': steady } = bySubject(subjects);
+
+    expect(priorMean).toBe(8.5);
+    expect(subjects).toHaveLength(3);
+    expect(solo).toMatchObject({ name: 'solo-air', count: 1, raw: 10, rawRank: 1, adjustedRank: 2 });
+    expect(solo.adjusted).toBeCloseTo(95 / 11, 10);
+    expect(steady).toMatchObject({ count: 10, raw: 9, rawRank: 2, adjustedRank: 1 });
+    expect(steady.adjusted).toBeCloseTo(8.75, 10);
+  });
+
+  it('ranks by the raw mean without a prior', () => {
+    const { subjects } = rankSubjects(airlineRows, 'airline', { priorStrength: 0 });
+    subjects.forEach(subject => {
+      expect(subject.adjusted).toBe(subject.raw);
+      expect(subject.adjustedRank).toBe(subject.rawRank);
+    });
+  });
+
+  it('keeps lounges of one airline at different airports apart', () => {
+    const loungeRows = [
+      { airport: 'Bangkok', airline_name: 'thai-airways', lounge_type: 'First Class', overall_rating: '5' },
+      { airport: 'Bangkok', airline_name: 'thai-airways', lounge_type: 'First Class', overall_rating: '3' },
+      { airport: 'Phuket', airline_name: 'thai-airways', lounge_type: 'First Class', overall_rating: '2' },
+      { airport: 'Phuket', airline_name: 'thai-airways', overall_rating: '4' }
+    ];
+    const { subjects } = rankSubjects(loungeRows, 'lounge', { priorStrength: 0 });
+
+    expect(subjects.map(({ name, place, count, raw }) => ({ name, place, count, raw }))).toEqual([
+      { name: 'thai-airways · First Class', place: 'Bangkok', count: 2, raw: 8 },
+      { name: 'thai-airways · First Class', place: 'Phuket', count: 1, raw: 4 },
+      { name: 'thai-airways · Unspecified', place: 'Phuket', count: 1, raw: 8 }
+    ]);
+  });
+
+  it('has no prior mean without ratings', () => {
+    expect(rankSubjects([], 'airport')).toEqual({ priorMean: null, subjects: [] });
+  });
+});
+
+describe('sortByRanking', () => {
+  it('breaks ties by review count and falls back to the adjusted order', () => {
+    const subjects = [
+      { key: 'a', count: 5, raw: 8, adjusted: 7 },
+      { key: 'b', count: 9, raw: 8, adjusted: 6 },
+      { key: 'c', count: 9, raw: 6, adjusted: 7.5 }
+    ];
+    expect(sortByRanking(subjects, 'raw').map(s => s.key)).toEqual(['b', 'a', 'c']);
+    expect(sortByRanking(subjects, 'volume').map(s => s.key)).toEqual(['c', 'b', 'a']);
+    expect(sortByRanking(subjects, 'unknown').map(s => s.key)).toEqual(['c', 'a', 'b']);
+  });
+});
+
+describe('computeRankings', () => {
+  it('returns the leaders of every entity type', () => {
+    const rankings = computeRankings({ airline: airlineRows }, { priorStrength: 10, mode: 'volume', limit: 2 });
+
+    expect(rankings.airline.subjectCount).toBe(3);
+    expect(rankings.airline.leaders.map(s => s.key)).toEqual(['steady-air', 'solo-air']);
+    expect(rankings.airport).toEqual({ priorMean: null, subjectCount: 0, leaders: [] });
+    expect(rankings.lounge.leaders).toEqual([]);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Declarative rating schema: every rating column of every dataset with its native scale.
+ * Rows keep their native values; anything that compares or plots ratings goes through
+ * normalizeRating, so all entities share the normalized 0-10 scale.
+ * `dimension` groups columns that rate the same thing across entities (see dimensions.js).
+ */
+
+const NORMALIZED = [0, 10];
+const FIVE_POINT = [1, 5];
+const TEN_POINT = [1, 10];
+
+const rating = (entity, field, label, native, dimension = null) => ({
+  entity, field, label, native, normalized: NORMALIZED, dimension
+});
+
+export const RATING_SCHEMA = [
+  rating('airline', 'overall_rating', 'Overall', TEN_POINT, 'overall'),
+  rating('airline', 'seat_comfort_rating', 'Seat Comfort', FIVE_POINT, 'comfort'),
+  rating('airline', 'cabin_staff_rating', 'Cabin Staff', FIVE_POINT, 'staff'),
+  rating('airline', 'food_beverages_rating', 'Food & Beverages', FIVE_POINT, 'food'),
+  rating('airline', 'inflight_entertainment_rating', 'Entertainment', FIVE_POINT, 'entertainment'),
+  rating('airline', 'ground_service_rating', 'Ground Service', FIVE_POINT, 'ground_service'),
+  rating('airline', 'wifi_connectivity_rating', 'Wifi', FIVE_POINT, 'wifi'),
+  rating('airline', 'value_money_rating', 'Value for Money', FIVE_POINT, 'value_money'),
+
+  rating('airport', 'overall_rating', 'Overall', TEN_POINT, 'overall'),
+  rating('airport', 'queuing_rating', 'Queuing', FIVE_POINT, 'queuing'),
+  rating('airport', 'terminal_cleanliness_rating', 'Cleanliness', FIVE_POINT, 'cleanliness'),
+  rating('airport', 'terminal_seating_rating', 'Seating', FIVE_POINT, 'seating'),
+  rating('airport', 'terminal_signs_rating', 'Signage', FIVE_POINT, 'signage'),
+  rating('airport', 'food_beverages_rating', 'Food & Beverages', FIVE_POINT, 'food'),
+  rating('airport', 'airport_shopping_rating', 'Shopping', FIVE_POINT, 'shopping'),
+  rating('airport', 'wifi_connectivity_rating', 'Wifi', FIVE_POINT, 'wifi'),
+  rating('airport', 'airport_staff_rating', 'Staff', FIVE_POINT, 'staff'),
+
+  rating('lounge', 'overall_rating', 'Overall', FIVE_POINT, 'overall'),
+  rating('lounge', 'comfort_rating', 'Comfort', FIVE_POINT, 'comfort'),
+  rating('lounge', 'cleanliness_rating', 'Cleanliness', FIVE_POINT, 'cleanliness'),
+  rating('lounge', 'bar_beverages_rating', 'Bar & Beverages', FIVE_POINT, 'bar_beverages'),
+  rating('lounge', 'catering_rating', 'Catering', FIVE_POINT, 'food'),
+  rating('lounge', 'washrooms_rating', 'Washrooms', FIVE_POINT, 'washrooms'),
+  rating('lounge', 'wifi_connectivity_rating', 'Wifi', FIVE_POINT, 'wifi'),
+  rating('lounge', 'staff_service_rating', 'Staff Service', FIVE_POINT, 'staff'),
+
+  rating('seat', 'overall_rating', 'Overall', TEN_POINT),
+  rating('seat', 'seat_legroom_rating', 'Legroom', FIVE_POINT),
+  rating('seat', 'seat_recline_rating', 'Recline', FIVE_POINT),
+  rating('seat', 'seat_width_rating', 'Width', FIVE_POINT),
+  rating('seat', 'aisle_space_rating', 'Aisle Space', FIVE_POINT),
+  rating('seat', 'viewing_tv_rating', 'Viewing / TV', FIVE_POINT),
+  rating('seat', 'power_supply_rating', 'Power Supply', FIVE_POINT),
+  rating('seat', 'seat_storage_rating', 'Storage', FIVE_POINT)
+];
+
+export const getEntityRatings = (entity) => RATING_SCHEMA.filter(r => r.entity === entity);
+
+// Lookups run per row, so index the schema once
+const SPECS_BY_KEY = new Map(RATING_SCHEMA.map(r => [`${r.entity}.${r.field}`, r]));
+
+export const getRatingSpec = (entity, field) => SPECS_BY_KEY.get(`${entity}.${field}`) || null;
+
+/**
+ * Native value -> normalized 0-10 value. Missing, non-numeric and 0 ("not rated") give null.
+ */
+export const normalizeRating = (value, entity, field) => {
+  const spec = getRatingSpec(entity, field);
+  const number = +value;
+  if (!spec || value === null || value === '' || isNaN(number) || number <= 0) return null;
+  return (number / spec.native[1]) * spec.normalized[1];
+};
+
+export const getNormalizedRating = (row, entity, field) => normalizeRating(row[field], entity, field);
+
+/**
+ * Scales ratings can be shown on. Stored normalized values are converted only for display.
+ * "native" needs to know the rating's entity and field; mixed values (e.g. an average over
+ * airports and lounges) stay on 0-10.
+ */
+export const RATING_DISPLAY_SCALES = [
+  { key: 'native', label: 'Native (1–5 / 1–10)' },
+  { key: '10', label: '0–10' },
+  { key: '100', label: '0–100' }
+];
+
+export const DEFAULT_RATING_SCALE = '10';
+
+const getDisplayMax = (scale, entity, field) => {
+  if (scale === '100') return 100;
+  if (scale === 'native') {
+    const spec = entity && field ? getRatingSpec(entity, field) : null;
+    if (spec) return spec.native[1];
+  }
+  return NORMALIZED[1];
+};
+
+export const toDisplayRating = (normalized, scale, entity, field) => {
+  if (normalized === null || normalized === undefined) return null;
+  return (normalized / NORMALIZED[1]) * getDisplayMax(scale, entity, field);
+};
+
+/**
+ * "7.2/10", "3.6/5" or "72/100"; pass { suffix: false } to leave out the scale
+ */
+export const formatRating = (normalized, scale, entity, field, { digits, suffix = true } = {}) => {
+  if (normalized === null || normalized === undefined || isNaN(normalized)) return 'n/a';
+  const max = getDisplayMax(scale, entity, field);
+  const value = (normalized / NORMALIZED[1]) * max;
+  const text = value.toFixed(digits ?? (max === 100 ? 0 : 1));
+  return suffix ? `${text}/${max}` : text;
+};
+
+// Tick format and axis-label suffix for axes that plot normalized values
+export const ratingAxisFormat = (scale) => (d) => (scale === '100' ? d * 10 : d).toFixed(0);
+
+export const ratingAxisLabel = (scale) => (scale === '100' ? '(0-100)' : '(0-10)');
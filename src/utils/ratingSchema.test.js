@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import {
+  formatRating,
+  getNormalizedRating,
+  getRatingSpec,
+  normalizeRating,
+  RATING_SCHEMA,
+  toDisplayRating
+} from './ratingSchema';
+
+describe('RATING_SCHEMA', () => {
+  it('lists every entity field once', () => {
+    const keys = RATING_SCHEMA.map(spec => `${spec.entity}.${spec.field}`);
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  it('looks up specs by entity and field', () => {
+    expect(getRatingSpec('lounge', 'overall_rating').native).toEqual([1, 5]);
+    expect(getRatingSpec('airline', 'overall_rating').native).toEqual([1, 10]);
+    expect(getRatingSpec('airline', 'cleanliness_rating')).toBeNull();
+  });
+});
+
+describe('normalizeRating', () => {
+  it('maps native scales onto 0-10', () => {
+    expect(normalizeRating('8', 'airline', 'overall_rating')).toBe(8);
+    expect(normalizeRating('4', 'lounge', 'overall_rating')).toBe(8);
+    expect(normalizeRating(3, 'airport', 'queuing_rating')).toBe(6);
+  });
+
+  it('treats missing, non-numeric and 0 ("not rated") values as null', () => {
+    ['', null, undefined, 'n/a', '0', 0, '-1'].forEach(value => {
+      expect(normalizeRating(value, 'airline', 'seat_comfort_rating')).toBeNull();
+    });
+  });
+
+  it('returns null for fields outside the schema', () => {
+    expect(normalizeRating('4', 'airline', 'washrooms_rating')).toBeNull();
+  });
+
+  it('reads the field from a row', () => {
+    expect(getNormalizedRating({ cleanliness_rating: '5' }, 'lounge', 'cleanliness_rating')).toBe(10);
+  });
+});
+
+describe('display scales', () => {
+  it('converts normalized values for display', () => {
+    expect(toDisplayRating(8, '10', 'lounge', 'overall_rating')).toBe(8);
+    expect(toDisplayRating(8, '100', 'lounge', 'overall_rating')).toBe(80);
+    expect(toDisplayRating(8, 'native', 'lounge', 'overall_rating')).toBe(4);
+    expect(toDisplayRating(null, '10')).toBeNull();
+  });
+
+  it('keeps mixed values on 0-10 for the native scale', () => {
+    expect(toDisplayRating(8, 'native')).toBe(8);
+  });
+
+  it('formats ratings with their scale', () => {
+    expect(formatRating(7.25, '10', 'airline', 'overall_rating')).toBe('7.3/10');
+    expect(formatRating(7.2, 'native', 'lounge', 'comfort_rating')).toBe('3.6/5');
+    expect(formatRating(7.2, '100')).toBe('72/100');
+    expect(formatRating(7.2, '10', null, null, { suffix: false, digits: 2 })).toBe('7.20');
+    expect(formatRating(NaN, '10')).toBe('n/a');
+  });
+});
@@ -0,0 +1,83 @@
+import * as d3 from 'd3';
+import { wilsonInterval } from './stats';
+import { describeSubject } from './reviews';
+
+/**
+ * Recommendation rate: the share of reviews whose author recommends the airline, airport or
+ * lounge. Every rate comes with its Wilson 95% interval, and the net recommender score is the
+ * share recommending minus the share not recommending (-100 to +100).
+ */
+
+export const RECOMMENDATION_FIELD = 'recommended';
+
+const YES_VALUES = new Set(['1', 'yes', 'y', 'true']);
+const NO_VALUES = new Set(['0', 'no', 'n', 'false']);
+
+/**
+ * true / false, or null when the review does not say
+ */
+export const getRecommendation = (row) => {
+  const value = String(row[RECOMMENDATION_FIELD] ?? '').trim().toLowerCase();
+  if (YES_VALUES.has(value)) return true;
+  if (NO_VALUES.has(value)) return false;
+  return null;
+};
+
+/**
+ * Recommendation counts, rate, interval and net score of some reviews (rate, ci and net are
+ * null when none of them says)
+ */
+export const summarizeRecommendations = (rows) => {
+  let recommended = 0;
+  let total = 0;
+
+  rows.forEach(row => {
+    const recommendation = getRecommendation(row);
+    if (recommendation === null) return;
+    total++;
+    if (recommendation) recommended++;
+  });
+
+  return {
+    recommended,
+    total,
+    rate: total > 0 ? recommended / total : null,
+    ci: wilsonInterval(recommended, total),
+    net: total > 0 ? ((2 * recommended - total) / total) * 100 : null
+  };
+};
+
+export const formatRate = (rate) => (rate === null || rate === undefined ? 'n/a' : `${Math.round(rate * 100)}%`);
+
+export const formatNetScore = (net) => {
+  if (net === null || net === undefined) return 'n/a';
+  const rounded = Math.round(net);
+  return rounded > 0 ? `+${rounded}` : `${rounded}`;
+};
+
+/**
+ * Net recommender leaderboard per entity type (subjects as in describeSubject). Subjects need
+ * `minReviews` reviews that say whether they recommend; they are ranked by the lower bound of
+ * their interval, so a small sample has to be convincing to rank high.
+ */
+export const aggregateRecommendationLeaderboard = ({ airlineData, airportData, loungeData }, { minReviews = 10, limit = 15 } = {}) => {
+  const dataMap = { airline: airlineData, airport: airportData, lounge: loungeData };
+
+  return Object.fromEntries(Object.entries(dataMap).map(([entity, rows]) => {
+    const described = rows
+      .map(row => ({ row, subject: describeSubject(row, entity) }))
+      .filter(d => d.subject);
+    const subjects = Array.from(
+      d3.group(described, d => d.subject.key),
+      ([, group]) => ({ ...group[0].subject, ...summarizeRecommendations(group.map(d => d.row)) })
+    ).filter(s => s.total >= minReviews);
+
+    return [entity, {
+      subjectCount: subjects.length,
+      overall: summarizeRecommendations(rows),
+      leaders: subjects
+        .sort((a, b) => b.ci[0] - a.ci[0] || b.total - a.total)
+        .slice(0, limit)
+    }];
+  }));
+};
@@ -0,0 +1,61 @@
+import { getEntityRatings, getNormalizedRating } from './ratingSchema';
+import { loungeKey, UNSPECIFIED_LOUNGE_TYPE } from './lounges';
+
+/**
+ * Review rows as the review lists show them (search results and chart drill-downs).
+ * Every search or drill-down page is posted from the data worker, so its results keep only the
+ * shown fields. (The processed rows themselves reach the main thread once, when a dataset is
+ * loaded: the map, choropleth, timeline and filter panel read them there.)
+ */
+
+// Review date as a timestamp for sorting; missing and invalid dates count as 0 (oldest)
+export const reviewTimestamp = (row) => (row.parsedDate && !isNaN(row.parsedDate) ? +row.parsedDate : 0);
+
+// Field naming what a review is about, per entity
+export const SUBJECT_FIELDS = { airline: 'airline_name', airport: 'airport_name', lounge: 'lounge_name' };
+
+/**
+ * The subject of a review for grouping reviews per subject (null when the row does not name it):
+ * `key` groups, `name` and `place` (the airport of a lounge) label it and `match` is the
+ * drill-down match of its reviews (see drilldown.js). Lounges are identified like in the lounge
+ * explorer (see lounges.js): lounge_name is too inconsistent to group on.
+ */
+export const describeSubject = (row, entity) => {
+  if (entity === 'lounge') {
+    if (!row.airport) return null;
+    return {
+      key: loungeKey(row),
+      name: `${row.airline_name || 'Unknown airline'} · ${row.lounge_type || UNSPECIFIED_LOUNGE_TYPE}`,
+      place: row.airport,
+      match: { airport: row.airport, airline_name: row.airline_name, lounge_type: row.lounge_type }
+    };
+  }
+
+  const field = SUBJECT_FIELDS[entity];
+  if (!row[field]) return null;
+  return { key: row[field], name: row[field], place: null, match: { [field]: row[field] } };
+};
+
+export const toReviewResult = ({ entity, position, row, rating }) => ({
+  id: `${entity}:${position}`,
+  entity,
+  subject: row[SUBJECT_FIELDS[entity]] || '',
+  airline_name: row.airline_name || '',
+  airport: row.airport || row.airport_name || '',
+  title: row.title || '',
+  content: row.content || '',
+  author: row.author || '',
+  author_country: row.author_country || '',
+  date: row.date,
+  link: row.link || '',
+  recommended: row.recommended,
+  rating: rating === undefined ? getNormalizedRating(row, entity, 'overall_rating') : rating,
+  sentiment: row.sentimentHits > 0 ? row.sentiment : null,
+  sentimentFlag: row.sentimentFlag || null,
+  aspects: Object.keys(row.aspects || {}),
+  // Sub-ratings the reviewer gave, normalized
+  subRatings: getEntityRatings(entity)
+    .filter(r => r.field !== 'overall_rating')
+    .map(r => ({ field: r.field, label: r.label, value: getNormalizedRating(row, entity, r.field) }))
+    .filter(r => r.value !== null)
+});
@@ -50,12 +50,13 @@ export const createQuantileScale = (data, accessor, colors) => {
 };
 
 /**
- * Create histogram bins for distribution analysis
+ * Create histogram bins for distribution analysis (`numBins` may also be an array of thresholds)
+ * (over the data's extent unless a fixed `domain` is given, e.g. [0, 10] for ratings)
  */
-export const createHistogramBins = (data, accessor, numBins = 20) => {
+export const createHistogramBins = (data, accessor, numBins = 20, domain = d3.extent(data, accessor)) => {
   const histogram = d3.histogram()
     .value(accessor)
-    .domain(d3.extent(data, accessor))
+    .domain(domain)
     .thresholds(numBins);
   
   return histogram(data);
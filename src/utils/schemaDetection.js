@@ -0,0 +1,141 @@
+/**
+ * Detect which Skytrax dataset a CSV holds from its headers and map its columns
+ * onto the fields the processors in dataProcessor.js expect.
+ */
+
+/**
+ * Fields per dataset type. `required` fields must be mapped before the data can be loaded,
+ * `signature` columns only occur in that dataset and drive detection.
+ */
+export const DATASET_SCHEMAS = {
+  airline: {
+    label: 'Airline reviews',
+    required: ['airline_name', 'date', 'overall_rating', 'seat_comfort_rating', 'cabin_staff_rating', 'value_money_rating'],
+    optional: [
+      'author', 'author_country', 'title', 'content', 'link', 'aircraft', 'type_traveller', 'cabin_flown', 'route',
+      'food_beverages_rating', 'inflight_entertainment_rating', 'ground_service_rating',
+      'wifi_connectivity_rating', 'recommended'
+    ],
+    signature: ['cabin_staff_rating', 'inflight_entertainment_rating', 'ground_service_rating', 'value_money_rating', 'route']
+  },
+  airport: {
+    label: 'Airport reviews',
+    required: ['airport_name', 'date', 'overall_rating'],
+    optional: [
+      'author', 'author_country', 'title', 'content', 'link', 'experience_airport', 'date_visit', 'type_traveller',
+      'queuing_rating', 'terminal_cleanliness_rating', 'terminal_seating_rating', 'terminal_signs_rating',
+      'food_beverages_rating', 'airport_shopping_rating', 'wifi_connectivity_rating', 'airport_staff_rating',
+      'recommended'
+    ],
+    signature: ['airport_name', 'queuing_rating', 'terminal_cleanliness_rating', 'terminal_signs_rating', 'airport_shopping_rating']
+  },
+  lounge: {
+    label: 'Lounge reviews',
+    required: ['lounge_name', 'airport', 'date', 'overall_rating'],
+    optional: [
+      'airline_name', 'author', 'author_country', 'title', 'content', 'link', 'lounge_type', 'date_visit',
+      'type_traveller', 'comfort_rating', 'cleanliness_rating', 'bar_beverages_rating', 'catering_rating',
+      'washrooms_rating', 'wifi_connectivity_rating', 'staff_service_rating', 'recommended'
+    ],
+    signature: ['lounge_name', 'lounge_type', 'bar_beverages_rating', 'washrooms_rating', 'staff_service_rating']
+  },
+  seat: {
+    label: 'Seat reviews',
+    required: ['airline_name', 'date', 'overall_rating'],
+    optional: [
+      'author', 'author_country', 'title', 'content', 'link', 'aircraft', 'seat_layout', 'date_flown', 'cabin_flown',
+      'type_traveller', 'seat_legroom_rating', 'seat_recline_rating', 'seat_width_rating', 'aisle_space_rating',
+      'viewing_tv_rating', 'power_supply_rating', 'seat_storage_rating', 'recommended'
+    ],
+    signature: ['seat_layout', 'seat_legroom_rating', 'seat_recline_rating', 'seat_width_rating', 'aisle_space_rating']
+  }
+};
+
+export const DATASET_TYPES = Object.keys(DATASET_SCHEMAS);
+
+// "Seat Comfort Rating", "seat-comfort" and "seat_comfort_rating" all reduce to "seat_comfort"
+const toStem = (header) => {
+  return header
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .replace(/_rating$/, '');
+};
+
+/**
+ * Score every dataset type against the headers and return the best match.
+ * `type` is null when no dataset has a single matching column.
+ */
+export const detectDatasetType = (headers) => {
+  const stems = new Set(headers.map(toStem));
+
+  const scores = DATASET_TYPES.map(type => {
+    const schema = DATASET_SCHEMAS[type];
+    const signatureHits = schema.signature.filter(f => stems.has(toStem(f))).length;
+    const requiredHits = schema.required.filter(f => stems.has(toStem(f))).length;
+
+    return {
+      type,
+      // Signature columns are what tell otherwise similar files apart
+      score: signatureHits * 2 + requiredHits,
+      missingRequired: schema.required.length - requiredHits
+    };
+  }).sort((a, b) => b.score - a.score || a.missingRequired - b.missingRequired);
+
+  return {
+    type: scores[0].score > 0 ? scores[0].type : null,
+    scores
+  };
+};
+
+/**
+ * Suggest which CSV header feeds each schema field (field -> header, or '' when unmapped)
+ */
+export const suggestColumnMapping = (headers, type) => {
+  const schema = DATASET_SCHEMAS[type];
+  const fields = [...schema.required, ...schema.optional];
+  const fieldStems = new Set(fields.map(toStem));
+  const byStem = new Map(headers.map(h => [toStem(h), h]));
+  const mapping = {};
+
+  fields.forEach(field => {
+    const stem = toStem(field);
+    if (byStem.has(stem)) {
+      mapping[field] = byStem.get(stem);
+      return;
+    }
+
+    // Fall back to a header that contains the field stem (e.g. "airline" for airline_name),
+    // skipping headers that already match another field exactly
+    const partial = headers.find(h => {
+      const headerStem = toStem(h);
+      if (!headerStem || fieldStems.has(headerStem)) return false;
+      return headerStem.includes(stem) || stem.startsWith(`${headerStem}_`);
+    });
+    mapping[field] = partial || '';
+  });
+
+  return mapping;
+};
+
+export const getMissingRequiredFields = (mapping, type) => {
+  return DATASET_SCHEMAS[type].required.filter(field => !mapping[field]);
+};
+
+/**
+ * Rename mapped columns to the field names the processors expect.
+ * Unmapped columns are kept as they are.
+ */
+export const applyColumnMapping = (rows, mapping) => {
+  const renames = Object.entries(mapping).filter(([field, header]) => header && header !== field);
+  if (renames.length === 0) return rows;
+
+  return rows.map(row => {
+    const mapped = { ...row };
+    renames.forEach(([field, header]) => {
+      mapped[field] = row[header];
+    });
+    return mapped;
+  });
+};
@@ -0,0 +1,77 @@
+import * as d3 from 'd3';
+
+/**
+ * Reviewer segments: categorical review columns that can filter the data (filters.selectedSegments)
+ * and split the charts into one series per value (filters.splitBy).
+ * A dataset without the column is not segmented: filters leave it untouched and splits put
+ * all of its reviews under UNKNOWN_SEGMENT.
+ */
+// Cabin classes from cheapest to most expensive (processAirlineData normalizes cabin_flown to these)
+export const CABIN_CLASSES = ['Economy', 'Premium Economy', 'Business', 'First'];
+
+// Traveller types as Skytrax labels them (processors normalize type_traveller to these)
+export const TRAVELLER_TYPES = ['Solo Leisure', 'Couple Leisure', 'Family Leisure', 'Business'];
+
+// `order` lists known values in display order; other segments are ordered by review count
+export const SEGMENTS = [
+  { key: 'traveller', label: 'Traveller type', field: 'type_traveller' },
+  { key: 'cabin', label: 'Cabin class', field: 'cabin_flown', order: CABIN_CLASSES }
+];
+
+export const UNKNOWN_SEGMENT = 'Unknown';
+
+const SEGMENT_PALETTE = ['#1abc9c', '#9b59b6', '#e74c3c', '#f1c40f', '#34495e', '#d35400', '#2ecc71', '#e84393'];
+
+export const getSegmentByKey = (key) => SEGMENTS.find(segment => segment.key === key) || null;
+
+export const getSegmentValue = (row, segment) => row[segment.field] || UNKNOWN_SEGMENT;
+
+// Whether any row of a dataset carries the segment column
+export const hasSegmentField = (rows, segment) => rows.some(row => row[segment.field]);
+
+/**
+ * Values of a segment over several datasets with their review counts, in the segment's
+ * `order` (unlisted values after it) or else most reviews first
+ */
+export const listSegmentValues = (datasets, segment) => {
+  const counts = new Map();
+
+  datasets.forEach(rows => {
+    if (!hasSegmentField(rows, segment)) return;
+    rows.forEach(row => {
+      const value = getSegmentValue(row, segment);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+
+  const rank = (value) => {
+    const index = segment.order ? segment.order.indexOf(value) : -1;
+    return index === -1 ? Infinity : index;
+  };
+
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => d3.ascending(rank(a.value), rank(b.value)) || d3.descending(a.count, b.count));
+};
+
+/**
+ * Colour per segment value in the order of `values`; unknown values are always grey
+ */
+export const createSegmentColorScale = (values) => {
+  const known = values.filter(value => value !== UNKNOWN_SEGMENT);
+  const scale = d3.scaleOrdinal(known, SEGMENT_PALETTE);
+  return (value) => (value === UNKNOWN_SEGMENT ? '#bdc3c7' : scale(value));
+};
+
+/**
+ * Split description sent with the aggregates: the segment and its values within the selection
+ */
+export const describeSplit = (datasets, splitBy) => {
+  const segment = getSegmentByKey(splitBy);
+  if (!segment) return null;
+
+  const values = listSegmentValues(datasets, segment).map(v => v.value);
+  const hasUnsegmented = datasets.some(rows => rows.length > 0 && !hasSegmentField(rows, segment));
+  if (hasUnsegmented && !values.includes(UNKNOWN_SEGMENT)) values.push(UNKNOWN_SEGMENT);
+
+  return { key: segment.key, label: segment.label, field: segment.field, values };
+};
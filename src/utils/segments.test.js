@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createSegmentColorScale,
+  describeSplit,
+  getSegmentByKey,
+  getSegmentValue,
+  hasSegmentField,
+  listSegmentValues,
+  UNKNOWN_SEGMENT
+} from './segments';
+
+const traveller = getSegmentByKey('traveller');
+const cabin = getSegmentByKey('cabin');
+
+const airlineRows = [
+  { type_traveller: 'Solo Leisure', cabin_flown: 'Business' },
+  { type_traveller: 'Couple Leisure', cabin_flown: 'Economy' },
+  { type_traveller: 'Couple Leisure', cabin_flown: 'Economy' },
+  { type_traveller: '', cabin_flown: 'First' }
+];
+
+const loungeRows = [{ type_traveller: 'Business' }];
+const airportRows = [{ overall_rating: '8' }];
+
+describe('getSegmentValue', () => {
+  it('reads the segment column and falls back to UNKNOWN_SEGMENT', () => {
+    expect(getSegmentValue(airlineRows[0], traveller)).toBe('Solo Leisure');
+    expect(getSegmentValue(airlineRows[3], traveller)).toBe(UNKNOWN_SEGMENT);
+  });
+
+  it('returns null for an unknown segment key', () => {
+    expect(getSegmentByKey('age')).toBeNull();
+  });
+});
+
+describe('hasSegmentField', () => {
+  it('is true when any row carries the column', () => {
+    expect(hasSegmentField(airlineRows, traveller)).toBe(true);
+    expect(hasSegmentField(airportRows, traveller)).toBe(false);
+  });
+});
+
+describe('listSegmentValues', () => {
+  it('orders values by review count across datasets', () => {
+    expect(listSegmentValues([airlineRows, loungeRows, airportRows], traveller)).toEqual([
+      { value: 'Couple Leisure', count: 2 },
+      { value: 'Solo Leisure', count: 1 },
+      { value: UNKNOWN_SEGMENT, count: 1 },
+      { value: 'Business', count: 1 }
+    ]);
+  });
+
+  it("follows the segment's order when it has one", () => {
+    expect(listSegmentValues([airlineRows], cabin).map(v => v.value)).toEqual(['Economy', 'Business', 'First']);
+  });
+});
+
+describe('describeSplit', () => {
+  it('adds UNKNOWN_SEGMENT for datasets without the column', () => {
+    expect(describeSplit([airlineRows, airportRows], 'cabin')).toEqual({
+      key: 'cabin',
+      label: 'Cabin class',
+      field: 'cabin_flown',
+      values: ['Economy', 'Business', 'First', UNKNOWN_SEGMENT]
+    });
+  });
+
+  it('is null without a split', () => {
+    expect(describeSplit([airlineRows], null)).toBeNull();
+  });
+});
+
+describe('createSegmentColorScale', () => {
+  it('gives known values distinct colours and unknown values grey', () => {
+    const color = createSegmentColorScale(['Economy', UNKNOWN_SEGMENT, 'Business']);
+    expect(color('Economy')).not.toBe(color('Business'));
+    expect(color(UNKNOWN_SEGMENT)).toBe('#bdc3c7');
+  });
+});
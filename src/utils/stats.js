@@ -0,0 +1,214 @@
+import * as d3 from 'd3';
+
+/**
+ * Small statistics helpers for the aggregations: Wilson intervals for rates and
+ * t-based intervals for means, all at 95%.
+ */
+
+// Two-sided 95% normal quantile
+const Z_95 = 1.959964;
+
+/**
+ * Wilson score interval [low, high] for `successes` out of `total` (null when total is 0).
+ * Unlike the normal approximation it stays within 0-1 and behaves for small samples.
+ */
+export const wilsonInterval = (successes, total, z = Z_95) => {
+  if (!total) return null;
+
+  const p = successes / total;
+  const z2 = z * z;
+  const denominator = 1 + z2 / total;
+  const centre = p + z2 / (2 * total);
+  const margin = z * Math.sqrt((p * (1 - p)) / total + z2 / (4 * total * total));
+
+  return [
+    Math.max(0, (centre - margin) / denominator),
+    Math.min(1, (centre + margin) / denominator)
+  ];
+};
+
+// Two-sided 95% Student t quantiles for 1-30 degrees of freedom
+const T_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086,
+  2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// Beyond the table the Cornish-Fisher expansion around the normal quantile is accurate to 3 decimals
+const tQuantile95 = (df) => {
+  if (df <= T_95.length) return T_95[df - 1];
+  const z = Z_95;
+  return z + (z ** 3 + z) / (4 * df) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df * df);
+};
+
+/**
+ * t-based 95% interval [low, high] of the mean of `count` values (null below 2 values)
+ */
+export const meanInterval = (mean, sd, count) => {
+  if (!(count >= 2) || mean === null || sd === null) return null;
+  const margin = tQuantile95(count - 1) * sd / Math.sqrt(count);
+  return [mean - margin, mean + margin];
+};
+
+/**
+ * Count, mean, median, sample standard deviation and 95% interval of the mean of some values
+ * (nulls are skipped; the statistics are null when there are too few values)
+ */
+export const summarizeValues = (values) => {
+  const valid = values.filter(v => v !== null && v !== undefined && !isNaN(v));
+  const count = valid.length;
+  const mean = count > 0 ? d3.mean(valid) : null;
+  const sd = count > 1 ? d3.deviation(valid) : null;
+
+  return {
+    count,
+    mean,
+    median: count > 0 ? d3.median(valid) : null,
+    sd,
+    ci: meanInterval(mean, sd, count)
+  };
+};
+
+/**
+ * Combine summaries of disjoint samples (e.g. the same month over several years) into the
+ * summary of their union. The median cannot be pooled and is dropped.
+ */
+export const poolSummaries = (summaries) => {
+  const parts = summaries.filter(s => s.count > 0 && s.mean !== null);
+  const count = d3.sum(parts, s => s.count);
+  if (count === 0) return { count: 0, mean: null, median: null, sd: null, ci: null };
+
+  const mean = d3.sum(parts, s => s.mean * s.count) / count;
+  // Within-sample plus between-sample sums of squares
+  const squares = d3.sum(parts, s => (s.sd ?? 0) ** 2 * (s.count - 1) + s.count * (s.mean - mean) ** 2);
+  const sd = count > 1 ? Math.sqrt(squares / (count - 1)) : null;
+
+  return {
+    count,
+    mean,
+    median: parts.length === 1 ? parts[0].median : null,
+    sd,
+    ci: meanInterval(mean, sd, count)
+  };
+};
+
+/**
+ * Bayesian average: `mean` of `count` values shrunk toward `priorMean` as if `priorStrength`
+ * values at the prior were added (the plain mean when the strength is 0)
+ */
+export const bayesianAverage = (mean, count, priorMean, priorStrength) => {
+  if (mean === null || priorMean === null || count + priorStrength <= 0) return mean;
+  return (mean * count + priorMean * priorStrength) / (count + priorStrength);
+};
+
+/**
+ * Box plot statistics of some values: quartiles, and whiskers at the furthest values within
+ * 1.5 interquartile ranges of the box (null without values)
+ */
+export const boxPlotStats = (values) => {
+  const sorted = values.filter(v => v !== null && v !== undefined && !isNaN(v)).sort(d3.ascending);
+  if (sorted.length === 0) return null;
+
+  const q1 = d3.quantileSorted(sorted, 0.25);
+  const median = d3.quantileSorted(sorted, 0.5);
+  const q3 = d3.quantileSorted(sorted, 0.75);
+  const reach = 1.5 * (q3 - q1);
+
+  return {
+    min: sorted[0],
+    q1,
+    median,
+    q3,
+    max: sorted[sorted.length - 1],
+    lowerWhisker: sorted.find(v => v >= q1 - reach),
+    upperWhisker: sorted.findLast(v => v <= q3 + reach)
+  };
+};
+
+/**
+ * Pearson correlation of paired values (null below 3 pairs or without variation)
+ */
+export const pearsonCorrelation = (xs, ys) => {
+  const n = xs.length;
+  if (n < 3) return null;
+
+  const meanX = d3.mean(xs);
+  const meanY = d3.mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+};
+
+// Ranks 1..n with tied values sharing their average rank
+const averageRanks = (values) => {
+  const order = d3.range(values.length).sort((a, b) => values[a] - values[b]);
+  const ranks = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) ranks[order[i]] = rank;
+    start = end + 1;
+  }
+
+  return ranks;
+};
+
+/**
+ * Spearman rank correlation: the Pearson correlation of the (tie-averaged) ranks, so it
+ * measures any monotonic relation and suits ordinal ratings
+ */
+export const spearmanCorrelation = (xs, ys) => pearsonCorrelation(averageRanks(xs), averageRanks(ys));
+
+/**
+ * Least-squares regression of `y` on the `predictors` columns after standardizing all of them.
+ * Returns the standardized coefficients (betas, one per predictor) and R², or null when the
+ * system cannot be solved (too few rows, a constant or perfectly collinear predictor).
+ */
+export const standardizedRegression = (predictors, y) => {
+  const n = y.length;
+  const k = predictors.length;
+  if (k === 0 || n <= k + 1) return null;
+
+  const standardize = (values) => {
+    const mean = d3.mean(values);
+    const sd = d3.deviation(values);
+    return sd > 0 ? values.map(v => (v - mean) / sd) : null;
+  };
+
+  const zs = predictors.map(standardize);
+  const zy = standardize(y);
+  if (!zy || zs.some(z => z === null)) return null;
+
+  // Normal equations (Z'Z) b = Z'y, solved by Gauss-Jordan elimination with partial pivoting
+  const dot = (a, b) => d3.sum(a, (v, i) => v * b[i]);
+  const system = zs.map(zi => [...zs.map(zj => dot(zi, zj)), dot(zi, zy)]);
+
+  for (let col = 0; col < k; col++) {
+    const pivot = d3.maxIndex(system.slice(col), row => Math.abs(row[col])) + col;
+    if (Math.abs(system[pivot][col]) < 1e-9) return null;
+    [system[col], system[pivot]] = [system[pivot], system[col]];
+
+    for (let row = 0; row < k; row++) {
+      if (row === col) continue;
+      const factor = system[row][col] / system[col][col];
+      for (let c = col; c <= k; c++) system[row][c] -= factor * system[col][c];
+    }
+  }
+
+  const betas = system.map((row, i) => row[k] / row[i]);
+  // With standardized variables R² is the sum of beta times the correlation with y
+  const rSquared = d3.sum(betas, (beta, i) => beta * dot(zs[i], zy) / (n - 1));
+
+  return { betas, rSquared };
+};
@@ -0,0 +1,150 @@
+import { describe, expect, it } from 'vitest';
+import {
+  bayesianAverage,
+  boxPlotStats,
+  meanInterval,
+  pearsonCorrelation,
+  poolSummaries,
+  spearmanCorrelation,
+  standardizedRegression,
+  summarizeValues,
+  wilsonInterval
+} from './stats';
+
+describe('wilsonInterval', () => {
+  it('matches the reference interval', () => {
+    const [low, high] = wilsonInterval(5, 10);
+    expect(low).toBeCloseTo(0.2366, 4);
+    expect(high).toBeCloseTo(0.7634, 4);
+  });
+
+  it('stays within 0-1 at the extremes', () => {
+    const [low, high] = wilsonInterval(0, 3);
+    expect(low).toBe(0);
+    expect(high).toBeGreaterThan(0);
+    expect(wilsonInterval(3, 3)[1]).toBe(1);
+  });
+
+  it('is null without observations', () => {
+    expect(wilsonInterval(0, 0)).toBeNull();
+  });
+});
+
+describe('meanInterval', () => {
+  it('uses the t quantile for small samples', () => {
+    const [low, high] = meanInterval(5, 2, 4);
+    expect(high - 5).toBeCloseTo(3.182, 3);
+    expect(5 - low).toBeCloseTo(3.182, 3);
+  });
+
+  it('approaches the normal quantile for large samples', () => {
+    const [, high] = meanInterval(0, 1, 10001);
+    expect(high * Math.sqrt(10001)).toBeCloseTo(1.96, 2);
+  });
+
+  it('is null below two values', () => {
+    expect(meanInterval(5, null, 1)).toBeNull();
+  });
+});
+
+describe('summarizeValues', () => {
+  it('summarizes the valid values', () => {
+    const summary = summarizeValues([2, 4, 4, null, 4, 5, 5, NaN, 7, 9]);
+    expect(summary.count).toBe(8);
+    expect(summary.mean).toBe(5);
+    expect(summary.median).toBe(4.5);
+    expect(summary.sd).toBeCloseTo(Math.sqrt(32 / 7), 10);
+    expect(summary.ci[0]).toBeCloseTo(5 - 2.365 * Math.sqrt(32 / 7) / Math.sqrt(8), 10);
+  });
+
+  it('gives null statistics without values', () => {
+    expect(summarizeValues([null])).toEqual({ count: 0, mean: null, median: null, sd: null, ci: null });
+  });
+});
+
+describe('poolSummaries', () => {
+  it('equals the summary of the union, without the median', () => {
+    const pooled = poolSummaries([summarizeValues([1, 2, 3]), summarizeValues([4, 5]), summarizeValues([])]);
+    const union = summarizeValues([1, 2, 3, 4, 5]);
+    expect(pooled.count).toBe(5);
+    expect(pooled.mean).toBeCloseTo(union.mean, 10);
+    expect(pooled.sd).toBeCloseTo(union.sd, 10);
+    expect(pooled.ci[1]).toBeCloseTo(union.ci[1], 10);
+    expect(pooled.median).toBeNull();
+  });
+
+  it('keeps the median of a single sample', () => {
+    expect(poolSummaries([summarizeValues([1, 2, 6])]).median).toBe(2);
+  });
+});
+
+describe('bayesianAverage', () => {
+  it('shrinks the mean toward the prior', () => {
+    expect(bayesianAverage(8, 10, 6, 10)).toBe(7);
+    expect(bayesianAverage(8, 10, 6, 0)).toBe(8);
+    expect(bayesianAverage(null, 0, 6, 10)).toBeNull();
+  });
+});
+
+describe('boxPlotStats', () => {
+  it('keeps outliers outside the whiskers', () => {
+    expect(boxPlotStats([100, 3, 1, null, 4, 2])).toEqual({
+      min: 1,
+      q1: 2,
+      median: 3,
+      q3: 4,
+      max: 100,
+      lowerWhisker: 1,
+      upperWhisker: 4
+    });
+  });
+
+  it('is null without values', () => {
+    expect(boxPlotStats([])).toBeNull();
+  });
+});
+
+describe('pearsonCorrelation', () => {
+  it('is 1 or -1 for exact linear relations', () => {
+    expect(pearsonCorrelation([1, 2, 3], [2, 4, 6])).toBeCloseTo(1, 10);
+    expect(pearsonCorrelation([1, 2, 3], [3, 2, 1])).toBeCloseTo(-1, 10);
+  });
+
+  it('is null below 3 pairs or without variation', () => {
+    expect(pearsonCorrelation([1, 2], [1, 2])).toBeNull();
+    expect(pearsonCorrelation([1, 2, 3], [4, 4, 4])).toBeNull();
+  });
+});
+
+describe('spearmanCorrelation', () => {
+  it('is 1 for any increasing relation', () => {
+    expect(spearmanCorrelation([1, 2, 3, 4], [1, 4, 9, 100])).toBeCloseTo(1, 10);
+  });
+
+  it('gives tied values their average rank', () => {
+    // Ranks [1, 2.5, 2.5, 4] against [1, 3, 2, 4]
+    expect(spearmanCorrelation([1, 2, 2, 3], [1, 3, 2, 4])).toBeCloseTo(4.5 / Math.sqrt(22.5), 10);
+  });
+});
+
+describe('standardizedRegression', () => {
+  it('recovers the standardized coefficients of an exact fit', () => {
+    const x1 = [1, -1, 1, -1];
+    const x2 = [1, 1, -1, -1];
+    const y = x1.map((v, i) => 2 * v + x2[i]);
+    const { betas, rSquared } = standardizedRegression([x1, x2], y);
+
+    expect(betas[0]).toBeCloseTo(2 / Math.sqrt(5), 10);
+    expect(betas[1]).toBeCloseTo(1 / Math.sqrt(5), 10);
+    expect(rSquared).toBeCloseTo(1, 10);
+  });
+
+  it('is null for collinear or constant predictors and too few rows', () => {
+    const x = [1, 2, 3, 5];
+    const y = [2, 1, 4, 3];
+    expect(standardizedRegression([x, x.map(v => 2 * v)], y)).toBeNull();
+    expect(standardizedRegression([x, [1, 1, 1, 1]], y)).toBeNull();
+    expect(standardizedRegression([x, y], [1, 2, 3])).toBeNull();
+    expect(standardizedRegression([], y)).toBeNull();
+  });
+});
@@ -0,0 +1,221 @@
+import * as d3 from 'd3';
+import { tokenize } from './textSearch';
+import { getNormalizedRating } from './ratingSchema';
+import { SUBJECT_FIELDS, toReviewResult } from './reviews';
+
+/**
+ * Offline text analytics for review contents: lexicon-based sentiment, stop-word filtering
+ * and n-gram frequencies. Everything runs locally (in the data worker), no external service.
+ */
+
+// Common English words plus words every review of this domain contains
+export const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'even', 'few', 'for', 'from',
+  'further', 'get', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his',
+  'how', 'i', 'i\'m', 'i\'d', 'i\'ve', 'if', 'in', 'into', 'is', 'it', 'it\'s', 'its', 'itself', 'just',
+  'me', 'more', 'most', 'my', 'myself', 'nor', 'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or',
+  'other', 'our', 'ours', 'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than',
+  'that', 'the', 'their', 'theirs', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+  'through', 'to', 'too', 'under', 'until', 'up', 'us', 'very', 'was', 'we', 'were', 'what', 'when',
+  'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours',
+  'there\'s', 'well', 'much', 'many', 'however', 'although', 'though', 'still', 'around', 'within',
+  'told', 'went', 'made', 'way', 'time', 'two', 'three',
+  'lounge', 'lounges', 'airport', 'airports', 'airline', 'airlines', 'flight', 'flights', 'review'
+]);
+
+/**
+ * Word -> score from -5 (very negative) to +5 (very positive), in the style of the AFINN lexicon
+ * and tuned to travel reviews
+ */
+export const SENTIMENT_LEXICON = {
+  excellent: 5, outstanding: 5, superb: 5, amazing: 4, exceptional: 5, fantastic: 4, wonderful: 4,
+  brilliant: 4, perfect: 4, best: 3, great: 3, lovely: 3, impressive: 3, impressed: 3, delicious: 3,
+  spacious: 2, comfortable: 2, comfy: 2, good: 2, nice: 2, pleasant: 2, friendly: 2, helpful: 2,
+  attentive: 2, clean: 2, tasty: 2, fresh: 1, quiet: 2, relaxing: 2, relaxed: 1, efficient: 2,
+  enjoyable: 2, enjoyed: 2, recommend: 2, recommended: 2, happy: 3, pleased: 2, welcoming: 2,
+  polite: 2, courteous: 2, professional: 2, modern: 1, decent: 1, fine: 1, adequate: 1, ok: 1,
+  okay: 1, better: 1, plenty: 1, ample: 1, generous: 2, free: 1, quick: 1, fast: 1, smooth: 2,
+  stylish: 2, elegant: 2, beautiful: 3, bright: 1, luxurious: 3, luxury: 2, worth: 2, love: 3,
+  loved: 3, liked: 2, gorgeous: 3, awesome: 4, spotless: 3, calm: 1, cozy: 2, thanks: 1,
+  bad: -3, poor: -2, terrible: -4, awful: -4, horrible: -4, worst: -4, dirty: -3, filthy: -4,
+  rude: -3, unfriendly: -2, unhelpful: -2, crowded: -2, overcrowded: -3, packed: -1, noisy: -2,
+  cramped: -2, small: -1, tiny: -2, tired: -2, dated: -1, shabby: -3, stale: -2, slow: -2,
+  broken: -2, limited: -1, lacking: -2, lack: -1, disappointing: -3, disappointed: -3,
+  disappointment: -3, mediocre: -2, average: -1, basic: -1, bland: -2,
+  uncomfortable: -2, expensive: -1, overpriced: -2, unacceptable: -3, appalling: -4, dreadful: -4,
+  disgusting: -4, smelly: -3, smell: -1, queue: -1, queues: -1, waiting: -1, delay: -2, delayed: -2,
+  delays: -2, lost: -2, chaos: -3, chaotic: -3, messy: -2, unclean: -3, worse: -2, avoid: -3,
+  problem: -2, problems: -2, complaint: -2, complain: -2, annoying: -2, sad: -2, unpleasant: -2, hate: -3, waste: -2, empty: -1, uninviting: -2, depressing: -3,
+  dull: -2, dark: -1, poorly: -2, sticky: -2, ignored: -2, unavailable: -1, closed: -1
+};
+
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'without', 'hardly', 'barely', 'isn\'t', 'wasn\'t', 'aren\'t', 'weren\'t',
+  'don\'t', 'doesn\'t', 'didn\'t', 'couldn\'t', 'wouldn\'t', 'won\'t', 'can\'t', 'cannot'
+]);
+const INTENSIFIERS = new Set(['very', 'really', 'extremely', 'incredibly', 'truly', 'so', 'super', 'most']);
+
+// A negator flips the words that follow it, up to this many tokens
+const NEGATION_SCOPE = 3;
+
+/**
+ * Lexicon sentiment of a text.
+ * Returns { score, hits }: score is the mean word score scaled to -1..1 (0 without hits),
+ * hits the number of sentiment words found.
+ */
+export const analyzeSentiment = (text) => {
+  const tokens = tokenize(text);
+  let total = 0;
+  let hits = 0;
+  let negateFor = 0;
+  let boost = 1;
+
+  tokens.forEach(token => {
+    const value = SENTIMENT_LEXICON[token];
+
+    if (value !== undefined) {
+      total += (negateFor > 0 ? -value : value) * boost;
+      hits++;
+    }
+
+    negateFor = NEGATORS.has(token) ? NEGATION_SCOPE : Math.max(0, negateFor - 1);
+    boost = INTENSIFIERS.has(token) ? 1.5 : 1;
+  });
+
+  return {
+    score: hits > 0 ? Math.max(-1, Math.min(1, total / hits / 5)) : 0,
+    hits
+  };
+};
+
+// Fewer sentiment words than this are too little evidence to contradict a rating
+const MIN_CONTRADICTION_HITS = 3;
+
+export const SENTIMENT_FLAGS = {
+  negativeText: 'Negative text, high rating',
+  positiveText: 'Positive text, low rating'
+};
+
+/**
+ * Flag a review whose text contradicts its overall rating (normalized 0-10), or null
+ */
+export const getSentimentFlag = ({ score, hits }, rating) => {
+  if (rating === null || hits < MIN_CONTRADICTION_HITS) return null;
+  if (rating >= 8 && score <= -0.2) return 'negativeText';
+  if (rating <= 4 && score >= 0.2) return 'positiveText';
+  return null;
+};
+
+/**
+ * Sentiment fields added to every processed review row (see prepareDataset)
+ */
+export const scoreReviewSentiment = (row, entity) => {
+  const sentiment = analyzeSentiment(`${row.title || ''}. ${row.content || ''}`);
+  return {
+    sentiment: sentiment.score,
+    sentimentHits: sentiment.hits,
+    sentimentFlag: getSentimentFlag(sentiment, getNormalizedRating(row, entity, 'overall_rating'))
+  };
+};
+
+/**
+ * Distinct n-grams of a text. N-grams never span a stop-word, number or very short token,
+ * so "the seats were not clean" gives "seats" and "clean" but no bigram.
+ */
+export const extractNgrams = (text, n = 1) => {
+  const ngrams = new Set();
+  let run = [];
+
+  const flush = () => {
+    for (let i = 0; i + n <= run.length; i++) ngrams.add(run.slice(i, i + n).join(' '));
+    run = [];
+  };
+
+  tokenize(text).forEach(token => {
+    if (STOP_WORDS.has(token) || NEGATORS.has(token) || token.length < 3 || /^\d+$/.test(token)) {
+      flush();
+    } else {
+      run.push(token);
+    }
+  });
+  flush();
+
+  return ngrams;
+};
+
+/**
+ * Most frequent n-grams over a set of reviews, counted once per review, each with the
+ * mean sentiment of the reviews that use it
+ */
+export const getTopTerms = (rows, { n = 1, limit = 25 } = {}) => {
+  const terms = new Map();
+
+  rows.forEach(row => {
+    extractNgrams(row.content, n).forEach(term => {
+      const entry = terms.get(term) || { term, count: 0, sentimentSum: 0 };
+      entry.count++;
+      entry.sentimentSum += row.sentiment || 0;
+      terms.set(term, entry);
+    });
+  });
+
+  return Array.from(terms.values())
+    .filter(t => t.count > 1)
+    .sort((a, b) => b.count - a.count || d3.ascending(a.term, b.term))
+    .slice(0, limit)
+    .map(({ term, count, sentimentSum }) => ({ term, count, sentiment: sentimentSum / count }));
+};
+
+/**
+ * Mean text sentiment per overall rating (normalized, rounded to whole points)
+ */
+export const getSentimentByRating = (rows, entity) => {
+  const grouped = d3.rollup(
+    rows.filter(row => row.sentimentHits > 0),
+    v => ({ count: v.length, sentiment: d3.mean(v, row => row.sentiment) }),
+    row => Math.round(getNormalizedRating(row, entity, 'overall_rating') ?? -1)
+  );
+
+  return Array.from(grouped, ([rating, stats]) => ({ rating, ...stats }))
+    .filter(d => d.rating >= 0)
+    .sort((a, b) => a.rating - b.rating);
+};
+
+/**
+ * Everything the text-insights view shows for one entity type, optionally narrowed to one
+ * subject (an airline, airport or lounge): its most reviewed subjects, top n-grams,
+ * sentiment per rating and the reviews whose text contradicts their rating.
+ */
+export const computeTextInsights = (filteredDatasets, { entity, subject = null, n = 1 }) => {
+  const subjectField = SUBJECT_FIELDS[entity];
+  const entityRows = filteredDatasets[entity] || [];
+  const rows = subject ? entityRows.filter(row => row[subjectField] === subject) : entityRows;
+
+  const subjects = Array.from(d3.rollup(entityRows, v => v.length, row => row[subjectField]), ([name, count]) => ({ name, count }))
+    .filter(d => d.name)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 50);
+
+  const scored = rows.filter(row => row.sentimentHits > 0);
+  const flagged = rows
+    .map((row, position) => ({ entity, position, row }))
+    .filter(({ row }) => row.sentimentFlag)
+    .sort((a, b) => Math.abs(b.row.sentiment) - Math.abs(a.row.sentiment));
+
+  return {
+    entity,
+    subject,
+    subjects,
+    reviewCount: rows.length,
+    averageSentiment: scored.length > 0 ? d3.mean(scored, row => row.sentiment) : null,
+    terms: getTopTerms(rows, { n }),
+    byRating: getSentimentByRating(rows, entity),
+    flagCounts: {
+      negativeText: flagged.filter(f => f.row.sentimentFlag === 'negativeText').length,
+      positiveText: flagged.filter(f => f.row.sentimentFlag === 'positiveText').length
+    },
+    examples: flagged.slice(0, 5).map(toReviewResult)
+  };
+};
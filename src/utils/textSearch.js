@@ -0,0 +1,164 @@
+import { getNormalizedRating } from './ratingSchema';
+import { toReviewResult, reviewTimestamp } from './reviews';
+
+/**
+ * Full-text search over review titles and contents.
+ * The data worker builds one inverted index per dataset when it is loaded and answers
+ * search requests against it; the review explorer only renders the returned results.
+ */
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu;
+
+export const tokenize = (text) => {
+  if (!text) return [];
+  return String(text).toLowerCase().match(TOKEN_PATTERN) || [];
+};
+
+const getDocumentText = (row) => `${row.title || ''} ${row.content || ''}`;
+
+/**
+ * Inverted index for one dataset: term -> Map(row position -> term frequency)
+ */
+export const buildSearchIndex = (rows) => {
+  const postings = new Map();
+
+  rows.forEach((row, position) => {
+    tokenize(getDocumentText(row)).forEach(term => {
+      let docs = postings.get(term);
+      if (!docs) {
+        docs = new Map();
+        postings.set(term, docs);
+      }
+      docs.set(position, (docs.get(position) || 0) + 1);
+    });
+  });
+
+  return { rows, postings };
+};
+
+/**
+ * Split a query into single keywords and "quoted phrases".
+ * Returns { terms, phrases } where each phrase is its list of tokens.
+ */
+export const parseSearchQuery = (query) => {
+  const phrases = [];
+  const rest = (query || '').replace(/"([^"]*)"/g, (_, phrase) => {
+    const tokens = tokenize(phrase);
+    if (tokens.length > 1) phrases.push(tokens);
+    else if (tokens.length === 1) return ` ${tokens[0]} `;
+    return ' ';
+  });
+
+  return { terms: [...new Set(tokenize(rest))], phrases };
+};
+
+export const isEmptyQuery = ({ terms, phrases }) => terms.length === 0 && phrases.length === 0;
+
+// Every query term as it can be highlighted in the text
+export const getHighlightTerms = ({ terms, phrases }) => new Set([...terms, ...phrases.flat()]);
+
+const containsPhrase = (tokens, phrase) => {
+  for (let i = 0; i <= tokens.length - phrase.length; i++) {
+    if (phrase.every((term, j) => tokens[i + j] === term)) return true;
+  }
+  return false;
+};
+
+/**
+ * Rows matching every keyword and every phrase, each with its position and a term-frequency score.
+ * Candidates come from the postings; phrases are then checked against the row's tokens.
+ */
+export const searchIndex = (index, parsedQuery) => {
+  const { terms, phrases } = parsedQuery;
+  const required = [...new Set([...terms, ...phrases.flat()])];
+
+  if (required.length === 0) {
+    return index.rows.map((row, position) => ({ row, position, score: 0 }));
+  }
+
+  const postingLists = required.map(term => index.postings.get(term));
+  if (postingLists.some(docs => !docs)) return [];
+
+  // Intersect starting from the rarest term
+  const [rarest, ...others] = [...postingLists].sort((a, b) => a.size - b.size);
+  const matches = [];
+
+  rarest.forEach((_, position) => {
+    if (!others.every(docs => docs.has(position))) return;
+
+    const row = index.rows[position];
+    if (phrases.length > 0) {
+      const tokens = tokenize(getDocumentText(row));
+      if (!phrases.every(phrase => containsPhrase(tokens, phrase))) return;
+    }
+
+    const score = postingLists.reduce((sum, docs) => sum + docs.get(position), 0);
+    matches.push({ row, position, score });
+  });
+
+  return matches;
+};
+
+export const REVIEW_SORTS = [
+  { key: 'relevance', label: 'Relevance' },
+  { key: 'newest', label: 'Newest first' },
+  { key: 'oldest', label: 'Oldest first' },
+  { key: 'highest', label: 'Highest rated' },
+  { key: 'lowest', label: 'Lowest rated' }
+];
+
+const byDate = (a, b) => reviewTimestamp(a.row) - reviewTimestamp(b.row);
+
+const RESULT_COMPARATORS = {
+  relevance: (a, b) => b.score - a.score || byDate(b, a),
+  newest: (a, b) => byDate(b, a),
+  oldest: byDate,
+  // Unrated reviews go last in both rating orders
+  highest: (a, b) => (b.rating ?? -1) - (a.rating ?? -1) || byDate(b, a),
+  lowest: (a, b) => (a.rating ?? 11) - (b.rating ?? 11) || byDate(b, a)
+};
+
+/**
+ * Search every indexed dataset, keeping only rows that are part of the current filtered
+ * selection. Returns the first `limit` results in the chosen order plus the total count.
+ */
+export const searchReviews = (indexes, filteredDatasets, query, sort = 'relevance', limit = 50) => {
+  const parsedQuery = parseSearchQuery(query);
+  const results = [];
+
+  Object.entries(indexes).forEach(([entity, index]) => {
+    const selection = new Set(filteredDatasets[entity]);
+    searchIndex(index, parsedQuery).forEach(({ row, position, score }) => {
+      if (!selection.has(row)) return;
+      results.push({ entity, position, row, score, rating: getNormalizedRating(row, entity, 'overall_rating') });
+    });
+  });
+
+  results.sort(RESULT_COMPARATORS[sort] || RESULT_COMPARATORS.relevance);
+
+  return {
+    total: results.length,
+    results: results.slice(0, limit).map(toReviewResult)
+  };
+};
+
+/**
+ * Split text into [{ text, match }] segments so the query terms can be highlighted
+ */
+export const getHighlightSegments = (text, highlightTerms) => {
+  if (!text) return [];
+  if (highlightTerms.size === 0) return [{ text, match: false }];
+
+  const segments = [];
+  let last = 0;
+
+  for (const found of String(text).matchAll(TOKEN_PATTERN)) {
+    if (!highlightTerms.has(found[0].toLowerCase())) continue;
+    if (found.index > last) segments.push({ text: text.slice(last, found.index), match: false });
+    segments.push({ text: found[0], match: true });
+    last = found.index + found[0].length;
+  }
+
+  if (last < text.length) segments.push({ text: text.slice(last), match: false });
+  return segments;
+};
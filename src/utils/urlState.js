@@ -0,0 +1,187 @@
+import { createDefaultFilters, RATING_THRESHOLDS } from './filterSelectors';
+import { getDimensionByKey, toDimensionFilter } from './dimensions';
+import { RATING_DISPLAY_SCALES, DEFAULT_RATING_SCALE } from './ratingSchema';
+import { SEGMENTS, getSegmentByKey } from './segments';
+import { endOfDay, formatDay, parseDay } from './dates';
+import { DEFAULT_PRIOR_STRENGTH, PRIOR_STRENGTHS, RANKING_MODES } from './rankings';
+
+/**
+ * Serialize / restore the complete dashboard state (filters + view settings)
+ * to and from the URL query string, so an analysis can be shared as a link.
+ */
+
+// Views view.focusedView can open; any other value opens the overview. 'parallel' is the
+// multi-encoding scatter plot (its key predates the parallel coordinates, which are 'profiles')
+export const FOCUSED_VIEWS = [
+  'parallel', 'timeseries', 'matrix', 'map', 'countries', 'data', 'reviews', 'text',
+  'lounges', 'rankings', 'recommendations', 'correlations', 'profiles'
+];
+
+export const createDefaultView = () => ({
+  focusedView: null,
+  yearGrouping: 'all',
+  // Time series y axis: 'rating' or 'recommendation' (rate)
+  timeMetric: 'rating',
+  // Ranking leaderboards: order (a RANKING_MODES key) and prior strength of the adjusted score
+  rankingMode: 'adjusted',
+  priorStrength: DEFAULT_PRIOR_STRENGTH,
+  ratingScale: DEFAULT_RATING_SCALE
+});
+
+const formatRange = (range) => `${range[0]}-${range[1]}`;
+
+const parseRange = (value) => {
+  const match = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec(value || '');
+  if (!match) return null;
+  const range = [+match[1], +match[2]];
+  return range[0] <= range[1] ? range : null;
+};
+
+/**
+ * Build a query string ("?view=map&country=Germany...") for the given state.
+ * Default values are omitted so the overview with no filters is a bare URL.
+ */
+export const serializeDashboardState = ({ filters, view }) => {
+  const params = new URLSearchParams();
+
+  if (view.focusedView) params.set('view', view.focusedView);
+  if (view.yearGrouping !== 'all') params.set('grouping', view.yearGrouping);
+  if (view.timeMetric !== 'rating') params.set('metric', view.timeMetric);
+  if (view.rankingMode !== 'adjusted') params.set('rank', view.rankingMode);
+  if (view.priorStrength !== DEFAULT_PRIOR_STRENGTH) params.set('prior', view.priorStrength);
+  if (view.ratingScale !== DEFAULT_RATING_SCALE) params.set('scale', view.ratingScale);
+  if (filters.dimensionFilter) params.set('dim', filters.dimensionFilter.dimensionKey);
+
+  filters.selectedAirlines.forEach(airline => params.append('airline', airline));
+  filters.selectedCountries.forEach(country => params.append('country', country));
+  Object.entries(filters.selectedSegments).forEach(([key, values]) => {
+    values.forEach(value => params.append(`seg.${key}`, value));
+  });
+  if (filters.splitBy) params.set('split', filters.splitBy);
+
+  if (filters.dateRange) {
+    params.set('from', formatDay(filters.dateRange[0]));
+    params.set('to', formatDay(filters.dateRange[1]));
+  }
+
+  if (filters.ratingRange[0] > 0 || filters.ratingRange[1] < 10) {
+    params.set('rating', formatRange(filters.ratingRange));
+  }
+
+  Object.entries(filters.ratingThresholds).forEach(([key, range]) => {
+    params.set(`t.${key}`, formatRange(range));
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Parse a query string back into { filters, view }.
+ * Unknown or malformed parameters fall back to their defaults.
+ */
+export const parseDashboardState = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = createDefaultFilters();
+  const view = createDefaultView();
+
+  if (FOCUSED_VIEWS.includes(params.get('view'))) view.focusedView = params.get('view');
+  if (['all', 'individual', '5year'].includes(params.get('grouping'))) {
+    view.yearGrouping = params.get('grouping');
+  }
+  if (params.get('metric') === 'recommendation') view.timeMetric = 'recommendation';
+  if (RANKING_MODES.some(m => m.key === params.get('rank'))) view.rankingMode = params.get('rank');
+  if (params.has('prior') && PRIOR_STRENGTHS.includes(+params.get('prior'))) {
+    view.priorStrength = +params.get('prior');
+  }
+  if (RATING_DISPLAY_SCALES.some(s => s.key === params.get('scale'))) {
+    view.ratingScale = params.get('scale');
+  }
+
+  const dimension = getDimensionByKey(params.get('dim'));
+  if (dimension) filters.dimensionFilter = toDimensionFilter(dimension);
+
+  filters.selectedAirlines = params.getAll('airline');
+  filters.selectedCountries = params.getAll('country');
+  SEGMENTS.forEach(segment => {
+    const values = params.getAll(`seg.${segment.key}`);
+    if (values.length > 0) filters.selectedSegments[segment.key] = values;
+  });
+  if (getSegmentByKey(params.get('split'))) filters.splitBy = params.get('split');
+
+  const from = parseDay(params.get('from') || '');
+  const to = parseDay(params.get('to') || '');
+  if (from && to && from <= to) {
+    // Local days, like the review dates (see dates.js); the end date is inclusive
+    filters.dateRange = [from, endOfDay(to)];
+  }
+
+  const ratingRange = parseRange(params.get('rating'));
+  if (ratingRange) filters.ratingRange = ratingRange;
+
+  RATING_THRESHOLDS.forEach(t => {
+    const range = parseRange(params.get(`t.${t.key}`));
+    if (range) filters.ratingThresholds[t.key] = range;
+  });
+
+  return { filters, view };
+};
+
+/**
+ * Plain JSON form of the dashboard state (used for saved presets)
+ */
+export const toPlainState = ({ filters, view }) => ({
+  view: { ...view },
+  filters: {
+    selectedAirlines: [...filters.selectedAirlines],
+    selectedCountries: [...filters.selectedCountries],
+    dateRange: filters.dateRange ? filters.dateRange.map(formatDay) : null,
+    ratingRange: [...filters.ratingRange],
+    ratingThresholds: { ...filters.ratingThresholds },
+    dimension: filters.dimensionFilter ? filters.dimensionFilter.dimensionKey : null,
+    segments: Object.fromEntries(Object.entries(filters.selectedSegments).map(([key, values]) => [key, [...values]])),
+    splitBy: filters.splitBy
+  }
+});
+
+/**
+ * Restore { filters, view } from its plain JSON form.
+ * Goes through the query-string parser so both formats share the same validation.
+ */
+export const fromPlainState = (plain) => {
+  const params = new URLSearchParams();
+  const view = plain?.view || {};
+  const filters = plain?.filters || {};
+
+  if (typeof view.focusedView === 'string') params.set('view', view.focusedView);
+  if (typeof view.yearGrouping === 'string') params.set('grouping', view.yearGrouping);
+  if (typeof view.timeMetric === 'string') params.set('metric', view.timeMetric);
+  if (typeof view.rankingMode === 'string') params.set('rank', view.rankingMode);
+  if (typeof view.priorStrength === 'number') params.set('prior', view.priorStrength);
+  if (typeof view.ratingScale === 'string') params.set('scale', view.ratingScale);
+  if (typeof filters.dimension === 'string') params.set('dim', filters.dimension);
+
+  (Array.isArray(filters.selectedAirlines) ? filters.selectedAirlines : [])
+    .forEach(airline => params.append('airline', airline));
+  (Array.isArray(filters.selectedCountries) ? filters.selectedCountries : [])
+    .forEach(country => params.append('country', country));
+  Object.entries(filters.segments || {}).forEach(([key, values]) => {
+    (Array.isArray(values) ? values : []).forEach(value => params.append(`seg.${key}`, value));
+  });
+  if (typeof filters.splitBy === 'string') params.set('split', filters.splitBy);
+
+  if (Array.isArray(filters.dateRange) && filters.dateRange.length === 2) {
+    params.set('from', filters.dateRange[0]);
+    params.set('to', filters.dateRange[1]);
+  }
+
+  if (Array.isArray(filters.ratingRange)) {
+    params.set('rating', formatRange(filters.ratingRange));
+  }
+
+  Object.entries(filters.ratingThresholds || {}).forEach(([key, range]) => {
+    if (Array.isArray(range)) params.set(`t.${key}`, formatRange(range));
+  });
+
+  return parseDashboardState(params.toString());
+};
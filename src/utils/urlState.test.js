@@ -0,0 +1,93 @@
+import { describe, expect, it, vi } from 'vitest';
+import { applyFilters, createDefaultFilters } from './filterSelectors';
+import { getDimensionByKey, toDimensionFilter } from './dimensions';
+import { parseReviewDate, yearRange } from './dates';
+import {
+  createDefaultView,
+  fromPlainState,
+  parseDashboardState,
+  serializeDashboardState,
+  toPlainState
+} from './urlState';
+
+// West of UTC, where UTC-midnight dates fall on the previous local day
+vi.stubEnv('TZ', 'America/New_York');
+
+const customizedState = () => ({
+  view: {
+    ...createDefaultView(),
+    focusedView: 'rankings',
+    yearGrouping: '5year',
+    timeMetric: 'recommendation',
+    rankingMode: 'raw',
+    priorStrength: 25,
+    ratingScale: '100'
+  },
+  filters: {
+    ...createDefaultFilters(),
+    selectedAirlines: ['emirates', 'qantas'],
+    selectedCountries: ['United Kingdom'],
+    // parseDashboardState ends the range on the last millisecond of the day
+    dateRange: [new Date(2014, 0, 1), new Date(new Date(2015, 5, 1) - 1)],
+    ratingRange: [2, 8.5],
+    ratingThresholds: { seat_comfort: [4, 10] },
+    dimensionFilter: toDimensionFilter(getDimensionByKey('wifi')),
+    selectedSegments: { cabin: ['Business', 'First'] },
+    splitBy: 'traveller'
+  }
+});
+
+describe('serializeDashboardState', () => {
+  it('gives an empty query string for the default state', () => {
+    expect(serializeDashboardState({ filters: createDefaultFilters(), view: createDefaultView() })).toBe('');
+  });
+});
+
+describe('parseDashboardState', () => {
+  it('restores a serialized state', () => {
+    const state = customizedState();
+    expect(parseDashboardState(serializeDashboardState(state))).toEqual(state);
+  });
+
+  it('falls back to the defaults for unknown or malformed values', () => {
+    const { filters, view } = parseDashboardState(
+      '?view=bogus&grouping=decade&rank=best&prior=7&scale=3&dim=nope&split=age&rating=8-2&t.seat_comfort=x&from=2015-01-01&to=2014-01-01'
+    );
+    expect(view).toEqual(createDefaultView());
+    expect(filters).toEqual(createDefaultFilters());
+  });
+
+  it('keeps view=parallel on the scatter plot', () => {
+    expect(parseDashboardState('?view=parallel').view.focusedView).toBe('parallel');
+  });
+});
+
+describe('toPlainState / fromPlainState', () => {
+  it('round-trips through JSON', () => {
+    const state = customizedState();
+    const plain = JSON.parse(JSON.stringify(toPlainState(state)));
+    expect(fromPlainState(plain)).toEqual(state);
+  });
+
+  it('restores the defaults from an empty or invalid preset', () => {
+    const defaults = { filters: createDefaultFilters(), view: createDefaultView() };
+    expect(fromPlainState(null)).toEqual(defaults);
+    expect(fromPlainState({ view: { focusedView: 3 }, filters: { selectedAirlines: 'emirates' } })).toEqual(defaults);
+  });
+});
+
+describe('date range round-trip', () => {
+  const rows = ['2013-12-31', '2014-01-01', '2014-12-31', '2015-01-01']
+    .map(date => ({ date, parsedDate: parseReviewDate(date) }));
+  const keptDays = (filters) => applyFilters(rows, filters, 'airline').map(d => d.date);
+
+  it('filters the same boundary days after a shared link is opened', () => {
+    const filters = { ...createDefaultFilters(), dateRange: yearRange(2014) };
+    const query = serializeDashboardState({ filters, view: createDefaultView() });
+
+    expect(query).toBe('?from=2014-01-01&to=2014-12-31');
+    expect(keptDays(parseDashboardState(query).filters)).toEqual(['2014-01-01', '2014-12-31']);
+    expect(keptDays(fromPlainState(toPlainState({ filters, view: createDefaultView() })).filters))
+      .toEqual(['2014-01-01', '2014-12-31']);
+  });
+});
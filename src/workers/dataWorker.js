@@ -0,0 +1,155 @@
+import Papa from 'papaparse';
+import { prepareDataset } from '../utils/dataProcessor';
+import { applyColumnMapping } from '../utils/schemaDetection';
+import { applyFilters, selectFilteredDatasets } from '../utils/filterSelectors';
+import { computeSharedAggregates } from '../utils/aggregations';
+import { buildSearchIndex, searchReviews } from '../utils/textSearch';
+import { selectDrilldownReviews } from '../utils/drilldown';
+import { computeTextInsights } from '../utils/textAnalytics';
+import { computeLoungeInsights } from '../utils/lounges';
+import { computeRankings } from '../utils/rankings';
+import { computeCorrelations } from '../utils/correlations';
+
+/**
+ * Parses, validates and processes CSV files off the main thread, keeps the processed
+ * datasets and computes the shared aggregations for the current filters. Each dataset also
+ * gets a full-text index so reviews can be searched within the filtered selection.
+ *
+ * Messages in:
+ *   { kind: 'load', requestId, datasetType, url | file, mapping, source }
+ *   { kind: 'aggregate', requestId, filters }
+ *   { kind: 'search', requestId, filters, query, sort, limit }
+ *   { kind: 'drilldown', requestId, filters, target, offset, limit }
+ *   { kind: 'textInsights', requestId, filters, entity, subject, n }
+ *   { kind: 'lounges', requestId, filters, groupBy, group }
+ *   { kind: 'rankings', requestId, filters, priorStrength, mode, limit }
+ *   { kind: 'correlations', requestId, filters, entity, pair }
+ * Messages out:
+ *   { kind: 'progress', requestId, phase, loaded, total }
+ *   { kind: 'loaded', requestId, datasetType, data, report }
+ *   { kind: 'aggregated', requestId, aggregates }
+ *   { kind: 'result', requestId, result }   (answer to search, drilldown, textInsights, lounges, rankings and correlations)
+ *   { kind: 'error', requestId, message }
+ */
+
+const datasets = { airlineData: [], airportData: [], loungeData: [] };
+const DATASET_KEYS = { airline: 'airlineData', airport: 'airportData', lounge: 'loungeData' };
+const searchIndexes = {};
+
+// Download with byte progress (when the server sends a Content-Length)
+const fetchWithProgress = async (url, onProgress) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+
+  const total = +response.headers.get('Content-Length') || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onProgress(loaded, total);
+  }
+
+  return new Blob(chunks);
+};
+
+const parseBlob = (blob, onProgress) => {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Papa.parse(blob, {
+      header: true,
+      skipEmptyLines: true,
+      chunkSize: 1024 * 256,
+      chunk: (results) => {
+        rows.push(...results.data);
+        onProgress(results.meta.cursor, blob.size);
+      },
+      complete: () => resolve(rows),
+      error: reject
+    });
+  });
+};
+
+const handleLoad = async ({ requestId, datasetType, url, file, mapping, source }) => {
+  const postProgress = (phase) => (loaded, total) => {
+    self.postMessage({ kind: 'progress', requestId, phase, loaded, total });
+  };
+
+  const blob = file || await fetchWithProgress(url, postProgress('download'));
+  let rows = await parseBlob(blob, postProgress('parse'));
+  if (mapping) rows = applyColumnMapping(rows, mapping);
+
+  postProgress('process')(0, 0);
+  const { data, report } = prepareDataset(datasetType, rows, source);
+
+  // Seat reviews are not part of the filtered views, so only the three main datasets are kept
+  if (DATASET_KEYS[datasetType]) {
+    datasets[DATASET_KEYS[datasetType]] = data;
+    searchIndexes[datasetType] = buildSearchIndex(data);
+  }
+
+  self.postMessage({ kind: 'loaded', requestId, datasetType, data, report });
+};
+
+const handleAggregate = ({ requestId, filters }) => {
+  const filtered = selectFilteredDatasets(datasets, filters);
+  const profileAirlineData = applyFilters(datasets.airlineData, filters, 'airline', { ignore: ['selectedAirlines'] });
+  self.postMessage({ kind: 'aggregated', requestId, aggregates: computeSharedAggregates(filtered, filters, { profileAirlineData }) });
+};
+
+// Filtered datasets keyed by entity ('airline', ...) rather than by dataset key
+const selectByEntity = (filters) => {
+  const filtered = selectFilteredDatasets(datasets, filters);
+  return Object.fromEntries(Object.entries(DATASET_KEYS).map(([entity, key]) => [entity, filtered[key]]));
+};
+
+const handleSearch = ({ requestId, filters, query, sort, limit }) => {
+  const selection = selectByEntity(filters);
+  self.postMessage({ kind: 'result', requestId, result: searchReviews(searchIndexes, selection, query, sort, limit) });
+};
+
+const handleDrilldown = ({ requestId, filters, target, offset, limit }) => {
+  const selection = selectByEntity(filters);
+  self.postMessage({ kind: 'result', requestId, result: selectDrilldownReviews(selection, target, offset, limit) });
+};
+
+const handleTextInsights = ({ requestId, filters, entity, subject, n }) => {
+  const selection = selectByEntity(filters);
+  self.postMessage({ kind: 'result', requestId, result: computeTextInsights(selection, { entity, subject, n }) });
+};
+
+const handleLounges = ({ requestId, filters, groupBy, group }) => {
+  const { lounge } = selectByEntity(filters);
+  self.postMessage({ kind: 'result', requestId, result: computeLoungeInsights(lounge, { groupBy, group }) });
+};
+
+const handleRankings = ({ requestId, filters, priorStrength, mode, limit }) => {
+  const selection = selectByEntity(filters);
+  self.postMessage({ kind: 'result', requestId, result: computeRankings(selection, { priorStrength, mode, limit }) });
+};
+
+const handleCorrelations = ({ requestId, filters, entity, pair }) => {
+  const selection = selectByEntity(filters);
+  self.postMessage({ kind: 'result', requestId, result: computeCorrelations(selection[entity] || [], entity, { pair }) });
+};
+
+self.onmessage = async (e) => {
+  const message = e.data;
+
+  try {
+    if (message.kind === 'load') await handleLoad(message);
+    if (message.kind === 'aggregate') handleAggregate(message);
+    if (message.kind === 'search') handleSearch(message);
+    if (message.kind === 'drilldown') handleDrilldown(message);
+    if (message.kind === 'textInsights') handleTextInsights(message);
+    if (message.kind === 'lounges') handleLounges(message);
+    if (message.kind === 'rankings') handleRankings(message);
+    if (message.kind === 'correlations') handleCorrelations(message);
+  } catch (err) {
+    self.postMessage({ kind: 'error', requestId: message.requestId, message: err.message || String(err) });
+  }
+};